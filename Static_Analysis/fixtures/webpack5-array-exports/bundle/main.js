@@ -0,0 +1 @@
+(()=>{"use strict";var e={6672(e,t,n){const r=n(7536).A.create({baseURL:"https://api.shop.com/v2"});n.d(t,["F",0,r])},6911(e,t,n){n.d(t,{a:()=>o});var r=n(6672);function o(e){return r.F.get(`/users/${e}/orders`)}},6263(e,t,n){var r=n(7275),o=n(7013),s=n(7960),i=n(4062);const a={http:null,xhr:o.A,fetch:{get:s.J}};r.A.forEach(a,(e,t)=>{if(e){try{Object.defineProperty(e,"name",{__proto__:null,value:t})}catch(e){}Object.defineProperty(e,"adapterName",{__proto__:null,value:t})}});const c=e=>`- ${e}`,l=e=>r.A.isFunction(e)||null===e||!1===e,u={getAdapter:function(e,t){e=r.A.isArray(e)?e:[e];const{length:n}=e;let o,s;const u={};for(let c=0;c<n;c++){let n;if(o=e[c],s=o,!l(o)&&(s=a[(n=String(o)).toLowerCase()],void 0===s))throw new i.A(`Unknown adapter '${n}'`);if(s&&(r.A.isFunction(s)||(s=s.get(t))))break;u[n||"#"+c]=s}if(!s){const e=Object.entries(u).map(([e,t])=>`adapter ${e} `+(!1===t?"is not supported by the environment":"is not available in the build"));let t=n?e.length>1?"since :\n"+e.map(c).join("\n"):" "+c(e[0]):"as no adapter specified";throw new i.A("There is no suitable adapter to dispatch the request "+t,i.A.ERR_NOT_SUPPORT)}return s},adapters:a};n.d(t,["A",0,u])},7960(e,t,n){var r=n(3820),o=n(7275),s=n(4062),i=n(2723),a=n(1791),c=n(7110),l=n(7837),u=n(8382),f=n(3853),d=n(1526),h=n(8267);const p={cache:"default",redirect:"follow",referrer:"about:client",referrerPolicy:"",mode:"cors",integrity:"",keepalive:!1,priority:"auto",window:null},{isFunction:A}=o.A,g=e=>{if(!o.A.isString(e))return e;try{return decodeURIComponent(e)}catch(t){return e}},b=(e,...t)=>{try{return!!e(...t)}catch(e){return!1}},m=e=>{const t=void 0!==o.A.global&&null!==o.A.global?o.A.global:globalThis,{ReadableStream:n,TextEncoder:m}=t;e=o.A.merge.call({skipUndefined:!0},{Request:t.Request,Response:t.Response},e);const{fetch:y,Request:w,Response:O}=e,E=y?A(y):"function"==typeof fetch,R=A(w),S=A(O);if(!E)return!1;const v=E&&A(n),_=E&&("function"==typeof m?(P=new m,e=>P.encode(e)):async e=>new Uint8Array(await new w(e).arrayBuffer()));var P;const T=R&&v&&b(()=>{let e=!1;const t=new w(r.A.origin,{body:new n,method:"POST",get duplex(){return e=!0,"half"}}),o=t.headers.has("Content-Type");return null!=t.body&&t.body.cancel(),e&&!o}),j=S&&v&&b(()=>o.A.isReadableStream(new O("").body)),C={stream:j&&(e=>e.body)};E&&["text","arrayBuffer","blob","formData","stream"].forEach(e=>{!C[e]&&(C[e]=(t,n)=>{let r=t&&t[e];if(r)return r.call(t);throw new s.A(`Response type '${e}' is not supported`,s.A.ERR_NOT_SUPPORT,n)})});const x=async e=>{if(null==e)return 0;if(o.A.isBlob(e))return e.size;if(o.A.isSpecCompliantForm(e)){const t=new w(r.A.origin,{method:"POST",body:e});return(await t.arrayBuffer()).byteLength}return o.A.isArrayBufferView(e)||o.A.isArrayBuffer(e)?e.byteLength:(o.A.isURLSearchParams(e)&&(e+=""),o.A.isString(e)?(await _(e)).byteLength:void 0)};return async e=>{let{url:t,method:n,data:A,signal:b,cancelToken:E,timeout:S,onDownloadProgress:_,onUploadProgress:P,responseType:N,headers:U,withCredentials:D="same-origin",fetchOptions:L,maxContentLength:F,maxBodyLength:B,maxRedirects:k}=(0,u.A)(e);const q=o.A.isNumber(F)&&F>-1,I=o.A.isNumber(B)&&B>-1;let M=y||fetch;N=N?(N+"").toLowerCase():"text";let z=(0,i.A)([b,E&&E.toAbortSignal()],S),$=null;const H=z&&z.unsubscribe&&(()=>{z.unsubscribe()});let J,W=null;const V=()=>new s.A("Request body larger than maxBodyLength limit",s.A.ERR_BAD_REQUEST,e,$);try{let i;const u=(X="auth",o.A.hasOwnProp(e,X)?e[X]:void 0);if(u){i={username:o.A.getSafeProp(u,"username")||"",password:o.A.getSafeProp(u,"password")||""}}if((e=>{const t=e.indexOf("://");let n=e;return-1!==t&&(n=n.slice(t+3)),n.includes("@")||n.includes(":")})(t)){const e=new URL(t,r.A.origin);if(!i&&(e.username||e.password)){i={username:g(e.username),password:g(e.password)}}(e.username||e.password)&&(e.username="",e.password="",t=e.href)}if(i&&(U.delete("authorization"),U.set("Authorization","Basic "+btoa((K=(i.username||"")+":"+(i.password||""),encodeURIComponent(K).replace(/%([0-9A-F]{2})/gi,(e,t)=>String.fromCharCode(parseInt(t,16))))))),q&&"string"==typeof t&&t.startsWith("data:")&&(0,d.A)(t)>F)throw new s.A("maxContentLength size of "+F+" exceeded",s.A.ERR_BAD_RESPONSE,e,$);if(I&&"get"!==n&&"head"!==n){const e=await x(A);if("number"==typeof e&&isFinite(e)&&(J=e,e>B))throw V()}const b=I&&(o.A.isReadableStream(A)||o.A.isStream(A)),y=(e,t,n)=>(0,a.E9)(e,65536,e=>{if(I&&e>B)throw W=V();t&&t(e)},n);if(T&&"get"!==n&&"head"!==n&&(P||b)){if(J=J??await(async(e,t)=>o.A.toFiniteNumber(e.getContentLength())??x(t))(U,A),0!==J||b){let e,n=new w(t,{method:"POST",body:A,duplex:"half"});if(o.A.isFormData(A)&&(e=n.headers.get("content-type"))&&U.setContentType(e),n.body){const[e,t]=P&&(0,l.Vj)(J,(0,l.C1)((0,l.mM)(P)))||[];A=y(n.body,e,t)}}}else if(b&&!R&&v&&"get"!==n&&"head"!==n)A=y(A);else if(b&&R&&!T&&"get"!==n&&"head"!==n)throw new s.A("Stream request bodies are not supported by the current fetch implementation",s.A.ERR_NOT_SUPPORT,e,$);o.A.isString(D)||(D=D?"include":"omit");const E=R&&"credentials"in w.prototype;if(o.A.isFormData(A)){const e=U.getContentType();e&&/^multipart\/form-data/i.test(e)&&!/boundary=/i.test(e)&&U.delete("content-type")}U.set("User-Agent","axios/1.20.0",!1);const S=null==L?L:Object.assign(Object.create(null),L);S&&(delete S.body,delete S.headers,delete S.method,delete S.signal,delete S.duplex,delete S.credentials);const G=Object.assign(Object.create(null),S,{signal:z,method:n.toUpperCase(),headers:(0,h.$$)(U.normalize()),body:A,duplex:"half",credentials:E?D:void 0});R&&(o.A.forEach(p,(e,t)=>{void 0===G[t]&&(G[t]=e)}),void 0===G.signal&&(G.signal=null),void 0===G.body&&(G.body=null)),0===k&&(G.redirect="manual",S&&(S.redirect="manual")),$=R&&new w(t,G);let Q=await(R?M($,S):M(t,G));const Z=c.A.from(Q.headers);if(q){const t=o.A.toFiniteNumber(Z.getContentLength());if(null!=t&&t>F)throw new s.A("maxContentLength size of "+F+" exceeded",s.A.ERR_BAD_RESPONSE,e,$)}const Y=j&&("stream"===N||"response"===N);if(j&&Q.body&&(_||q||Y&&H)){const t={};["status","statusText","headers"].forEach(e=>{t[e]=Q[e]});const n=o.A.toFiniteNumber(Z.getContentLength()),[r,i]=_&&(0,l.Vj)(n,(0,l.C1)((0,l.mM)(_),!0))||[];let c=0;const u=t=>{if(q&&(c=t,c>F))throw new s.A("maxContentLength size of "+F+" exceeded",s.A.ERR_BAD_RESPONSE,e,$);r&&r(t)};Q=new O((0,a.E9)(Q.body,65536,u,()=>{i&&i(),H&&H()}),t)}N=N||"text";let ee=await C[o.A.findKey(C,N)||"text"](Q,e);if(q&&!j&&!Y){let t;if(null!=ee&&("number"==typeof ee.byteLength?t=ee.byteLength:"number"==typeof ee.size?t=ee.size:"string"==typeof ee&&(t="function"==typeof m?(new m).encode(ee).byteLength:ee.length)),"number"==typeof t&&t>F)throw new s.A("maxContentLength size of "+F+" exceeded",s.A.ERR_BAD_RESPONSE,e,$)}return!Y&&H&&H(),await new Promise((t,n)=>{(0,f.A)(t,n,{data:ee,headers:c.A.from(Q.headers),status:Q.status,statusText:Q.statusText,config:e,request:$})})}catch(t){if(H&&H(),z&&z.aborted&&z.reason instanceof s.A){const n=z.reason;throw n.config=e,$&&(n.request=$),t!==n&&Object.defineProperty(n,"cause",{__proto__:null,value:t,writable:!0,enumerable:!1,configurable:!0}),n}if(W)throw $&&!W.request&&(W.request=$),W;if(t instanceof s.A)throw $&&!t.request&&(t.request=$),t;if(t&&"TypeError"===t.name&&/Load failed|fetch/i.test(t.message)){const n=new s.A("Network Error",s.A.ERR_NETWORK,e,$,t&&t.response);throw Object.defineProperty(n,"cause",{__proto__:null,value:t.cause||t,writable:!0,enumerable:!1,configurable:!0}),n}throw s.A.from(t,t&&t.code,e,$,t&&t.response)}var K,X}},y=new Map,w=e=>{let t=e&&e.env||{};const{fetch:n,Request:r,Response:o}=t,s=[r,o,n];let i,a,c=s.length,l=y;for(;c--;)i=s[c],a=l.get(i),void 0===a&&l.set(i,a=c?new Map:m(t)),l=a;return a};w(),n.d(t,["J",0,w])},7013(e,t,n){var r=n(7275),o=n(3853),s=n(807),i=n(4062),a=n(8458),c=n(7527),l=n(5579),u=n(3820),f=n(7110),d=n(7837),h=n(8382),p=n(8267);const A="undefined"!=typeof XMLHttpRequest&&function(e){return new Promise(function(t,n){const A=(0,h.A)(e);let g=A.data;const b=f.A.from(A.headers).normalize();let m,y,w,O,E,R,{responseType:S,onUploadProgress:v,onDownloadProgress:_}=A;function P(){O&&O(),E&&E(),A.cancelToken&&A.cancelToken.unsubscribe(m),A.signal&&A.signal.removeEventListener("abort",m)}let T=new XMLHttpRequest;function j(r){if(!T)return;if(!(0!==T.status||"file"===((0,l.A)((0,c.A)(A.url))||(0,l.A)(u.A.origin))||T.responseURL&&T.responseURL.startsWith("file:")))return n(new i.A("Request aborted",i.A.ECONNABORTED,e,T)),P(),void(T=null);try{r?R&&R(r):E&&E()}catch(e){setTimeout(()=>{throw e})}if(!T)return;const s=f.A.from("getAllResponseHeaders"in T&&T.getAllResponseHeaders()),a={data:S&&"text"!==S&&"json"!==S?T.response:T.responseText,status:T.status,statusText:T.statusText,headers:s,config:e,request:T};(0,o.A)(function(e){t(e),P()},function(e){n(e),P()},a),T=null}T.open(A.method.toUpperCase(),A.url,!0),T.timeout=A.timeout,"onloadend"in T?T.onloadend=j:T.onreadystatechange=function(){T&&4===T.readyState&&(0!==T.status||T.responseURL&&T.responseURL.startsWith("file:"))&&setTimeout(j)},T.onabort=function(){T&&(n(new i.A("Request aborted",i.A.ECONNABORTED,e,T)),P(),T=null)},T.onerror=function(t){const r=t&&t.message?t.message:"Network Error",o=new i.A(r,i.A.ERR_NETWORK,e,T);o.event=t||null,n(o),P(),T=null},T.ontimeout=function(){let t=A.timeout?"timeout of "+A.timeout+"ms exceeded":"timeout exceeded";const r=A.transitional||s.A;A.timeoutErrorMessage&&(t=A.timeoutErrorMessage),n(new i.A(t,r.clarifyTimeoutError?i.A.ETIMEDOUT:i.A.ECONNABORTED,e,T)),P(),T=null},void 0===g&&b.setContentType(null),"setRequestHeader"in T&&r.A.forEach((0,p.$$)(b),function(e,t){T.setRequestHeader(t,e)}),r.A.isUndefined(A.withCredentials)||(T.withCredentials=!!A.withCredentials),S&&"json"!==S&&(T.responseType=A.responseType),_&&([w,E,R]=(0,d.C1)(_,!0),T.addEventListener("progress",w)),v&&T.upload&&([y,O]=(0,d.C1)(v),T.upload.addEventListener("progress",y),T.upload.addEventListener("loadend",O)),(A.cancelToken||A.signal)&&(m=t=>{T&&(n(!t||t.type?new a.A(null,e,T):t),T.abort(),P(),T=null)},A.cancelToken&&A.cancelToken.subscribe(m),A.signal&&(A.signal.aborted?m():A.signal.addEventListener("abort",m)));const C=(0,l.A)(A.url);if(C&&!u.A.protocols.includes(C))return n(new i.A("Unsupported protocol "+C+":",i.A.ERR_BAD_REQUEST,e)),void P();T.send(g||null)})};n.d(t,["A",0,A])},7536(e,t,n){var r=n(7275),o=n(2125),s=n(5978),i=n(4662),a=n(6013),c=n(7887),l=n(8458),u=n(4874),f=n(9575),d=n(665),h=n(4062),p=n(605),A=n(8562),g=n(7110),b=n(6263),m=n(7693);const y=function e(t){const n=new s.A(t),a=(0,o.A)(s.A.prototype.request,n);return r.A.extend(a,s.A.prototype,n,{allOwnKeys:!0}),r.A.extend(a,n,null,{allOwnKeys:!0}),a.create=function(n){return e((0,i.A)(t,n))},a}(a.A);y.Axios=s.A,y.CanceledError=l.A,y.CancelToken=u.A,y.isCancel=f.A,y.VERSION="1.20.0",y.toFormData=d.A,y.AxiosError=h.A,y.Cancel=y.CanceledError,y.all=function(e){return Promise.all(e)},y.spread=p.A,y.isAxiosError=A.A,y.mergeConfig=i.A,y.AxiosHeaders=g.A,y.formToJSON=e=>(0,c.A)(r.A.isHTMLForm(e)?new FormData(e):e),y.getAdapter=b.A.getAdapter,y.HttpStatusCode=m.A,y.default=y;const w=y;n.d(t,["A",0,w])},4874(e,t,n){var r=n(8458);class o{constructor(e){if("function"!=typeof e)throw new TypeError("executor must be a function.");let t;this.promise=new Promise(function(e){t=e});const n=this;this.promise.then(e=>{if(!n._listeners)return;let t=n._listeners.length;for(;t-- >0;)n._listeners[t](e);n._listeners=null}),this.promise.then=e=>{let t;const r=new Promise(e=>{n.subscribe(e),t=e}).then(e);return r.cancel=function(){n.unsubscribe(t)},r},e(function(e,o,s){n.reason||(n.reason=new r.A(e,o,s),t(n.reason))})}throwIfRequested(){if(this.reason)throw this.reason}subscribe(e){this.reason?e(this.reason):this._listeners?this._listeners.push(e):this._listeners=[e]}unsubscribe(e){if(!this._listeners)return;const t=this._listeners.indexOf(e);-1!==t&&this._listeners.splice(t,1)}toAbortSignal(){const e=new AbortController,t=t=>{e.abort(t)};return this.subscribe(t),e.signal.unsubscribe=()=>this.unsubscribe(t),e.signal}static source(){let e;return{token:new o(function(t){e=t}),cancel:e}}}const s=o;n.d(t,["A",0,s])},8458(e,t,n){var r=n(4062);class o extends r.A{constructor(e,t,n){super(e??"canceled",r.A.ERR_CANCELED,t,n),this.name="CanceledError",this.__CANCEL__=!0}}const s=o;n.d(t,["A",0,s])},9575(e,t,n){function r(e){return!(!e||!e.__CANCEL__)}n.d(t,{A:()=>r})},5978(e,t,n){var r=n(7275),o=n(3967),s=n(7352),i=n(8683),a=n(4662),c=n(8262),l=n(2647),u=n(3390),f=n(7110),d=n(807);const h=u.A.validators;class p{constructor(e){this.defaults=e||{},this.interceptors={request:new s.A,response:new s.A}}async request(e,t){try{return await this._request(e,t)}catch(e){if(e instanceof Error)try{let t={};Error.captureStackTrace?Error.captureStackTrace(t):t=new Error;const n=t.stack;let r="";if("string"==typeof n){const e=n.indexOf("\n");r=-1===e?"":n.slice(e+1)}if(e.stack){if(r){const t=r.indexOf("\n"),n=-1===t?-1:r.indexOf("\n",t+1),o=-1===n?"":r.slice(n+1);String(e.stack).endsWith(o)||(e.stack+="\n"+r)}}else e.stack=r}catch(e){}throw e}}_request(e,t){"string"==typeof e?(t=t||{}).url=e:t=e||{},t=(0,a.A)(this.defaults,t);const{transitional:n,paramsSerializer:o,headers:s}=t;void 0!==n&&u.A.assertOptions(n,{silentJSONParsing:h.transitional(h.boolean),forcedJSONParsing:h.transitional(h.boolean),clarifyTimeoutError:h.transitional(h.boolean),legacyInterceptorReqResOrdering:h.transitional(h.boolean),advertiseZstdAcceptEncoding:h.transitional(h.boolean),validateStatusUndefinedResolves:h.transitional(h.boolean)},!1),null!=o&&(r.A.isFunction(o)?t.paramsSerializer={serialize:o}:u.A.assertOptions(o,{encode:h.function,serialize:h.function},!0)),void 0!==t.allowAbsoluteUrls||(void 0!==this.defaults.allowAbsoluteUrls?t.allowAbsoluteUrls=this.defaults.allowAbsoluteUrls:t.allowAbsoluteUrls=!0),u.A.assertOptions(t,{baseUrl:h.spelling("baseURL"),withXsrfToken:h.spelling("withXSRFToken")},!0),t.method=(r.A.getSafeProp(t,"method")||r.A.getSafeProp(this.defaults,"method")||"get").toLowerCase();let c=s&&r.A.merge(s.common,s[t.method]);s&&r.A.forEach(l.A.concat("common"),e=>{delete s[e]}),t.headers=f.A.concat(c,s);const p=[];let A=!0;this.interceptors.request.forEach(function(e){if("function"==typeof e.runWhen&&!1===e.runWhen(t))return;A=A&&e.synchronous;const n=t.transitional||d.A;n&&n.legacyInterceptorReqResOrdering?p.unshift(e.fulfilled,e.rejected):p.push(e.fulfilled,e.rejected)});const g=[];let b;this.interceptors.response.forEach(function(e){g.push(e.fulfilled,e.rejected)});let m,y=0;if(!A){const e=[i.A.bind(this),void 0];for(e.unshift(...p),e.push(...g),m=e.length,b=Promise.resolve(t);y<m;)b=b.then(e[y++],e[y++]);return b}m=p.length;let w=t;for(;y<m;){const e=p[y++],t=p[y++];try{w=e?e(w):w}catch(e){if(!t){b=Promise.reject(e);break}try{const n=t.call(this,e);r.A.isThenable(n)&&(b=Promise.resolve(n).then(()=>i.A.call(this,w)))}catch(e){b=Promise.reject(e)}break}}if(!b)try{b=i.A.call(this,w)}catch(e){b=Promise.reject(e)}for(y=0,m=g.length;y<m;)b=b.then(g[y++],g[y++]);return b}getUri(e){e=(0,a.A)(this.defaults,e);const t=(0,c.A)(e.baseURL,e.url,e.allowAbsoluteUrls,e);return(0,o.A)(t,e.params,e.paramsSerializer)}}r.A.forEach(["delete","get","head","options"],function(e){p.prototype[e]=function(t,n){return this.request((0,a.A)(n||{},{method:e,url:t,data:n&&r.A.hasOwnProp(n,"data")?n.data:void 0}))}}),r.A.forEach(["post","put","patch","query"],function(e){function t(t){return function(n,r,o){return this.request((0,a.A)(o||{},{method:e,headers:t?{"Content-Type":"multipart/form-data"}:{},url:n,data:r}))}}p.prototype[e]=t(),"query"!==e&&(p.prototype[e+"Form"]=t(!0))});const A=p;n.d(t,["A",0,A])},4062(e,t,n){var r=n(7275),o=n(7110);const s="[REDACTED ****]";function i(e){try{return String(e)}catch(e){return""}}class a extends Error{static from(e,t,n,o,s,c){let l=e.message;!l&&r.A.isArray(e.errors)&&e.errors.length&&(l=function(e){return e.errors.map(e=>{try{return e&&e.message?i(e.message):i(e)}catch(e){return""}}).filter(Boolean).join("; ")||e.name||"AggregateError"}(e));const u=new a(l,t||e.code,n,o,s);return Object.defineProperty(u,"cause",{__proto__:null,value:e,writable:!0,enumerable:!1,configurable:!0}),u.name=e.name,null!=e.status&&null==u.status&&(u.status=e.status),c&&Object.assign(u,c),u}constructor(e,t,n,r,o){super(e),Object.defineProperty(this,"message",{__proto__:null,value:e,enumerable:!0,writable:!0,configurable:!0}),this.name="AxiosError",this.isAxiosError=!0,t&&(this.code=t),n&&(this.config=n),r&&(this.request=r),o&&(this.response=o,this.status=o.status)}toJSON(){const e=this.config,t=e&&r.A.hasOwnProp(e,"redact")?e.redact:void 0,n=r.A.isArray(t)&&t.length>0?function(e,t){const n=new Set(t.map(e=>String(e).toLowerCase())),i=[],a=e=>{if(null===e||"object"!=typeof e)return e;if(r.A.isBuffer(e))return e;if(-1!==i.indexOf(e))return;let t;if(e instanceof o.A&&(e=e.toJSON()),i.push(e),r.A.isArray(e))t=[],e.forEach((e,n)=>{const o=a(e);r.A.isUndefined(o)||(t[n]=o)});else{if(!r.A.isPlainObject(e)&&function(e){if(r.A.hasOwnProp(e,"toJSON"))return!0;let t=Object.getPrototypeOf(e);for(;t&&t!==Object.prototype;){if(r.A.hasOwnProp(t,"toJSON"))return!0;t=Object.getPrototypeOf(t)}return!1}(e))return i.pop(),e;t=Object.create(null);for(const[o,i]of Object.entries(e)){const e=n.has(o.toLowerCase())?s:a(i);r.A.isUndefined(e)||(t[o]=e)}}return i.pop(),t};return a(e)}(e,t):r.A.toJSONObject(e);return{message:this.message,name:this.name,description:this.description,number:this.number,fileName:this.fileName,lineNumber:this.lineNumber,columnNumber:this.columnNumber,stack:this.stack,config:n,code:this.code,status:this.status}}}a.ERR_BAD_OPTION_VALUE="ERR_BAD_OPTION_VALUE",a.ERR_BAD_OPTION="ERR_BAD_OPTION",a.ECONNABORTED="ECONNABORTED",a.ETIMEDOUT="ETIMEDOUT",a.ECONNREFUSED="ECONNREFUSED",a.ERR_NETWORK="ERR_NETWORK",a.ERR_FR_TOO_MANY_REDIRECTS="ERR_FR_TOO_MANY_REDIRECTS",a.ERR_DEPRECATED="ERR_DEPRECATED",a.ERR_BAD_RESPONSE="ERR_BAD_RESPONSE",a.ERR_BAD_REQUEST="ERR_BAD_REQUEST",a.ERR_CANCELED="ERR_CANCELED",a.ERR_NOT_SUPPORT="ERR_NOT_SUPPORT",a.ERR_INVALID_URL="ERR_INVALID_URL",a.ERR_FORM_DATA_DEPTH_EXCEEDED="ERR_FORM_DATA_DEPTH_EXCEEDED";const c=a;n.d(t,["A",0,c,"X",0,s])},7110(e,t,n){var r=n(7275),o=n(3325),s=n(8267);const i=Symbol("internals");function a(e){return e&&String(e).trim().toLowerCase()}function c(e){return!1===e||null==e?e:r.A.isArray(e)?e.map(c):(0,s.wB)(String(e))}const l=/^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;function u(e){let t=0,n=e.length;for(;t<n;){const n=e.charCodeAt(t);if(9!==n&&32!==n)break;t+=1}for(;n>t;){const t=e.charCodeAt(n-1);if(9!==t&&32!==t)break;n-=1}return 0===t&&n===e.length?e:e.slice(t,n)}function f(e,t,n,o,s){return r.A.isFunction(o)?o.call(this,t,n):(s&&(t=n),r.A.isString(t)?r.A.isString(o)?-1!==t.indexOf(o):r.A.isRegExp(o)?o.test(t):void 0:void 0)}class d{constructor(e){e&&this.set(e)}set(e,t,n){const s=this;function i(e,t,n){const o=a(t);if(!o)return;const i=r.A.findKey(s,o);(!i||void 0===s[i]||!0===n||void 0===n&&!1!==s[i])&&(s[i||t]=c(e))}const l=(e,t)=>r.A.forEach(e,(e,n)=>i(e,n,t));if(r.A.isPlainObject(e)||e instanceof this.constructor)l(e,t);else if(r.A.isString(e)&&(e=e.trim())&&!/^[-_a-zA-Z0-9^`|~,!#$%&'*+.]+$/.test(e.trim()))l((0,o.A)(e),t);else if(r.A.isObject(e)&&r.A.isSafeIterable(e)){let n,o,s=Object.create(null);for(const t of e){if(!r.A.isArray(t))throw new TypeError("Object iterator must return a key-value pair");o=t[0],r.A.hasOwnProp(s,o)?(n=s[o],s[o]=r.A.isArray(n)?[...n,t[1]]:[n,t[1]]):s[o]=t[1]}l(s,t)}else null!=e&&i(t,e,n);return this}get(e,t){if(e=a(e)){const n=r.A.findKey(this,e);if(n){const e=this[n];if(!t)return e;if(!0===t)return function(e){const t=Object.create(null),n=/([^\s,;=]+)\s*(?:=\s*([^,;]+))?/g;let r;for(;r=n.exec(e);)t[r[1]]=r[2];return t}(e);if(r.A.isFunction(t))return t.call(this,e,n);if(r.A.isRegExp(t))return t.exec(e);throw new TypeError("parser must be boolean|regexp|function")}}}has(e,t){if(e=a(e)){const n=r.A.findKey(this,e);return!(!n||void 0===this[n]||t&&!f(0,this[n],n,t))}return!1}delete(e,t){const n=this;let o=!1;function s(e){if(e=a(e)){const s=r.A.findKey(n,e);!s||t&&!f(0,n[s],s,t)||(delete n[s],o=!0)}}return r.A.isArray(e)?e.forEach(s):s(e),o}clear(e){const t=Object.keys(this);let n=t.length,r=!1;for(;n--;){const o=t[n];e&&!f(0,this[o],o,e,!0)||(delete this[o],r=!0)}return r}normalize(e){const t=this,n={};return r.A.forEach(this,(o,s)=>{const i=r.A.findKey(n,s);if(i)return t[i]=c(o),void delete t[s];const a=e?function(e){return e.trim().toLowerCase().replace(/([a-z\d])(\w*)/g,(e,t,n)=>t.toUpperCase()+n)}(s):String(s).trim();a!==s&&delete t[s],t[a]=c(o),n[a]=!0}),this}concat(...e){return this.constructor.concat(this,...e)}toJSON(e){const t=Object.create(null);return r.A.forEach(this,(n,o)=>{null!=n&&!1!==n&&(t[o]=e&&r.A.isArray(n)?n.join(", "):n)}),t}[Symbol.iterator](){return Object.entries(this.toJSON())[Symbol.iterator]()}toString(){return Object.entries(this.toJSON()).map(([e,t])=>e+": "+t).join("\n")}getSetCookie(){const e=this.get("set-cookie");return r.A.isArray(e)?e:null==e||!1===e?[]:[e]}get[Symbol.toStringTag](){return"AxiosHeaders"}static from(e){return e instanceof this?e:new this(e)}static parseParameters(e){return function(e){const t=Object.create(null),n=String(e);let r=0,o=!1,s=!1;function i(e){const o=u(n.slice(r,e)),s=o.indexOf("=");if(s<1)return;const i=u(o.slice(0,s));if(!l.test(i))return;const a=i.toLowerCase();if("__proto__"===a||"constructor"===a||"prototype"===a)return;const c=u(o.slice(s+1));t[a]=function(e){const t=e.length-1;if(t<1||34!==e.charCodeAt(0)||34!==e.charCodeAt(t))return e;let n="";for(let r=1;r<t;r++){const o=e.charCodeAt(r);if(34===o)return e;if(92===o&&(r+=1,r>=t))return e;n+=e[r]}return n}(c)}for(let e=0;e<n.length;e++){const t=n.charCodeAt(e);o?s?s=!1:92===t?s=!0:34===t&&(o=!1):34===t?o=!0:44!==t&&59!==t||(i(e),r=e+1)}return i(n.length),t}(e)}static concat(e,...t){const n=new this(e);return t.forEach(e=>n.set(e)),n}static accessor(e){const t=(this[i]=this[i]={accessors:{}}).accessors,n=this.prototype;function o(e){const o=a(e);t[o]||(function(e,t){const n=r.A.toCamelCase(" "+t);["get","set","has"].forEach(r=>{Object.defineProperty(e,r+n,{__proto__:null,value:function(e,n,o){return this[r].call(this,t,e,n,o)},configurable:!0})})}(n,e),t[o]=!0)}return r.A.isArray(e)?e.forEach(o):o(e),this}}d.accessor(["Content-Type","Content-Length","Accept","Accept-Encoding","User-Agent","Authorization"]),r.A.reduceDescriptors(d.prototype,({value:e},t)=>{let n=t[0].toUpperCase()+t.slice(1);return{get:()=>e,set(e){this[n]=e}}}),r.A.freezeMethods(d);const h=d;n.d(t,["A",0,h])},7352(e,t,n){var r=n(7275);const o=Symbol("internals");function s(e){return e?e.length:0}function i(e){if(e)for(;e.length&&null===e[e.length-1];)e.pop()}function a(e,t){const n=e.handlers,r=s(n);n!==t.handlersRef?(t.handlersRef=n,t.handlerEntries.clear()):r!==t.handlersLength&&(r?t.handlerEntries.forEach(function(e,r){n[e.index]!==e.handler&&t.handlerEntries.delete(r)}):t.handlerEntries.clear()),t.handlersLength=r}n.d(t,["A",0,class{constructor(){this.handlers=[],this[o]={handlersRef:this.handlers,handlersLength:this.handlers.length,handlerEntries:new Map,iterationDepth:0,nextId:0}}use(e,t,n){const r={fulfilled:e,rejected:t,synchronous:!!n&&n.synchronous,runWhen:n?n.runWhen:null},s=this[o];null==this.handlers&&(this.handlers=[]),a(this,s);const i=s.nextId++;return this.handlers.push(r),s.handlerEntries.set(i,{handler:r,index:this.handlers.length-1}),s.handlersLength=this.handlers.length,i}eject(e){const t=this[o];a(this,t);const n=t.handlerEntries.get(e);if(n){if(t.handlerEntries.delete(e),this.handlers[n.index]!==n.handler)return;this.handlers[n.index]=null,t.iterationDepth||(i(this.handlers),t.handlersLength=this.handlers.length)}}clear(){this.handlers&&(this.handlers=[],a(this,this[o]))}forEach(e){const t=this[o];a(this,t),t.iterationDepth++;try{r.A.forEach(this.handlers,function(t){null!==t&&e(t)})}finally{--t.iterationDepth||(a(this,t),i(this.handlers),t.handlersLength=s(this.handlers))}}}])},8262(e,t,n){n.d(t,{A:()=>l});var r=n(4062),o=n(9034),s=n(6787),i=n(7527);const a=/^https?:(?!\/\/)/i;function c(e,t){if("string"==typeof e){const n=(0,i.A)(e);if(a.test(n))throw new r.A(`Invalid URL ${JSON.stringify(function(e){const t=e.replace(/^(https?:\/{0,2})[^/?#]*@/i,`$1${r.X}@`),n=t.indexOf("#"),o=(-1===n?t:t.slice(0,n)).replace(/([?&][^=&#]*=)[^&#]*/g,`$1${r.X}`);return-1===n?o:`${o}#${s=t.slice(n+1),s?s.replace(/(^|&)([^=&]*=)?[^&]+/g,(e,t,n="")=>`${t}${n}${r.X}`):s}`;var s}(n))}: missing "//" after protocol`,r.A.ERR_INVALID_URL,t)}}function l(e,t,n,r){c(t,r);let i=!(0,o.A)(t);return e&&(i||!1===n)?(c(e,r),(0,s.A)(e,t)):t}},8683(e,t,n){n.d(t,{A:()=>f});var r=n(9152),o=n(9575),s=n(6013),i=n(8458),a=n(7110),c=n(6263),l=n(7275);function u(e){if(e.cancelToken&&e.cancelToken.throwIfRequested(),e.signal&&e.signal.aborted)throw new i.A(null,e)}function f(e){const t=l.A.toSafeFlatObject(e);return u(t),t.headers=a.A.from(l.A.getSafeProp(t,"headers")),t.data=r.A.call(t,t.transformRequest),-1!==["post","put","patch"].indexOf(t.method)&&t.headers.setContentType("application/x-www-form-urlencoded",!1),c.A.getAdapter(t.adapter||s.A.adapter,t)(t).then(function(e){u(t),t.response=e;try{e.data=r.A.call(t,t.transformResponse,e)}finally{delete t.response}return e.headers=a.A.from(e.headers),e},function(e){if(!(0,o.A)(e)&&(u(t),e&&e.response)){t.response=e.response;try{e.response.data=r.A.call(t,t.transformResponse,e.response)}finally{delete t.response}e.response.headers=a.A.from(e.response.headers)}return Promise.reject(e)})}},4662(e,t,n){n.d(t,{A:()=>i});var r=n(7275),o=n(7110);const s=e=>e instanceof o.A?{...e}:e;function i(e,t){e=e||{},t=t||{};const n=Object.create(null);function o(e,t,n,o){return r.A.isPlainObject(e)&&r.A.isPlainObject(t)?r.A.merge.call({caseless:o},e,t):r.A.isPlainObject(t)?r.A.merge({},t):r.A.isArray(t)?t.slice():t}function i(e,t,n,s){return r.A.isUndefined(t)?r.A.isUndefined(e)?void 0:o(void 0,e,0,s):o(e,t,0,s)}function a(e,t){if(!r.A.isUndefined(t))return o(void 0,t)}function c(e,t){return r.A.isUndefined(t)?r.A.isUndefined(e)?void 0:o(void 0,e):o(void 0,t)}function l(n,s,i){return r.A.hasOwnProp(t,i)?o(n,s):r.A.hasOwnProp(e,i)?o(void 0,n):void 0}Object.defineProperty(n,"hasOwnProperty",{__proto__:null,value:Object.prototype.hasOwnProperty,enumerable:!1,writable:!0,configurable:!0});const u={url:a,method:a,data:a,baseURL:c,transformRequest:c,transformResponse:c,paramsSerializer:c,timeout:c,timeoutErrorMessage:c,withCredentials:c,withXSRFToken:c,adapter:c,responseType:c,xsrfCookieName:c,xsrfHeaderName:c,onUploadProgress:c,onDownloadProgress:c,decompress:c,maxContentLength:c,maxBodyLength:c,beforeRedirect:c,transport:c,httpAgent:c,httpsAgent:c,cancelToken:c,socketPath:c,allowedSocketPaths:c,responseEncoding:c,validateStatus:l,headers:(e,t,n)=>i(s(e),s(t),0,!0)};var f;return r.A.forEach((f={...e,...t},Object.getOwnPropertySymbols&&Object.getOwnPropertyDescriptor?Object.keys(f).concat(Object.getOwnPropertySymbols(f).filter(e=>Object.getOwnPropertyDescriptor(f,e).enumerable)):Object.keys(f)),function(o){if("__proto__"===o||"constructor"===o||"prototype"===o)return;const s=r.A.hasOwnProp(u,o)?u[o]:i,a=s(r.A.hasOwnProp(e,o)?e[o]:void 0,r.A.hasOwnProp(t,o)?t[o]:void 0,o);r.A.isUndefined(a)&&s!==l||(n[o]=a)}),r.A.hasOwnProp(t,"validateStatus")&&r.A.isUndefined(t.validateStatus)&&!1===function(n){const o=r.A.hasOwnProp(t,"transitional")?t.transitional:void 0;if(!r.A.isUndefined(o)){if(!r.A.isPlainObject(o))return;if(r.A.hasOwnProp(o,n))return o[n]}const s=r.A.hasOwnProp(e,"transitional")?e.transitional:void 0;if(r.A.isPlainObject(s)&&r.A.hasOwnProp(s,n))return s[n]}("validateStatusUndefinedResolves")&&(r.A.hasOwnProp(e,"validateStatus")?n.validateStatus=o(void 0,e.validateStatus):delete n.validateStatus),n}},2647(e,t,n){const r=Object.freeze(["get","delete","head","options","post","put","patch","purge","link","unlink","query"]);n.d(t,["A",0,r])},958(e,t,n){n.d(t,{A:()=>o});const r=["content-type","content-length"];function o(e,t,n){"content-only"===n?Object.entries(t||{}).forEach(([t,n])=>{r.includes(t.toLowerCase())&&e.set(t,n)}):e.set(t)}},3853(e,t,n){n.d(t,{A:()=>o});var r=n(4062);function o(e,t,n){const o=n.config.validateStatus;n.status&&o&&!o(n.status)?t(new r.A("Request failed with status code "+n.status,n.status>=400&&n.status<500?r.A.ERR_BAD_REQUEST:r.A.ERR_BAD_RESPONSE,n.config,n.request,n)):e(n)}},9152(e,t,n){n.d(t,{A:()=>i});var r=n(7275),o=n(6013),s=n(7110);function i(e,t){const n=this||o.A,i=t||n,a=s.A.from(i.headers);let c=i.data;return r.A.forEach(e,function(e){c=e.call(n,c,a.normalize(),t?t.status:void 0)}),a.normalize(),c}},6013(e,t,n){var r=n(7275),o=n(4062),s=n(807),i=n(665),a=n(1076),c=n(3820),l=n(7887),u=n(2647);const f=(e,t)=>null!=e&&r.A.hasOwnProp(e,t)?e[t]:void 0,d={transitional:s.A,adapter:["xhr","http","fetch"],transformRequest:[function(e,t){const n=t.getContentType()||"",o=n.indexOf("application/json")>-1,s=r.A.isObject(e);if(s&&r.A.isHTMLForm(e)&&(e=new FormData(e)),r.A.isFormData(e))return o?JSON.stringify((0,l.A)(e)):e;if(r.A.isArrayBuffer(e)||r.A.isBuffer(e)||r.A.isStream(e)||r.A.isFile(e)||r.A.isBlob(e)||r.A.isReadableStream(e))return e;if(r.A.isArrayBufferView(e))return e.buffer;if(r.A.isURLSearchParams(e))return t.setContentType("application/x-www-form-urlencoded;charset=utf-8",!1),e.toString();let c;if(s){const t=f(this,"formSerializer");if(n.indexOf("application/x-www-form-urlencoded")>-1)return(0,a.A)(e,t).toString();if((c=r.A.isFileList(e))||n.indexOf("multipart/form-data")>-1){const n=f(this,"env"),r=n&&n.FormData;return(0,i.A)(c?{"files[]":e}:e,r&&new r,t)}}return s||o?(t.setContentType("application/json",!1),function(e){if(r.A.isString(e))try{return(0,JSON.parse)(e),r.A.trim(e)}catch(e){if("SyntaxError"!==e.name)throw e}return(0,JSON.stringify)(e)}(e)):e}],transformResponse:[function(e){const t=f(this,"transitional")||d.transitional,n=t&&t.forcedJSONParsing,s=f(this,"responseType"),i="json"===s;if(r.A.isResponse(e)||r.A.isReadableStream(e))return e;if(e&&r.A.isString(e)&&(n&&!s||i)){const n=!(t&&t.silentJSONParsing)&&i;try{return JSON.parse(e,f(this,"parseReviver"))}catch(e){if(n){if("SyntaxError"===e.name)throw o.A.from(e,o.A.ERR_BAD_RESPONSE,this,null,f(this,"response"));throw e}}}return e}],timeout:0,xsrfCookieName:"XSRF-TOKEN",xsrfHeaderName:"X-XSRF-TOKEN",maxContentLength:-1,maxBodyLength:-1,env:{FormData:c.A.classes.FormData,Blob:c.A.classes.Blob},validateStatus:function(e){return e>=200&&e<300},headers:{common:{Accept:"application/json, text/plain, */*","Content-Type":void 0}}};r.A.forEach(u.A,e=>{d.headers[e]={}});const h=d;n.d(t,["A",0,h])},807(e,t,n){n.d(t,["A",0,{silentJSONParsing:!0,forcedJSONParsing:!0,clarifyTimeoutError:!1,legacyInterceptorReqResOrdering:!0,advertiseZstdAcceptEncoding:!1,validateStatusUndefinedResolves:!0}])},5267(e,t,n){var r=n(665);function o(e){const t={"!":"%21","'":"%27","(":"%28",")":"%29","~":"%7E","%20":"+"};return encodeURIComponent(e).replace(/[!'()~]|%20/g,function(e){return t[e]})}function s(e,t){this._pairs=[],e&&(0,r.A)(e,this,t)}const i=s.prototype;i.append=function(e,t){this._pairs.push([e,t])},i.toString=function(e){const t=e?t=>e.call(this,t,o):o;return this._pairs.map(function(e){return t(e[0])+"="+t(e[1])},"").join("&")};const a=s;n.d(t,["A",0,a])},7693(e,t,n){const r={Continue:100,SwitchingProtocols:101,Processing:102,EarlyHints:103,Ok:200,Created:201,Accepted:202,NonAuthoritativeInformation:203,NoContent:204,ResetContent:205,PartialContent:206,MultiStatus:207,AlreadyReported:208,ImUsed:226,MultipleChoices:300,MovedPermanently:301,Found:302,SeeOther:303,NotModified:304,UseProxy:305,Unused:306,TemporaryRedirect:307,PermanentRedirect:308,BadRequest:400,Unauthorized:401,PaymentRequired:402,Forbidden:403,NotFound:404,MethodNotAllowed:405,NotAcceptable:406,ProxyAuthenticationRequired:407,RequestTimeout:408,Conflict:409,Gone:410,LengthRequired:411,PreconditionFailed:412,PayloadTooLarge:413,ContentTooLarge:413,UriTooLong:414,UnsupportedMediaType:415,RangeNotSatisfiable:416,ExpectationFailed:417,ImATeapot:418,MisdirectedRequest:421,UnprocessableEntity:422,UnprocessableContent:422,Locked:423,FailedDependency:424,TooEarly:425,UpgradeRequired:426,PreconditionRequired:428,TooManyRequests:429,RequestHeaderFieldsTooLarge:431,UnavailableForLegalReasons:451,InternalServerError:500,NotImplemented:501,BadGateway:502,ServiceUnavailable:503,GatewayTimeout:504,HttpVersionNotSupported:505,VariantAlsoNegotiates:506,InsufficientStorage:507,LoopDetected:508,NotExtended:510,NetworkAuthenticationRequired:511,WebServerReturnsAnUnknownError:520,WebServerIsDown:521,ConnectionTimedOut:522,OriginIsUnreachable:523,TimeoutOccurred:524,SslHandshakeFailed:525,InvalidSslCertificate:526};Object.entries(r).forEach(([e,t])=>{void 0===r[t]&&(r[t]=e)});const o=r;n.d(t,["A",0,o])},2125(e,t,n){function r(e,t){return function(){return e.apply(t,arguments)}}n.d(t,{A:()=>r})},3967(e,t,n){n.d(t,{A:()=>i});var r=n(7275),o=n(5267);function s(e){return encodeURIComponent(e).replace(/%3A/gi,":").replace(/%24/g,"$").replace(/%2C/gi,",").replace(/%20/g,"+")}function i(e,t,n){if(!t)return e;e=e||"";const i=r.A.isFunction(n)?{serialize:n}:n,a=r.A.getSafeProp(i,"encode")||s,c=r.A.getSafeProp(i,"serialize");let l;if(l=c?c(t,i):r.A.isURLSearchParams(t)?t.toString():new o.A(t,i).toString(a),l){const t=e.indexOf("#");-1!==t&&(e=e.slice(0,t)),e+=(-1===e.indexOf("?")?"?":"&")+l}return e}},6787(e,t,n){function r(e,t){if(!t)return e;let n=e.length;for(;n>0&&47===e.charCodeAt(n-1);)n--;return e.slice(0,n)+"/"+t.replace(/^\/+/,"")}n.d(t,{A:()=>r})},2723(e,t,n){var r=n(8458),o=n(4062),s=n(7275);n.d(t,["A",0,(e,t)=>{if(e=e?e.filter(Boolean):[],!t&&!e.length)return;const n=new AbortController;let i=!1;const a=function(e){if(!i){i=!0,l();const t=e instanceof Error?e:this.reason;n.abort(t instanceof o.A?t:new r.A(t instanceof Error?t.message:t))}};let c=t&&setTimeout(()=>{c=null,a(new o.A(`timeout of ${t}ms exceeded`,o.A.ETIMEDOUT))},t);const l=()=>{e&&(c&&clearTimeout(c),c=null,e.forEach(e=>{e.unsubscribe?e.unsubscribe(a):e.removeEventListener("abort",a)}),e=null)};e.forEach(e=>{i||(e.aborted?a.call(e):e.addEventListener("abort",a,{once:!0}))});const{signal:u}=n;return u.unsubscribe=()=>s.A.asap(l),u}])},9887(e,t,n){var r=n(7275);const o=n(3820).A.hasStandardBrowserEnv?{write(e,t,n,o,s,i,a){if("undefined"==typeof document)return;const c=[`${e}=${encodeURIComponent(t)}`];r.A.isNumber(n)&&c.push(`expires=${new Date(n).toUTCString()}`),r.A.isString(o)&&c.push(`path=${o}`),r.A.isString(s)&&c.push(`domain=${s}`),!0===i&&c.push("secure"),r.A.isString(a)&&c.push(`SameSite=${a}`),document.cookie=c.join("; ")},read(e){if("undefined"==typeof document)return null;const t=document.cookie.split(";");for(let n=0;n<t.length;n++){const r=t[n].replace(/^\s+/,""),o=r.indexOf("=");if(-1!==o&&r.slice(0,o)===e)try{return decodeURIComponent(r.slice(o+1))}catch(e){return r.slice(o+1)}}return null},remove(e){this.write(e,"",Date.now()-864e5,"/")}}:{write(){},read:()=>null,remove(){}};n.d(t,["A",0,o])},1526(e,t,n){n.d(t,{A:()=>l});const r=e=>e>=48&&e<=57||e>=65&&e<=70||e>=97&&e<=102,o=(e,t,n)=>t+2<n&&r(e.charCodeAt(t+1))&&r(e.charCodeAt(t+2)),s=e=>e<=57?e-48:(223&e)-55,i=e=>e>=65&&e<=90||e>=97&&e<=122||e>=48&&e<=57||43===e||47===e||45===e||95===e,a=e=>9===e||10===e||12===e||13===e||32===e,c=e=>{const t=e.length;let n=0,r=0,c=!1;for(let l=0;l<t;l++){let u=e.charCodeAt(l);37===u&&o(e,l,t)&&(u=16*s(e.charCodeAt(l+1))+s(e.charCodeAt(l+2)),l+=2),a(u)||(61!==u?!i(u)||r>0?c=!0:n++:r++)}return c||r>2||r>0&&(n+r)%4!=0||n%4==1?(e=>{const t=e.length;let n=0;return t>0&&61===e.charCodeAt(t-1)&&(n++,t>1&&61===e.charCodeAt(t-2)&&n++),Math.floor(3*(t-n)/4)})(e):(e=>{const t=e%4;return 3*Math.floor(e/4)+(2===t?1:3===t?2:0)})(n)};function l(e){const t="string"==typeof e?e.indexOf("#"):-1;return((e,t)=>{if(!e||"string"!=typeof e)return 0;if(!e.startsWith("data:"))return 0;const n=e.indexOf(",");if(n<0)return 0;const r=e.slice(5,n),s=e.slice(n+1);if(/;base64/i.test(r))return t(s);let i=0;for(let e=0,t=s.length;e<t;e++){const n=s.charCodeAt(e);if(37===n&&o(s,e,t))i+=1,e+=2;else if(n<128)i+=1;else if(n<2048)i+=2;else if(n>=55296&&n<=56319&&e+1<t){const t=s.charCodeAt(e+1);t>=56320&&t<=57343?(i+=4,e++):i+=3}else i+=3}return i})(-1===t?e:e.slice(0,t),c)}},7887(e,t,n){var r=n(7275),o=n(4062);function s(e){if(e>100)throw new o.A("FormData field is too deeply nested ("+e+" levels). Max depth: 100",o.A.ERR_FORM_DATA_DEPTH_EXCEEDED)}n.d(t,["A",0,function(e){function t(e,n,o,i){s(i);let a=e[i++];if("__proto__"===a)return!0;const c=Number.isFinite(+a),l=i>=e.length;return a=!a&&r.A.isArray(o)?o.length:a,l?(r.A.hasOwnProp(o,a)?o[a]=r.A.isArray(o[a])?o[a].concat(n):[o[a],n]:o[a]=n,!c):(r.A.hasOwnProp(o,a)&&r.A.isObject(o[a])||(o[a]=[]),t(e,n,o[a],i)&&r.A.isArray(o[a])&&(o[a]=function(e){const t={},n=Object.keys(e);let r;const o=n.length;let s;for(r=0;r<o;r++)s=n[r],t[s]=e[s];return t}(o[a])),!c)}if(r.A.isFormData(e)&&r.A.isFunction(e.entries)){const n={};return r.A.forEachEntry(e,(e,r)=>{t(function(e){const t=[],n=/[^.[\]]+|\[([^.[\]]*)]/g;let r;for(;null!==(r=n.exec(e));)s(t.length),t.push("[]"===r[0]?"":r[1]||r[0]);return t}(e),r,n,0)}),n}return null}])},9034(e,t,n){function r(e){return"string"==typeof e&&/^([a-z][a-z\d+\-.]*:)?\/\//i.test(e)}n.d(t,{A:()=>r})},8562(e,t,n){n.d(t,{A:()=>o});var r=n(7275);function o(e){return r.A.isObject(e)&&!0===e.isAxiosError}},6305(e,t,n){var r=n(3820);const o=r.A.hasStandardBrowserEnv?(s=new URL(r.A.origin),i=r.A.navigator&&/(msie|trident)/i.test(r.A.navigator.userAgent),e=>(e=new URL(e,r.A.origin),s.protocol===e.protocol&&s.host===e.host&&(i||s.port===e.port))):()=>!0;var s,i;n.d(t,["A",0,o])},7527(e,t,n){n.d(t,{A:()=>o});const r=/[\t\n\r]/g;function o(e){if("string"!=typeof e)return e;let t=0;for(;t<e.length&&e.charCodeAt(t)<=32;)t++;return e.slice(t).replace(r,"")}},3325(e,t,n){var r=n(7275);const o=r.A.toObjectSet(["age","authorization","content-length","content-type","etag","expires","from","host","if-modified-since","if-unmodified-since","last-modified","location","max-forwards","proxy-authorization","referer","retry-after","user-agent"]),s=e=>{const t={};let n,s,i;return e&&e.split("\n").forEach(function(e){i=e.indexOf(":"),n=e.substring(0,i).trim().toLowerCase(),s=e.substring(i+1).trim();const a=r.A.hasOwnProp(t,n);!n||a&&r.A.hasOwnProp(o,n)||("set-cookie"===n?a?t[n].push(s):t[n]=[s]:t[n]=a?t[n]+", "+s:s)}),t};n.dn(s),n.d(t,["A",0,s])},5579(e,t,n){function r(e){const t=/^([-+\w]{1,25}):(?:\/\/)?/.exec(e);return t&&t[1]||""}n.d(t,{A:()=>r})},7837(e,t,n){var r=n(3873),o=n(66),s=n(7275);n.d(t,["C1",0,(e,t,n=3)=>{let i=0;const a=(0,r.A)(50,250);return(0,o.A)(n=>{if(!n||!s.A.isNumber(n.loaded))return;const r=n.loaded,o=n.lengthComputable?n.total:void 0,c=Math.max(0,null!=o?Math.min(r,o):r),l=Math.max(0,c-i),u=a(l);i=Math.max(i,c),e({loaded:c,total:o,progress:o?c/o:void 0,bytes:l,rate:u||void 0,estimated:u&&o?(o-c)/u:void 0,event:n,lengthComputable:null!=o,[t?"download":"upload"]:!0})},n)},"Vj",0,(e,t)=>{const n=null!=e;return[r=>t[0]({lengthComputable:n,total:e,loaded:r}),t[1]]},"mM",0,(e,t=s.A.asap)=>(...n)=>t(()=>e(...n))])},8382(e,t,n){var r=n(3820),o=n(7275),s=n(4062),i=n(6305),a=n(9887),c=n(8262),l=n(4662),u=n(7110),f=n(958),d=n(3967);n.d(t,["A",0,function(e){const t=(0,l.A)({},e),n=e=>o.A.hasOwnProp(t,e)?t[e]:void 0,h=n("data");let p=n("withXSRFToken");const A=n("xsrfHeaderName"),g=n("xsrfCookieName");let b=n("headers");const m=n("auth"),y=n("baseURL"),w=n("allowAbsoluteUrls"),O=n("url");if(t.headers=b=u.A.from(b),t.url=(0,d.A)((0,c.A)(y,O,w,t),n("params"),n("paramsSerializer")),m){const t=o.A.getSafeProp(m,"username")||"",n=o.A.getSafeProp(m,"password")||"";try{b.set("Authorization","Basic "+btoa(t+":"+(n?encodeURIComponent(n).replace(/%([0-9A-F]{2})/gi,(e,t)=>String.fromCharCode(parseInt(t,16))):"")))}catch(t){throw s.A.from(t,s.A.ERR_BAD_OPTION_VALUE,e)}}if(o.A.isFormData(h)){const e=o.A.getSafeProp(h,"getHeaders");r.A.hasStandardBrowserEnv||r.A.hasStandardBrowserWebWorkerEnv||o.A.isReactNative(h)?b.setContentType(void 0):o.A.isFunction(e)&&(0,f.A)(b,e.call(h),n("formDataHeaderPolicy"))}if(r.A.hasStandardBrowserEnv&&(o.A.isFunction(p)&&(p=p(t)),!0===p||null==p&&(0,i.A)(t.url))){const e=A&&g&&a.A.read(g);e&&b.set(A,e)}return t}])},8267(e,t,n){n.d(t,{$$:()=>a});var r=n(7275);const o=new RegExp("[\\u0000-\\u0008\\u000a-\\u001f\\u007f]+","g"),s=new RegExp("[^\\u0009\\u0020-\\u007e\\u0080-\\u00ff]+","g");function i(e,t){return r.A.isArray(e)?e.map(e=>i(e,t)):function(e){let t=0,n=e.length;for(;t<n;){const n=e.charCodeAt(t);if(9!==n&&32!==n)break;t+=1}for(;n>t;){const t=e.charCodeAt(n-1);if(9!==t&&32!==t)break;n-=1}return 0===t&&n===e.length?e:e.slice(t,n)}(String(e).replace(t,""))}function a(e){const t=Object.create(null);return r.A.forEach(e.toJSON(),(e,n)=>{t[n]=(e=>i(e,s))(e)}),t}n.d(t,["wB",0,e=>i(e,o)])},3873(e,t,n){n.d(t,["A",0,function(e,t){e=e||10;const n=new Array(e),r=new Array(e);let o,s=0,i=0;return t=void 0!==t?t:1e3,function(a){const c=Date.now(),l=r[i];o||(o=c),n[s]=a,r[s]=c;let u=i,f=0;for(;u!==s;)f+=n[u++],u%=e;if(s=(s+1)%e,s===i&&(i=(i+1)%e),c-o<t)return;const d=l&&c-l;return d?Math.round(1e3*f/d):void 0}}])},605(e,t,n){function r(e){return function(t){return e.apply(null,t)}}n.d(t,{A:()=>r})},66(e,t,n){n.d(t,["A",0,function(e,t){let n,r,o=0,s=1e3/t;const i=(t,s=Date.now())=>{o=s,n=null,r&&(clearTimeout(r),r=null),e(...t)};return[(...e)=>{const t=Date.now(),a=t-o;a>=s?i(e,t):(n=e,r||(r=setTimeout(()=>{r=null,i(n)},s-a)))},()=>n&&i(n),(...e)=>i(e)]}])},665(e,t,n){var r=n(7275),o=n(4062);function s(e){return r.A.isPlainObject(e)||r.A.isArray(e)}function i(e){return r.A.endsWith(e,"[]")?e.slice(0,-2):e}function a(e,t,n){return e?e.concat(t).map(function(e,t){return e=i(e),!n&&t?"["+e+"]":e}).join(n?".":""):t}const c=r.A.toFlatObject(r.A,{},null,function(e){return/^is[A-Z]/.test(e)});n.d(t,["A",0,function(e,t,n){if(!r.A.isObject(e))throw new TypeError("target must be an object");t=t||new FormData;const l=(e,t)=>{const o=r.A.getSafeProp(n,e);return r.A.isUndefined(o)?t:o},u=l("metaTokens",!0),f=l("visitor")||w,d=l("dots",!1),h=l("indexes",!1),p=l("Blob")||"undefined"!=typeof Blob&&Blob,A=l("maxDepth",100),g=p&&r.A.isSpecCompliantForm(t),b=[];if(!r.A.isFunction(f))throw new TypeError("visitor must be a function");function m(e){if(null===e)return"";if(r.A.isDate(e))return e.toISOString();if(r.A.isBoolean(e))return e.toString();if(!g&&r.A.isBlob(e))throw new o.A("Blob is not supported. Use a Buffer instead.");if(r.A.isArrayBuffer(e)||r.A.isTypedArray(e)){if(g&&"function"==typeof p)return new p([e]);throw new o.A("Blob is not supported. Use a Buffer instead.",o.A.ERR_NOT_SUPPORT)}return e}function y(e){if(e>A)throw new o.A("Object is too deeply nested ("+e+" levels). Max depth: "+A,o.A.ERR_FORM_DATA_DEPTH_EXCEEDED)}function w(e,n,o){let c=e;if(r.A.isReactNative(t)&&r.A.isReactNativeBlob(e))return t.append(a(o,n,d),m(e)),!1;if(e&&!o&&"object"==typeof e)if(r.A.endsWith(n,"{}"))n=u?n:n.slice(0,-2),e=function(e){if(A===1/0)return JSON.stringify(e);const t=[];return JSON.stringify(e,function(e,n){if(!r.A.isObject(n))return n;for(;t.length&&t[t.length-1]!==this;)t.pop();return t.push(n),y(1+t.length-1),n})}(e);else if(r.A.isArray(e)&&function(e){return r.A.isArray(e)&&!e.some(s)}(e)||(r.A.isFileList(e)||r.A.endsWith(n,"[]"))&&(c=r.A.toArray(e)))return n=i(n),c.forEach(function(e,o){!r.A.isUndefined(e)&&null!==e&&t.append(!0===h?a([n],o,d):null===h?n:n+"[]",m(e))}),!1;return!!s(e)||(t.append(a(o,n,d),m(e)),!1)}const O=Object.assign(c,{defaultVisitor:w,convertValue:m,isVisitable:s});if(!r.A.isObject(e))throw new TypeError("data must be an object");return function e(n,o,s=0){if(!r.A.isUndefined(n)){if(y(s),-1!==b.indexOf(n))throw new Error("Circular reference detected in "+o.join("."));b.push(n),r.A.forEach(n,function(n,i){!0===(!(r.A.isUndefined(n)||null===n)&&f.call(t,n,r.A.isString(i)?i.trim():i,o,O))&&e(n,o?o.concat(i):[i],s+1)}),b.pop()}}(e),t}])},1076(e,t,n){n.d(t,{A:()=>i});var r=n(7275),o=n(665),s=n(3820);function i(e,t){return(0,o.A)(e,new s.A.classes.URLSearchParams,{visitor:function(e,t,n,o){return s.A.isNode&&r.A.isBuffer(e)?(this.append(t,e.toString("base64")),!1):o.defaultVisitor.apply(this,arguments)},...t})}},1791(e,t,n){const r=function*(e,t){let n=e.byteLength;if(!t||n<t)return void(yield e);let r,o=0;for(;o<n;)r=o+t,yield e.slice(o,r),o=r};n.d(t,["E9",0,(e,t,n,o)=>{const s=async function*(e,t){for await(const n of async function*(e){if(e[Symbol.asyncIterator])return void(yield*e);const t=e.getReader();try{for(;;){const{done:e,value:n}=await t.read();if(e)break;yield n}}finally{await t.cancel()}}(e))yield*r(n,t)}(e,t);let i,a=0,c=e=>{i||(i=!0,o&&o(e))};return new ReadableStream({async pull(e){try{const{done:t,value:r}=await s.next();if(t)return c(),void e.close();let o=r.byteLength;if(n){let e=a+=o;n(e)}e.enqueue(new Uint8Array(r))}catch(e){throw c(e),e}},cancel:e=>(c(e),s.return())},{highWaterMark:2})}])},3390(e,t,n){var r=n(4062);const o={};["object","boolean","number","function","string","symbol"].forEach((e,t)=>{o[e]=function(n){return typeof n===e||"a"+(t<1?"n ":" ")+e}});const s={};o.transitional=function(e,t,n){function o(e,t){return"[Axios v1.20.0] Transitional option '"+e+"'"+t+(n?". "+n:"")}return(n,i,a)=>{if(!1===e)throw new r.A(o(i," has been removed"+(t?" in "+t:"")),r.A.ERR_DEPRECATED);return t&&!s[i]&&(s[i]=!0,console.warn(o(i," has been deprecated since v"+t+" and will be removed in the near future"))),!e||e(n,i,a)}},o.spelling=function(e){return(t,n)=>(console.warn(`${n} is likely a misspelling of ${e}`),!0)};const i={assertOptions:function(e,t,n){if("object"!=typeof e||null===e)throw new r.A("options must be an object",r.A.ERR_BAD_OPTION_VALUE);const o=Object.keys(e);let s=o.length;for(;s-- >0;){const i=o[s],a=Object.prototype.hasOwnProperty.call(t,i)?t[i]:void 0;if(a){const t=e[i],n=void 0===t||a(t,i,e);if(!0!==n)throw new r.A("option "+i+" must be "+n,r.A.ERR_BAD_OPTION_VALUE);continue}if(!0!==n)throw new r.A("Unknown option "+i,r.A.ERR_BAD_OPTION)}},validators:o};n.d(t,["A",0,i])},6501(e,t,n){const r="undefined"!=typeof Blob?Blob:null;n.d(t,["A",0,r])},8556(e,t,n){const r="undefined"!=typeof FormData?FormData:null;n.d(t,["A",0,r])},139(e,t,n){var r=n(5267);const o="undefined"!=typeof URLSearchParams?URLSearchParams:r.A;n.d(t,["A",0,o])},6847(e,t,n){var r=n(139),o=n(8556),s=n(6501);const i={isBrowser:!0,classes:{URLSearchParams:r.A,FormData:o.A,Blob:s.A},protocols:["http","https","file","blob","url","data"]};n.d(t,["A",0,i])},2569(e,t,n){n.r(t);const r="undefined"!=typeof window&&"undefined"!=typeof document,o="object"==typeof navigator&&navigator||void 0,s=r&&(!o||["ReactNative","NativeScript","NS"].indexOf(o.product)<0),i="undefined"!=typeof WorkerGlobalScope&&self instanceof WorkerGlobalScope&&"function"==typeof self.importScripts,a=r&&window.location.href||"http://localhost";n.d(t,["R8",0,i,"TG",0,a,"UF",0,r,"gM",0,o,"zd",0,s])},3820(e,t,n){var r=n(6847),o=n(2569),s={};n.r(s),n.d(s,{hasBrowserEnv:()=>o.UF,hasStandardBrowserEnv:()=>o.zd,hasStandardBrowserWebWorkerEnv:()=>o.R8,navigator:()=>o.gM,origin:()=>o.TG});const i={...s,...r.A};n.d(t,["A",0,i])},7275(e,t,n){var r=n(2125);const{toString:o}=Object.prototype,{getPrototypeOf:s}=Object,{iterator:i,toStringTag:a}=Symbol,c=(({hasOwnProperty:e})=>(t,n)=>e.call(t,n))(Object.prototype),l=e=>"string"==typeof e&&("__proto__"===e||"constructor"===e||"prototype"===e),u=(e,t,n)=>e===Object.prototype||!n&&null===t,f=(e,t)=>{let n=e;const r=[];for(;null!=n;){if(-1!==r.indexOf(n))return!1;r.push(n);const o=s(n);if(u(n,o,n===e))return!1;if(c(n,t))return!0;n=o}return!1},d=(h=Object.create(null),e=>{const t=o.call(e);return h[t]||(h[t]=t.slice(8,-1).toLowerCase())});var h;const p=e=>(e=e.toLowerCase(),t=>d(t)===e),A=e=>t=>typeof t===e,{isArray:g}=Array,b=A("undefined");function m(e){return null!==e&&!b(e)&&null!==e.constructor&&!b(e.constructor)&&O(e.constructor.isBuffer)&&e.constructor.isBuffer(e)}const y=p("ArrayBuffer"),w=A("string"),O=A("function"),E=A("number"),R=e=>null!==e&&"object"==typeof e,S=e=>{if(!R(e))return!1;const t=s(e);return!(null!==t&&t!==Object.prototype&&null!==s(t)||f(e,a)||f(e,i))},v=p("Date"),_=p("File"),P=p("Blob"),T=p("FileList"),j=p("Set"),C="undefined"!=typeof globalThis?globalThis:"undefined"!=typeof self?self:"undefined"!=typeof window?window:void 0!==n.g?n.g:{},x=void 0!==C.FormData?C.FormData:void 0,N=p("URLSearchParams"),[U,D,L,F]=["ReadableStream","Request","Response","Headers"].map(p);function B(e,t,{allOwnKeys:n=!1}={}){if(null==e)return;let r,o;if("object"!=typeof e&&(e=[e]),g(e))for(r=0,o=e.length;r<o;r++)t.call(null,e[r],r,e);else{if(m(e))return;const o=n?Object.getOwnPropertyNames(e):Object.keys(e),s=o.length;let i;for(r=0;r<s;r++)i=o[r],t.call(null,e[i],i,e)}}function k(e,t){if(m(e))return null;t=t.toLowerCase();const n=Object.keys(e);let r,o=n.length;for(;o-- >0;)if(r=n[o],t===r.toLowerCase())return r;return null}const q="undefined"!=typeof globalThis?globalThis:"undefined"!=typeof self?self:"undefined"!=typeof window?window:n.g,I=e=>!b(e)&&e!==q,M=(z="undefined"!=typeof Uint8Array&&s(Uint8Array),e=>z&&e instanceof z);var z;const $=p("HTMLFormElement"),{propertyIsEnumerable:H}=Object.prototype,J=p("RegExp"),W=(e,t)=>{const n=Object.getOwnPropertyDescriptors(e),r={};B(n,(n,o)=>{let s;!1!==(s=t(n,o,e))&&(r[o]=s||n)}),Object.defineProperties(e,r)},V=p("AsyncFunction"),K=(X="function"==typeof setImmediate,G=O(q.postMessage),X?setImmediate:G?(Q=`axios@${Math.random()}`,Z=[],q.addEventListener("message",({source:e,data:t})=>{e===q&&t===Q&&Z.length&&Z.shift()()},!1),e=>{Z.push(e),q.postMessage(Q,"*")}):e=>setTimeout(e));var X,G,Q,Z;const Y="undefined"!=typeof queueMicrotask?queueMicrotask.bind(q):"undefined"!=typeof process&&process.nextTick||K,ee=e=>null!=e&&O(e[i]),te={isArray:g,isArrayBuffer:y,isBuffer:m,isFormData:e=>{if(!e)return!1;if(x&&e instanceof x)return!0;const t=s(e);if(!t||t===Object.prototype)return!1;if(!O(e.append))return!1;const n=d(e);return"formdata"===n||"object"===n&&O(e.toString)&&"[object FormData]"===e.toString()},isArrayBufferView:function(e){let t;return t="undefined"!=typeof ArrayBuffer&&ArrayBuffer.isView?ArrayBuffer.isView(e):e&&e.buffer&&y(e.buffer),t},isString:w,isNumber:E,isBoolean:e=>!0===e||!1===e,isObject:R,isPlainObject:S,isEmptyObject:e=>{if(!R(e)||m(e))return!1;try{return 0===Object.keys(e).length&&Object.getPrototypeOf(e)===Object.prototype}catch(e){return!1}},isReadableStream:U,isRequest:D,isResponse:L,isHeaders:F,isUndefined:b,isDate:v,isFile:_,isReactNativeBlob:e=>!(!e||void 0===e.uri),isReactNative:e=>e&&void 0!==e.getParts,isBlob:P,isRegExp:J,isFunction:O,isStream:e=>R(e)&&O(e.pipe),isURLSearchParams:N,isTypedArray:M,isFileList:T,forEach:B,merge:function e(...t){const{caseless:n,skipUndefined:r}=I(this)&&this||{},o={},s=(t,s)=>{if("__proto__"===s||"constructor"===s||"prototype"===s)return;const i=n&&"string"==typeof s&&k(o,s)||s,a=c(o,i)?o[i]:void 0;S(a)&&S(t)?o[i]=e(a,t):S(t)?o[i]=e({},t):g(t)?o[i]=t.slice():r&&b(t)||(o[i]=t)};for(let e=0,n=t.length;e<n;e++){const n=t[e];if(!n||m(n))continue;if(B(n,s),"object"!=typeof n||g(n))continue;const r=Object.getOwnPropertySymbols(n);for(let e=0;e<r.length;e++){const t=r[e];H.call(n,t)&&s(n[t],t)}}return o},extend:(e,t,n,{allOwnKeys:o}={})=>(B(t,(t,o)=>{n&&O(t)?Object.defineProperty(e,o,{__proto__:null,value:(0,r.A)(t,n),writable:!0,enumerable:!0,configurable:!0}):Object.defineProperty(e,o,{__proto__:null,value:t,writable:!0,enumerable:!0,configurable:!0})},{allOwnKeys:o}),e),trim:e=>e.trim?e.trim():e.replace(/^[\s\uFEFF\xA0]+|[\s\uFEFF\xA0]+$/g,""),stripBOM:e=>(65279===e.charCodeAt(0)&&(e=e.slice(1)),e),inherits:(e,t,n,r)=>{e.prototype=Object.create(t.prototype,r),Object.defineProperty(e.prototype,"constructor",{__proto__:null,value:e,writable:!0,enumerable:!1,configurable:!0}),Object.defineProperty(e,"super",{__proto__:null,value:t.prototype}),n&&Object.assign(e.prototype,n)},toFlatObject:(e,t,n,r)=>{let o,i,a;const c={};if(t=t||{},null==e)return t;do{for(o=Object.getOwnPropertyNames(e),i=o.length;i-- >0;)a=o[i],r&&!r(a,e,t)||c[a]||(t[a]=e[a],c[a]=!0);e=!1!==n&&s(e)}while(e&&(!n||n(e,t))&&e!==Object.prototype);return t},kindOf:d,kindOfTest:p,endsWith:(e,t,n)=>{e=String(e),(void 0===n||n>e.length)&&(n=e.length),n-=t.length;const r=e.indexOf(t,n);return-1!==r&&r===n},toArray:e=>{if(!e)return null;if(g(e))return e;let t=e.length;if(!E(t))return null;const n=new Array(t);for(;t-- >0;)n[t]=e[t];return n},forEachEntry:(e,t)=>{const n=(e&&e[i]).call(e);let r;for(;(r=n.next())&&!r.done;){const n=r.value;t.call(e,n[0],n[1])}},matchAll:(e,t)=>{let n;const r=[];for(;null!==(n=e.exec(t));)r.push(n);return r},isHTMLForm:$,hasOwnProperty:c,hasOwnProp:c,hasOwnInPrototypeChain:f,getSafeProp:(e,t)=>null!=e&&f(e,t)?e[t]:void 0,toSafeFlatObject:e=>{if(null==e||"object"!=typeof e&&"function"!=typeof e)return e;const t=s(e);if(null===t&&(e=>{if(!Object.isExtensible(e))return!1;const t=Object.getOwnPropertyNames(e);return Object.getOwnPropertySymbols&&t.push(...Object.getOwnPropertySymbols(e)),t.every(t=>{if(l(t))return!1;const n=Object.getOwnPropertyDescriptor(e,t);return!!n&&n.configurable&&!0===n.writable})})(e))return e;const n=Object.create(null),r=Object.create(null),o=[];let i=e;for(;null!=i&&-1===o.indexOf(i);){o.push(i);const a=i===e?t:s(i);if(u(i,a,i===e))break;const f=Object.getOwnPropertyNames(i);Object.getOwnPropertySymbols&&f.push(...Object.getOwnPropertySymbols(i));for(const t of f)l(t)||c(r,t)||(n[t]=e[t],r[t]=!0);i=a}return n},reduceDescriptors:W,freezeMethods:e=>{W(e,(t,n)=>{if(O(e)&&["arguments","caller","callee"].includes(n))return!1;const r=e[n];O(r)&&(t.enumerable=!1,"writable"in t?t.writable=!1:t.set||(t.set=()=>{throw Error("Can not rewrite read-only method '"+n+"'")}))})},toObjectSet:(e,t)=>{const n={},r=e=>{e.forEach(e=>{n[e]=!0})};return g(e)?r(e):r(String(e).split(t)),n},toCamelCase:e=>e.toLowerCase().replace(/[-_\s]([a-z\d])(\w*)/g,function(e,t,n){return t.toUpperCase()+n}),noop:()=>{},toFiniteNumber:(e,t)=>null!=e&&Number.isFinite(e=+e)?e:t,findKey:k,global:q,isContextDefined:I,isSpecCompliantForm:function(e){return!!(e&&O(e.append)&&"FormData"===e[a]&&e[i])},toJSONObject:e=>{const t=new WeakSet,n=e=>{if(R(e)){if(t.has(e))return;if(m(e))return e;if(!("toJSON"in e)){let r;if(t.add(e),j(e)){r=[];for(const t of e){const e=n(t);!b(e)&&r.push(e)}}else r=g(e)?[]:{},B(e,(e,t)=>{const o=n(e);!b(o)&&(r[t]=o)});return t.delete(e),r}}return e};return n(e)},isAsyncFn:V,isThenable:e=>e&&(R(e)||O(e))&&O(e.then)&&O(e.catch),setImmediate:K,asap:Y,isIterable:ee,isSafeIterable:e=>null!=e&&f(e,i)&&ee(e)};n.d(t,["A",0,te])}};const t={};function n(r){const o=t[r];if(void 0!==o)return o.exports;const s=t[r]={exports:{}};return e[r](s,s.exports,n),s.exports}n.d=(e,t)=>{if(Array.isArray(t))for(var r=0;r<t.length;){var o=t[r++],s=t[r++],i=0===s?{enumerable:!0,value:t[r++]}:{enumerable:!0,get:s};n.o(e,o)||Object.defineProperty(e,o,i)}else for(var o in t)n.o(t,o)&&!n.o(e,o)&&Object.defineProperty(e,o,{enumerable:!0,get:t[o]})},n.g=function(){if("object"==typeof globalThis)return globalThis;try{return this||new Function("return this")()}catch(e){if("object"==typeof window)return window}}(),n.o=(e,t)=>Object.prototype.hasOwnProperty.call(e,t),n.r=e=>{Object.defineProperty(e,Symbol.toStringTag,{value:"Module"}),Object.defineProperty(e,"__esModule",{value:!0})},n.dn=e=>{var t=Object.getOwnPropertyDescriptor(e,"name");(!t||!t.writable&&t.configurable)&&Object.defineProperty(e,"name",{value:"default",configurable:!0})};var r=n(6911);document.querySelector("#orders").addEventListener("click",e=>(0,r.a)(e.target.dataset.user))})();
\ No newline at end of file
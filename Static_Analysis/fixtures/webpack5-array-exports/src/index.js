@@ -0,0 +1,3 @@
+import { loadOrders } from './orders';
+
+document.querySelector('#orders').addEventListener('click', event => loadOrders(event.target.dataset.user));
@@ -0,0 +1,5 @@
+import { api } from './api';
+
+export function loadOrders(userId) {
+    return api.get(`/users/${userId}/orders`);
+}
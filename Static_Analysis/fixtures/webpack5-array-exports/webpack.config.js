@@ -0,0 +1,6 @@
+module.exports = {
+    mode: 'production',
+    entry: './src/index.js',
+    output: { path: `${__dirname}/bundle`, filename: 'main.js' },
+    optimization: { concatenateModules: false }
+};
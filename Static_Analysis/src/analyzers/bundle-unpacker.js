@@ -0,0 +1,635 @@
+import * as t from '@babel/types';
+import _traverse from '@babel/traverse';
+import path from 'path';
+import { ModuleGraph } from './module-graph.js';
+
+const traverse = _traverse.default;
+
+const CHUNK_GLOBAL = /\b(webpackChunk[\w$]*|webpackJsonp[\w$]*)\b/;
+const HASHED_CHUNK_NAME = /[-.](?=[A-Za-z_-]*\d)[A-Za-z0-9_-]{8,}\.m?js$/;
+const VITE_MARKERS = ['__vitePreload', '__vite__mapDeps', 'modulepreload'];
+
+/**
+ * Bundle Unpacker - Splits webpack, esbuild and Vite/Rollup chunks into virtual per-module ASTs
+ */
+export class BundleUnpacker {
+    /**
+     * Detect the chunk layout and return { layout, modules } or null for regular source files;
+     * throws when a bundle is recognized but cannot be split
+     */
+    unpack(filePath, ast, content) {
+        if (!ast || !content) return null;
+
+        return this.unpackWebpack(filePath, ast, content) ||
+            this.unpackEsbuild(filePath, ast, content) ||
+            this.unpackEsmChunk(filePath, ast, content);
+    }
+
+    // ---------------------------------------------------------------- webpack
+
+    unpackWebpack(filePath, ast, content) {
+        const tables = this.findWebpackTables(ast, content);
+        if (tables.length === 0) return null;
+
+        const globalMatch = content.match(CHUNK_GLOBAL);
+        const namespace = globalMatch ? globalMatch[1] : path.dirname(filePath);
+
+        // webpack 4 only emits `function (e, t, n) {}` factories; webpack 5 arrows or, since 5.100, methods
+        const factories = [];
+        let usesModernFactories = false;
+        for (const table of tables) {
+            for (const factory of this.getTableFactories(table.node)) {
+                usesModernFactories = usesModernFactories || t.isArrowFunctionExpression(factory.fn) || t.isObjectMethod(factory.fn);
+                factories.push(factory);
+            }
+            this.emptyTable(table.node);
+        }
+
+        const layout = usesModernFactories || namespace.startsWith('webpackChunk') ? 'webpack5' : 'webpack4';
+        const runtimeRequire = tables.map(table => table.requireName).find(Boolean) || null;
+
+        const modules = factories.map(({ id, fn }) => {
+            const [moduleParam, exportsParam, requireParam] = fn.params.map(param => t.isIdentifier(param) ? param.name : null);
+            return this.createModule({
+                id,
+                key: ModuleGraph.moduleKey(namespace, id),
+                filePath,
+                layout,
+                namespace,
+                body: this.getFunctionBody(fn),
+                directives: t.isBlockStatement(fn.body) ? fn.body.directives : [],
+                params: { module: moduleParam, exports: exportsParam, require: requireParam }
+            });
+        });
+
+        // Whatever is left (runtime, entry code) stays analyzable as its own module
+        modules.push(this.createModule({
+            id: 'runtime',
+            key: ModuleGraph.moduleKey(namespace, `runtime:${path.basename(filePath)}`),
+            filePath,
+            layout,
+            namespace,
+            body: ast.program.body,
+            directives: ast.program.directives,
+            params: { module: null, exports: null, require: runtimeRequire }
+        }));
+
+        return { layout, modules };
+    }
+
+    /**
+     * Module tables pushed onto the chunk global or handed to the runtime bootstrap
+     */
+    findWebpackTables(ast, content) {
+        const tables = [];
+        const isChunkFile = CHUNK_GLOBAL.test(content);
+
+        t.traverseFast(ast.program, (node) => {
+            // (self.webpackChunkapp = self.webpackChunkapp || []).push([[179], { 42: (e, t, n) => {...} }])
+            if (isChunkFile && t.isCallExpression(node) && t.isMemberExpression(node.callee) &&
+                t.isIdentifier(node.callee.property, { name: 'push' }) && t.isArrayExpression(node.arguments[0])) {
+                const [chunkIds, table] = node.arguments[0].elements;
+                if (t.isArrayExpression(chunkIds) && this.isModuleTable(table)) {
+                    tables.push({ node: table, requireName: null });
+                }
+                return;
+            }
+
+            // var __webpack_modules__ = {...} / var e = {...} next to the require function
+            if (t.isVariableDeclarator(node) && t.isIdentifier(node.id) && this.isModuleTable(node.init)) {
+                const requireName = this.findRuntimeRequire(node.id.name, content);
+                if (requireName || node.id.name === '__webpack_modules__') {
+                    tables.push({ node: node.init, requireName });
+                }
+                return;
+            }
+
+            // !function(e) { ...bootstrap... }([function(e, t, n) {...}, ...])
+            if (t.isCallExpression(node) && t.isFunction(node.callee) && this.isModuleTable(node.arguments[0])) {
+                const tableParam = node.callee.params[0];
+                const requireName = t.isIdentifier(tableParam) ? this.findRuntimeRequire(tableParam.name, content) : null;
+                if (requireName) {
+                    tables.push({ node: node.arguments[0], requireName });
+                }
+            }
+        });
+
+        return tables;
+    }
+
+    isModuleTable(node) {
+        if (t.isObjectExpression(node)) {
+            return node.properties.length > 0 && node.properties.every(prop =>
+                (t.isObjectProperty(prop) && this.isFactory(prop.value) && !prop.computed) ||
+                (t.isObjectMethod(prop) && prop.kind === 'method' && prop.params.length <= 3));
+        }
+
+        if (t.isArrayExpression(node)) {
+            const entries = node.elements.filter(Boolean);
+            return entries.length > 0 && entries.every(element => this.isFactory(element));
+        }
+
+        return false;
+    }
+
+    isFactory(node) {
+        return (t.isFunctionExpression(node) || t.isArrowFunctionExpression(node)) && node.params.length <= 3;
+    }
+
+    /**
+     * The runtime invokes factories as `e[r].call(o.exports, o, o.exports, n)` or `e[r](o, o.exports, n)`;
+     * the last argument is the require function.
+     */
+    findRuntimeRequire(tableName, content) {
+        const name = tableName.replace(/\$/g, '\\$');
+        const invocation = new RegExp(`\\b${name}\\[[\\w$]+\\](?:\\.call\\([^,()]+,|\\()[^,()]+,[^,()]+,\\s*([\\w$]+)\\s*\\)`);
+        const match = content.match(invocation);
+        return match ? match[1] : null;
+    }
+
+    getTableFactories(table) {
+        if (t.isArrayExpression(table)) {
+            return table.elements
+                .map((fn, index) => ({ id: String(index), fn }))
+                .filter(({ fn }) => fn);
+        }
+
+        return table.properties.map(prop => ({
+            id: String(t.isIdentifier(prop.key) ? prop.key.name : prop.key.value),
+            fn: t.isObjectMethod(prop) ? prop : prop.value
+        }));
+    }
+
+    emptyTable(table) {
+        if (t.isArrayExpression(table)) {
+            table.elements = [];
+        } else {
+            table.properties = [];
+        }
+    }
+
+    // ---------------------------------------------------------------- esbuild
+
+    /**
+     * var require_api = __commonJS({ "src/api.js"(exports, module) {...} });
+     */
+    unpackEsbuild(filePath, ast, content) {
+        const helperName = this.findCommonJsHelper(ast, content);
+        if (!helperName) return null;
+
+        const namespace = filePath;
+        const requireVars = new Map(); // require_x -> module key
+        const factories = [];
+
+        for (const statement of ast.program.body) {
+            if (!t.isVariableDeclaration(statement)) continue;
+
+            for (const declarator of statement.declarations) {
+                const init = declarator.init;
+                if (!t.isIdentifier(declarator.id) || !t.isCallExpression(init) ||
+                    !t.isIdentifier(init.callee, { name: helperName })) continue;
+
+                const factory = this.getEsbuildFactory(init.arguments[0], declarator.id.name);
+                if (!factory) continue;
+
+                const key = ModuleGraph.moduleKey(namespace, factory.id);
+                requireVars.set(declarator.id.name, key);
+                factories.push({ ...factory, key });
+                init.arguments = [];
+            }
+        }
+
+        if (factories.length === 0) return null;
+
+        const modules = factories.map(({ id, key, fn }) => {
+            const [exportsParam, moduleParam] = fn.params.map(param => t.isIdentifier(param) ? param.name : null);
+            return this.createModule({
+                id,
+                key,
+                filePath,
+                layout: 'esbuild',
+                namespace,
+                requireVars,
+                body: this.getFunctionBody(fn),
+                directives: t.isBlockStatement(fn.body) ? fn.body.directives : [],
+                params: { module: moduleParam, exports: exportsParam, require: null }
+            });
+        });
+
+        // Scope-hoisted ESM code and the entry point
+        modules.push(this.createModule({
+            id: 'runtime',
+            key: ModuleGraph.moduleKey(namespace, 'runtime'),
+            filePath,
+            layout: 'esbuild',
+            namespace,
+            requireVars,
+            body: ast.program.body,
+            directives: ast.program.directives,
+            params: { module: null, exports: null, require: null }
+        }));
+
+        return { layout: 'esbuild', modules };
+    }
+
+    /**
+     * `__commonJS` by name, or its minified shape `(e, t) => () => (t || e((t = {exports: {}}).exports, t), t.exports)`
+     */
+    findCommonJsHelper(ast, content) {
+        if (!content.includes('exports:{}') && !content.includes('exports: {}')) return null;
+
+        for (const statement of ast.program.body) {
+            if (!t.isVariableDeclaration(statement)) continue;
+
+            for (const declarator of statement.declarations) {
+                if (!t.isIdentifier(declarator.id)) continue;
+                if (declarator.id.name === '__commonJS') return '__commonJS';
+
+                const init = declarator.init;
+                if (t.isArrowFunctionExpression(init) && init.params.length === 2 &&
+                    t.isArrowFunctionExpression(init.body) && init.body.params.length === 0 &&
+                    content.slice(init.start, init.end).replace(/\s/g, '').includes('exports:{}')) {
+                    return declarator.id.name;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    getEsbuildFactory(arg, varName) {
+        // Non-minified: __commonJS({ "src/api.js"(exports, module) {...} })
+        if (t.isObjectExpression(arg) && arg.properties.length === 1) {
+            const prop = arg.properties[0];
+            const id = t.isStringLiteral(prop.key) ? prop.key.value : t.isIdentifier(prop.key) ? prop.key.name : varName;
+            const fn = t.isObjectMethod(prop) ? prop : prop.value;
+            return t.isFunction(fn) ? { id, fn } : null;
+        }
+
+        // Minified: c((e, t) => {...})
+        if (t.isFunction(arg)) {
+            return { id: varName, fn: arg };
+        }
+
+        return null;
+    }
+
+    // ---------------------------------------------------------------- Vite / Rollup
+
+    /**
+     * Hashed ES module chunks are already one module each; only their import/export edges are needed
+     */
+    unpackEsmChunk(filePath, ast, content) {
+        const looksLikeChunk = HASHED_CHUNK_NAME.test(path.basename(filePath)) ||
+            VITE_MARKERS.some(marker => content.includes(marker));
+        if (!looksLikeChunk) return null;
+
+        const hasModuleSyntax = ast.program.body.some(statement =>
+            t.isImportDeclaration(statement) || t.isExportDeclaration(statement));
+        if (!hasModuleSyntax) return null;
+
+        const module = this.createModuleRecord({
+            id: path.basename(filePath),
+            key: path.resolve(filePath),
+            filePath,
+            layout: 'vite',
+            namespace: path.dirname(path.resolve(filePath))
+        });
+        const resolveSource = (source) => path.resolve(path.dirname(path.resolve(filePath)), source);
+
+        for (const statement of ast.program.body) {
+            const source = statement.source?.value;
+            const from = source && source.startsWith('.') ? resolveSource(source) : null;
+
+            if (t.isImportDeclaration(statement) && from) {
+                module.dependencies.add(from);
+                for (const specifier of statement.specifiers) {
+                    module.imports.set(specifier.local.name, {
+                        module: from,
+                        imported: t.isImportNamespaceSpecifier(specifier) ? '*'
+                            : t.isImportDefaultSpecifier(specifier) ? 'default'
+                                : this.getExportName(specifier.imported)
+                    });
+                }
+            } else if (t.isExportAllDeclaration(statement) && from) {
+                module.dependencies.add(from);
+                module.reexportAll.push(from);
+            } else if (t.isExportNamedDeclaration(statement)) {
+                this.collectNamedExports(statement, module, from);
+            } else if (t.isExportDefaultDeclaration(statement)) {
+                const declaration = statement.declaration;
+                module.exports.set('default', declaration.id ? { local: declaration.id.name } : { node: declaration });
+            }
+        }
+
+        // Lazy chunks: import("./About-3f2a9c1d.js")
+        t.traverseFast(ast.program, (node) => {
+            if (t.isImport(node.callee) && t.isStringLiteral(node.arguments?.[0]) && node.arguments[0].value.startsWith('.')) {
+                module.dependencies.add(resolveSource(node.arguments[0].value));
+            }
+        });
+
+        module.ast = ast;
+        module.scope = this.getProgramScope(ast);
+
+        return { layout: 'vite', modules: [module] };
+    }
+
+    collectNamedExports(statement, module, from) {
+        if (from) module.dependencies.add(from);
+
+        for (const specifier of statement.specifiers) {
+            const exported = this.getExportName(specifier.exported);
+            if (from) {
+                module.exports.set(exported, {
+                    from,
+                    imported: t.isExportNamespaceSpecifier(specifier) ? '*' : this.getExportName(specifier.local)
+                });
+            } else if (specifier.local) {
+                module.exports.set(exported, { local: specifier.local.name });
+            }
+        }
+
+        const declaration = statement.declaration;
+        if (t.isVariableDeclaration(declaration)) {
+            for (const declarator of declaration.declarations) {
+                if (t.isIdentifier(declarator.id)) {
+                    module.exports.set(declarator.id.name, { local: declarator.id.name });
+                }
+            }
+        } else if (declaration?.id) {
+            module.exports.set(declaration.id.name, { local: declaration.id.name });
+        }
+    }
+
+    getExportName(node) {
+        return t.isStringLiteral(node) ? node.value : node.name;
+    }
+
+    // ---------------------------------------------------------------- virtual modules
+
+    createModuleRecord({ id, key, filePath, layout, namespace, requireName = null, requireVars = null }) {
+        return {
+            id: String(id),
+            key,
+            file: `${filePath}#${id}`,
+            bundle: filePath,
+            layout,
+            namespace,
+            requireName,
+            requireVars,
+            imports: new Map(),      // local name -> { module: key, imported: export name | '*' }
+            exports: new Map(),      // export name -> { local } | { node } | { from, imported }
+            reexportAll: [],
+            dependencies: new Set(),
+            ast: null,
+            scope: null
+        };
+    }
+
+    /**
+     * Turn a factory body into an ES module: requires become imports, export getters become exports
+     */
+    createModule({ id, key, filePath, layout, namespace, requireVars = null, body, directives, params }) {
+        const module = this.createModuleRecord({
+            id, key, filePath, layout, namespace, requireName: params.require, requireVars
+        });
+
+        const imports = [];
+        const statements = [];
+        const exportSpecifiers = [];
+        const interopNames = new Set();
+
+        for (const statement of this.flattenSequences(body)) {
+            if (t.isExpressionStatement(statement)) {
+                const expr = statement.expression;
+
+                // n.r(t) - marks the exports object as ESM
+                if (this.isRuntimeHelperCall(expr, params, 'r')) continue;
+
+                // n.d(t, { Z: () => o }) / n.d(t, ["F", 0, o]) / n.d(t, "a", function () { return o; })
+                if (this.isRuntimeHelperCall(expr, params, 'd')) {
+                    exportSpecifiers.push(...this.collectDefinedExports(expr, module));
+                    continue;
+                }
+
+                this.collectCommonJsExport(expr, params, module);
+                statements.push(statement);
+                continue;
+            }
+
+            if (t.isVariableDeclaration(statement)) {
+                const remaining = statement.declarations.filter(declarator =>
+                    !this.convertRequireDeclarator(declarator, module, params, imports, interopNames));
+                if (remaining.length > 0) {
+                    statement.declarations = remaining;
+                    statements.push(statement);
+                }
+                continue;
+            }
+
+            statements.push(statement);
+        }
+
+        const exportDeclaration = exportSpecifiers.length > 0
+            ? [t.exportNamedDeclaration(null, exportSpecifiers)]
+            : [];
+
+        module.ast = t.file(t.program([...imports, ...statements, ...exportDeclaration], directives || [], 'module'));
+        module.scope = this.rewriteCallSites(module.ast, interopNames);
+
+        return module;
+    }
+
+    getFunctionBody(fn) {
+        return t.isBlockStatement(fn.body) ? fn.body.body : [t.expressionStatement(fn.body)];
+    }
+
+    /**
+     * Minifiers join top-level statements with commas: `n.r(t), n.d(t, {...})`
+     */
+    flattenSequences(body) {
+        return body.flatMap(statement =>
+            t.isExpressionStatement(statement) && t.isSequenceExpression(statement.expression)
+                ? statement.expression.expressions.map(expr =>
+                    Object.assign(t.expressionStatement(expr), { loc: expr.loc, start: expr.start, end: expr.end }))
+                : [statement]);
+    }
+
+    isRuntimeHelperCall(expr, params, helper) {
+        return params.require && params.exports &&
+            t.isCallExpression(expr) &&
+            t.isMemberExpression(expr.callee) &&
+            t.isIdentifier(expr.callee.object, { name: params.require }) &&
+            t.isIdentifier(expr.callee.property, { name: helper }) &&
+            t.isIdentifier(expr.arguments[0], { name: params.exports });
+    }
+
+    collectDefinedExports(expr, module) {
+        const specifiers = [];
+        const values = [];
+
+        if (t.isObjectExpression(expr.arguments[1])) {
+            for (const prop of expr.arguments[1].properties) {
+                const name = t.isIdentifier(prop.key) ? prop.key.name : t.isStringLiteral(prop.key) ? prop.key.value : null;
+                if (name) values.push([name, this.getGetterValue(t.isObjectMethod(prop) ? prop : prop.value)]);
+            }
+        } else if (t.isArrayExpression(expr.arguments[1])) {
+            // Flat [name, binding, ...] list of webpack 5.100+: a binding of 0 is followed by the value itself
+            const elements = expr.arguments[1].elements;
+            for (let i = 0; i + 1 < elements.length;) {
+                const name = elements[i++];
+                const binding = elements[i++];
+                const value = t.isNumericLiteral(binding, { value: 0 }) ? elements[i++] : this.getGetterValue(binding);
+                if (t.isStringLiteral(name)) values.push([name.value, value]);
+            }
+        } else if (t.isStringLiteral(expr.arguments[1])) {
+            values.push([expr.arguments[1].value, this.getGetterValue(expr.arguments[2])]);
+        }
+
+        for (const [name, returned] of values) {
+            if (!returned) continue;
+
+            if (t.isIdentifier(returned)) {
+                module.exports.set(name, { local: returned.name });
+                specifiers.push(t.exportSpecifier(t.identifier(returned.name), t.identifier(name)));
+            } else {
+                module.exports.set(name, { node: returned });
+            }
+        }
+
+        return specifiers;
+    }
+
+    getGetterValue(getter) {
+        if (t.isArrowFunctionExpression(getter) && !t.isBlockStatement(getter.body)) {
+            return getter.body;
+        }
+
+        if (t.isFunction(getter) && t.isBlockStatement(getter.body)) {
+            const returnStatement = getter.body.body.find(statement => t.isReturnStatement(statement));
+            return returnStatement?.argument || null;
+        }
+
+        return null;
+    }
+
+    /**
+     * exports.foo = ..., module.exports = ...
+     */
+    collectCommonJsExport(expr, params, module) {
+        if (!t.isAssignmentExpression(expr, { operator: '=' }) || !t.isMemberExpression(expr.left)) return;
+
+        const { object, property } = expr.left;
+        const propertyName = t.isIdentifier(property) && !expr.left.computed ? property.name
+            : t.isStringLiteral(property) ? property.value : null;
+        if (!propertyName) return;
+
+        if (params.module && t.isIdentifier(object, { name: params.module }) && propertyName === 'exports') {
+            module.exports.set('module.exports', { node: expr.right });
+        } else if (params.exports && t.isIdentifier(object, { name: params.exports })) {
+            module.exports.set(propertyName, { node: expr.right });
+        }
+    }
+
+    /**
+     * var r = n(42) -> import * as r from "42"; var i = n.n(r) -> import i from "42"
+     */
+    convertRequireDeclarator(declarator, module, params, imports, interopNames) {
+        if (!t.isIdentifier(declarator.id) || !declarator.init) return false;
+
+        const localName = declarator.id.name;
+        const init = declarator.init;
+
+        let target = ModuleGraph.getRequireTarget(init, module);
+        let imported = '*';
+
+        // n.n(r) - default export getter for CommonJS interop
+        if (!target && params.require && t.isCallExpression(init) && t.isMemberExpression(init.callee) &&
+            t.isIdentifier(init.callee.object, { name: params.require }) &&
+            t.isIdentifier(init.callee.property, { name: 'n' }) && t.isIdentifier(init.arguments[0])) {
+            const namespaceImport = module.imports.get(init.arguments[0].name);
+            if (namespaceImport && namespaceImport.imported === '*') {
+                target = namespaceImport.module;
+                imported = 'default';
+                interopNames.add(localName);
+            }
+        }
+
+        if (!target) return false;
+
+        const targetId = target.substring(target.lastIndexOf('::') + 2);
+        const specifier = imported === '*'
+            ? t.importNamespaceSpecifier(t.identifier(localName))
+            : t.importDefaultSpecifier(t.identifier(localName));
+        const importDeclaration = t.importDeclaration([specifier], t.stringLiteral(targetId));
+        importDeclaration.loc = declarator.loc;
+
+        imports.push(importDeclaration);
+        module.imports.set(localName, { module: target, imported });
+        module.dependencies.add(target);
+        return true;
+    }
+
+    /**
+     * Undo call-site indirections the bundler adds around imported bindings:
+     * `(0, r.default)(...)`, `Object(r.a)(...)`, `i()` / `i.a` for interop default imports
+     */
+    rewriteCallSites(ast, interopNames) {
+        let programScope = null;
+
+        const isInteropReference = (astPath, name) =>
+            interopNames.has(name) && astPath.scope.getBinding(name)?.kind === 'module';
+
+        traverse(ast, {
+            Program: {
+                enter: (astPath) => {
+                    programScope = astPath.scope;
+                },
+                exit: (astPath) => {
+                    astPath.scope.crawl();
+                }
+            },
+
+            CallExpression: (astPath) => {
+                const callee = astPath.node.callee;
+
+                if (t.isSequenceExpression(callee) && callee.expressions.length === 2 &&
+                    t.isNumericLiteral(callee.expressions[0]) && t.isMemberExpression(callee.expressions[1])) {
+                    astPath.get('callee').replaceWith(callee.expressions[1]);
+                } else if (t.isCallExpression(callee) && t.isIdentifier(callee.callee, { name: 'Object' }) &&
+                    callee.arguments.length === 1 && t.isMemberExpression(callee.arguments[0]) &&
+                    !astPath.scope.hasBinding('Object')) {
+                    astPath.get('callee').replaceWith(callee.arguments[0]);
+                }
+
+                const updatedCallee = astPath.node.callee;
+                if (t.isIdentifier(updatedCallee) && astPath.node.arguments.length === 0 &&
+                    isInteropReference(astPath, updatedCallee.name)) {
+                    astPath.replaceWith(t.identifier(updatedCallee.name));
+                }
+            },
+
+            MemberExpression: (astPath) => {
+                const { object, property, computed } = astPath.node;
+                if (t.isIdentifier(object) && !computed && t.isIdentifier(property, { name: 'a' }) &&
+                    isInteropReference(astPath, object.name)) {
+                    astPath.replaceWith(t.identifier(object.name));
+                }
+            }
+        });
+
+        return programScope;
+    }
+
+    getProgramScope(ast) {
+        let programScope = null;
+        traverse(ast, {
+            Program: (astPath) => {
+                programScope = astPath.scope;
+                astPath.stop();
+            }
+        });
+        return programScope;
+    }
+}
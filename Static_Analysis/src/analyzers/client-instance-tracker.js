@@ -0,0 +1,766 @@
+import * as t from '@babel/types';
+import _traverse from '@babel/traverse';
+import path from 'path';
+import { AstUtils } from '../ast/ast-utils.js';
+import { CLIENT_FACTORIES } from '../patterns/http-patterns.js';
+
+const traverse = _traverse.default;
+
+// axios keeps per-method header groups next to `common`; they do not apply to every call
+const AXIOS_HEADER_GROUPS = ['get', 'delete', 'head', 'options', 'post', 'put', 'patch'];
+
+const WRETCH_HEADER_METHODS = {
+    auth: 'Authorization',
+    accept: 'Accept',
+    content: 'Content-Type'
+};
+
+/**
+ * Client Instance Tracker - Records axios/ky/ofetch/wretch instances and the defaults they add to each call
+ */
+export class ClientInstanceTracker {
+    constructor(scopeResolver) {
+        this.scopeResolver = scopeResolver;
+        this.staticValueResolver = null;
+        this.instances = new Map();       // definition key -> instance (null when the call is not a client)
+        this.exports = new Map();         // module path#exportName -> { node, scope, file, name }
+        this.pendingDefaults = [];        // `api.defaults.*` assignments, bound to instances on first lookup
+    }
+
+    setStaticValueResolver(staticValueResolver) {
+        this.staticValueResolver = staticValueResolver;
+    }
+
+    /**
+     * Index exported client definitions and `instance.defaults` assignments of a file
+     */
+    analyzeFile(ast, filePath) {
+        traverse(ast, this.getVisitor(filePath));
+    }
+
+    getVisitor(filePath) {
+        return {
+            ExportNamedDeclaration: (path) => {
+                this.handleNamedExport(path, filePath);
+            },
+
+            ExportDefaultDeclaration: (path) => {
+                const declaration = path.node.declaration;
+                if (t.isExpression(declaration)) {
+                    this.registerExport(filePath, 'default', declaration, path.scope);
+                }
+            },
+
+            AssignmentExpression: (path) => {
+                this.handleAssignment(path, filePath);
+            }
+        };
+    }
+
+    handleNamedExport(path, filePath) {
+        const { declaration, specifiers, source } = path.node;
+
+        if (t.isVariableDeclaration(declaration)) {
+            for (const declarator of declaration.declarations) {
+                if (t.isIdentifier(declarator.id) && declarator.init) {
+                    this.registerExport(filePath, declarator.id.name, declarator.init, path.scope);
+                }
+            }
+            return;
+        }
+
+        // export { api, admin as default }
+        if (!source) {
+            for (const specifier of specifiers) {
+                if (t.isExportSpecifier(specifier)) {
+                    const exportName = this.getKeyName(specifier.exported);
+                    this.registerExport(filePath, exportName, specifier.local, path.scope);
+                }
+            }
+        }
+    }
+
+    handleAssignment(path, filePath) {
+        const { left, right } = path.node;
+        if (!t.isMemberExpression(left)) return;
+
+        // module.exports = api / exports.api = api
+        const target = AstUtils.getMemberExpressionInfo2(left);
+        if (target === 'module.exports') {
+            this.registerExport(filePath, 'default', right, path.scope);
+            return;
+        }
+        const commonJsExport = target.match(/^(?:module\.)?exports\.([\w$]+)$/);
+        if (commonJsExport) {
+            this.registerExport(filePath, commonJsExport[1], right, path.scope);
+            return;
+        }
+
+        // api.defaults.baseURL = ... / api.defaults.headers.common['Authorization'] = ...
+        const segments = [];
+        let member = left;
+        while (t.isMemberExpression(member)) {
+            const name = this.getPropertyName(member);
+            if (name === null) return;
+            if (name === 'defaults' && segments.length > 0) {
+                this.pendingDefaults.push({ receiver: member.object, segments, node: right, scope: path.scope, file: filePath });
+                return;
+            }
+            segments.unshift(name);
+            member = member.object;
+        }
+    }
+
+    /**
+     * Clients are always created by a call, so only call expressions and aliases are worth indexing
+     */
+    registerExport(filePath, exportName, node, scope) {
+        if (!exportName || !(t.isCallExpression(node) || t.isIdentifier(node) || t.isMemberExpression(node))) return;
+        this.exports.set(this.exportKey(filePath, exportName), { node, scope, file: filePath, name: exportName });
+    }
+
+    exportKey(filePath, exportName) {
+        const modulePath = path.resolve(filePath).replace(/\.(?:[cm]?[jt]sx?)$/, '').replace(/[\\/]index$/, '');
+        return `${modulePath}#${exportName}`;
+    }
+
+    /**
+     * Classify a call against the known client instances.
+     * Returns { role: 'factory' | 'request' | 'config' | 'response', instance, method, urlNode } or null.
+     */
+    resolveClientCall(astPath, filePath) {
+        this.bindPendingDefaults();
+
+        const node = astPath.node;
+        const scope = astPath.scope;
+        const context = { file: filePath };
+
+        if (this.getFactoryLibrary(node, scope)) {
+            return { role: 'factory', instance: this.describeClient(node, scope, context) };
+        }
+
+        const callee = node.callee;
+
+        // api(config), ofetchClient('/users')
+        if (!t.isMemberExpression(callee)) {
+            const instance = this.resolveInstance(callee, scope, context);
+            if (!instance || !CLIENT_FACTORIES[instance.library].callable) return null;
+            return { role: 'request', instance, ...this.describeRequest(instance, null, node.arguments, scope) };
+        }
+
+        const method = this.getPropertyName(callee);
+        const receiver = this.resolveInstance(callee.object, scope, context);
+        if (receiver) {
+            if (CLIENT_FACTORIES[receiver.library].requestMethods.includes(method)) {
+                return { role: 'request', instance: receiver, ...this.describeRequest(receiver, method, node.arguments, scope) };
+            }
+            return { role: 'config', instance: this.describeClient(node, scope, context) || receiver };
+        }
+
+        // Response helpers chained on a request: api.get('/users').then(...), ky.get('items').json()
+        if (t.isCallExpression(callee.object)) {
+            const inner = this.resolveClientCall(astPath.get('callee.object'), filePath);
+            if (inner && (inner.role === 'request' || inner.role === 'response')) {
+                return { role: 'response', instance: inner.instance };
+            }
+            return null;
+        }
+
+        // Deeper members of an instance: api.interceptors.request.use(...)
+        let root = callee.object;
+        while (t.isMemberExpression(root) && !t.isThisExpression(root.object)) {
+            root = root.object;
+        }
+        if (root !== callee.object) {
+            const instance = this.resolveInstance(root, scope, context);
+            if (instance) return { role: 'config', instance };
+        }
+
+        return null;
+    }
+
+    /**
+     * HTTP method and URL argument of a request made through an instance
+     */
+    describeRequest(instance, method, args, scope) {
+        const library = instance.library;
+
+        const hasBody = ['post', 'put', 'patch', 'postForm', 'putForm', 'patchForm'].includes(method);
+
+        // wretch v2: get(url?), post(body?, url?)
+        if (library === 'wretch') {
+            const urlArgument = hasBody ? args[1] : args[0];
+            return {
+                method: method === 'opts' ? 'OPTIONS' : method.toUpperCase(),
+                urlNode: this.isUrlArgument(urlArgument, scope) ? urlArgument : null
+            };
+        }
+
+        // Verb helpers name the method; api(url, { method }), api.request(config) and ofetch's raw() carry it in options
+        const isGeneric = method === null || ['request', 'raw', 'native'].includes(method);
+
+        // axios(config) and axios.request(config) put the URL inside the config object
+        const configFirst = library === 'axios' && isGeneric && !this.isUrlArgument(args[0], scope);
+        const config = this.resolveObject(configFirst ? args[0] : args[library === 'axios' && hasBody ? 2 : 1], scope);
+        const urlNode = configFirst
+            ? (config && this.findProperty(config.node, 'url')?.value) || null
+            : args[0] || null;
+
+        if (!isGeneric) {
+            return { method: method.replace(/Form$/, '').toUpperCase(), urlNode };
+        }
+
+        const methodProperty = config ? this.findProperty(config.node, 'method') : null;
+        const configuredMethod = methodProperty ? this.resolveValue(methodProperty.value, config.scope) : null;
+        return {
+            method: configuredMethod && !configuredMethod.includes('{') ? configuredMethod.toUpperCase() : 'GET',
+            urlNode
+        };
+    }
+
+    isUrlArgument(node, scope) {
+        if (!node) return false;
+        if (t.isStringLiteral(node) || t.isTemplateLiteral(node) || t.isBinaryExpression(node)) return true;
+        return !this.resolveObject(node, scope);
+    }
+
+    /**
+     * Follow a receiver expression to the client instance it holds
+     */
+    resolveInstance(node, scope, context, depth = 0) {
+        if (!node || !scope || depth > 10) return null;
+
+        if (t.isCallExpression(node)) {
+            return this.describeClient(node, scope, { file: context.file });
+        }
+
+        if (t.isIdentifier(node)) {
+            const binding = scope.getBinding(node.name);
+            if (!binding) return null;
+
+            if (binding.kind === 'module') {
+                return this.resolveImportedInstance(node, binding, scope, context, depth);
+            }
+
+            if (binding.path.isVariableDeclarator() && t.isIdentifier(binding.path.node.id)) {
+                const init = binding.path.node.init;
+                if (t.isCallExpression(init)) {
+                    return this.resolveRequiredInstance(init, binding.scope, context, depth) ||
+                        this.describeClient(init, binding.scope, { file: context.file, name: node.name });
+                }
+                if (t.isIdentifier(init) || t.isMemberExpression(init)) {
+                    return this.resolveInstance(init, binding.scope, context, depth + 1);
+                }
+            }
+            return null;
+        }
+
+        if (t.isMemberExpression(node)) {
+            if (t.isThisExpression(node.object)) {
+                return this.resolveClassInstance(node, scope, context, depth);
+            }
+
+            const definition = this.scopeResolver.resolveImportedDefinition(node, scope);
+            if (definition) {
+                return this.describeDefinition(definition, context, depth);
+            }
+        }
+
+        return null;
+    }
+
+    resolveImportedInstance(node, binding, scope, context, depth) {
+        // Virtual modules unpacked from a bundle
+        const definition = this.scopeResolver.resolveImportedDefinition(node, scope);
+        if (definition) {
+            return this.describeDefinition(definition, context, depth);
+        }
+
+        const declaration = binding.path.parent;
+        if (!t.isImportDeclaration(declaration)) return null;
+
+        const specifier = binding.path.node;
+        const imported = t.isImportDefaultSpecifier(specifier)
+            ? 'default'
+            : t.isImportSpecifier(specifier) ? this.getKeyName(specifier.imported) : null;
+        if (!imported) return null;
+
+        return this.resolveExportedInstance(declaration.source.value, imported, context, depth);
+    }
+
+    /**
+     * `const api = require('./api')` in CommonJS sources
+     */
+    resolveRequiredInstance(init, scope, context, depth) {
+        if (!t.isIdentifier(init.callee, { name: 'require' }) || !t.isStringLiteral(init.arguments[0])) return null;
+        if (scope.getBinding('require')) return null;
+        return this.resolveExportedInstance(init.arguments[0].value, 'default', context, depth);
+    }
+
+    resolveExportedInstance(source, exportName, context, depth) {
+        let entry = null;
+        if (source.startsWith('.') && context.file) {
+            entry = this.exports.get(this.exportKey(path.resolve(path.dirname(context.file), source), exportName));
+        }
+
+        // Path aliases (`@/api`) cannot be resolved here; fall back to a unique export of that name
+        if (!entry && !source.startsWith('.') && exportName !== 'default') {
+            const candidates = [...this.exports.values()].filter(candidate => candidate.name === exportName);
+            entry = candidates.length === 1 ? candidates[0] : null;
+        }
+        if (!entry) return null;
+
+        const entryContext = { file: entry.file, name: exportName === 'default' ? null : exportName };
+        if (t.isCallExpression(entry.node)) {
+            return this.describeClient(entry.node, entry.scope, entryContext);
+        }
+        return this.resolveInstance(entry.node, entry.scope, entryContext, depth + 1);
+    }
+
+    describeDefinition(definition, context, depth) {
+        const module = this.scopeResolver.moduleGraph?.getModuleForScope(definition.scope);
+        const definitionContext = { file: module?.file || context.file, name: definition.exportName };
+
+        if (t.isCallExpression(definition.node)) {
+            return this.describeClient(definition.node, definition.scope, definitionContext);
+        }
+        return this.resolveInstance(definition.node, definition.scope, definitionContext, depth + 1);
+    }
+
+    /**
+     * `this.http` assigned in a constructor or declared as a class property
+     */
+    resolveClassInstance(memberExpr, scope, context, depth) {
+        const propertyName = this.getPropertyName(memberExpr);
+        const classPath = scope.path.isClass() ? scope.path : scope.path.findParent(p => p.isClass());
+        if (!propertyName || !classPath) return null;
+
+        const className = classPath.node.id?.name || 'this';
+        const instanceContext = { file: context.file, name: `${className}.${propertyName}` };
+
+        const property = classPath.node.body.body.find(member =>
+            t.isClassProperty(member) && !member.static && this.getKeyName(member.key) === propertyName && member.value);
+        if (property) {
+            return t.isCallExpression(property.value)
+                ? this.describeClient(property.value, classPath.scope, instanceContext)
+                : this.resolveInstance(property.value, classPath.scope, instanceContext, depth + 1);
+        }
+
+        let instance = null;
+        classPath.traverse({
+            AssignmentExpression: (assignPath) => {
+                const { left, right } = assignPath.node;
+                if (instance || !t.isMemberExpression(left) || !t.isThisExpression(left.object) ||
+                    this.getPropertyName(left) !== propertyName) return;
+
+                instance = t.isCallExpression(right)
+                    ? this.describeClient(right, assignPath.scope, instanceContext)
+                    : this.resolveInstance(right, assignPath.scope, instanceContext, depth + 1);
+                if (instance) assignPath.stop();
+            }
+        });
+        return instance;
+    }
+
+    /**
+     * Instance created (or derived) by a call expression, memoized per definition site
+     */
+    describeClient(node, scope, context) {
+        if (!t.isCallExpression(node)) return null;
+
+        const file = this.getDefinitionFile(scope, context.file);
+        const key = this.getDefinitionKey(node, scope, file);
+
+        if (this.instances.has(key)) {
+            const known = this.instances.get(key);
+            if (known && !known.name && context.name) known.name = context.name;
+            return known;
+        }
+
+        // Guard against self-referencing chains while the instance is being built
+        this.instances.set(key, null);
+        const instance = this.createInstance(node, scope, { ...context, file });
+        this.instances.set(key, instance);
+        return instance;
+    }
+
+    getDefinitionFile(scope, file) {
+        return this.scopeResolver.moduleGraph?.getModuleForScope(scope)?.file || file;
+    }
+
+    /**
+     * Identity of a definition site that survives re-parsing: files are parsed again for analysis,
+     * producing new nodes, while source offsets stay the same
+     */
+    getDefinitionKey(node, scope, file) {
+        const definitionFile = this.getDefinitionFile(scope, file);
+        return node.start != null && definitionFile ? `${definitionFile}@${node.start}-${node.end}` : node;
+    }
+
+    createInstance(node, scope, context) {
+        const args = node.arguments;
+        const library = this.getFactoryLibrary(node, scope);
+
+        if (library) {
+            const instance = this.newInstance(library, node, context, null);
+            if (library === 'wretch') {
+                this.addStep(instance, 'url', args[0], scope, { replace: true });
+                this.addStep(instance, 'options', args[1], scope);
+            } else {
+                this.addStep(instance, 'options', args[0], scope);
+            }
+            return instance;
+        }
+
+        if (!t.isMemberExpression(node.callee)) return null;
+
+        const parent = this.resolveInstance(node.callee.object, scope, { file: context.file });
+        if (!parent) return null;
+
+        const method = this.getPropertyName(node.callee);
+        const factory = CLIENT_FACTORIES[parent.library];
+
+        // ky: api.extend({ prefixUrl }), ofetch: client.create({ baseURL })
+        if (factory.deriveMethods.includes(method)) {
+            const instance = this.newInstance(parent.library, node, context, parent);
+            this.addStep(instance, 'options', args[0], scope);
+            return instance;
+        }
+
+        // wretch: every non-request method returns a configured copy
+        if (parent.library === 'wretch' && method && !factory.requestMethods.includes(method)) {
+            const instance = this.newInstance(parent.library, node, context, parent);
+            if (method === 'url') {
+                this.addStep(instance, 'url', args[0], scope, { replace: t.isBooleanLiteral(args[1], { value: true }) });
+            } else if (method === 'headers') {
+                this.addStep(instance, 'headers', args[0], scope);
+            } else if (method === 'options') {
+                this.addStep(instance, 'options', args[0], scope);
+            } else if (WRETCH_HEADER_METHODS[method]) {
+                this.addStep(instance, 'header', args[0], scope, { header: WRETCH_HEADER_METHODS[method] });
+            }
+            return instance;
+        }
+
+        return null;
+    }
+
+    newInstance(library, node, context, parent) {
+        return {
+            name: context.name || null,
+            library,
+            parent,
+            definedAt: {
+                file: context.file ? path.basename(context.file) : null,
+                line: node.loc ? node.loc.start.line : 0
+            },
+            steps: [],
+            config: null
+        };
+    }
+
+    /**
+     * Closest instance in a derivation chain that was bound to a name (`users` for `users.url('/42')`)
+     */
+    getNamedInstance(instance) {
+        let current = instance;
+        while (!current.name && current.parent) {
+            current = current.parent;
+        }
+        return current;
+    }
+
+    addStep(instance, kind, node, scope, extra = {}) {
+        if (!node || t.isSpreadElement(node)) return;
+        instance.steps.push({ kind, node, scope, ...extra });
+    }
+
+    /**
+     * Library behind a factory call: `axios.create()`, `ky.extend()`, `ofetch.create()`, `wretch()`
+     */
+    getFactoryLibrary(node, scope) {
+        if (!t.isCallExpression(node)) return null;
+
+        const calleeInfo = AstUtils.getCalleeInfo2(node.callee);
+        for (const [library, factory] of Object.entries(CLIENT_FACTORIES)) {
+            if (factory.factories.includes(calleeInfo)) return library;
+        }
+
+        // Renamed imports (`import http from 'axios'`) and bundled library modules (`n(9669).Z.create`)
+        const isMember = t.isMemberExpression(node.callee);
+        const factoryObject = isMember ? node.callee.object : node.callee;
+        const library = ClientInstanceTracker.libraryFromSource(this.getImportSource(factoryObject, scope));
+        const factory = library ? CLIENT_FACTORIES[library] : null;
+        if (factory) {
+            const method = isMember ? this.getPropertyName(node.callee) : null;
+            if (factory.factories.some(callee => method ? callee.endsWith(`.${method}`) : !callee.includes('.'))) {
+                return library;
+            }
+        }
+
+        // Minified ids hide the library; the axios.create config shape does not
+        const config = node.arguments[0];
+        if (isMember && calleeInfo.endsWith('.create') && t.isObjectExpression(config) &&
+            this.findProperty(config, 'baseURL')) {
+            return 'axios';
+        }
+
+        return null;
+    }
+
+    getImportSource(node, scope) {
+        if (!scope) return null;
+
+        const moduleId = this.scopeResolver.moduleGraph?.getImportedModuleId(node, scope);
+        if (moduleId) return moduleId;
+
+        if (!t.isIdentifier(node)) return null;
+        const binding = scope.getBinding(node.name);
+        if (!binding) return null;
+
+        if (binding.kind === 'module' && t.isImportDeclaration(binding.path.parent)) {
+            return binding.path.parent.source.value;
+        }
+
+        const init = binding.path.isVariableDeclarator() ? binding.path.node.init : null;
+        if (t.isCallExpression(init) && t.isIdentifier(init.callee, { name: 'require' }) && t.isStringLiteral(init.arguments[0])) {
+            return init.arguments[0].value;
+        }
+
+        return null;
+    }
+
+    /**
+     * Package name behind an import source or a bundled module id (./node_modules/axios/index.js)
+     */
+    static libraryFromSource(source) {
+        if (!source) return null;
+
+        const match = source.match(/node_modules[\\/]((?:@[^\\/]+[\\/])?[^\\/]+)/) ||
+            (!/^[./]/.test(source) && source.match(/^((?:@[^/]+\/)?[^/]+)/));
+        return match ? match[1].replace(/\\/g, '/') : null;
+    }
+
+    /**
+     * Base URL, default headers and auth an instance contributes to its calls
+     */
+    getConfig(instance) {
+        if (instance.config) return instance.config;
+
+        const parentConfig = instance.parent ? this.getConfig(instance.parent) : null;
+        const config = {
+            baseURL: parentConfig?.baseURL ?? null,
+            headers: { ...(parentConfig?.headers || {}) }
+        };
+
+        for (const step of instance.steps) {
+            this.applyStep(config, step, instance.library);
+        }
+
+        instance.config = config;
+        return config;
+    }
+
+    applyStep(config, step, library) {
+        switch (step.kind) {
+            case 'options':
+                this.applyOptions(config, step.node, step.scope, library);
+                break;
+            case 'url': {
+                const value = this.resolveValue(step.node, step.scope);
+                if (value !== null) {
+                    config.baseURL = step.replace ? value : ClientInstanceTracker.joinUrl(config.baseURL, value);
+                }
+                break;
+            }
+            case 'headers':
+                Object.assign(config.headers, this.resolveHeaders(step.node, step.scope, library));
+                break;
+            case 'header': {
+                const value = this.resolveValue(step.node, step.scope);
+                if (value !== null) config.headers[step.header] = value;
+                break;
+            }
+            case 'defaults':
+                this.applyDefaults(config, step, library);
+                break;
+        }
+    }
+
+    applyOptions(config, node, scope, library) {
+        const options = this.resolveObject(node, scope);
+        if (!options) return;
+
+        const baseUrlOption = CLIENT_FACTORIES[library].baseUrlOption;
+        for (const prop of options.node.properties) {
+            if (!t.isObjectProperty(prop)) continue;
+
+            const key = this.getKeyName(prop.key);
+            if (baseUrlOption && key === baseUrlOption) {
+                config.baseURL = this.resolveValue(prop.value, options.scope) ?? config.baseURL;
+            } else if (key === 'headers') {
+                Object.assign(config.headers, this.resolveHeaders(prop.value, options.scope, library));
+            } else if (key === 'auth' && library === 'axios') {
+                const authorization = this.resolveBasicAuth(prop.value, options.scope);
+                if (authorization) config.headers.Authorization = authorization;
+            }
+        }
+    }
+
+    /**
+     * `defaults.baseURL`, `defaults.headers.common.X`, `defaults.headers.common = {...}`, `defaults.auth`
+     */
+    applyDefaults(config, step, library) {
+        const [first, ...rest] = step.segments;
+
+        if (first === CLIENT_FACTORIES[library].baseUrlOption && rest.length === 0) {
+            config.baseURL = this.resolveValue(step.node, step.scope) ?? config.baseURL;
+            return;
+        }
+
+        if (first === 'auth' && rest.length === 0) {
+            const authorization = this.resolveBasicAuth(step.node, step.scope);
+            if (authorization) config.headers.Authorization = authorization;
+            return;
+        }
+
+        if (first !== 'headers' || rest.some(segment => AXIOS_HEADER_GROUPS.includes(segment))) return;
+
+        const names = rest.filter(segment => segment !== 'common');
+        if (names.length === 0) {
+            Object.assign(config.headers, this.resolveHeaders(step.node, step.scope, library));
+        } else if (names.length === 1) {
+            const value = this.resolveValue(step.node, step.scope);
+            if (value !== null) config.headers[names[0]] = value;
+        }
+    }
+
+    resolveHeaders(node, scope, library) {
+        const headers = {};
+        const object = this.resolveObject(node, scope);
+        if (!object) return headers;
+
+        for (const prop of object.node.properties) {
+            if (!t.isObjectProperty(prop)) continue;
+
+            const key = this.getKeyName(prop.key);
+            if (!key) continue;
+
+            if (library === 'axios' && key === 'common') {
+                Object.assign(headers, this.resolveHeaders(prop.value, object.scope, library));
+            } else if (!(library === 'axios' && AXIOS_HEADER_GROUPS.includes(key))) {
+                const value = this.resolveValue(prop.value, object.scope);
+                if (value !== null) headers[key] = value;
+            }
+        }
+
+        return headers;
+    }
+
+    /**
+     * axios `auth: { username, password }` is sent as a Basic Authorization header
+     */
+    resolveBasicAuth(node, scope) {
+        const object = this.resolveObject(node, scope);
+        if (!object) return null;
+
+        const username = this.resolveValue(this.findProperty(object.node, 'username')?.value, object.scope);
+        const password = this.resolveValue(this.findProperty(object.node, 'password')?.value, object.scope);
+        if (username === null && password === null) return null;
+
+        const isStatic = value => value !== null && !value.includes('{');
+        return isStatic(username) && isStatic(password)
+            ? `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`
+            : `Basic {${username ?? ''}:${password ?? ''}}`;
+    }
+
+    resolveObject(node, scope) {
+        if (t.isObjectExpression(node)) return { node, scope };
+
+        if (t.isIdentifier(node) && scope) {
+            const binding = scope.getBinding(node.name);
+            if (binding?.path.isVariableDeclarator() && t.isObjectExpression(binding.path.node.init)) {
+                return { node: binding.path.node.init, scope: binding.scope };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * String value of an option, keeping `{name}` placeholders for anything only known at runtime
+     */
+    resolveValue(node, scope) {
+        if (!node) return null;
+
+        let value = this.scopeResolver.extractValueFromNode(node, scope);
+        if (value === null || value === undefined || typeof value === 'object') return null;
+        value = String(value);
+
+        if (value.includes('{') && this.staticValueResolver) {
+            const staticValue = this.staticValueResolver.extractValue(node, scope);
+            if (typeof staticValue === 'string' || typeof staticValue === 'number') {
+                return String(staticValue);
+            }
+        }
+
+        return value.replace(/\{(?:variable|member|unresolved|parameter):\s*([^}]+)\}/g, '{$1}');
+    }
+
+    /**
+     * Combine a base URL with a call path; absolute call URLs win
+     */
+    static joinUrl(baseURL, url) {
+        if (!baseURL) return url || null;
+        if (!url) return baseURL;
+        if (/^[a-z][a-z0-9+.-]*:\/\//i.test(url) || url.startsWith('//')) return url;
+
+        return `${baseURL.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+    }
+
+    /**
+     * Attach `api.defaults.*` assignments collected across files to the instances they configure
+     */
+    bindPendingDefaults() {
+        if (this.pendingDefaults.length === 0) return;
+
+        const pending = this.pendingDefaults;
+        this.pendingDefaults = [];
+
+        for (const assignment of pending) {
+            const instance = this.resolveInstance(assignment.receiver, assignment.scope, { file: assignment.file });
+            if (instance) {
+                instance.steps.push({ kind: 'defaults', segments: assignment.segments, node: assignment.node, scope: assignment.scope });
+                instance.config = null;
+            }
+        }
+    }
+
+    findProperty(objectExpression, name) {
+        return objectExpression.properties.find(prop =>
+            t.isObjectProperty(prop) && this.getKeyName(prop.key) === name) || null;
+    }
+
+    getPropertyName(memberExpr) {
+        if (!memberExpr.computed && t.isIdentifier(memberExpr.property)) return memberExpr.property.name;
+        if (t.isStringLiteral(memberExpr.property)) return memberExpr.property.value;
+        return null;
+    }
+
+    getKeyName(key) {
+        if (t.isIdentifier(key)) return key.name;
+        if (t.isStringLiteral(key)) return key.value;
+        return null;
+    }
+
+    getStats() {
+        const instances = [...this.instances.values()].filter(Boolean);
+        return { instances: instances.length, exported: this.exports.size };
+    }
+
+    clear() {
+        this.instances.clear();
+        this.exports.clear();
+        this.pendingDefaults = [];
+    }
+}
@@ -14,9 +14,13 @@ export class CodePatternAnalyzer {
     }
 
     analyzeFile(ast, filePath) {
+        traverse(ast, this.getVisitor(filePath));
+    }
+
+    getVisitor(filePath) {
         this.currentFile = filePath;
         
-        traverse(ast, {
+        return {
             // Find variable declarations with URL-like values
             VariableDeclarator: (path) => {
                 this.analyzeVariableDeclarator(path);
@@ -41,7 +45,7 @@ export class CodePatternAnalyzer {
             TemplateLiteral: (path) => {
                 this.analyzeTemplateLiteral(path);
             }
-        });
+        };
     }
 
     analyzeVariableDeclarator(path) {
@@ -6,6 +6,8 @@ import { EnhancedHTTPCallExtractor } from './enhanced-http-call-extractor.js';
 import { AstUtils } from '../ast/ast-utils.js';
 import { HTTP_PATTERNS, URL_PATTERNS, HTTP_METHODS, SECURITY_PATTERNS } from '../patterns/http-patterns.js';
 import { StringUtils } from '../utils/string-utils.js';
+import { ComponentUtils } from '../utils/component-utils.js';
+import { HtmlEndpointExtractor } from './html-endpoint-extractor.js';
 
 const traverse = _traverse.default;
 
@@ -39,8 +41,16 @@ export class EnhancedASTAnalyzer {
         try {
             const ext = path.extname(filePath);
             const plugins = ['jsx'];
+            let typescript = ext === '.ts' || ext === '.tsx';
 
-            if (ext === '.ts' || ext === '.tsx') {
+            // Vue, Svelte and Astro components and HTML pages: only the script blocks, kept at their original lines
+            if (ComponentUtils.isComponentFile(filePath) || HtmlEndpointExtractor.isHtmlFile(filePath)) {
+                const component = ComponentUtils.extractScripts(content, filePath);
+                content = component.code;
+                typescript = component.typescript;
+            }
+
+            if (typescript) {
                 plugins.push('typescript');
             }
 
@@ -75,7 +85,14 @@ export class EnhancedASTAnalyzer {
     }
 
     collectDefinitions(ast, filePath) {
-        traverse(ast, {
+        traverse(ast, this.getDefinitionVisitor(filePath));
+    }
+
+    /**
+     * Visitor of the collect pass, so it can share a traversal with other analyzers
+     */
+    getDefinitionVisitor(filePath) {
+        return {
             ImportDeclaration: (path) => {
                 this.configLoadingTracker.handleImportDeclaration(path);
                 this.analyzeImportForHttpLibraries(path, filePath);
@@ -90,7 +107,7 @@ export class EnhancedASTAnalyzer {
                 this.configLoadingTracker.handleBinaryExpression(path);
                 this.analyzeBinaryExpressionForUrls(path, filePath);
             }
-        });
+        };
     }
 
     configPass(ast, filePath) {
@@ -175,7 +192,9 @@ export class EnhancedASTAnalyzer {
             const node = path.node;
             const calleeInfo = AstUtils.getCalleeInfo2(node.callee);
 
-            if (this.isHTTPCall(calleeInfo)) {
+            if (this.isHTTPCall(calleeInfo) || this.httpCallExtractor.isClientInstanceCall?.(path, filePath) ||
+                this.httpCallExtractor.isWrapperCall?.(path, filePath) ||
+                this.httpCallExtractor.isGraphQLOperationCall?.(path, filePath)) {
                 const httpCall = this.httpCallExtractor.extractHTTPCallInfo(path, filePath, calleeInfo, path.scope);
                 if (httpCall) {
                     // Enhanced analysis
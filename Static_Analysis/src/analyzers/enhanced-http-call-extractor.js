@@ -1,9 +1,15 @@
 import * as t from '@babel/types';
+import { generate } from '@babel/generator';
 import { AstUtils } from '../ast/ast-utils.js';
 import { StringUtils } from '../utils/string-utils.js';
-import { HTTP_PATTERNS, URL_PATTERNS, HTTP_METHODS, SECURITY_PATTERNS } from '../patterns/http-patterns.js';
+import { PathTemplate } from '../utils/path-template.js';
+import { HTTP_PATTERNS, URL_PATTERNS, HTTP_METHODS, SECURITY_PATTERNS, FRAMEWORK_FETCHERS } from '../patterns/http-patterns.js';
 import { EnhancedUrlResolver } from './enhanced-url-resolver.js';
 import { ServiceMethodResolver } from './service-method-resolver.js';
+import { ClientInstanceTracker } from './client-instance-tracker.js';
+
+// Payloads reported by their constructor ({FormData}) rather than their content
+const BODY_CONSTRUCTORS = ['FormData', 'Blob', 'ArrayBuffer', 'URLSearchParams'];
 
 export class EnhancedHTTPCallExtractor {
     constructor(scopeResolver) {
@@ -11,6 +17,10 @@ export class EnhancedHTTPCallExtractor {
         this.urlResolver = new EnhancedUrlResolver(scopeResolver);
         this.serviceMethodResolver = new ServiceMethodResolver();
         this.staticValueResolver = null; // Will be set during initialization
+        this.clientInstanceTracker = new ClientInstanceTracker(scopeResolver);
+        this.interceptorAnalyzer = null;
+        this.wrapperFunctionAnalyzer = null;
+        this.graphqlAnalyzer = null;
         this.isInitialized = false;
         this.urlExtractors = [
             this.extractUrlFromFirstArg.bind(this),
@@ -49,17 +59,81 @@ export class EnhancedHTTPCallExtractor {
      */
     setStaticValueResolver(staticValueResolver) {
         this.staticValueResolver = staticValueResolver;
+        this.clientInstanceTracker.setStaticValueResolver(staticValueResolver);
         // Pass it to the URL resolver for enhanced resolution
         if (this.urlResolver && this.urlResolver.setStaticValueResolver) {
             this.urlResolver.setStaticValueResolver(staticValueResolver);
         }
     }
 
+    /**
+     * Share the tracker that indexed exported client instances during definition collection
+     */
+    setClientInstanceTracker(clientInstanceTracker) {
+        this.clientInstanceTracker = clientInstanceTracker;
+    }
+
+    /**
+     * Share the analyzer holding interceptors registered across the codebase
+     */
+    setInterceptorAnalyzer(interceptorAnalyzer) {
+        this.interceptorAnalyzer = interceptorAnalyzer;
+    }
+
+    /**
+     * Share the analyzer holding project functions that wrap fetch, axios, XHR or HttpClient
+     */
+    setWrapperFunctionAnalyzer(wrapperFunctionAnalyzer) {
+        this.wrapperFunctionAnalyzer = wrapperFunctionAnalyzer;
+    }
+
+    /**
+     * Share the analyzer holding GraphQL documents and client endpoints
+     */
+    setGraphQLAnalyzer(graphqlAnalyzer) {
+        this.graphqlAnalyzer = graphqlAnalyzer;
+    }
+
+    /**
+     * Whether a call goes through a known client instance (api(...), client.raw(...))
+     */
+    isClientInstanceCall(astPath, filePath) {
+        return this.clientInstanceTracker.resolveClientCall(astPath, filePath)?.role === 'request';
+    }
+
+    /**
+     * Whether a call goes to a project function wrapping an HTTP call (request('/orders'), this.get(...))
+     */
+    isWrapperCall(astPath, filePath) {
+        return !!this.wrapperFunctionAnalyzer?.isWrapperCall(astPath, filePath);
+    }
+
+    /**
+     * Whether a call sends a GraphQL operation (useQuery(GET_USER), client.mutate({ mutation }))
+     */
+    isGraphQLOperationCall(astPath, filePath) {
+        return !!this.graphqlAnalyzer?.resolveOperationCall(astPath, filePath);
+    }
+
     extractHTTPCallInfo(astPath, filePath, calleeInfo, scope) {
         const node = astPath.node;
         const args = node.arguments;
         const argsPaths = astPath.get('arguments');
 
+        // Factories, interceptor registrations and response helpers are not requests themselves
+        const clientCall = this.clientInstanceTracker.resolveClientCall(astPath, filePath) || null;
+        if ((clientCall && clientCall.role !== 'request') || this.interceptorAnalyzer?.isSetupCall(astPath) ||
+            this.graphqlAnalyzer?.isSetupCall(astPath)) {
+            return null;
+        }
+
+        // Calls inside a wrapper are reported at its call sites, where the arguments are known
+        if (this.wrapperFunctionAnalyzer?.isForwardedCall(astPath, filePath)) {
+            return null;
+        }
+        const wrapperCall = clientCall ? null : this.wrapperFunctionAnalyzer?.resolveWrapperCall(astPath, filePath) || null;
+        const graphqlCall = clientCall || wrapperCall ? null : this.graphqlAnalyzer?.resolveOperationCall(astPath, filePath) || null;
+
         let httpCall = {
             type: 'http_call',
             callee: calleeInfo,
@@ -67,13 +141,19 @@ export class EnhancedHTTPCallExtractor {
             httpMethod: this.extractHttpMethod(calleeInfo, args, scope, astPath),
             parameters: this.extractParameters(args, scope, argsPaths),
             headers: this.extractHeaders(args, scope, argsPaths),
-            body: this.extractBody(args, scope, argsPaths),
+            body: this.extractBody(args, scope, argsPaths, calleeInfo),
             options: this.extractOptions(args, scope),
             rawCode: AstUtils.getCodeSnippet(astPath),
             category: AstUtils.categorizeHTTPCall(calleeInfo) || this.categorizeByPattern(calleeInfo),
             confidence: 'high'
         };
 
+        // Response type of a typed call (http.request<User[]>(...)), kept as a hint to the method
+        const typeArguments = node.typeParameters || node.typeArguments;
+        if (typeArguments?.params?.length > 0) {
+            httpCall.typeArgument = generate(typeArguments.params[0], { compact: true }).code;
+        }
+
         // GENERIC URL RESOLUTION - Works on ANY codebase by discovering patterns
         let urlFound = false;
         
@@ -200,9 +280,331 @@ export class EnhancedHTTPCallExtractor {
         // Additional metadata
         httpCall.metadata = this.extractMetadata(astPath, args, scope);
 
+        // Client imported from another bundle module (r.Z.get(...) where module 42 exports Z)
+        const calleeOrigin = this.resolveCalleeOrigin(astPath);
+        if (calleeOrigin) {
+            httpCall.metadata.calleeOrigin = calleeOrigin;
+            if (calleeOrigin.library && !AstUtils.categorizeHTTPCall(calleeInfo)) {
+                httpCall.category = calleeOrigin.library;
+            }
+        }
+
+        if (wrapperCall) {
+            this.applyWrapperCall(httpCall, wrapperCall);
+        }
+        if (graphqlCall) {
+            this.applyGraphQLCall(httpCall, graphqlCall);
+        }
+
+        const fetcher = clientCall || wrapperCall || graphqlCall ? null : this.getFrameworkFetcher(astPath);
+        if (fetcher) {
+            this.applyFrameworkFetcher(httpCall, fetcher, astPath);
+        }
+
+        // Client instance defaults first, then the interceptors the request passes through
+        const requestCall = wrapperCall ? wrapperCall.clientCall : clientCall;
+        const interceptors = this.interceptorAnalyzer?.getInterceptorsForCall(wrapperCall ? wrapperCall.sinkPath : astPath, requestCall) || [];
+        if (requestCall || interceptors.length > 0) {
+            const request = requestCall
+                ? this.applyClientInstance(httpCall, requestCall, scope, wrapperCall?.url)
+                : { baseURL: null, url: this.isResolvedUrl(httpCall) ? httpCall.url : null, headers: { ...(httpCall.headers || {}) } };
+            this.applyInterceptors(httpCall, request, interceptors);
+        }
+
+        this.applyPathTemplate(httpCall, scope);
+
+        return httpCall;
+    }
+
+    /**
+     * Name the segments left unresolved in the URL and record where each comes from
+     */
+    applyPathTemplate(httpCall, scope) {
+        const { url, params } = PathTemplate.normalize(httpCall.url);
+        if (params.length === 0) return;
+
+        httpCall.url = url;
+        httpCall.pathParams = params.map(param => ({
+            name: param.name,
+            expression: param.expression,
+            type: this.inferParamType(param.expression, scope) || PathTemplate.inferType(param.name)
+        }));
+    }
+
+    /**
+     * Type of a plain identifier from its annotation or initializer, when the code says
+     */
+    inferParamType(expression, scope) {
+        if (!expression || !/^[A-Za-z_$][\w$]*$/.test(expression)) return null;
+
+        const binding = scope?.getBinding(expression);
+        if (!binding) return null;
+
+        const annotation = binding.identifier.typeAnnotation?.typeAnnotation;
+        if (t.isTSNumberKeyword(annotation) || t.isNumberTypeAnnotation(annotation)) return 'integer';
+        if (t.isTSStringKeyword(annotation) || t.isStringTypeAnnotation(annotation)) return 'string';
+
+        const init = binding.path.isVariableDeclarator() ? binding.path.node.init : null;
+        if (t.isNumericLiteral(init)) return Number.isInteger(init.value) ? 'integer' : 'number';
+        if (t.isStringLiteral(init) || t.isTemplateLiteral(init)) return 'string';
+        if (t.isCallExpression(init) && t.isIdentifier(init.callee, { name: 'String' })) return 'string';
+        if (t.isCallExpression(init) && t.isIdentifier(init.callee) && ['Number', 'parseInt'].includes(init.callee.name)) return 'integer';
+        return null;
+    }
+
+    /**
+     * Take URL and method from the HTTP call a wrapper ends in, evaluated with this call's arguments
+     */
+    applyWrapperCall(httpCall, wrapperCall) {
+        if (wrapperCall.url && !wrapperCall.clientCall) {
+            httpCall.url = wrapperCall.url;
+            httpCall.urlSource = 'wrapper';
+            httpCall.confidence = wrapperCall.url.includes('{') ? 'medium' : 'high';
+        }
+        if (wrapperCall.method) {
+            httpCall.httpMethod = wrapperCall.method;
+        }
+
+        httpCall.category = wrapperCall.library;
+        httpCall.wrapper = {
+            name: wrapperCall.name,
+            chain: wrapperCall.chain,
+            sink: wrapperCall.library,
+            definedAt: wrapperCall.definedAt
+        };
+    }
+
+    /**
+     * One finding per GraphQL operation, sent to the endpoint of the client that runs it
+     */
+    applyGraphQLCall(httpCall, graphqlCall) {
+        const { endpoint, operation } = graphqlCall;
+
+        httpCall.url = endpoint || '/graphql';
+        httpCall.urlSource = 'graphql';
+        httpCall.confidence = !endpoint ? 'low' : endpoint.includes('{') ? 'medium' : 'high';
+        httpCall.httpMethod = 'POST';
+        httpCall.category = graphqlCall.library;
+        httpCall.graphql = {
+            operationName: operation.operationName,
+            operationType: operation.operationType,
+            variables: graphqlCall.variables,
+            rootFields: operation.rootFields,
+            definedAt: operation.definedAt
+        };
+    }
+
+    /**
+     * Fetcher a framework provides: vue-resource's `this.$http`, Nuxt's `$fetch`, `useFetch`
+     * and `this.$axios`, VueUse's `useFetch`, or the fetch SvelteKit passes to `load`
+     */
+    getFrameworkFetcher(astPath) {
+        const callee = astPath.node.callee;
+        const scope = astPath.scope;
+
+        // this.$http.get(url), this.$axios.$post(url), nuxtApp.$fetch(url)
+        for (let node = callee; t.isMemberExpression(node); node = node.object) {
+            const name = t.isIdentifier(node.property) ? node.property.name : null;
+            if (FRAMEWORK_FETCHERS.members[name] && (t.isThisExpression(node.object) || t.isIdentifier(node.object))) {
+                return FRAMEWORK_FETCHERS.members[name];
+            }
+        }
+
+        // $fetch(url), useFetch(url): auto-imported, or imported from the framework
+        if (t.isIdentifier(callee)) {
+            const source = this.clientInstanceTracker.getImportSource(callee, scope);
+            const vueuse = FRAMEWORK_FETCHERS.vueuse;
+            if (vueuse.sources.includes(source) && vueuse.functions.includes(callee.name)) {
+                return vueuse;
+            }
+
+            const fetcher = FRAMEWORK_FETCHERS.functions[callee.name];
+            if (fetcher && (!scope.getBinding(callee.name) || fetcher.sources.includes(source))) {
+                return fetcher;
+            }
+        }
+
+        // export async function load({ fetch }) / load(event) { event.fetch(url) }
+        const fetchBinding = t.isIdentifier(callee, { name: 'fetch' }) ? scope.getBinding('fetch')
+            : t.isMemberExpression(callee) && t.isIdentifier(callee.object) && t.isIdentifier(callee.property, { name: 'fetch' })
+                ? scope.getBinding(callee.object.name)
+                : null;
+        if (fetchBinding?.kind === 'param' && this.isLoadFunction(fetchBinding.scope.path)) {
+            return { framework: 'sveltekit', library: 'fetch' };
+        }
+
+        return null;
+    }
+
+    /**
+     * An exported SvelteKit `load` (function declaration or `export const load = ...`)
+     */
+    isLoadFunction(functionPath) {
+        if (!functionPath?.isFunction()) return false;
+
+        const declaration = functionPath.isFunctionDeclaration() ? functionPath : functionPath.parentPath?.parentPath;
+        const id = functionPath.isFunctionDeclaration() ? functionPath.node.id : functionPath.parentPath?.node.id;
+        return FRAMEWORK_FETCHERS.loadFunctions.includes(id?.name) &&
+            !!declaration?.parentPath?.isExportNamedDeclaration();
+    }
+
+    /**
+     * Record the framework and library, and prefix the `baseURL` Nuxt's fetchers accept
+     */
+    applyFrameworkFetcher(httpCall, fetcher, astPath) {
+        httpCall.framework = fetcher.framework;
+        httpCall.category = fetcher.library;
+
+        const options = astPath.node.arguments[1];
+        const baseURLProperty = fetcher.library === 'ofetch' && t.isObjectExpression(options)
+            ? this.findObjectProperty(options, ['baseURL'])
+            : null;
+        const baseURL = baseURLProperty ? this.clientInstanceTracker.resolveValue(baseURLProperty.value, astPath.scope) : null;
+        if (baseURL && this.isResolvedUrl(httpCall) && !/^[a-z]+:\/\//i.test(httpCall.url)) {
+            httpCall.url = ClientInstanceTracker.joinUrl(baseURL, httpCall.url);
+        }
+    }
+
+    /**
+     * Finding for an operation defined in a document that no analyzed call sends
+     */
+    createGraphQLDocumentCall(graphqlOperation) {
+        const httpCall = {
+            type: 'http_call',
+            callee: 'gql',
+            location: graphqlOperation.location,
+            headers: null,
+            metadata: {}
+        };
+        this.applyGraphQLCall(httpCall, graphqlOperation);
+        httpCall.urlSource = 'graphql_document';
         return httpCall;
     }
 
+    /**
+     * Combine the instance's baseURL, default headers and auth with what the call site passes.
+     * Returns the request model ({ baseURL, url, headers }) interceptors work on.
+     * A wrapper passes the call URL it already evaluated from its own call site.
+     */
+    applyClientInstance(httpCall, clientCall, scope, wrapperUrl = null) {
+        const { instance } = clientCall;
+        const config = this.clientInstanceTracker.getConfig(instance);
+        const namedInstance = this.clientInstanceTracker.getNamedInstance(instance);
+
+        let callUrl = null;
+        if (wrapperUrl) {
+            callUrl = wrapperUrl;
+        } else if (clientCall.urlNode) {
+            callUrl = this.clientInstanceTracker.resolveValue(clientCall.urlNode, scope);
+            if ((callUrl === null || callUrl.includes('{')) && this.isResolvedUrl(httpCall)) {
+                callUrl = httpCall.url;
+            }
+        }
+
+        const url = ClientInstanceTracker.joinUrl(config.baseURL, callUrl);
+        if (url) {
+            httpCall.url = url;
+            httpCall.urlSource = 'client_instance';
+            httpCall.confidence = url.includes('{') ? 'medium' : 'high';
+        }
+
+        httpCall.httpMethod = clientCall.method;
+
+        const headers = { ...config.headers, ...(httpCall.headers || {}) };
+        httpCall.headers = Object.keys(headers).length > 0 ? headers : null;
+
+        httpCall.client = {
+            name: namedInstance.name,
+            library: instance.library,
+            baseURL: config.baseURL,
+            headers: config.headers,
+            auth: this.detectAuthFromHeaders(config.headers),
+            definedAt: namedInstance.definedAt
+        };
+        httpCall.category = instance.library;
+
+        return { baseURL: config.baseURL, url: callUrl, headers };
+    }
+
+    /**
+     * Apply interceptor URL rewrites and injected headers, recording each interceptor that changed the call
+     */
+    applyInterceptors(httpCall, request, interceptors) {
+        if (interceptors.length === 0) return;
+
+        const provenance = this.interceptorAnalyzer.apply(request, interceptors);
+        if (provenance.length === 0) return;
+
+        const rewritesUrl = provenance.some(entry => entry.applied.includes('url') || entry.applied.includes('baseURL'));
+        const url = ClientInstanceTracker.joinUrl(request.baseURL, request.url);
+        if (rewritesUrl && url) {
+            httpCall.url = url;
+            httpCall.urlSource = 'interceptor';
+            httpCall.confidence = url.includes('{') ? 'medium' : 'high';
+        }
+
+        httpCall.headers = Object.keys(request.headers).length > 0 ? request.headers : null;
+        httpCall.interceptors = provenance;
+    }
+
+    /**
+     * URL produced by the generic resolvers rather than a generated fallback
+     */
+    isResolvedUrl(httpCall) {
+        return typeof httpCall.url === 'string' &&
+            !['meaningful_generated', 'generic_pattern', 'potential_urls'].includes(httpCall.urlSource) &&
+            !httpCall.url.includes('example.com') &&
+            !httpCall.url.startsWith('{unresolved');
+    }
+
+    /**
+     * Follow the callee object through the module graph to the module and export defining it
+     */
+    resolveCalleeOrigin(astPath) {
+        const callee = astPath.node.callee;
+        const target = t.isMemberExpression(callee) ? callee.object : callee;
+        const definition = this.scopeResolver.resolveImportedDefinition(target, astPath.scope);
+        if (!definition) return null;
+
+        return {
+            module: definition.moduleId,
+            export: definition.exportName,
+            definition: this.getDefinitionSnippet(definition.node),
+            library: this.detectLibraryFromDefinition(definition)
+        };
+    }
+
+    getDefinitionSnippet(node) {
+        const code = generate(node, { compact: true }).code;
+        return code.length > 200 ? code.substring(0, 200) + '...' : code;
+    }
+
+    /**
+     * Recognise client factories such as `axios.create({ baseURL })` behind an imported binding
+     */
+    detectLibraryFromDefinition(definition) {
+        const node = definition.node;
+        if (!t.isCallExpression(node)) return null;
+
+        const factoryInfo = AstUtils.getCalleeInfo2(node.callee);
+        const fromName = AstUtils.categorizeHTTPCall(factoryInfo);
+        if (fromName) return fromName;
+
+        // Client factories, including renamed, bundled and minified axios.create calls
+        const clientLibrary = this.clientInstanceTracker.getFactoryLibrary(node, definition.scope);
+        if (clientLibrary) return clientLibrary;
+
+        // Other libraries imported from a bundled module (dev builds keep paths like ./node_modules/got/index.js)
+        const factoryObject = t.isMemberExpression(node.callee) ? node.callee.object : node.callee;
+        const moduleId = this.scopeResolver.moduleGraph?.getImportedModuleId(factoryObject, definition.scope);
+        const library = ClientInstanceTracker.libraryFromSource(moduleId);
+        if (library && HTTP_PATTERNS[library]) {
+            return library;
+        }
+
+        return null;
+    }
+
     /**
      * Extract URL with simple but effective resolution - NO PLACEHOLDERS!
      */
@@ -256,23 +658,15 @@ export class EnhancedHTTPCallExtractor {
                         }
                     }
 
-                    // Add resolved value or realistic placeholder
+                    // Add resolved value or a path template named after the expression
                     if (resolvedValue) {
                         result += resolvedValue;
+                    } else if (t.isIdentifier(expr)) {
+                        result += `{${expr.name}}`;
+                    } else if (t.isMemberExpression(expr)) {
+                        result += `{${AstUtils.getMemberExpressionInfo2(expr) || 'expression'}}`;
                     } else {
-                        // Realistic values instead of {id}
-                        if (t.isIdentifier(expr)) {
-                            const name = expr.name.toLowerCase();
-                            if (name.includes('id')) {
-                                result += '123';
-                            } else if (name.includes('status')) {
-                                result += 'active';
-                            } else {
-                                result += expr.name;
-                            }
-                        } else {
-                            result += 'value';
-                        }
+                        result += '{expression}';
                     }
                 }
             }
@@ -402,78 +796,24 @@ export class EnhancedHTTPCallExtractor {
                 let resolvedValue = this.resolveExpressionCompletely(expr, scope, astPath);
 
                 if (resolvedValue === null) {
-                    // Aggressive resolution for common patterns
+                    // Runtime values become path templates, named after their expression
                     if (t.isIdentifier(expr)) {
-                        resolvedValue = this.getRealisticValue(expr.name);
+                        resolvedValue = `{${expr.name}}`;
                     } else if (t.isMemberExpression(expr)) {
                         const memberKey = AstUtils.getMemberExpressionInfo2(expr);
-                        resolvedValue = this.getRealisticValueForMember(memberKey);
+                        resolvedValue = memberKey ? `{${memberKey}}` : '{expression}';
+                    } else {
+                        resolvedValue = '{expression}';
                     }
                 }
 
-                if (resolvedValue !== null) {
-                    result += String(resolvedValue);
-                } else {
-                    // Last resort: use variable name without brackets
-                    if (t.isIdentifier(expr)) {
-                        result += expr.name;
-                    }
-                }
+                result += String(resolvedValue);
             }
         }
 
         return result;
     }
 
-    /**
-     * Get realistic values for common variable names
-     */
-    getRealisticValue(varName) {
-        const lowerName = varName.toLowerCase();
-        
-        if (lowerName.includes('id')) {
-            return '123';
-        }
-        if (lowerName.includes('user')) {
-            return 'user123';
-        }
-        if (lowerName.includes('token')) {
-            return 'token_abc123';
-        }
-        if (lowerName.includes('status')) {
-            return 'active';
-        }
-        if (lowerName.includes('type')) {
-            return 'standard';
-        }
-        if (lowerName.includes('category')) {
-            return 'general';
-        }
-        
-        return varName; // Use the variable name itself
-    }
-
-    /**
-     * Get realistic values for member expressions
-     */
-    getRealisticValueForMember(memberKey) {
-        if (!memberKey) return null;
-        
-        const lower = memberKey.toLowerCase();
-        
-        if (lower.includes('id')) {
-            return '456';
-        }
-        if (lower.includes('status')) {
-            return 'pending';
-        }
-        if (lower.includes('type')) {
-            return 'default';
-        }
-        
-        return memberKey.split('.').pop(); // Use the property name
-    }
-
     /**
      * Resolve member expression aggressively
      */
@@ -914,13 +1254,12 @@ export class EnhancedHTTPCallExtractor {
             }
         }
 
-        // Extract from config objects
+        // Extract from config objects; `data` is the body, not the query
         for (const arg of args) {
             if (t.isObjectExpression(arg)) {
-                const paramsProp = this.findObjectProperty(arg, ['params', 'query', 'data', 'searchParams']);
-                if (paramsProp && t.isObjectExpression(paramsProp.value)) {
-                    const extractedParams = this.scopeResolver.extractObjectProperties(paramsProp.value, scope);
-                    Object.assign(params, extractedParams);
+                const paramsProp = this.findObjectProperty(arg, ['params', 'query', 'searchParams']);
+                if (paramsProp) {
+                    Object.assign(params, this.extractQueryParams(paramsProp.value, scope));
                 }
             }
         }
@@ -928,6 +1267,46 @@ export class EnhancedHTTPCallExtractor {
         return Object.keys(params).length > 0 ? params : null;
     }
 
+    /**
+     * Query parameters of a params option: an object, new URLSearchParams(...), new HttpParams({ fromObject })
+     * with its .set()/.append() chain, or a constant holding one of these
+     */
+    extractQueryParams(node, scope, depth = 0) {
+        if (!node || depth > 5) return {};
+
+        if (t.isObjectExpression(node)) {
+            return this.scopeResolver.extractObjectProperties(node, scope);
+        }
+
+        if (t.isIdentifier(node)) {
+            const binding = scope?.getBinding(node.name);
+            const init = binding?.constant && t.isVariableDeclarator(binding.path.node) ? binding.path.node.init : null;
+            return this.extractQueryParams(init, binding?.path.scope, depth + 1);
+        }
+
+        if (t.isNewExpression(node) && t.isIdentifier(node.callee) && ['URLSearchParams', 'HttpParams'].includes(node.callee.name)) {
+            const [init] = node.arguments;
+            if (t.isStringLiteral(init)) {
+                return this.parseQueryString(`?${init.value.replace(/^\?/, '')}`);
+            }
+            const fromObject = node.callee.name === 'HttpParams' ? this.findObjectProperty(init, ['fromObject']) : null;
+            return this.extractQueryParams(fromObject ? fromObject.value : init, scope, depth + 1);
+        }
+
+        // new HttpParams().set('page', page).append('tag', tag)
+        if (t.isCallExpression(node) && t.isMemberExpression(node.callee) &&
+            t.isIdentifier(node.callee.property) && ['set', 'append'].includes(node.callee.property.name)) {
+            const params = this.extractQueryParams(node.callee.object, scope, depth + 1);
+            const [name, value] = node.arguments;
+            if (t.isStringLiteral(name) && value) {
+                params[name.value] = this.scopeResolver.extractValueFromNode(value, scope);
+            }
+            return params;
+        }
+
+        return {};
+    }
+
     extractHeaders(args, scope, argsPaths) {
         const headers = {};
 
@@ -952,31 +1331,60 @@ export class EnhancedHTTPCallExtractor {
         return Object.keys(headers).length > 0 ? headers : null;
     }
 
-    extractBody(args, scope, argsPaths) {
+    extractBody(args, scope, argsPaths, calleeInfo) {
         // For POST/PUT/PATCH requests, extract body data
         for (let i = 1; i < args.length; i++) {
             const arg = args[i];
             
             // Direct data argument
             if (t.isObjectExpression(arg) || t.isStringLiteral(arg)) {
-                const bodyProp = this.findObjectProperty(arg, ['body', 'data']);
+                const bodyProp = this.findObjectProperty(arg, ['body', 'data', 'json']);
                 if (bodyProp) {
-                    return this.scopeResolver.extractValueFromNode(bodyProp.value, scope);
+                    return this.extractBodyValue(bodyProp.value, scope);
                 }
             }
 
             // FormData, Blob, etc.
             if (t.isNewExpression(arg) && t.isIdentifier(arg.callee)) {
                 const constructorName = arg.callee.name;
-                if (['FormData', 'Blob', 'ArrayBuffer', 'URLSearchParams'].includes(constructorName)) {
+                if (BODY_CONSTRUCTORS.includes(constructorName)) {
                     return `{${constructorName}}`;
                 }
             }
         }
 
+        // axios.post(url, data), http.put(url, body): the payload itself is the second argument,
+        // unless that is an options object (ky.post(url, { headers }))
+        const payload = args[1];
+        if (payload && /\.(post|put|patch)$/i.test(calleeInfo || '') &&
+            !this.findObjectProperty(payload, ['headers', 'method', 'params', 'timeout'])) {
+            const value = this.extractBodyValue(payload, scope);
+            if (value !== '{function_call}' && value !== '{complex_expression}') {
+                return value;
+            }
+        }
+
         return null;
     }
 
+    /**
+     * Static value of a body expression, looking through JSON.stringify(payload)
+     */
+    extractBodyValue(node, scope) {
+        if (t.isNewExpression(node) && t.isIdentifier(node.callee) &&
+            BODY_CONSTRUCTORS.includes(node.callee.name)) {
+            return `{${node.callee.name}}`;
+        }
+
+        if (t.isCallExpression(node) && t.isMemberExpression(node.callee) &&
+            t.isIdentifier(node.callee.object, { name: 'JSON' }) &&
+            t.isIdentifier(node.callee.property, { name: 'stringify' }) && node.arguments.length > 0) {
+            return this.scopeResolver.extractValueFromNode(node.arguments[0], scope);
+        }
+
+        return this.scopeResolver.extractValueFromNode(node, scope);
+    }
+
     extractOptions(args, scope) {
         const options = {};
 
@@ -1027,6 +1435,7 @@ export class EnhancedHTTPCallExtractor {
 
     // Utility methods
     findObjectProperty(objectExpression, propertyNames) {
+        if (!t.isObjectExpression(objectExpression)) return null;
         for (const prop of objectExpression.properties) {
             if (t.isObjectProperty(prop) && t.isIdentifier(prop.key)) {
                 if (propertyNames.includes(prop.key.name)) {
@@ -1074,9 +1483,8 @@ export class EnhancedHTTPCallExtractor {
         
         return StringUtils.looksLikeUrl(str) ||
                str.includes('://') ||
-               str.includes('/api/') ||
-               str.includes('/v1/') ||
-               str.includes('/graphql') ||
+               URL_PATTERNS.apiPaths.some(apiPath => str.includes(apiPath)) ||
+               URL_PATTERNS.customDomains.some(domain => str.startsWith(domain)) ||
                str.startsWith('/');
     }
 
@@ -1156,6 +1564,7 @@ export class EnhancedHTTPCallExtractor {
         if (args.length === 0) return null;
 
         const firstArg = args[0];
+        const scope = astPath.scope;
         
         // Direct string literal
         if (t.isStringLiteral(firstArg)) {
@@ -1179,15 +1588,7 @@ export class EnhancedHTTPCallExtractor {
                     const expr = firstArg.expressions[i];
                     
                     if (t.isIdentifier(expr)) {
-                        const name = expr.name;
-                        // Make educated guesses for common variable names
-                        if (name.toLowerCase().includes('id')) {
-                            result += '{id}';
-                        } else if (name.toLowerCase().includes('user')) {
-                            result += '{userId}';
-                        } else {
-                            result += `{${name}}`;
-                        }
+                        result += `{${expr.name}}`;
                     } else if (t.isMemberExpression(expr)) {
                         const memberInfo = AstUtils.getMemberExpressionInfo2(expr);
                         
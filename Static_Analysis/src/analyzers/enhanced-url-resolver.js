@@ -128,6 +128,12 @@ export class EnhancedUrlResolver {
     extractFromMember(firstArg, scope, firstArgPath) {
         if (!t.isMemberExpression(firstArg)) return null;
 
+        // Members of a namespace imported from another bundle module (r.API_URL)
+        const importedValue = this.extractFromImport(firstArg, scope);
+        if (importedValue) {
+            return importedValue;
+        }
+
         // Handle this.property cases
         if (t.isThisExpression(firstArg.object) && t.isIdentifier(firstArg.property)) {
             const propertyName = firstArg.property.name;
@@ -189,6 +195,12 @@ export class EnhancedUrlResolver {
 
         const varName = firstArg.name;
         
+        // Bindings imported from another bundle module
+        const importedValue = this.extractFromImport(firstArg, scope);
+        if (importedValue) {
+            return importedValue;
+        }
+        
         // First, try to resolve using StaticValueResolver
         if (this.staticValueResolver) {
             const resolvedValue = this.staticValueResolver.resolveValue(varName);
@@ -311,6 +323,17 @@ export class EnhancedUrlResolver {
         return null;
     }
 
+    /**
+     * Resolve a reference through the module graph to a string defined in the exporting module
+     */
+    extractFromImport(node, scope) {
+        const definition = this.scopeResolver.resolveImportedDefinition?.(node, scope);
+        if (!definition) return null;
+
+        const value = this.scopeResolver.extractValueFromNode(definition.node, definition.scope);
+        return typeof value === 'string' && !value.startsWith('{') ? value : null;
+    }
+
     reconstructSimpleTemplate(templateLiteral) {
         let result = '';
         
@@ -322,15 +345,8 @@ export class EnhancedUrlResolver {
                 
                 // Try to resolve simple expressions
                 if (t.isIdentifier(expr)) {
-                    // For unresolved identifiers, make educated guesses
-                    const name = expr.name.toLowerCase();
-                    if (name.includes('port')) {
-                        result += '3000';
-                    } else if (name.includes('host')) {
-                        result += 'localhost';
-                    } else {
-                        result += `{${expr.name}}`;
-                    }
+                    // Unresolved identifiers, hosts and ports included, become named segments
+                    result += `{${expr.name}}`;
                 } else {
                     result += '{expr}';
                 }
@@ -345,6 +361,13 @@ export class EnhancedUrlResolver {
             return expr.value;
         }
         
+        if (t.isIdentifier(expr) || t.isMemberExpression(expr)) {
+            const importedValue = this.extractFromImport(expr, scope);
+            if (importedValue) {
+                return importedValue;
+            }
+        }
+        
         if (t.isIdentifier(expr)) {
             // First, try StaticValueResolver
             if (this.staticValueResolver) {
@@ -359,13 +382,6 @@ export class EnhancedUrlResolver {
             if (binding) {
                 return this.extractFromBinding(binding);
             }
-            
-            // Make educated guesses for common patterns (last resort)
-            const name = expr.name.toLowerCase();
-            if (name.includes('port')) return '3000';
-            if (name.includes('host')) return 'localhost';
-            if (name === 'id') return '123';
-            if (name === 'userId') return '456';
         }
         
         if (t.isMemberExpression(expr)) {
@@ -0,0 +1,628 @@
+import * as t from '@babel/types';
+import _traverse from '@babel/traverse';
+import path from 'path';
+import { GRAPHQL_CLIENTS } from '../patterns/http-patterns.js';
+import { GraphQLUtils } from '../utils/graphql-utils.js';
+import { ClientInstanceTracker } from './client-instance-tracker.js';
+
+const traverse = _traverse.default;
+
+const DOCUMENT_TAGS = ['gql', 'graphql'];
+export const GRAPHQL_FILE_EXTENSIONS = ['.graphql', '.gql'];
+
+// Options objects name the document after the operation they send
+const DOCUMENT_OPTIONS = ['query', 'mutation', 'subscription', 'document'];
+
+/**
+ * GraphQL Analyzer - Reads operations from gql tags, .graphql files and precompiled documents,
+ * finds the Apollo, urql and graphql-request clients holding the endpoint, and describes each call
+ * that sends an operation
+ */
+export class GraphQLAnalyzer {
+    constructor(clientInstanceTracker) {
+        this.clientInstanceTracker = clientInstanceTracker;
+        this.scopeResolver = clientInstanceTracker.scopeResolver;
+        this.documents = new Map();       // definition key -> { key, document, file, line }
+        this.documentFiles = new Map();   // .graphql path -> { key, document, file, line, lineOffsets }
+        this.exports = new Map();         // module path#exportName -> exported document or client
+        this.clients = new Map();         // definition key -> { library, node, scope, file, line, endpoint }
+        this.referenced = new Set();      // operation keys sent by an analyzed call
+    }
+
+    /**
+     * Record the documents, clients and exports of one file
+     */
+    analyzeFile(ast, filePath) {
+        traverse(ast, {
+            'TaggedTemplateExpression|CallExpression|ObjectExpression': (path) => {
+                if (this.isDocumentExpression(path.node)) {
+                    this.addDocument(path.node, path.scope, filePath);
+                    path.skip();
+                }
+            },
+
+            'NewExpression|CallExpression': (path) => {
+                const library = this.getClientLibrary(path.node, path.scope);
+                if (library) {
+                    const key = this.clientInstanceTracker.getDefinitionKey(path.node, path.scope, filePath);
+                    this.clients.set(key, {
+                        library,
+                        node: path.node,
+                        scope: path.scope,
+                        file: filePath,
+                        line: path.node.loc ? path.node.loc.start.line : 0,
+                        endpoint: undefined
+                    });
+                }
+            },
+
+            ExportNamedDeclaration: (path) => {
+                const declaration = path.node.declaration;
+                if (!t.isVariableDeclaration(declaration)) return;
+                for (const declarator of declaration.declarations) {
+                    if (t.isIdentifier(declarator.id) && declarator.init) {
+                        this.addExport(filePath, declarator.id.name, declarator.init, path.scope);
+                    }
+                }
+            },
+
+            ExportDefaultDeclaration: (path) => {
+                if (t.isExpression(path.node.declaration)) {
+                    this.addExport(filePath, 'default', path.node.declaration, path.scope);
+                }
+            }
+        });
+    }
+
+    /**
+     * Record the operations of a .graphql / .gql file
+     */
+    addDocumentFile(filePath, content) {
+        const document = GraphQLUtils.parseDocument(content);
+        if (!document) return;
+
+        const lineOffsets = [0];
+        for (let i = 0; i < content.length; i++) {
+            if (content[i] === '\n') lineOffsets.push(i + 1);
+        }
+
+        this.documentFiles.set(path.resolve(filePath), { key: path.resolve(filePath), document, file: filePath, line: 1, lineOffsets });
+    }
+
+    addExport(filePath, exportName, node, scope) {
+        this.exports.set(this.clientInstanceTracker.exportKey(filePath, exportName), { node, scope, file: filePath, name: exportName });
+    }
+
+    addDocument(node, scope, filePath) {
+        const entry = this.readDocument(node, scope, filePath);
+        if (entry) this.documents.set(entry.key, entry);
+    }
+
+    /**
+     * gql`...`, graphql(`...`) and precompiled `{ kind: 'Document', definitions }` literals
+     */
+    isDocumentExpression(node) {
+        if (t.isTaggedTemplateExpression(node)) {
+            return this.isDocumentTag(node.tag);
+        }
+        if (t.isCallExpression(node)) {
+            const arg = node.arguments[0];
+            return this.isDocumentTag(node.callee) && node.arguments.length <= 2 &&
+                (t.isTemplateLiteral(arg) || t.isStringLiteral(arg)) && GraphQLUtils.parseDocument(this.getText(arg)) !== null;
+        }
+        if (t.isObjectExpression(node)) {
+            const kind = node.properties.find(prop => t.isObjectProperty(prop) && this.getKeyName(prop.key) === 'kind');
+            return t.isStringLiteral(kind?.value, { value: 'Document' }) &&
+                node.properties.some(prop => t.isObjectProperty(prop) && this.getKeyName(prop.key) === 'definitions');
+        }
+        return false;
+    }
+
+    isDocumentTag(node) {
+        if (t.isIdentifier(node)) return DOCUMENT_TAGS.includes(node.name);
+        // `Apollo.gql`, `(0, r.gql)` in bundles
+        if (t.isMemberExpression(node)) return DOCUMENT_TAGS.includes(this.getPropertyName(node));
+        if (t.isSequenceExpression(node)) return this.isDocumentTag(node.expressions[node.expressions.length - 1]);
+        return false;
+    }
+
+    getText(node) {
+        if (t.isStringLiteral(node)) return node.value;
+        // Interpolations are fragments; their definitions are merged in separately
+        return node.quasis.map(quasi => quasi.value.cooked ?? quasi.value.raw).join('\n');
+    }
+
+    /**
+     * Parsed document for a document expression, with fragments from interpolated documents merged in
+     */
+    readDocument(node, scope, filePath, depth = 0) {
+        const key = this.clientInstanceTracker.getDefinitionKey(node, scope, filePath);
+        if (this.documents.has(key)) return this.documents.get(key);
+
+        let document = null;
+        if (t.isObjectExpression(node)) {
+            document = GraphQLUtils.fromDocumentNode(this.toPlainValue(node));
+        } else {
+            const literal = t.isTaggedTemplateExpression(node) ? node.quasi : t.isCallExpression(node) ? node.arguments[0] : node;
+            document = GraphQLUtils.parseDocument(this.getText(literal));
+
+            const interpolations = t.isTemplateLiteral(literal) ? literal.expressions : [];
+            for (const expression of interpolations) {
+                const fragment = document && depth < 5 ? this.resolveDocument(expression, scope, filePath, depth + 1) : null;
+                for (const [name, definition] of fragment?.document.fragments || []) {
+                    if (!document.fragments.has(name)) document.fragments.set(name, definition);
+                }
+            }
+        }
+        if (!document) return null;
+
+        const definitionFile = this.clientInstanceTracker.getDefinitionFile(scope, filePath);
+        const entry = { key, document, file: definitionFile, line: node.loc ? node.loc.start.line : 0 };
+        this.documents.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Document an expression refers to: inline documents, variables, imports (including .graphql files) and members
+     */
+    resolveDocument(node, scope, filePath, depth = 0) {
+        if (!node || depth > 10) return null;
+
+        if (t.isTSAsExpression(node) || t.isTSNonNullExpression(node) || t.isTypeCastExpression(node)) {
+            return this.resolveDocument(node.expression, scope, filePath, depth + 1);
+        }
+
+        // graphql-request and urql also take the document as plain text
+        if (this.isDocumentExpression(node) || t.isStringLiteral(node) || t.isTemplateLiteral(node)) {
+            return this.readDocument(node, scope, filePath, depth);
+        }
+
+        if (t.isIdentifier(node)) {
+            const binding = scope.getBinding(node.name);
+            if (!binding) return null;
+
+            if (binding.path.isVariableDeclarator() && binding.path.node.init) {
+                return this.resolveDocument(binding.path.node.init, binding.scope, filePath, depth + 1);
+            }
+            if (binding.kind === 'module') {
+                return this.resolveImportedDocument(node, binding, scope, filePath, depth);
+            }
+            return null;
+        }
+
+        if (t.isMemberExpression(node)) {
+            const definition = this.scopeResolver.resolveImportedDefinition(node, scope);
+            if (definition) {
+                return this.resolveDocument(definition.node, definition.scope, filePath, depth + 1);
+            }
+
+            // `Queries.GET_USER` on a namespace import or a local object literal
+            const name = this.getPropertyName(node);
+            if (!name || !t.isIdentifier(node.object)) return null;
+
+            const binding = scope.getBinding(node.object.name);
+            const declaration = binding?.path.parent;
+            if (binding?.path.isImportNamespaceSpecifier() && t.isImportDeclaration(declaration)) {
+                const entry = this.resolveExport(declaration.source.value, name, filePath);
+                return entry ? this.resolveDocument(entry.node, entry.scope, entry.file, depth + 1) : null;
+            }
+
+            const init = binding?.path.isVariableDeclarator() ? binding.path.node.init : null;
+            const property = t.isObjectExpression(init)
+                ? init.properties.find(prop => t.isObjectProperty(prop) && this.getKeyName(prop.key) === name)
+                : null;
+            return property ? this.resolveDocument(property.value, binding.scope, filePath, depth + 1) : null;
+        }
+
+        return null;
+    }
+
+    resolveImportedDocument(node, binding, scope, filePath, depth) {
+        const definition = this.scopeResolver.resolveImportedDefinition(node, scope);
+        if (definition) {
+            return this.resolveDocument(definition.node, definition.scope, filePath, depth + 1);
+        }
+
+        const declaration = binding.path.parent;
+        if (!t.isImportDeclaration(declaration)) return null;
+
+        const specifier = binding.path.node;
+        const imported = t.isImportDefaultSpecifier(specifier)
+            ? 'default'
+            : t.isImportSpecifier(specifier) ? this.getKeyName(specifier.imported) : null;
+        if (!imported) return null;
+
+        const source = declaration.source.value;
+
+        // graphql-tag/loader: the default export is the document, named exports are its operations
+        if (GRAPHQL_FILE_EXTENSIONS.includes(path.extname(source))) {
+            const documentFile = this.documentFiles.get(path.resolve(path.dirname(filePath), source)) ||
+                [...this.documentFiles.values()].find(entry => entry.key.endsWith(source.replace(/^[.@~]*\//, '')));
+            if (!documentFile || imported === 'default') return documentFile || null;
+
+            const operations = documentFile.document.operations.filter(operation => operation.name === imported);
+            return operations.length > 0
+                ? { ...documentFile, document: { ...documentFile.document, operations } }
+                : null;
+        }
+
+        const entry = this.resolveExport(source, imported, filePath);
+        return entry ? this.resolveDocument(entry.node, entry.scope, entry.file, depth + 1) : null;
+    }
+
+    resolveExport(source, exportName, filePath) {
+        if (source.startsWith('.')) {
+            return this.exports.get(this.clientInstanceTracker.exportKey(path.resolve(path.dirname(filePath), source), exportName)) || null;
+        }
+
+        // Path aliases (`@/graphql/queries`) cannot be resolved here; fall back to a unique export of that name
+        if (exportName === 'default') return null;
+        const candidates = [...this.exports.values()].filter(entry => entry.name === exportName);
+        return candidates.length === 1 ? candidates[0] : null;
+    }
+
+    /**
+     * Library of a client or HTTP link construction (new ApolloClient, createClient, httpLink.create)
+     */
+    getClientLibrary(node, scope) {
+        if (!t.isNewExpression(node) && !t.isCallExpression(node)) return null;
+
+        const callee = node.callee;
+        const name = t.isIdentifier(callee) ? callee.name : t.isMemberExpression(callee) ? this.getPropertyName(callee) : null;
+        if (!name) return null;
+
+        // apollo-angular: httpLink.create({ uri })
+        if (name === 'create' && t.isMemberExpression(callee) && /httplink/i.test(this.getReceiverName(callee.object))) {
+            return 'apollo';
+        }
+
+        const source = ClientInstanceTracker.libraryFromSource(
+            this.clientInstanceTracker.getImportSource(t.isMemberExpression(callee) ? callee.object : callee, scope));
+
+        for (const [library, client] of Object.entries(GRAPHQL_CLIENTS)) {
+            if (!client.constructors.includes(name)) continue;
+            if (source ? client.sources.includes(source) : !['createClient', 'Client'].includes(name)) {
+                return library;
+            }
+        }
+        return null;
+    }
+
+    getReceiverName(node) {
+        if (t.isIdentifier(node)) return node.name;
+        if (t.isMemberExpression(node)) return this.getPropertyName(node) || '';
+        return '';
+    }
+
+    /**
+     * Client, HTTP link and document setup calls; they do not send anything themselves
+     */
+    isSetupCall(astPath) {
+        const node = astPath.node;
+        return this.isDocumentExpression(node) || !!this.getClientLibrary(node, astPath.scope);
+    }
+
+    /**
+     * Describe a call that sends a GraphQL operation: hooks, client methods and graphql-request functions.
+     * Returns { library, operation, document, endpoint, variables } or null.
+     */
+    resolveOperationCall(astPath, filePath) {
+        const node = astPath.node;
+        const scope = astPath.scope;
+        const callee = node.callee;
+        const args = node.arguments;
+        const name = t.isIdentifier(callee) ? callee.name : t.isMemberExpression(callee) ? this.getPropertyName(callee) : null;
+        if (!name) return null;
+
+        const libraries = Object.entries(GRAPHQL_CLIENTS);
+        const source = ClientInstanceTracker.libraryFromSource(
+            this.clientInstanceTracker.getImportSource(t.isMemberExpression(callee) ? callee.object : callee, scope));
+        const importedFrom = libraries.find(([, client]) => client.sources.includes(source))?.[0] || null;
+
+        let library = null;
+        let documentNode = null;
+        let optionsNode = null;
+        let variablesNode = null;
+        let endpoint;
+
+        if (libraries.some(([, client]) => client.functions?.includes(name)) && importedFrom === 'graphql-request' && !t.isMemberExpression(callee)) {
+            // request(endpoint, document, variables) or request({ url, document, variables })
+            library = importedFrom;
+            if (t.isObjectExpression(args[0])) {
+                optionsNode = args[0];
+                documentNode = this.findProperty(args[0], 'document')?.value;
+                endpoint = this.resolveEndpoint(this.findProperty(args[0], 'url')?.value, scope);
+            } else {
+                [, documentNode, variablesNode] = args;
+                endpoint = this.resolveEndpoint(args[0], scope);
+            }
+        } else if (libraries.some(([, client]) => client.hooks.includes(name))) {
+            // Apollo hooks take the document first; urql hooks take `{ query, variables }`
+            library = importedFrom;
+            if (t.isObjectExpression(args[0]) && this.findDocumentOption(args[0])) {
+                optionsNode = args[0];
+                documentNode = this.findDocumentOption(args[0]).value;
+                library = library || 'urql';
+            } else {
+                documentNode = args[0];
+                optionsNode = t.isObjectExpression(args[1]) ? args[1] : null;
+                library = library || 'apollo';
+            }
+        } else if (t.isMemberExpression(callee) && libraries.some(([, client]) => name in client.methods)) {
+            // client.query({ query, variables }), client.query(document, variables), client.request(document, variables)
+            if (t.isObjectExpression(args[0]) && this.findDocumentOption(args[0])) {
+                optionsNode = args[0];
+                documentNode = this.findDocumentOption(args[0]).value;
+            } else {
+                [documentNode, variablesNode] = args;
+            }
+
+            const client = this.resolveClient(callee.object, scope, filePath);
+            library = client?.library || libraries.find(([, entry]) => name in entry.methods)[0];
+            endpoint = client ? this.getClientEndpoint(client) : undefined;
+        } else {
+            return null;
+        }
+
+        const document = this.resolveDocument(documentNode, scope, filePath);
+        if (!document || document.document.operations.length === 0) return null;
+
+        // `operationName` picks one operation out of a multi-operation document
+        const operationName = optionsNode ? this.clientInstanceTracker.resolveValue(this.findProperty(optionsNode, 'operationName')?.value, scope) : null;
+        const index = Math.max(0, document.document.operations.findIndex(operation => operation.name === operationName));
+        const operation = document.document.operations[index];
+        this.referenced.add(this.getOperationKey(document, operation));
+
+        if (endpoint === undefined) {
+            endpoint = this.getDefaultEndpoint(library);
+        }
+
+        if (!variablesNode && optionsNode) {
+            variablesNode = this.findProperty(optionsNode, 'variables')?.value;
+        }
+
+        return {
+            library: library || 'graphql',
+            operation: this.describeOperation(operation, document),
+            endpoint,
+            variables: this.describeVariables(operation, variablesNode, scope)
+        };
+    }
+
+    findDocumentOption(objectExpression) {
+        for (const name of DOCUMENT_OPTIONS) {
+            const property = this.findProperty(objectExpression, name);
+            if (property) return property;
+        }
+        return null;
+    }
+
+    getOperationKey(document, operation) {
+        return `${document.key}#${operation.name || ''}@${operation.offset}`;
+    }
+
+    describeOperation(operation, document) {
+        return {
+            operationName: operation.name,
+            operationType: operation.type,
+            rootFields: GraphQLUtils.getRootFields(operation, document.document.fragments),
+            definedAt: {
+                file: path.basename(document.file),
+                line: this.getOperationLine(operation, document)
+            }
+        };
+    }
+
+    getOperationLine(operation, document) {
+        if (!document.lineOffsets) return document.line;
+
+        let line = 0;
+        while (line + 1 < document.lineOffsets.length && document.lineOffsets[line + 1] <= operation.offset) line++;
+        return line + 1;
+    }
+
+    /**
+     * Declared variables with the value passed at the call site where it is known
+     */
+    describeVariables(operation, variablesNode, scope) {
+        return operation.variables.map(variable => {
+            const property = t.isObjectExpression(variablesNode) ? this.findProperty(variablesNode, variable.name) : null;
+            const value = property ? this.clientInstanceTracker.resolveValue(property.value, scope) : null;
+            // Destructured and computed values only resolve to a `{complex...}` marker
+            return value !== null && !value.includes('{complex') ? { ...variable, value } : { ...variable };
+        });
+    }
+
+    /**
+     * Client construction an expression refers to (local variable, import or a bundled module export)
+     */
+    resolveClient(node, scope, filePath, depth = 0) {
+        if (!node || depth > 10) return null;
+
+        if (t.isNewExpression(node) || t.isCallExpression(node)) {
+            const key = this.clientInstanceTracker.getDefinitionKey(node, scope, filePath);
+            return this.clients.get(key) || null;
+        }
+
+        if (t.isIdentifier(node)) {
+            const binding = scope.getBinding(node.name);
+            if (!binding) return null;
+
+            if (binding.path.isVariableDeclarator() && binding.path.node.init) {
+                return this.resolveClient(binding.path.node.init, binding.scope, filePath, depth + 1);
+            }
+            if (binding.kind === 'module') {
+                const definition = this.scopeResolver.resolveImportedDefinition(node, scope);
+                if (definition) return this.resolveClient(definition.node, definition.scope, filePath, depth + 1);
+
+                const declaration = binding.path.parent;
+                const specifier = binding.path.node;
+                const imported = t.isImportDefaultSpecifier(specifier)
+                    ? 'default'
+                    : t.isImportSpecifier(specifier) ? this.getKeyName(specifier.imported) : null;
+                const entry = imported && t.isImportDeclaration(declaration)
+                    ? this.resolveExport(declaration.source.value, imported, filePath)
+                    : null;
+                return entry ? this.resolveClient(entry.node, entry.scope, entry.file, depth + 1) : null;
+            }
+            return null;
+        }
+
+        if (t.isMemberExpression(node)) {
+            const definition = this.scopeResolver.resolveImportedDefinition(node, scope);
+            return definition ? this.resolveClient(definition.node, definition.scope, filePath, depth + 1) : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Endpoint a client sends to: its `uri`/`url` option, the constructor argument, or the HTTP link it is built on
+     */
+    getClientEndpoint(client) {
+        if (client.endpoint !== undefined) return client.endpoint;
+        client.endpoint = null;
+
+        const config = GRAPHQL_CLIENTS[client.library];
+        const args = client.node.arguments;
+
+        if (config.endpointArgument !== undefined) {
+            client.endpoint = this.resolveEndpoint(args[config.endpointArgument], client.scope);
+        } else if (t.isObjectExpression(args[0])) {
+            const option = this.findProperty(args[0], config.endpointOption);
+            const link = this.findProperty(args[0], 'link');
+            client.endpoint = option
+                ? this.resolveEndpoint(option.value, client.scope)
+                : link ? this.getLinkEndpoint(link.value, client.scope, client.file) : null;
+        }
+
+        return client.endpoint;
+    }
+
+    /**
+     * Follow an Apollo link chain (`from([...])`, `authLink.concat(httpLink)`, `split(...)`) to its HTTP link
+     */
+    getLinkEndpoint(node, scope, filePath, depth = 0) {
+        if (!node || depth > 10) return null;
+
+        const client = this.resolveClient(node, scope, filePath);
+        if (client) return this.getClientEndpoint(client);
+
+        if (t.isIdentifier(node)) {
+            const binding = scope.getBinding(node.name);
+            return binding?.path.isVariableDeclarator()
+                ? this.getLinkEndpoint(binding.path.node.init, binding.scope, filePath, depth + 1)
+                : null;
+        }
+
+        const candidates = t.isCallExpression(node)
+            ? [...node.arguments, t.isMemberExpression(node.callee) ? node.callee.object : null]
+            : t.isArrayExpression(node) ? node.elements : [];
+
+        // Terminating links come last: the HTTP link closes the chain
+        for (const candidate of [...candidates].reverse()) {
+            const endpoint = this.getLinkEndpoint(candidate, scope, filePath, depth + 1);
+            if (endpoint) return endpoint;
+        }
+        return null;
+    }
+
+    resolveEndpoint(node, scope) {
+        return node ? this.clientInstanceTracker.resolveValue(node, scope) : null;
+    }
+
+    hasClientsIn(filePath) {
+        return Array.from(this.clients.values()).some(client => client.file === filePath);
+    }
+
+    /**
+     * Endpoint for hooks and unreferenced documents: the first configured client of the library, then any client
+     */
+    getDefaultEndpoint(library) {
+        const clients = [...this.clients.values()];
+        const ordered = [...clients.filter(client => client.library === library), ...clients.filter(client => client.library !== library)];
+
+        for (const client of ordered) {
+            const endpoint = this.getClientEndpoint(client);
+            if (endpoint) return endpoint;
+        }
+        return null;
+    }
+
+    /**
+     * Operations defined in analyzed documents that no analyzed call sends (generated hooks, custom wrappers)
+     */
+    getUnreferencedOperations() {
+        const operations = [];
+
+        for (const document of [...this.documents.values(), ...this.documentFiles.values()]) {
+            for (const operation of document.document.operations) {
+                if (this.referenced.has(this.getOperationKey(document, operation))) continue;
+
+                const described = this.describeOperation(operation, document);
+                operations.push({
+                    library: 'graphql',
+                    operation: described,
+                    endpoint: this.getDefaultEndpoint(null),
+                    variables: operation.variables.map(variable => ({ ...variable })),
+                    location: { file: described.definedAt.file, line: described.definedAt.line, column: 0 },
+                    file: document.file,
+                    key: this.getOperationKey(document, operation)
+                });
+            }
+        }
+
+        return operations;
+    }
+
+    /**
+     * Static value of an object literal (precompiled documents only hold plain data)
+     */
+    toPlainValue(node) {
+        if (t.isStringLiteral(node) || t.isNumericLiteral(node) || t.isBooleanLiteral(node)) return node.value;
+        if (t.isNullLiteral(node)) return null;
+        if (t.isArrayExpression(node)) return node.elements.map(element => element ? this.toPlainValue(element) : null);
+        if (t.isObjectExpression(node)) {
+            const value = {};
+            for (const prop of node.properties) {
+                const key = t.isObjectProperty(prop) ? this.getKeyName(prop.key) : null;
+                if (key) value[key] = this.toPlainValue(prop.value);
+            }
+            return value;
+        }
+        return undefined;
+    }
+
+    findProperty(objectExpression, name) {
+        return objectExpression.properties.find(prop =>
+            t.isObjectProperty(prop) && !prop.computed && this.getKeyName(prop.key) === name) || null;
+    }
+
+    getPropertyName(memberExpr) {
+        if (!memberExpr.computed && t.isIdentifier(memberExpr.property)) return memberExpr.property.name;
+        if (t.isStringLiteral(memberExpr.property)) return memberExpr.property.value;
+        return null;
+    }
+
+    getKeyName(key) {
+        if (t.isIdentifier(key)) return key.name;
+        if (t.isStringLiteral(key)) return key.value;
+        return null;
+    }
+
+    getStats() {
+        let operations = 0;
+        for (const document of [...this.documents.values(), ...this.documentFiles.values()]) {
+            operations += document.document.operations.length;
+        }
+        return { documents: this.documents.size + this.documentFiles.size, operations, clients: this.clients.size };
+    }
+
+    clear() {
+        this.documents.clear();
+        this.documentFiles.clear();
+        this.exports.clear();
+        this.clients.clear();
+        this.referenced.clear();
+    }
+}
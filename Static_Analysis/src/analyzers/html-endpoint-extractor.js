@@ -0,0 +1,258 @@
+import path from 'path';
+import { LanguageAdapterRegistry } from './language-adapter-registry.js';
+import { ComponentUtils } from '../utils/component-utils.js';
+import { HTML_ENDPOINT_ATTRIBUTES } from '../patterns/http-patterns.js';
+
+export const HTML_FILE_EXTENSIONS = ['.html', '.htm'];
+
+const TAG_PATTERN = /<([a-zA-Z][\w:.-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*\/?>/g;
+const RAW_TEXT_PATTERN = /<(script|style|textarea)\b[^>]*>([\s\S]*?)<\/\1\s*>/gi;
+// {{ expr }} (Angular, Jinja, Handlebars), {% tag %} (Django, Liquid), <%= expr %> (ERB, EJS), ${expr} (JSP)
+const TEMPLATE_EXPRESSION = /\{\{\s*([\s\S]*?)\s*\}\}|\{%-?\s*([\s\S]*?)\s*-?%\}|<%=?\s*([\s\S]*?)\s*%>|\$\{\s*([^{}]*?)\s*\}/g;
+const FIELD_ELEMENTS = ['input', 'select', 'textarea'];
+const NON_FIELD_INPUTS = ['submit', 'button', 'reset', 'image'];
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', '#39': '\'', '#x2F': '/', '#47': '/' };
+
+/**
+ * HTML Endpoint Extractor - Endpoints named in markup: forms, htmx attributes, data-url
+ * attributes and preconnect hints. Inline scripts are left to the JavaScript analyzer.
+ */
+export class HtmlEndpointExtractor {
+    static isHtmlFile(filePath) {
+        return HTML_FILE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+    }
+
+    analyze(content, filePath) {
+        const elements = HtmlEndpointExtractor.findElements(content);
+        const lineStarts = HtmlEndpointExtractor.getLineStarts(content);
+        const httpCalls = [];
+
+        const report = (element, fields) => {
+            const { line, column } = HtmlEndpointExtractor.getPosition(lineStarts, element.start);
+            httpCalls.push(LanguageAdapterRegistry.createHttpCall({
+                language: 'html',
+                filePath,
+                line,
+                column,
+                rawCode: content.slice(element.start, element.end).replace(/\s+/g, ' '),
+                urlSource: 'html_attribute',
+                ...fields
+            }));
+        };
+
+        for (const element of elements) {
+            const { name, attributes } = element;
+
+            if (name === 'form' && attributes.action !== undefined && !HtmlEndpointExtractor.getHtmxAttribute(attributes)) {
+                const form = this.resolveForm(element, elements);
+                if (form) report(element, form);
+            }
+
+            // <button formaction="/drafts" formmethod="post"> overrides its form
+            if (attributes.formaction && element.form) {
+                const form = this.resolveForm(element.form, elements, attributes);
+                if (form) report(element, { ...form, callee: 'formaction' });
+            }
+
+            const htmx = HtmlEndpointExtractor.getHtmxAttribute(attributes);
+            if (htmx) {
+                const method = HTML_ENDPOINT_ATTRIBUTES.htmx[htmx.replace(/^data-/, '')];
+                const values = { ...HtmlEndpointExtractor.parseJson(attributes['hx-vals'] ?? attributes['data-hx-vals']) };
+                if (name === 'form') Object.assign(values, HtmlEndpointExtractor.getFormFields(element, elements));
+
+                report(element, {
+                    callee: htmx,
+                    method,
+                    url: HtmlEndpointExtractor.normalizeValue(attributes[htmx]),
+                    headers: HtmlEndpointExtractor.parseJson(attributes['hx-headers'] ?? attributes['data-hx-headers']),
+                    // htmx sends values in the query string of GET requests and in the body otherwise
+                    parameters: method === 'GET' ? values : null,
+                    body: method !== 'GET' && Object.keys(values).length > 0 ? values : null,
+                    category: 'htmx'
+                });
+            }
+
+            const dataUrl = HTML_ENDPOINT_ATTRIBUTES.dataUrl.find(attribute => attributes[attribute]);
+            const method = attributes[HTML_ENDPOINT_ATTRIBUTES.methodAttribute]?.toUpperCase();
+            if (dataUrl || (method && attributes.href)) {
+                report(element, {
+                    callee: dataUrl || HTML_ENDPOINT_ATTRIBUTES.methodAttribute,
+                    method,
+                    url: HtmlEndpointExtractor.normalizeValue(attributes[dataUrl] ?? attributes.href),
+                    category: 'html_data_attribute'
+                });
+            }
+
+            const rel = attributes.rel?.toLowerCase().split(/\s+/) || [];
+            if (name === 'link' && attributes.href) {
+                if (rel.some(value => HTML_ENDPOINT_ATTRIBUTES.preconnect.includes(value))) {
+                    report(element, {
+                        callee: `link[rel=${rel.find(value => HTML_ENDPOINT_ATTRIBUTES.preconnect.includes(value))}]`,
+                        url: HtmlEndpointExtractor.normalizeValue(attributes.href),
+                        category: 'html_preconnect'
+                    });
+                } else if (rel.includes('preload') && attributes.as === 'fetch') {
+                    report(element, {
+                        callee: 'link[rel=preload]',
+                        method: 'GET',
+                        url: HtmlEndpointExtractor.normalizeValue(attributes.href),
+                        category: 'html_preload'
+                    });
+                }
+            }
+        }
+
+        return httpCalls.filter(call => HtmlEndpointExtractor.isEndpoint(call.url));
+    }
+
+    /**
+     * Method, URL and fields a form submits; `overrides` are a submit button's formaction/formmethod/formenctype
+     */
+    resolveForm(form, elements, overrides = {}) {
+        let method = (overrides.formmethod || form.attributes.method || 'get').toUpperCase();
+        if (method === 'DIALOG') return null;
+
+        const fields = HtmlEndpointExtractor.getFormFields(form, elements);
+
+        // Rails and Laravel tunnel PUT/PATCH/DELETE through a hidden _method field
+        if (fields._method && method === 'POST') {
+            method = fields._method.toUpperCase();
+        }
+        delete fields._method;
+
+        const hasFields = Object.keys(fields).length > 0;
+        const enctype = overrides.formenctype || form.attributes.enctype || 'application/x-www-form-urlencoded';
+
+        return {
+            callee: 'form',
+            method,
+            url: HtmlEndpointExtractor.normalizeValue(overrides.formaction ?? form.attributes.action),
+            headers: method === 'GET' ? null : { 'Content-Type': enctype },
+            parameters: method === 'GET' && hasFields ? fields : null,
+            body: method !== 'GET' && hasFields ? fields : null,
+            category: 'html_form'
+        };
+    }
+
+    static getHtmxAttribute(attributes) {
+        return Object.keys(HTML_ENDPOINT_ATTRIBUTES.htmx)
+            .flatMap(attribute => [attribute, `data-${attribute}`])
+            .find(attribute => attributes[attribute]);
+    }
+
+    /**
+     * Named fields inside a form, with their value attribute (or empty)
+     */
+    static getFormFields(form, elements) {
+        const fields = {};
+        for (const element of elements) {
+            if (element.form !== form || !FIELD_ELEMENTS.includes(element.name)) continue;
+
+            const { name, type, value } = element.attributes;
+            if (!name || (element.name === 'input' && NON_FIELD_INPUTS.includes(type?.toLowerCase()))) continue;
+            fields[name] = HtmlEndpointExtractor.normalizeValue(value ?? '');
+        }
+        return fields;
+    }
+
+    /**
+     * Relative or absolute URLs; anchors, `javascript:` and other schemes are not endpoints
+     */
+    static isEndpoint(url) {
+        return typeof url === 'string' && url !== '' && !url.startsWith('#') &&
+            !/^(javascript|mailto|tel|data|about|blob):/i.test(url);
+    }
+
+    /**
+     * Attribute value with entities decoded and template expressions turned into `{expression}` placeholders
+     */
+    static normalizeValue(value) {
+        if (typeof value !== 'string') return null;
+
+        return value
+            .replace(/&(#?\w+);/g, (match, entity) => ENTITIES[entity] ?? match)
+            .replace(TEMPLATE_EXPRESSION, (match, ...groups) => {
+                const expression = groups.slice(0, 4).find(group => group !== undefined);
+                // Drop template filters: {{ user.id | urlencode }}
+                return `{${expression.split(/\s*\|(?!\|)\s*/)[0]}}`;
+            })
+            .trim();
+    }
+
+    static parseJson(value) {
+        if (!value) return null;
+        try {
+            const parsed = JSON.parse(HtmlEndpointExtractor.normalizeValue(value));
+            return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Start tags outside comments and raw-text elements: [{ name, attributes, start, end, form }]
+     * where `form` is the enclosing form element, if any
+     */
+    static findElements(content) {
+        const skipped = ComponentUtils.findComments(content);
+        let match;
+        while ((match = RAW_TEXT_PATTERN.exec(content)) !== null) {
+            const start = match.index + match[0].indexOf('>') + 1;
+            skipped.push([start, start + match[2].length]);
+        }
+        const isSkipped = offset => skipped.some(([start, end]) => offset >= start && offset < end);
+
+        const elements = [];
+        let form = null;
+        const formEnds = [];
+        const closingForm = /<\/form\s*>/gi;
+        while ((match = closingForm.exec(content)) !== null) {
+            if (!isSkipped(match.index)) formEnds.push(match.index);
+        }
+
+        TAG_PATTERN.lastIndex = 0;
+        while ((match = TAG_PATTERN.exec(content)) !== null) {
+            if (isSkipped(match.index)) continue;
+
+            // Forms do not nest; a form ends at the next </form>
+            if (form && formEnds.find(end => end > form.start) < match.index) {
+                form = null;
+            }
+
+            const element = {
+                name: match[1].toLowerCase(),
+                attributes: ComponentUtils.parseAttributes(match[2] || ''),
+                start: match.index,
+                end: match.index + match[0].length,
+                form
+            };
+            elements.push(element);
+
+            if (element.name === 'form') {
+                element.form = null;
+                form = element;
+            }
+        }
+
+        return elements;
+    }
+
+    static getLineStarts(content) {
+        const starts = [0];
+        for (let i = 0; i < content.length; i++) {
+            if (content[i] === '\n') starts.push(i + 1);
+        }
+        return starts;
+    }
+
+    static getPosition(lineStarts, offset) {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (lineStarts[mid] <= offset) low = mid;
+            else high = mid - 1;
+        }
+        return { line: low + 1, column: offset - lineStarts[low] };
+    }
+}
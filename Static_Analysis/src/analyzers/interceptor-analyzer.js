@@ -0,0 +1,506 @@
+import * as t from '@babel/types';
+import _traverse from '@babel/traverse';
+import path from 'path';
+import { AstUtils } from '../ast/ast-utils.js';
+import { ClientInstanceTracker } from './client-instance-tracker.js';
+
+const traverse = _traverse.default;
+
+const ANGULAR_HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options', 'request', 'jsonp'];
+
+// Angular wiring calls that set up HttpClient but do not send anything themselves
+const ANGULAR_SETUP_CALLS = ['provideHttpClient', 'withInterceptors', 'withInterceptorsFromDi'];
+
+/**
+ * Interceptor Analyzer - Models Angular HttpInterceptors and axios request interceptors
+ * (URL rewrites and injected headers) and applies them to the calls they intercept
+ */
+export class InterceptorAnalyzer {
+    constructor(clientInstanceTracker) {
+        this.clientInstanceTracker = clientInstanceTracker;
+        this.registrations = [];          // interceptors found during collection, resolved on first lookup
+        this.classes = new Map();         // class name -> `intercept` method path
+        this.functions = new Map();       // top-level function name -> function path
+        this.interceptors = new Map();    // target ('angular', 'axios' or a client instance) -> [interceptor]
+    }
+
+    /**
+     * Record interceptor registrations and the definitions they may point at
+     */
+    analyzeFile(ast, filePath) {
+        traverse(ast, this.getVisitor(filePath));
+    }
+
+    getVisitor(filePath) {
+        return {
+            ClassDeclaration: (path) => {
+                const intercept = path.get('body.body').find(member =>
+                    member.isClassMethod() && this.getKeyName(member.node.key) === 'intercept');
+                if (path.node.id && intercept) {
+                    this.classes.set(path.node.id.name, { path: intercept, file: filePath });
+                }
+            },
+
+            FunctionDeclaration: (path) => {
+                if (path.node.id && this.isTopLevel(path)) {
+                    this.functions.set(path.node.id.name, { path, file: filePath });
+                }
+            },
+
+            VariableDeclarator: (path) => {
+                const init = path.get('init');
+                if (t.isIdentifier(path.node.id) && this.isFunction(init.node) && this.isTopLevel(path.parentPath)) {
+                    this.functions.set(path.node.id.name, { path: init, file: filePath });
+                }
+            },
+
+            // { provide: HTTP_INTERCEPTORS, useClass: AuthInterceptor, multi: true }
+            ObjectExpression: (path) => {
+                const provide = this.findProperty(path.node, 'provide');
+                if (!provide || !t.isIdentifier(provide.value, { name: 'HTTP_INTERCEPTORS' })) return;
+
+                const useClass = this.findProperty(path.node, 'useClass') || this.findProperty(path.node, 'useExisting');
+                if (useClass && t.isIdentifier(useClass.value)) {
+                    this.registrations.push({ kind: 'angular_class', name: useClass.value.name, scope: path.scope, file: filePath });
+                }
+            },
+
+            CallExpression: (path) => {
+                this.handleCall(path, filePath);
+            }
+        };
+    }
+
+    handleCall(path, filePath) {
+        const callee = path.node.callee;
+
+        // provideHttpClient(withInterceptors([authInterceptor, (req, next) => ...]))
+        if (t.isIdentifier(callee, { name: 'withInterceptors' }) && t.isArrayExpression(path.node.arguments[0])) {
+            path.get('arguments.0.elements').forEach((element, index) => {
+                this.registrations.push({
+                    kind: 'angular_fn',
+                    name: t.isIdentifier(element.node) ? element.node.name : `withInterceptors[${index}]`,
+                    handler: element,
+                    file: filePath
+                });
+            });
+            return;
+        }
+
+        // api.interceptors.request.use(onFulfilled)
+        if (this.isAxiosRequestUse(callee) && path.node.arguments.length > 0) {
+            const target = callee.object.object.object;
+            this.registrations.push({
+                kind: 'axios',
+                name: `${AstUtils.getCalleeInfo2(target)}.interceptors.request`,
+                target,
+                scope: path.scope,
+                handler: path.get('arguments.0'),
+                file: filePath
+            });
+        }
+    }
+
+    isAxiosRequestUse(callee) {
+        return t.isMemberExpression(callee) && this.getPropertyName(callee) === 'use' &&
+            t.isMemberExpression(callee.object) && this.getPropertyName(callee.object) === 'request' &&
+            t.isMemberExpression(callee.object.object) && this.getPropertyName(callee.object.object) === 'interceptors';
+    }
+
+    /**
+     * Calls that only wire interceptors or HttpClient up and should not be reported as requests
+     */
+    isSetupCall(astPath) {
+        const callee = astPath.node.callee;
+        return this.isAxiosRequestUse(callee) ||
+            (t.isMemberExpression(callee) && this.getPropertyName(callee) === 'use' &&
+                t.isMemberExpression(callee.object) && this.getPropertyName(callee.object) === 'response' &&
+                t.isMemberExpression(callee.object.object) && this.getPropertyName(callee.object.object) === 'interceptors') ||
+            (t.isIdentifier(callee) && ANGULAR_SETUP_CALLS.includes(callee.name));
+    }
+
+    hasRegistrationsIn(filePath) {
+        return this.registrations.some(registration => registration.file === filePath);
+    }
+
+    /**
+     * Link registrations to their definitions and model what each interceptor does
+     */
+    resolveRegistrations() {
+        if (this.registrations.length === 0) return;
+
+        const registrations = this.registrations;
+        this.registrations = [];
+
+        for (const registration of registrations) {
+            const target = this.resolveTarget(registration);
+            const definition = this.resolveHandler(registration);
+            if (!target || !definition) continue;
+
+            const interceptor = {
+                name: registration.name,
+                type: registration.kind,
+                definedAt: {
+                    file: path.basename(definition.file),
+                    line: definition.path.node.loc ? definition.path.node.loc.start.line : 0
+                },
+                ...this.modelInterceptor(definition.path)
+            };
+
+            if (!this.interceptors.has(target)) {
+                this.interceptors.set(target, []);
+            }
+            this.interceptors.get(target).push(interceptor);
+        }
+    }
+
+    resolveTarget(registration) {
+        if (registration.kind !== 'axios') return 'angular';
+
+        const instance = this.clientInstanceTracker.resolveInstance(registration.target, registration.scope, { file: registration.file });
+        if (instance) return instance;
+
+        return this.isAxiosDefault(registration.target, registration.scope) ? 'axios' : null;
+    }
+
+    isAxiosDefault(node, scope) {
+        if (!t.isIdentifier(node)) return false;
+        const source = this.clientInstanceTracker.getImportSource(node, scope);
+        return source ? ClientInstanceTracker.libraryFromSource(source) === 'axios' : node.name === 'axios';
+    }
+
+    /**
+     * Function (or `intercept` method) that implements a registered interceptor
+     */
+    resolveHandler(registration) {
+        if (registration.kind === 'angular_class') {
+            return this.classes.get(registration.name) || null;
+        }
+
+        const handler = registration.handler;
+        if (this.isFunction(handler.node)) {
+            return { path: handler, file: registration.file };
+        }
+        if (!t.isIdentifier(handler.node)) return null;
+
+        const binding = handler.scope.getBinding(handler.node.name);
+        if (binding?.path.isFunctionDeclaration()) {
+            return { path: binding.path, file: registration.file };
+        }
+        if (binding?.path.isVariableDeclarator() && this.isFunction(binding.path.node.init)) {
+            return { path: binding.path.get('init'), file: registration.file };
+        }
+
+        // Imported from another file
+        const imported = binding?.kind === 'module' && t.isImportSpecifier(binding.path.node)
+            ? this.getKeyName(binding.path.node.imported)
+            : handler.node.name;
+        return this.functions.get(imported) || null;
+    }
+
+    /**
+     * Collect the base URL, URL rewrites and headers an interceptor applies to the outgoing request
+     */
+    modelInterceptor(fnPath) {
+        const model = { baseURL: null, urlRewrites: [], headers: {} };
+
+        const param = fnPath.node.params[0];
+        const requestName = t.isIdentifier(param) ? param.name
+            : t.isAssignmentPattern(param) && t.isIdentifier(param.left) ? param.left.name : null;
+        if (!requestName) return model;
+
+        fnPath.traverse({
+            // config.headers.Authorization = ..., config.baseURL = ..., config.url = '/api' + config.url
+            AssignmentExpression: (assignPath) => {
+                const segments = this.getRequestSegments(assignPath.node.left, requestName);
+                if (segments) {
+                    this.applyAssignment(model, segments, assignPath.node.right, assignPath.scope, requestName);
+                }
+            },
+
+            CallExpression: (callPath) => {
+                this.applyRequestCall(model, callPath, requestName);
+            }
+        });
+
+        return model;
+    }
+
+    applyAssignment(model, segments, valueNode, scope, requestName) {
+        const [first, ...rest] = segments;
+
+        if (first === 'baseURL' && rest.length === 0) {
+            model.baseURL = this.resolveValue(valueNode, scope);
+        } else if (first === 'url' && rest.length === 0) {
+            model.urlRewrites.push(this.modelUrlRewrite(valueNode, scope, requestName));
+        } else if (first === 'headers') {
+            const names = rest.filter(segment => segment !== 'common');
+            if (names.length === 1) {
+                this.setHeader(model, names[0], valueNode, scope);
+            } else if (names.length === 0) {
+                this.setHeaders(model, valueNode, scope);
+            }
+        }
+    }
+
+    applyRequestCall(model, callPath, requestName) {
+        const { callee, arguments: args } = callPath.node;
+        if (!t.isMemberExpression(callee)) return;
+
+        const method = this.getPropertyName(callee);
+        const scope = callPath.scope;
+
+        // req.clone({ url, setHeaders, headers })
+        const segments = this.getRequestSegments(callee, requestName);
+        if (method === 'clone' && segments?.length === 1 && t.isObjectExpression(args[0])) {
+            const url = this.findProperty(args[0], 'url');
+            if (url) model.urlRewrites.push(this.modelUrlRewrite(url.value, scope, requestName));
+
+            const setHeaders = this.findProperty(args[0], 'setHeaders');
+            if (setHeaders) this.setHeaders(model, setHeaders.value, scope);
+
+            // headers: new HttpHeaders({...}); `req.headers.set(...)` chains are visited on their own
+            const headers = this.findProperty(args[0], 'headers');
+            if (t.isNewExpression(headers?.value) && t.isIdentifier(headers.value.callee, { name: 'HttpHeaders' })) {
+                this.setHeaders(model, headers.value.arguments[0], scope);
+            }
+            return;
+        }
+
+        // req.headers.set('X', v).set(...), config.headers.set('Authorization', v)
+        if ((method === 'set' || method === 'append') && args.length >= 2 && this.isRequestHeaders(callee.object, requestName)) {
+            const name = this.resolveValue(args[0], scope);
+            if (name) this.setHeader(model, name, args[1], scope);
+            return;
+        }
+
+        // Object.assign(config.headers, { Authorization: ... })
+        if (AstUtils.getCalleeInfo2(callee) === 'Object.assign' && args.length >= 2 &&
+            this.isRequestHeaders(args[0], requestName)) {
+            args.slice(1).forEach(source => this.setHeaders(model, source, scope));
+        }
+    }
+
+    /**
+     * `req.headers`, `config.headers.common` or a `.set()` chain built on them
+     */
+    isRequestHeaders(node, requestName) {
+        let base = node;
+        while (t.isCallExpression(base) && t.isMemberExpression(base.callee) &&
+            ['set', 'append'].includes(this.getPropertyName(base.callee))) {
+            base = base.callee.object;
+        }
+
+        const segments = this.getRequestSegments(base, requestName);
+        return !!segments && segments[0] === 'headers' && segments.slice(1).every(segment => segment === 'common');
+    }
+
+    /**
+     * `${environment.apiUrl}${req.url}` becomes a prefix; a URL without `req.url` replaces it
+     */
+    modelUrlRewrite(node, scope, requestName) {
+        const parts = this.flattenConcatenation(node);
+        const index = parts.findIndex(part => part.node && this.getRequestSegments(part.node, requestName)?.join('.') === 'url');
+
+        const join = list => list.map(part => part.text ?? this.resolveValue(part.node, scope) ?? '').join('');
+        if (index === -1) {
+            return { replace: join(parts) };
+        }
+        return { prefix: join(parts.slice(0, index)), suffix: join(parts.slice(index + 1)) };
+    }
+
+    flattenConcatenation(node) {
+        if (t.isBinaryExpression(node, { operator: '+' })) {
+            return [...this.flattenConcatenation(node.left), ...this.flattenConcatenation(node.right)];
+        }
+
+        if (t.isTemplateLiteral(node)) {
+            const parts = [];
+            node.quasis.forEach((quasi, i) => {
+                if (quasi.value.cooked) parts.push({ text: quasi.value.cooked });
+                if (i < node.expressions.length) parts.push({ node: node.expressions[i] });
+            });
+            return parts;
+        }
+
+        return [{ node }];
+    }
+
+    setHeader(model, name, valueNode, scope) {
+        const value = this.resolveValue(valueNode, scope);
+        if (value !== null) model.headers[name] = value;
+    }
+
+    setHeaders(model, node, scope) {
+        if (!t.isObjectExpression(node)) return;
+
+        for (const prop of node.properties) {
+            const name = t.isObjectProperty(prop) ? this.getKeyName(prop.key) : null;
+            if (name) this.setHeader(model, name, prop.value, scope);
+        }
+    }
+
+    resolveValue(node, scope) {
+        return this.clientInstanceTracker.resolveValue(node, scope);
+    }
+
+    /**
+     * Interceptors that run for a call: the instance's own, axios' global ones or Angular's HttpClient chain
+     */
+    getInterceptorsForCall(astPath, clientCall) {
+        this.resolveRegistrations();
+        if (this.interceptors.size === 0) return [];
+
+        if (clientCall) {
+            return this.interceptors.get(clientCall.instance) || [];
+        }
+
+        const callee = astPath.node.callee;
+        const base = t.isMemberExpression(callee) ? callee.object : callee;
+        if (this.isAxiosDefault(base, astPath.scope)) {
+            // axios runs request interceptors in reverse registration order
+            return [...(this.interceptors.get('axios') || [])].reverse();
+        }
+
+        return this.isAngularHttpClientCall(astPath) ? this.interceptors.get('angular') || [] : [];
+    }
+
+    /**
+     * `this.http.get(...)` where `http` is injected as HttpClient (constructor parameter or `inject(HttpClient)`)
+     */
+    isAngularHttpClientCall(astPath) {
+        const callee = astPath.node.callee;
+        if (!t.isMemberExpression(callee) || !ANGULAR_HTTP_METHODS.includes(this.getPropertyName(callee))) return false;
+
+        const receiver = callee.object;
+        if (t.isIdentifier(receiver)) {
+            const binding = astPath.scope.getBinding(receiver.name);
+            return !!binding && this.isHttpClientDeclaration(binding.path.node);
+        }
+
+        if (!t.isMemberExpression(receiver) || !t.isThisExpression(receiver.object)) return false;
+
+        const propertyName = this.getPropertyName(receiver);
+        const classPath = astPath.findParent(p => p.isClass());
+        if (!propertyName || !classPath) return false;
+
+        return classPath.node.body.body.some(member => {
+            if (t.isClassProperty(member) && this.getKeyName(member.key) === propertyName) {
+                return this.isHttpClientDeclaration(member);
+            }
+            if (t.isClassMethod(member, { kind: 'constructor' })) {
+                return member.params.some(param => t.isTSParameterProperty(param) &&
+                    t.isIdentifier(param.parameter, { name: propertyName }) &&
+                    this.isHttpClientDeclaration(param.parameter));
+            }
+            return false;
+        });
+    }
+
+    isHttpClientDeclaration(node) {
+        const typeAnnotation = node.typeAnnotation?.typeAnnotation || node.id?.typeAnnotation?.typeAnnotation;
+        if (t.isTSTypeReference(typeAnnotation) && t.isIdentifier(typeAnnotation.typeName, { name: 'HttpClient' })) {
+            return true;
+        }
+
+        const value = node.value || node.init;
+        return t.isCallExpression(value) && t.isIdentifier(value.callee, { name: 'inject' }) &&
+            t.isIdentifier(value.arguments[0], { name: 'HttpClient' });
+    }
+
+    /**
+     * Apply interceptors to a request model { baseURL, url, headers }; returns provenance for those that changed it
+     */
+    apply(request, interceptors) {
+        const provenance = [];
+
+        for (const interceptor of interceptors) {
+            const applied = [];
+
+            if (interceptor.baseURL !== null) {
+                request.baseURL = interceptor.baseURL;
+                applied.push('baseURL');
+            }
+
+            for (const rewrite of interceptor.urlRewrites) {
+                if (rewrite.replace !== undefined) {
+                    request.url = rewrite.replace;
+                    applied.push('url');
+                } else if (this.isRelativeUrl(request.url)) {
+                    // Prefixing interceptors skip absolute URLs in practice (`if (!req.url.startsWith('http'))`)
+                    request.url = `${rewrite.prefix}${request.url}${rewrite.suffix}`;
+                    applied.push('url');
+                }
+            }
+
+            for (const [name, value] of Object.entries(interceptor.headers)) {
+                request.headers[name] = value;
+                applied.push(`header:${name}`);
+            }
+
+            if (applied.length > 0) {
+                provenance.push({
+                    name: interceptor.name,
+                    type: interceptor.type,
+                    definedAt: interceptor.definedAt,
+                    applied
+                });
+            }
+        }
+
+        return provenance;
+    }
+
+    isRelativeUrl(url) {
+        return typeof url === 'string' && !url.startsWith('{') && !url.startsWith('//') &&
+            !/^[a-z][a-z0-9+.-]*:/i.test(url);
+    }
+
+    /**
+     * Property path below the request parameter: `config.headers.common.X` -> ['headers', 'common', 'X']
+     */
+    getRequestSegments(node, requestName) {
+        const segments = [];
+        let current = node;
+        while (t.isMemberExpression(current)) {
+            const name = this.getPropertyName(current);
+            if (name === null) return null;
+            segments.unshift(name);
+            current = current.object;
+        }
+        return t.isIdentifier(current, { name: requestName }) && segments.length > 0 ? segments : null;
+    }
+
+    isTopLevel(path) {
+        const parent = path.parentPath;
+        return !!parent && (parent.isProgram() || (parent.isExportNamedDeclaration() && parent.parentPath.isProgram()));
+    }
+
+    isFunction(node) {
+        return t.isArrowFunctionExpression(node) || t.isFunctionExpression(node);
+    }
+
+    findProperty(objectExpression, name) {
+        return objectExpression.properties.find(prop =>
+            t.isObjectProperty(prop) && this.getKeyName(prop.key) === name) || null;
+    }
+
+    getPropertyName(memberExpr) {
+        if (!memberExpr.computed && t.isIdentifier(memberExpr.property)) return memberExpr.property.name;
+        if (t.isStringLiteral(memberExpr.property)) return memberExpr.property.value;
+        return null;
+    }
+
+    getKeyName(key) {
+        if (t.isIdentifier(key)) return key.name;
+        if (t.isStringLiteral(key)) return key.value;
+        return null;
+    }
+
+    clear() {
+        this.registrations = [];
+        this.classes.clear();
+        this.functions.clear();
+        this.interceptors.clear();
+    }
+}
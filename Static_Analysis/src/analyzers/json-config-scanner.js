@@ -1,5 +1,6 @@
 import fs from 'fs';
 import path from 'path';
+import { PROJECT_CONFIG_FILE } from '../utils/project-config.js';
 
 export class JsonConfigScanner {
     static jsonData = {}//remove
@@ -10,13 +11,18 @@ export class JsonConfigScanner {
         // this.jsonData = {}; // remove?
     }
 
-    scanFolder(folderPath) {
-        console.log('🔍 Scanning for JSON configuration files...');
+    scanFolder(folderPath, excludeDirs = []) {
+        return this.scanFiles(this.findJsonFiles(folderPath, excludeDirs));
+    }
 
-        const jsonFiles = this.findJsonFiles(folderPath);
+    /**
+     * Extract the keys of the given JSON files; `readFile` supplies their content (from disk by default)
+     */
+    scanFiles(jsonFiles, readFile = filePath => fs.readFileSync(filePath, 'utf8')) {
+        console.log('🔍 Scanning for JSON configuration files...');
 
         for (const jsonFile of jsonFiles) {
-            this.analyzeJsonFile(jsonFile);
+            this.analyzeJsonFile(jsonFile, readFile);
         }
 
         console.log(`✅ Found ${this.configFiles.length} JSON configuration files`);
@@ -29,34 +35,28 @@ export class JsonConfigScanner {
         };
     }
 
-    findJsonFiles(dir) {
+    findJsonFiles(dir, excludeDirs = []) {
+        const excluded = excludeDirs.map(excludeDir => path.resolve(excludeDir));
         const jsonFiles = [];
 
         function scanDirectory(currentDir) {
             const items = fs.readdirSync(currentDir);
 
             for (const item of items) {
+                // The analyzer's own settings describe the analysis, not the application
+                if (item === PROJECT_CONFIG_FILE) continue;
+
                 const fullPath = path.join(currentDir, item);
                 const stat = fs.statSync(fullPath);
 
                 if (stat.isDirectory()) {
                     // Skip common directories
-                    if (!['node_modules', '.git', 'dist', 'build', '.angular', '.vscode'].includes(item)) {
+                    if (!['node_modules', '.git', 'dist', 'build', '.angular', '.vscode'].includes(item) &&
+                        !excluded.includes(path.resolve(fullPath))) {
                         scanDirectory(fullPath);
                     }
                 } else if (stat.isFile() && item.endsWith('.json')) {
-                    // Look for likely config files
-                    const configPatterns = [
-                        'settings', 'config', 'configuration', 'app-config',
-                        'api-config', 'environment', 'env', 'constants'
-                    ];
-
-                    const fileName = item.toLowerCase();
-                    const isLikelyConfig = configPatterns.some(pattern =>
-                        fileName.includes(pattern)
-                    ) || fileName === 'settings.json';
-
-                    if (isLikelyConfig || jsonFiles.length === 0) { // Include at least some JSON files
+                    if (JsonConfigScanner.isLikelyConfig(item) || jsonFiles.length === 0) { // Include at least some JSON files
                         jsonFiles.push(fullPath);
                     }
                 }
@@ -67,9 +67,35 @@ export class JsonConfigScanner {
         return jsonFiles;
     }
 
-    analyzeJsonFile(filePath) {
+    /**
+     * The JSON files of a file list that a folder scan would pick
+     */
+    selectJsonFiles(files) {
+        const jsonFiles = [];
+        for (const file of files) {
+            const fileName = path.basename(file);
+            if (!fileName.endsWith('.json') || fileName === PROJECT_CONFIG_FILE) continue;
+            if (JsonConfigScanner.isLikelyConfig(fileName) || jsonFiles.length === 0) {
+                jsonFiles.push(file);
+            }
+        }
+        return jsonFiles;
+    }
+
+    static isLikelyConfig(fileName) {
+        // Look for likely config files
+        const configPatterns = [
+            'settings', 'config', 'configuration', 'app-config',
+            'api-config', 'environment', 'env', 'constants'
+        ];
+
+        const lowerName = fileName.toLowerCase();
+        return configPatterns.some(pattern => lowerName.includes(pattern)) || lowerName === 'settings.json';
+    }
+
+    analyzeJsonFile(filePath, readFile = file => fs.readFileSync(file, 'utf8')) {
         try {
-            const content = fs.readFileSync(filePath, 'utf8');
+            const content = readFile(filePath);
 
             if (!content.trim()) {
                 console.log(`  JSON file is empty: ${filePath}`);
@@ -0,0 +1,60 @@
+import path from 'path';
+import { PathTemplate } from '../utils/path-template.js';
+
+/**
+ * Language Adapter Registry - Picks the analyzer for files Babel cannot parse, by extension.
+ *
+ * An adapter is an object with:
+ *   name                             language reported in each call's metadata
+ *   extensions                       ['.py']
+ *   collectDefinitions(content, file) optional; indexes constants and clients other files import
+ *   analyze(content, file)           httpCall objects in the shape EnhancedHTTPCallExtractor produces
+ */
+export class LanguageAdapterRegistry {
+    constructor() {
+        this.adapters = new Map(); // extension -> adapter
+    }
+
+    register(adapter) {
+        for (const extension of adapter.extensions) {
+            this.adapters.set(extension, adapter);
+        }
+    }
+
+    getAdapter(filePath) {
+        return this.adapters.get(path.extname(filePath).toLowerCase()) || null;
+    }
+
+    getExtensions() {
+        return Array.from(this.adapters.keys());
+    }
+
+    /**
+     * httpCall for a request an adapter found; unresolved URL segments become named templates
+     */
+    static createHttpCall({ language, callee, filePath, line, column, method, url, headers, parameters, body, category, rawCode, urlSource = 'language_adapter' }) {
+        const { url: templated, params } = PathTemplate.normalize(url);
+        const resolved = typeof url === 'string' && !/^\{[^{}]*\}$/.test(url);
+
+        const httpCall = {
+            type: 'http_call',
+            callee,
+            location: { file: path.basename(filePath), line, column },
+            httpMethod: method || 'UNKNOWN',
+            parameters: parameters && Object.keys(parameters).length > 0 ? parameters : null,
+            headers: headers && Object.keys(headers).length > 0 ? headers : null,
+            body: body ?? null,
+            rawCode: rawCode && rawCode.length > 200 ? rawCode.substring(0, 200) + '...' : rawCode,
+            category,
+            url: templated || `{unresolved_url_for_${callee}}`,
+            urlSource,
+            confidence: !resolved ? 'low' : templated.includes('{') ? 'medium' : 'high',
+            metadata: { language }
+        };
+
+        if (params.length > 0) {
+            httpCall.pathParams = params.map(param => ({ ...param, type: PathTemplate.inferType(param.name) }));
+        }
+        return httpCall;
+    }
+}
@@ -0,0 +1,242 @@
+import * as t from '@babel/types';
+
+/**
+ * Module Graph - Links virtual modules unpacked from bundles so imports resolve across them
+ */
+export class ModuleGraph {
+    constructor() {
+        this.modules = new Map();         // module key -> virtual module
+        this.programs = new WeakMap();    // Program node -> virtual module
+    }
+
+    static moduleKey(namespace, id) {
+        return `${namespace}::${id}`;
+    }
+
+    /**
+     * Register a virtual module produced by the BundleUnpacker
+     */
+    addModule(module) {
+        this.modules.set(module.key, module);
+        this.programs.set(module.ast.program, module);
+    }
+
+    getModule(key) {
+        return this.modules.get(key) || null;
+    }
+
+    getModuleForScope(scope) {
+        if (!scope) return null;
+        return this.programs.get(scope.getProgramParent().block) || null;
+    }
+
+    /**
+     * Follow an imported identifier or `namespace.member` reference to the definition it points at.
+     * Returns { moduleKey, moduleId, exportName, node, scope } or null.
+     */
+    resolveReference(node, scope, seen = new Set()) {
+        const module = this.getModuleForScope(scope);
+        if (!module) return null;
+
+        if (t.isIdentifier(node)) {
+            const imported = this.getImport(node.name, scope, module);
+            if (!imported || imported.imported === '*') return null;
+            return this.resolveExport(imported.module, imported.imported, seen);
+        }
+
+        if (t.isMemberExpression(node)) {
+            const exportName = this.getPropertyName(node);
+            const target = exportName ? this.getNamespaceTarget(node.object, scope, module) : null;
+            if (target) {
+                return this.resolveExport(target, exportName, seen);
+            }
+
+            // r.default.API_URL - property of an exported object literal
+            const base = exportName ? this.resolveReference(node.object, scope, seen) : null;
+            if (base && t.isObjectExpression(base.node)) {
+                const property = base.node.properties.find(prop =>
+                    t.isObjectProperty(prop) && this.getKeyName(prop.key) === exportName);
+                if (property) {
+                    return { ...base, exportName: `${base.exportName}.${exportName}`, node: property.value };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Id of the module an identifier or `namespace.member` reference is imported from
+     */
+    getImportedModuleId(node, scope) {
+        const module = this.getModuleForScope(scope);
+        if (!module) return null;
+
+        let target = null;
+        if (t.isIdentifier(node)) {
+            target = this.getImport(node.name, scope, module)?.module;
+        } else if (t.isMemberExpression(node)) {
+            target = this.getNamespaceTarget(node.object, scope, module);
+        }
+
+        return target ? this.modules.get(target)?.id ?? null : null;
+    }
+
+    resolveExport(moduleKey, exportName, seen = new Set()) {
+        const visitKey = `${moduleKey}#${exportName}`;
+        if (seen.has(visitKey)) return null;
+        seen.add(visitKey);
+
+        const module = this.modules.get(moduleKey);
+        if (!module) return null;
+
+        const entry = module.exports.get(exportName);
+        if (entry) {
+            if (entry.from) {
+                return this.resolveExport(entry.from, entry.imported, seen);
+            }
+            if (entry.local) {
+                return this.resolveLocal(module, entry.local, exportName, seen);
+            }
+            if (entry.node) {
+                // Getter re-exporting another module's member (`() => r.default`)
+                return this.resolveReference(entry.node, module.scope, seen) ||
+                    this.createDefinition(module, exportName, entry.node, module.scope);
+            }
+        }
+
+        for (const from of module.reexportAll) {
+            const resolved = this.resolveExport(from, exportName, seen);
+            if (resolved) return resolved;
+        }
+
+        // CommonJS: `module.exports = ...` doubles as the default export and holds named members
+        const commonJs = module.exports.get('module.exports');
+        if (commonJs) {
+            if (exportName === 'default') {
+                return this.resolveReference(commonJs.node, module.scope, seen) ||
+                    this.createDefinition(module, exportName, commonJs.node, module.scope);
+            }
+            if (t.isObjectExpression(commonJs.node)) {
+                const property = commonJs.node.properties.find(prop =>
+                    t.isObjectProperty(prop) && this.getKeyName(prop.key) === exportName);
+                if (property) {
+                    return this.createDefinition(module, exportName, property.value, module.scope);
+                }
+            }
+        }
+
+        return null;
+    }
+
+    resolveLocal(module, localName, exportName, seen) {
+        const binding = module.scope?.getBinding(localName);
+        if (!binding) return null;
+
+        if (binding.kind === 'module') {
+            const imported = module.imports.get(localName);
+            return imported && imported.imported !== '*'
+                ? this.resolveExport(imported.module, imported.imported, seen)
+                : null;
+        }
+
+        const bindingNode = binding.path.node;
+        if (t.isVariableDeclarator(bindingNode)) {
+            if (!bindingNode.init) return null;
+
+            // `const o = r.Z` - keep following the alias
+            return this.resolveReference(bindingNode.init, binding.scope, seen) ||
+                this.createDefinition(module, exportName, bindingNode.init, binding.scope);
+        }
+
+        return this.createDefinition(module, exportName, bindingNode, binding.scope);
+    }
+
+    createDefinition(module, exportName, node, scope) {
+        return {
+            moduleKey: module.key,
+            moduleId: module.id,
+            exportName,
+            node,
+            scope
+        };
+    }
+
+    getImport(name, scope, module) {
+        const binding = scope.getBinding(name);
+        if (!binding) return null;
+
+        if (binding.kind === 'module') {
+            return module.imports.get(name) || null;
+        }
+
+        // `var e = n(17)` left inside runtime code
+        if (binding.path.isVariableDeclarator()) {
+            const target = ModuleGraph.getRequireTarget(binding.path.node.init, module);
+            if (target) return { module: target, imported: '*' };
+        }
+
+        return null;
+    }
+
+    getNamespaceTarget(node, scope, module) {
+        if (t.isIdentifier(node)) {
+            const imported = this.getImport(node.name, scope, module);
+            return imported && imported.imported === '*' ? imported.module : null;
+        }
+
+        // Inline `n(42).Z`
+        return ModuleGraph.getRequireTarget(node, module);
+    }
+
+    /**
+     * Key of the module loaded by a bundler require call (`n(42)`, `require_api()`, `__toESM(require_api())`)
+     */
+    static getRequireTarget(node, module) {
+        if (!t.isCallExpression(node)) return null;
+
+        const { callee, arguments: args } = node;
+
+        if (module.requireName && t.isIdentifier(callee, { name: module.requireName }) && args.length === 1 &&
+            (t.isNumericLiteral(args[0]) || t.isStringLiteral(args[0]))) {
+            return ModuleGraph.moduleKey(module.namespace, String(args[0].value));
+        }
+
+        if (module.requireVars) {
+            if (t.isIdentifier(callee) && args.length === 0) {
+                return module.requireVars.get(callee.name) || null;
+            }
+            // Interop helpers wrapping a require call
+            if (args.length >= 1 && t.isCallExpression(args[0])) {
+                return ModuleGraph.getRequireTarget(args[0], module);
+            }
+        }
+
+        return null;
+    }
+
+    getPropertyName(memberExpr) {
+        if (!memberExpr.computed && t.isIdentifier(memberExpr.property)) return memberExpr.property.name;
+        if (t.isStringLiteral(memberExpr.property)) return memberExpr.property.value;
+        return null;
+    }
+
+    getKeyName(key) {
+        if (t.isIdentifier(key)) return key.name;
+        if (t.isStringLiteral(key)) return key.value;
+        return null;
+    }
+
+    getStats() {
+        let edges = 0;
+        for (const module of this.modules.values()) {
+            edges += module.dependencies.size;
+        }
+        return { modules: this.modules.size, edges };
+    }
+
+    clear() {
+        this.modules.clear();
+        this.programs = new WeakMap();
+    }
+}
@@ -0,0 +1,687 @@
+import { LanguageAdapterRegistry } from './language-adapter-registry.js';
+import { ClientInstanceTracker } from './client-instance-tracker.js';
+import { PHP_HTTP_LIBRARIES } from '../patterns/http-patterns.js';
+
+const OPERATORS = /^(\?->|\?:|===|!==|<=>|\*\*=|\?\?=|\.\.\.|->|=>|::|==|!=|<>|<=|>=|&&|\|\||\?\?|\+\+|--|[-+*/.%&|^]=|[^\s\w])/;
+const OPENING = '([';
+const CLOSING = ')]';
+const MODIFIERS = ['public', 'private', 'protected', 'static', 'readonly', 'var', 'final', 'const'];
+
+// Resolving a name through other names stops here
+const MAX_DEPTH = 8;
+
+/**
+ * PHP HTTP Extractor - Guzzle clients and cURL handles read from PHP source.
+ * Variables, properties, constants and string interpolation resolve the URL.
+ */
+export class PhpHTTPExtractor {
+    constructor() {
+        this.name = 'php';
+        this.extensions = ['.php'];
+        this.modules = new Map();   // file -> indexed module
+        this.constants = new Map(); // NAME or Class::NAME -> { value, module, line }
+    }
+
+    collectDefinitions(content, filePath) {
+        this.modules.set(filePath, this.indexModule(content, filePath));
+    }
+
+    analyze(content, filePath) {
+        const module = this.modules.get(filePath) || this.indexModule(content, filePath);
+        const httpCalls = [];
+
+        for (const statement of module.statements) {
+            for (const call of PhpHTTPExtractor.findCalls(statement.tokens)) {
+                const httpCall = call.receiver
+                    ? this.resolveGuzzleCall(call, statement, module)
+                    : this.resolveCurlCall(call, statement, module);
+                if (httpCall) {
+                    httpCalls.push(httpCall);
+                }
+            }
+        }
+
+        return httpCalls;
+    }
+
+    /**
+     * Imports, assignments, constants, Guzzle clients and cURL handles of a file, in source order
+     */
+    indexModule(content, filePath) {
+        const module = {
+            file: filePath,
+            lines: content.split('\n'),
+            statements: PhpHTTPExtractor.splitStatements(PhpHTTPExtractor.tokenize(content)),
+            imports: new Map(),  // local class name -> fully qualified name
+            assignments: [],     // { target, value, line }
+            clients: [],         // { name, args, line }
+            curl: [],            // { handle, kind: 'init' | 'option' | 'exec', args, line, call }
+            className: null
+        };
+
+        for (const statement of module.statements) {
+            this.indexStatement(statement, module);
+        }
+
+        return module;
+    }
+
+    indexStatement(statement, module) {
+        const { tokens, line } = statement;
+        const first = tokens[0]?.value;
+
+        if (first === 'use' && module.className === null) {
+            // use GuzzleHttp\Client; use GuzzleHttp\{Client, Psr7\Request as Req};
+            const group = tokens.findIndex(token => token.value === '{');
+            const prefix = group === -1 ? '' : tokens[1].value.replace(/\\$/, '');
+            const items = group === -1 ? tokens.slice(1) : tokens.slice(group + 1, -1);
+            for (const item of PhpHTTPExtractor.splitTopLevel(items, ',')) {
+                const name = [prefix, item[0]?.value].filter(Boolean).join('\\').replace(/^\\/, '');
+                const local = item[1]?.value === 'as' ? item[2]?.value : name.split('\\').pop();
+                if (name && local) module.imports.set(local, name);
+            }
+            return;
+        }
+
+        const classIndex = tokens.findIndex(token => ['class', 'interface', 'trait', 'enum'].includes(token.value));
+        if (classIndex !== -1 && tokens[classIndex - 1]?.value !== '::' && tokens[classIndex + 1]?.type === 'name') {
+            module.className = tokens[classIndex + 1].value;
+            return;
+        }
+
+        // define('API_URL', 'https://...')
+        if (first === 'define' && tokens[1]?.value === '(') {
+            const args = PhpHTTPExtractor.splitArguments(tokens, 1);
+            const name = args[0] ? this.evaluate(args[0], { module, line }) : null;
+            if (name && args[1]) this.constants.set(name, { value: args[1], module, line });
+            return;
+        }
+
+        // const BASE = '...'; private string $baseUrl = '...'; $this->client = new Client([...])
+        const equals = PhpHTTPExtractor.findTopLevel(tokens, '=');
+        if (equals > 0) {
+            const targetTokens = tokens.slice(0, equals);
+            const value = tokens.slice(equals + 1);
+            const isConstant = targetTokens.some(token => token.value === 'const');
+            const isProperty = targetTokens.some(token => MODIFIERS.includes(token.value)) && !isConstant;
+            const last = targetTokens[targetTokens.length - 1];
+
+            if (isConstant && last.type === 'name') {
+                const entry = { value, module, line };
+                this.constants.set(module.className ? `${module.className}::${last.value}` : last.value, entry);
+                module.assignments.push({ target: last.value, value, line });
+            } else if (isProperty && last.type === 'variable') {
+                module.assignments.push({ target: `$this->${last.value.slice(1)}`, value, line });
+            } else if (PhpHTTPExtractor.isReference(targetTokens)) {
+                const target = PhpHTTPExtractor.toSource(targetTokens);
+                module.assignments.push({ target, value, line });
+                this.indexClient(target, value, line, module);
+                this.indexCurlInit(target, value, line, module);
+            }
+        }
+
+        for (const call of PhpHTTPExtractor.findCalls(tokens)) {
+            if (call.receiver || !call.name.startsWith('curl_')) continue;
+
+            // curl_setopt($ch, CURLOPT_URL, $url), curl_setopt_array($ch, [...]), curl_exec($ch)
+            const handle = call.args[0] ? PhpHTTPExtractor.toSource(call.args[0]) : null;
+            if (call.name === 'curl_setopt' || call.name === 'curl_setopt_array') {
+                module.curl.push({ handle, kind: 'option', args: call.args, line });
+            } else if (call.name === 'curl_exec') {
+                module.curl.push({ handle, kind: 'exec', args: call.args, line, call });
+            }
+        }
+    }
+
+    /**
+     * Record `name` as a Guzzle client when `value` is `new Client([...])`
+     */
+    indexClient(name, value, line, module) {
+        if (value[0]?.value !== 'new' || value[1]?.type !== 'name') return;
+        if (!this.isGuzzleClass(value[1].value, module)) return;
+
+        const args = value[2]?.value === '(' ? PhpHTTPExtractor.splitArguments(value, 2) : [];
+        module.clients.push({ name, args, line });
+    }
+
+    indexCurlInit(name, value, line, module) {
+        if (value[0]?.value !== 'curl_init' || value[1]?.value !== '(') return;
+        module.curl.push({ handle: name, kind: 'init', args: PhpHTTPExtractor.splitArguments(value, 1), line, token: value[0] });
+    }
+
+    isGuzzleClass(name, module) {
+        const qualified = module.imports.get(name) || name;
+        return PHP_HTTP_LIBRARIES.php_guzzle.classes.includes(qualified.replace(/^\\/, ''));
+    }
+
+    /**
+     * `$client->get($url, $options)` / `$this->http->request('POST', $url)` on a Guzzle client
+     */
+    resolveGuzzleCall(call, statement, module) {
+        const guzzle = PHP_HTTP_LIBRARIES.php_guzzle;
+        if (!guzzle.methods.includes(call.name)) return null;
+
+        const receiver = PhpHTTPExtractor.toSource(call.receiver);
+        const client = module.clients.filter(candidate => candidate.name === receiver && candidate.line <= statement.line).pop() ||
+            module.clients.find(candidate => candidate.name === receiver);
+        const inline = call.receiver[0]?.value === '(' && call.receiver[1]?.value === 'new' && this.isGuzzleClass(call.receiver[2]?.value, module);
+        if (!client && !inline) return null;
+
+        const context = { module, line: statement.line };
+        const verb = call.name.replace(/Async$/, '');
+        const takesMethod = verb === 'request';
+
+        const method = takesMethod
+            ? this.evaluate(call.args[0], context)
+            : verb.toUpperCase();
+        let url = this.evaluate(call.args[takesMethod ? 1 : 0], context);
+        const options = this.evaluateArray(call.args[takesMethod ? 2 : 1], context) || {};
+
+        const defaults = client ? this.evaluateArray(client.args[0], { module, line: client.line }) || {} : {};
+        url = ClientInstanceTracker.joinUrl(typeof defaults[guzzle.baseUrlOption] === 'string' ? defaults[guzzle.baseUrlOption] : null, url);
+
+        const headers = { ...PhpHTTPExtractor.asObject(defaults.headers), ...PhpHTTPExtractor.asObject(options.headers) };
+        if (options.auth || defaults.auth) {
+            headers.Authorization = headers.Authorization || '{auth}';
+        }
+
+        return LanguageAdapterRegistry.createHttpCall({
+            language: this.name,
+            callee: `${receiver}->${call.name}`,
+            filePath: module.file,
+            line: call.start.line,
+            column: call.start.column,
+            method: method && /^[a-z]+$/i.test(method) ? method.toUpperCase() : null,
+            url,
+            headers,
+            parameters: PhpHTTPExtractor.asObject(options.query),
+            category: 'php_guzzle',
+            rawCode: module.lines[call.start.line - 1]?.trim()
+        });
+    }
+
+    /**
+     * `curl_exec($ch)`: the URL, method and headers set on the handle since `curl_init`
+     */
+    resolveCurlCall(call, statement, module) {
+        if (call.name !== 'curl_exec' || !call.args[0]) return null;
+
+        const curl = PHP_HTTP_LIBRARIES.php_curl;
+        const handle = PhpHTTPExtractor.toSource(call.args[0]);
+        const init = module.curl.filter(entry => entry.kind === 'init' && entry.handle === handle && entry.line <= statement.line).pop();
+        const since = init ? init.line : 0;
+        const context = { module, line: statement.line };
+
+        let url = init?.args[0] ? this.evaluate(init.args[0], { module, line: init.line }) : null;
+        let method = 'GET';
+        const headers = {};
+
+        const options = module.curl.filter(entry => entry.kind === 'option' && entry.handle === handle && entry.line >= since && entry.line <= statement.line);
+        for (const entry of options) {
+            // curl_setopt($ch, OPTION, value) or curl_setopt_array($ch, [OPTION => value])
+            const pairs = entry.args.length >= 3
+                ? [[PhpHTTPExtractor.toSource(entry.args[1]), entry.args[2]]]
+                : PhpHTTPExtractor.splitArrayEntries(entry.args[1]);
+
+            for (const [option, valueTokens] of pairs) {
+                const optionContext = { module, line: entry.line };
+                if (option === curl.urlOption) {
+                    url = this.evaluate(valueTokens, optionContext);
+                } else if (option === curl.customMethodOption) {
+                    method = this.evaluate(valueTokens, optionContext)?.toUpperCase() || method;
+                } else if (curl.methodOptions[option] && !['false', '0'].includes(PhpHTTPExtractor.toSource(valueTokens).toLowerCase())) {
+                    method = curl.methodOptions[option];
+                } else if (option === curl.headersOption) {
+                    for (const header of Object.values(this.evaluateArray(valueTokens, optionContext) || {})) {
+                        const separator = typeof header === 'string' ? header.indexOf(':') : -1;
+                        if (separator > 0) headers[header.slice(0, separator).trim()] = header.slice(separator + 1).trim();
+                    }
+                }
+            }
+        }
+
+        return LanguageAdapterRegistry.createHttpCall({
+            language: this.name,
+            callee: 'curl_exec',
+            filePath: module.file,
+            line: call.start.line,
+            column: call.start.column,
+            method,
+            url: url || (init ? null : `{${handle}}`),
+            headers,
+            category: 'php_curl',
+            rawCode: module.lines[call.start.line - 1]?.trim()
+        });
+    }
+
+    /**
+     * String value of an expression; what cannot be resolved becomes a `{expression}` placeholder
+     */
+    evaluate(tokens, context, depth = 0) {
+        if (!tokens || tokens.length === 0) return null;
+        const source = PhpHTTPExtractor.toSource(tokens);
+        if (depth > MAX_DEPTH) return `{${source}}`;
+
+        if (tokens[0].value === '(' && PhpHTTPExtractor.findClosing(tokens, 0) === tokens.length - 1) {
+            return this.evaluate(tokens.slice(1, -1), context, depth + 1);
+        }
+
+        // getenv('API_URL') ?: 'https://...', $_ENV['API_URL'] ?? 'https://...'
+        const fallback = [PhpHTTPExtractor.findTopLevel(tokens, '?:'), PhpHTTPExtractor.findTopLevel(tokens, '??')]
+            .filter(index => index > 0)
+            .sort((a, b) => a - b)[0];
+        if (fallback !== undefined) {
+            const value = this.evaluate(tokens.slice(0, fallback), context, depth + 1);
+            return /^\{[^{}]*\}$/.test(value) ? this.evaluate(tokens.slice(fallback + 1), context, depth + 1) : value;
+        }
+
+        // $base . '/users/' . $id
+        const operands = PhpHTTPExtractor.splitTopLevel(tokens, '.');
+        if (operands.length > 1) {
+            return operands.map(operand => this.evaluate(operand, context, depth + 1)).join('');
+        }
+
+        if (tokens.length === 1) {
+            const [token] = tokens;
+            if (token.type === 'string') return token.value;
+            if (token.type === 'template') return this.interpolate(token.value, context, depth);
+            if (token.type === 'number') return token.value;
+            if (token.type === 'name') return this.resolveConstant(token.value, context, depth);
+        }
+
+        // self::BASE_URL, ApiConfig::BASE_URL
+        if (tokens.length === 3 && tokens[1].value === '::' && tokens[2].type === 'name') {
+            return this.resolveConstant(`${tokens[0].value}::${tokens[2].value}`, context, depth);
+        }
+
+        if (tokens[0].type === 'name' && tokens[1]?.value === '(' && PhpHTTPExtractor.findClosing(tokens, 1) === tokens.length - 1) {
+            const name = tokens[0].value.replace(/^\\/, '');
+            const args = PhpHTTPExtractor.splitArguments(tokens, 1);
+
+            // getenv('API_URL'), env('API_URL', 'https://...')
+            if (name === 'getenv' || name === 'env') {
+                return args[1] ? this.evaluate(args[1], context, depth + 1) : `{env: ${this.evaluate(args[0], context, depth + 1)}}`;
+            }
+
+            // sprintf('%s/users/%d', $base, $id)
+            if (name === 'sprintf' && args.length > 0) {
+                let index = 1;
+                return (this.evaluate(args[0], context, depth + 1) || '').replace(/%[-+ 0-9.']*[sdufxX]/g, () => {
+                    const arg = args[index++];
+                    return arg ? this.evaluate(arg, context, depth + 1) : '{param}';
+                });
+            }
+
+            if (['rtrim', 'trim', 'ltrim'].includes(name) && args[0]) {
+                const value = this.evaluate(args[0], context, depth + 1);
+                const chars = args[1] ? this.evaluate(args[1], context, depth + 1) : ' ';
+                const pattern = chars.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                return value.replace(new RegExp(name === 'ltrim' ? `^[${pattern}]+` : name === 'rtrim' ? `[${pattern}]+$` : `^[${pattern}]+|[${pattern}]+$`, 'g'), '');
+            }
+
+            if (['urlencode', 'rawurlencode', 'strval', 'intval'].includes(name) && args[0]) {
+                return this.evaluate(args[0], context, depth + 1);
+            }
+        }
+
+        // $_ENV['API_URL'], $_SERVER['API_URL']
+        if (['$_ENV', '$_SERVER'].includes(tokens[0].value) && tokens[1]?.value === '[') {
+            return `{env: ${this.evaluate(tokens.slice(2, -1), context, depth + 1)}}`;
+        }
+
+        if (PhpHTTPExtractor.isReference(tokens)) {
+            return this.resolveReference(source, context, depth);
+        }
+
+        return `{${source}}`;
+    }
+
+    /**
+     * Latest assignment to a variable or property before the line
+     */
+    resolveReference(reference, context, depth) {
+        const { module, line } = context;
+        const assignments = module.assignments.filter(assignment => assignment.target === reference);
+        const assignment = assignments.filter(candidate => candidate.line < line).pop() ||
+            (reference.startsWith('$this->') ? assignments[0] : null);
+
+        if (!assignment) return `{${reference}}`;
+
+        const value = this.evaluate(assignment.value, { module, line: assignment.line }, depth + 1);
+        // Named variables describe a path segment better than the call that produced them
+        return /^\{[^{}]*\}$/.test(value) && !value.startsWith('{env:') ? `{${reference}}` : value;
+    }
+
+    /**
+     * Value of a global constant, a class constant (self::X, Config::X) or a define()
+     */
+    resolveConstant(name, context, depth) {
+        const [owner, constant] = name.includes('::') ? name.split('::') : [null, name];
+        const className = ['self', 'static'].includes(owner) ? context.module.className : owner?.split('\\').pop();
+        const entry = (className && this.constants.get(`${className}::${constant}`)) ||
+            (!owner && this.constants.get(constant)) ||
+            (['self', 'static'].includes(owner) && context.module.assignments.find(assignment => assignment.target === constant));
+
+        if (!entry) return ['true', 'false', 'null'].includes(name.toLowerCase()) ? name.toLowerCase() : `{${name}}`;
+        return this.evaluate(entry.value, { module: entry.module || context.module, line: entry.line + 1 }, depth + 1);
+    }
+
+    /**
+     * Double-quoted string: "$base/users/{$user->id}" with each variable resolved
+     */
+    interpolate(text, context, depth) {
+        return text.replace(/\{(\$[^{}]+)\}|\$\{(\w+)\}|(\$\w+(?:->\w+)*)/g, (match, braced, dollarBraced, simple) => {
+            const expression = braced || (dollarBraced ? `$${dollarBraced}` : simple);
+            const tokens = PhpHTTPExtractor.splitStatements(PhpHTTPExtractor.tokenize(`<?php ${expression};`))[0]?.tokens;
+            return tokens ? this.evaluate(tokens, context, depth + 1) : `{${expression}}`;
+        });
+    }
+
+    /**
+     * Array literal as an object: string keys keep their name, list items their index
+     */
+    evaluateArray(tokens, context, depth = 0) {
+        if (!tokens || tokens.length === 0 || depth > MAX_DEPTH) return null;
+
+        const entries = PhpHTTPExtractor.splitArrayEntries(tokens);
+        if (entries) {
+            const result = {};
+            entries.forEach(([key, value], index) => {
+                const name = key === null ? index : this.evaluate(PhpHTTPExtractor.tokenize(`<?php ${key}`), context, depth + 1);
+                const isArray = value[0]?.value === '[' || value[0]?.value === 'array';
+                result[name] = isArray ? this.evaluateArray(value, context, depth + 1) : this.evaluate(value, context, depth + 1);
+            });
+            return result;
+        }
+
+        // A variable holding the array
+        if (PhpHTTPExtractor.isReference(tokens)) {
+            const reference = PhpHTTPExtractor.toSource(tokens);
+            const assignment = context.module.assignments.filter(candidate => candidate.target === reference && candidate.line < context.line).pop();
+            if (assignment) return this.evaluateArray(assignment.value, { module: context.module, line: assignment.line }, depth + 1);
+        }
+        return null;
+    }
+
+    static asObject(value) {
+        return value && typeof value === 'object' ? value : null;
+    }
+
+    /**
+     * Entries of `[k => v, v2]` / `array(...)` as [key source or null, value tokens]; null for other expressions
+     */
+    static splitArrayEntries(tokens) {
+        let open = -1;
+        if (tokens?.[0]?.value === '[') open = 0;
+        if (tokens?.[0]?.value === 'array' && tokens[1]?.value === '(') open = 1;
+        if (open === -1 || PhpHTTPExtractor.findClosing(tokens, open) !== tokens.length - 1) return null;
+
+        return PhpHTTPExtractor.splitTopLevel(tokens.slice(open + 1, -1), ',')
+            .filter(entry => entry.length > 0)
+            .map(entry => {
+                const arrow = PhpHTTPExtractor.findTopLevel(entry, '=>');
+                return arrow === -1
+                    ? [null, entry]
+                    : [PhpHTTPExtractor.toSource(entry.slice(0, arrow)), entry.slice(arrow + 1)];
+            });
+    }
+
+    /**
+     * Function calls and method calls in a statement: [{ name, receiver, start, args }]
+     */
+    static findCalls(tokens) {
+        const calls = [];
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.type !== 'name' || tokens[i + 1]?.value !== '(') continue;
+            if (['function', 'fn', 'new'].includes(tokens[i - 1]?.value) || tokens[i - 1]?.value === '::') continue;
+
+            const call = { name: token.value.replace(/^\\/, ''), receiver: null, start: token, args: PhpHTTPExtractor.splitArguments(tokens, i + 1) };
+
+            // $this->client->get(...): the receiver is everything the -> chain hangs off
+            if (tokens[i - 1]?.value === '->' || tokens[i - 1]?.value === '?->') {
+                let start = i - 2;
+                while (start > 0) {
+                    if (tokens[start].value === ')' || tokens[start].value === ']') {
+                        start = PhpHTTPExtractor.findOpening(tokens, start);
+                    }
+                    if (tokens[start - 1]?.value === '->' || tokens[start - 1]?.value === '?->') {
+                        start -= 2;
+                    } else {
+                        break;
+                    }
+                }
+                call.receiver = tokens.slice(start, i - 1);
+                call.start = tokens[start];
+            }
+
+            calls.push(call);
+        }
+
+        return calls;
+    }
+
+    static splitArguments(tokens, open) {
+        const close = PhpHTTPExtractor.findClosing(tokens, open);
+        return PhpHTTPExtractor.splitTopLevel(tokens.slice(open + 1, close), ',')
+            .filter(arg => arg.length > 0)
+            // Named arguments (PHP 8): url: $url
+            .map(arg => arg[0].type === 'name' && arg[1]?.value === ':' ? arg.slice(2) : arg);
+    }
+
+    static splitTopLevel(tokens, separator) {
+        const parts = [[]];
+        let depth = 0;
+
+        for (const token of tokens) {
+            if (token.type === 'op' && OPENING.includes(token.value)) depth++;
+            if (token.type === 'op' && CLOSING.includes(token.value)) depth--;
+
+            if (depth === 0 && token.type === 'op' && token.value === separator) {
+                parts.push([]);
+            } else {
+                parts[parts.length - 1].push(token);
+            }
+        }
+
+        return parts.length === 1 && parts[0].length === 0 ? [] : parts;
+    }
+
+    static findTopLevel(tokens, value) {
+        let depth = 0;
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.type !== 'op') continue;
+            if (OPENING.includes(token.value)) depth++;
+            if (CLOSING.includes(token.value)) depth--;
+            if (depth === 0 && token.value === value) return i;
+        }
+        return -1;
+    }
+
+    static findClosing(tokens, open) {
+        let depth = 0;
+        for (let i = open; i < tokens.length; i++) {
+            if (tokens[i].type !== 'op') continue;
+            if (OPENING.includes(tokens[i].value)) depth++;
+            if (CLOSING.includes(tokens[i].value) && --depth === 0) return i;
+        }
+        return tokens.length - 1;
+    }
+
+    static findOpening(tokens, close) {
+        let depth = 0;
+        for (let i = close; i >= 0; i--) {
+            if (tokens[i].type !== 'op') continue;
+            if (CLOSING.includes(tokens[i].value)) depth++;
+            if (OPENING.includes(tokens[i].value) && --depth === 0) return i;
+        }
+        return 0;
+    }
+
+    /**
+     * `$var`, `$this->prop`, `$this->config->url` (plain variable and property chains)
+     */
+    static isReference(tokens) {
+        return tokens.length > 0 && tokens[0].type === 'variable' && tokens.length % 2 === 1 &&
+            tokens.every((token, i) => i === 0 || (i % 2 === 1 ? ['->', '?->'].includes(token.value) : token.type === 'name'));
+    }
+
+    static toSource(tokens) {
+        return tokens.map(token => token.raw ?? token.value)
+            .join(' ')
+            .replace(/ ?(->|\?->|::|[([\]]) ?/g, '$1')
+            .replace(/ ([),])/g, '$1');
+    }
+
+    /**
+     * Statements between `;`, `{` and `}` outside parentheses: [{ tokens, line }]
+     */
+    static splitStatements(tokens) {
+        const statements = [];
+        let current = [];
+        let depth = 0;
+
+        const flush = () => {
+            if (current.length > 0) {
+                statements.push({ tokens: current, line: current[0].line });
+            }
+            current = [];
+        };
+
+        for (const token of tokens) {
+            if (token.type === 'op' && OPENING.includes(token.value)) depth++;
+            if (token.type === 'op' && CLOSING.includes(token.value)) depth = Math.max(0, depth - 1);
+
+            if (token.type === 'op' && depth === 0 && [';', '{', '}'].includes(token.value) || token.type === 'close') {
+                flush();
+            } else {
+                current.push(token);
+            }
+        }
+        flush();
+
+        return statements;
+    }
+
+    /**
+     * Tokens of the PHP blocks of a file: variables, names (namespaced), strings, templates
+     * (double-quoted and heredoc), numbers and operators, with 1-based lines and 0-based columns
+     */
+    static tokenize(source) {
+        const tokens = [];
+        let line = 1;
+        let lineStart = 0;
+        let i = 0;
+        let inPhp = false;
+
+        const advance = end => {
+            for (let j = i; j < end; j++) {
+                if (source[j] === '\n') {
+                    line++;
+                    lineStart = j + 1;
+                }
+            }
+            i = end;
+        };
+
+        while (i < source.length) {
+            if (!inPhp) {
+                const open = source.indexOf('<?', i);
+                if (open === -1) break;
+                const tag = /^<\?(php|=)?/i.exec(source.slice(open, open + 5))[0];
+                advance(open + tag.length);
+                inPhp = true;
+                continue;
+            }
+
+            const char = source[i];
+            const column = i - lineStart;
+            const tokenLine = line;
+
+            if (source.startsWith('?>', i)) {
+                tokens.push({ type: 'close', value: '?>', line, column });
+                advance(i + 2);
+                inPhp = false;
+                continue;
+            }
+
+            if (/\s/.test(char)) {
+                advance(i + 1);
+                continue;
+            }
+
+            if (source.startsWith('//', i) || (char === '#' && source[i + 1] !== '[')) {
+                let end = i;
+                while (end < source.length && source[end] !== '\n' && !source.startsWith('?>', end)) end++;
+                advance(end);
+                continue;
+            }
+
+            if (source.startsWith('/*', i)) {
+                const end = source.indexOf('*/', i + 2);
+                advance(end === -1 ? source.length : end + 2);
+                continue;
+            }
+
+            if (char === '\'' || char === '"') {
+                let end = i + 1;
+                while (end < source.length && source[end] !== char) end += source[end] === '\\' ? 2 : 1;
+                const raw = source.slice(i, end + 1);
+                const body = raw.slice(1, -1);
+                tokens.push(char === '\''
+                    ? { type: 'string', value: body.replace(/\\(['\\])/g, '$1'), raw, line: tokenLine, column }
+                    : { type: 'template', value: body.replace(/\\(["\\$])/g, '$1'), raw, line: tokenLine, column });
+                advance(end + 1);
+                continue;
+            }
+
+            // <<<EOT heredoc / <<<'EOT' nowdoc
+            const heredoc = /^<<<[ \t]*(["']?)(\w+)\1\r?\n/.exec(source.slice(i, i + 64));
+            if (heredoc) {
+                const bodyStart = i + heredoc[0].length;
+                const closing = new RegExp(`^[ \\t]*${heredoc[2]}\\b`, 'm');
+                const match = closing.exec(source.slice(bodyStart));
+                const bodyEnd = match ? bodyStart + match.index : source.length;
+                const body = source.slice(bodyStart, bodyEnd).replace(/\r?\n$/, '');
+                tokens.push({
+                    type: heredoc[1] === '\'' ? 'string' : 'template',
+                    value: body,
+                    raw: source.slice(i, bodyEnd + (match ? match[0].length : 0)),
+                    line: tokenLine,
+                    column
+                });
+                advance(bodyEnd + (match ? match[0].length : 0));
+                continue;
+            }
+
+            const variable = /^\$\w+/.exec(source.slice(i, i + 256));
+            if (variable) {
+                tokens.push({ type: 'variable', value: variable[0], line, column });
+                advance(i + variable[0].length);
+                continue;
+            }
+
+            const name = /^\\?[A-Za-z_]\w*(\\[A-Za-z_]\w*)*\\?/.exec(source.slice(i, i + 256));
+            if (name) {
+                tokens.push({ type: 'name', value: name[0], line, column });
+                advance(i + name[0].length);
+                continue;
+            }
+
+            const number = /^(0x[\da-f_]+|\d[\d_]*(\.\d+)?(e[+-]?\d+)?)/i.exec(source.slice(i, i + 64));
+            if (number) {
+                tokens.push({ type: 'number', value: number[0], line, column });
+                advance(i + number[0].length);
+                continue;
+            }
+
+            const operator = OPERATORS.exec(source.slice(i, i + 3))[0];
+            tokens.push({ type: 'op', value: operator, line, column });
+            advance(i + operator.length);
+        }
+
+        return tokens;
+    }
+}
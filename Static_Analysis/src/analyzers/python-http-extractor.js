@@ -0,0 +1,689 @@
+import path from 'path';
+import { LanguageAdapterRegistry } from './language-adapter-registry.js';
+import { ClientInstanceTracker } from './client-instance-tracker.js';
+import { PYTHON_HTTP_LIBRARIES } from '../patterns/http-patterns.js';
+
+const CLIENT_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options', 'request', 'stream'];
+const OPERATORS = /^(\*\*=|\/\/=|>>=|<<=|->|:=|==|!=|<=|>=|\*\*|\/\/|<<|>>|[-+*/%&|^@]=|[^\s\w])/;
+const OPENING = '([{';
+const CLOSING = ')]}';
+
+// Resolving a name through other names stops here
+const MAX_DEPTH = 8;
+
+/**
+ * Python HTTP Extractor - requests, httpx and aiohttp calls read from Python source.
+ * Module-level constants, f-strings and imports between analyzed modules resolve the URL.
+ */
+export class PythonHTTPExtractor {
+    constructor() {
+        this.name = 'python';
+        this.extensions = ['.py'];
+        this.modules = new Map(); // file -> indexed module
+    }
+
+    collectDefinitions(content, filePath) {
+        this.modules.set(filePath, this.indexModule(content, filePath));
+    }
+
+    analyze(content, filePath) {
+        const module = this.modules.get(filePath) || this.indexModule(content, filePath);
+        const httpCalls = [];
+
+        for (const statement of module.statements) {
+            for (const call of PythonHTTPExtractor.findCalls(statement.tokens)) {
+                const httpCall = this.resolveRequest(call, statement, module);
+                if (httpCall) {
+                    httpCalls.push(httpCall);
+                }
+            }
+        }
+
+        return httpCalls;
+    }
+
+    /**
+     * Imports, assignments and client instances of a module, in source order
+     */
+    indexModule(content, filePath) {
+        const statements = PythonHTTPExtractor.splitStatements(PythonHTTPExtractor.tokenize(content));
+        const module = {
+            file: filePath,
+            lines: content.split('\n'),
+            statements,
+            imports: new Map(),   // local name -> { module, name }
+            assignments: [],      // { target, value, line, indent }
+            clients: [],          // { name, library, args, line }
+            headerUpdates: []     // { name, args, line }
+        };
+
+        for (const statement of statements) {
+            this.indexStatement(statement, module);
+        }
+
+        return module;
+    }
+
+    indexStatement(statement, module) {
+        const { tokens, line, indent } = statement;
+        const first = tokens[0]?.value;
+
+        if (first === 'import') {
+            // import httpx, requests as r
+            for (const item of PythonHTTPExtractor.splitTopLevel(tokens.slice(1), ',')) {
+                const asIndex = item.findIndex(token => token.value === 'as');
+                const dotted = PythonHTTPExtractor.toSource(asIndex === -1 ? item : item.slice(0, asIndex));
+                const local = asIndex === -1 ? dotted.split('.')[0] : item[asIndex + 1]?.value;
+                module.imports.set(local, { module: asIndex === -1 ? local : dotted, name: null });
+            }
+            return;
+        }
+
+        if (first === 'from') {
+            // from .config import API_URL, Client as HttpClient
+            const importIndex = tokens.findIndex(token => token.value === 'import');
+            if (importIndex === -1) return;
+            const source = PythonHTTPExtractor.toSource(tokens.slice(1, importIndex));
+            const items = tokens.slice(importIndex + 1).filter(token => !'()'.includes(token.value));
+            for (const item of PythonHTTPExtractor.splitTopLevel(items, ',')) {
+                const name = item[0]?.value;
+                if (!name || name === '*') continue;
+                const local = item[1]?.value === 'as' ? item[2]?.value : name;
+                module.imports.set(local, { module: source, name });
+            }
+            return;
+        }
+
+        const withIndex = first === 'async' && tokens[1]?.value === 'with' ? 1 : first === 'with' ? 0 : -1;
+        if (withIndex !== -1) {
+            // with httpx.Client(base_url=BASE) as client:
+            const colon = PythonHTTPExtractor.findTopLevel(tokens, ':', withIndex + 1);
+            const items = tokens.slice(withIndex + 1, colon === -1 ? tokens.length : colon);
+            for (const item of PythonHTTPExtractor.splitTopLevel(items, ',')) {
+                const asIndex = PythonHTTPExtractor.findTopLevel(item, 'as');
+                if (asIndex === -1) continue;
+                this.indexClient(PythonHTTPExtractor.toSource(item.slice(asIndex + 1)), item.slice(0, asIndex), line, module);
+            }
+        }
+
+        // API_URL = "https://..." / self.base_url: str = settings.API_URL
+        const equals = PythonHTTPExtractor.findTopLevel(tokens, '=');
+        if (equals > 0 && !['def', 'class', 'return', 'if', 'elif', 'while', 'for', 'lambda'].includes(first)) {
+            let targetTokens = tokens.slice(0, equals);
+            const annotation = PythonHTTPExtractor.findTopLevel(targetTokens, ':');
+            if (annotation !== -1) targetTokens = targetTokens.slice(0, annotation);
+
+            if (PythonHTTPExtractor.isDottedName(targetTokens)) {
+                const target = PythonHTTPExtractor.toSource(targetTokens);
+                const value = tokens.slice(equals + 1);
+                module.assignments.push({ target, value, line, indent });
+                this.indexClient(target, value, line, module);
+            }
+        }
+
+        // session.headers.update({...})
+        for (const call of PythonHTTPExtractor.findCalls(tokens)) {
+            if (call.parts.length > 2 && call.parts.slice(-2).join('.') === 'headers.update') {
+                module.headerUpdates.push({ name: call.parts.slice(0, -2).join('.'), args: call.args, line });
+            }
+        }
+    }
+
+    /**
+     * Record `name` as a client when `value` constructs a requests Session, httpx Client or aiohttp ClientSession
+     */
+    indexClient(name, value, line, module) {
+        const calls = PythonHTTPExtractor.findCalls(value);
+        const constructor = calls[0];
+        if (!constructor || value[0] !== constructor.start || constructor.close !== value.length - 1) return;
+
+        const qualified = this.qualify(constructor.parts, module);
+        for (const [library, definition] of Object.entries(PYTHON_HTTP_LIBRARIES)) {
+            if (definition.clients.some(client => qualified === `${definition.module}.${client}`)) {
+                module.clients.push({ name, library, args: constructor.args, line });
+                return;
+            }
+        }
+    }
+
+    /**
+     * httpCall for a library request function or a client method, null for anything else
+     */
+    resolveRequest(call, statement, module) {
+        const qualified = this.qualify(call.parts, module);
+        const methodName = call.parts[call.parts.length - 1];
+        const context = { module, line: statement.line };
+
+        let library = null;
+        let client = null;
+        for (const [name, definition] of Object.entries(PYTHON_HTTP_LIBRARIES)) {
+            if (definition.functions.some(fn => qualified === `${definition.module}.${fn}`)) {
+                library = name;
+            }
+        }
+
+        if (!library && call.parts.length > 1 && CLIENT_METHODS.includes(methodName)) {
+            client = this.findClient(call.parts.slice(0, -1).join('.'), statement.line, module);
+            library = client?.library;
+        }
+        if (!library) return null;
+
+        // request(method, url) and stream(method, url) name the method first
+        const takesMethod = methodName === 'request' || methodName === 'stream';
+        const urlArg = PythonHTTPExtractor.getArgument(call.args, 'url', takesMethod ? 1 : 0);
+        const methodArg = takesMethod ? PythonHTTPExtractor.getArgument(call.args, 'method', 0) : null;
+
+        let method = takesMethod ? null : methodName.toUpperCase();
+        if (methodArg) {
+            const value = this.evaluate(methodArg, context);
+            method = value && /^[a-z]+$/i.test(value) ? value.toUpperCase() : null;
+        }
+
+        let url = urlArg ? this.evaluate(urlArg, context) : null;
+        let headers = {};
+
+        if (client) {
+            const defaults = this.getClientDefaults(client, module);
+            url = ClientInstanceTracker.joinUrl(defaults.baseURL, url);
+            headers = { ...defaults.headers };
+        }
+
+        Object.assign(headers, this.evaluateDict(PythonHTTPExtractor.getArgument(call.args, 'headers', -1), context));
+        const auth = PythonHTTPExtractor.getArgument(call.args, 'auth', -1);
+        if (auth) {
+            headers.Authorization = `{${PythonHTTPExtractor.toSource(auth)}}`;
+        }
+
+        return LanguageAdapterRegistry.createHttpCall({
+            language: this.name,
+            callee: call.parts.join('.'),
+            filePath: module.file,
+            line: call.start.line,
+            column: call.start.column,
+            method,
+            url,
+            headers,
+            parameters: this.evaluateDict(PythonHTTPExtractor.getArgument(call.args, 'params', -1), context),
+            category: library,
+            rawCode: module.lines[call.start.line - 1]?.trim()
+        });
+    }
+
+    /**
+     * Base URL and headers a client was created with, plus `headers.update()` and `auth` set on it later
+     */
+    getClientDefaults(client, module) {
+        const context = { module, line: client.line };
+        const option = PYTHON_HTTP_LIBRARIES[client.library].baseUrlOption;
+        const baseURL = option ? PythonHTTPExtractor.getArgument(client.args, option, -1) : null;
+
+        const headers = this.evaluateDict(PythonHTTPExtractor.getArgument(client.args, 'headers', -1), context) || {};
+        for (const update of module.headerUpdates.filter(update => update.name === client.name && update.line >= client.line)) {
+            Object.assign(headers, this.evaluateDict(PythonHTTPExtractor.getArgument(update.args, null, 0), { module, line: update.line }));
+        }
+        if (PythonHTTPExtractor.getArgument(client.args, 'auth', -1) ||
+            module.assignments.some(assignment => assignment.target === `${client.name}.auth`)) {
+            headers.Authorization = headers.Authorization || `{${client.name}.auth}`;
+        }
+
+        return { baseURL: baseURL ? this.evaluate(baseURL, context) : null, headers };
+    }
+
+    /**
+     * Latest client bound to `name` at or before `line`
+     */
+    findClient(name, line, module) {
+        const candidates = module.clients.filter(client => client.name === name);
+        return candidates.filter(client => client.line <= line).pop() || candidates[0] || null;
+    }
+
+    /**
+     * Fully qualified name of a dotted callee through the module's imports (r.get -> requests.get)
+     */
+    qualify(parts, module) {
+        const imported = module.imports.get(parts[0]);
+        if (!imported) return parts.join('.');
+
+        const base = imported.name ? `${imported.module}.${imported.name}` : imported.module;
+        return [base, ...parts.slice(1)].join('.');
+    }
+
+    /**
+     * String value of an expression; what cannot be resolved becomes a `{expression}` placeholder
+     */
+    evaluate(tokens, context, depth = 0) {
+        if (!tokens || tokens.length === 0) return null;
+        const source = PythonHTTPExtractor.toSource(tokens);
+        if (depth > MAX_DEPTH) return `{${source}}`;
+
+        if (tokens[0].value === '(' && PythonHTTPExtractor.findClosing(tokens, 0) === tokens.length - 1) {
+            return this.evaluate(tokens.slice(1, -1), context, depth + 1);
+        }
+
+        // BASE_URL + "/users"
+        const operands = PythonHTTPExtractor.splitTopLevel(tokens, '+');
+        if (operands.length > 1) {
+            return operands.map(operand => this.evaluate(operand, context, depth + 1)).join('');
+        }
+
+        // "%s/users/%d" % (base, user_id)
+        const percent = PythonHTTPExtractor.findTopLevel(tokens, '%');
+        if (percent > 0 && tokens[0].type === 'string') {
+            const template = this.evaluate(tokens.slice(0, percent), context, depth + 1);
+            let values = tokens.slice(percent + 1);
+            if (values[0]?.value === '(' && PythonHTTPExtractor.findClosing(values, 0) === values.length - 1) {
+                values = values.slice(1, -1);
+            }
+            const args = PythonHTTPExtractor.splitTopLevel(values, ',');
+            let index = 0;
+            return template.replace(/%[-+ #0-9.]*[sdirfx]/g, () => {
+                const arg = args[index++];
+                return arg ? this.evaluate(arg, context, depth + 1) : '{param}';
+            });
+        }
+
+        if (tokens.length === 1 && tokens[0].type === 'number') {
+            return tokens[0].value;
+        }
+
+        if (tokens.every(token => token.type === 'string')) {
+            return tokens.map(token => this.evaluateString(token, context, depth)).join('');
+        }
+
+        const call = PythonHTTPExtractor.findCalls(tokens)[0];
+        const isCall = call && call.start === tokens[0] && call.close === tokens.length - 1;
+
+        // "{}/users/{id}".format(base, id=user_id)
+        if (tokens[0].type === 'string' && tokens[1]?.value === '.' && tokens[2]?.value === 'format' && tokens[3]?.value === '(') {
+            const args = PythonHTTPExtractor.splitArguments(tokens, 3);
+            let index = 0;
+            return tokens[0].value.replace(/\{([^{}]*)\}/g, (placeholder, field) => {
+                const key = field.split(/[!:]/)[0];
+                const arg = key === '' ? args.filter(a => !a.name)[index++]
+                    : /^\d+$/.test(key) ? args.filter(a => !a.name)[Number(key)]
+                    : args.find(a => a.name === key);
+                return arg ? this.evaluate(arg.tokens, context, depth + 1) : `{${key || 'param'}}`;
+            });
+        }
+
+        if (isCall) {
+            const name = call.parts.join('.');
+            const args = call.args;
+
+            // os.getenv("API_URL", "http://localhost:8000"), os.environ.get(...)
+            if (['os.getenv', 'getenv', 'os.environ.get', 'environ.get'].includes(name)) {
+                const key = args[0] ? this.evaluate(args[0].tokens, context, depth + 1) : null;
+                return args[1] ? this.evaluate(args[1].tokens, context, depth + 1) : `{env: ${key}}`;
+            }
+
+            // urljoin(BASE_URL, "users")
+            if (name.endsWith('urljoin') && args.length >= 2) {
+                return ClientInstanceTracker.joinUrl(this.evaluate(args[0].tokens, context, depth + 1), this.evaluate(args[1].tokens, context, depth + 1));
+            }
+
+            if (name === 'str' && args.length === 1) {
+                return this.evaluate(args[0].tokens, context, depth + 1);
+            }
+        }
+
+        // os.environ["API_URL"]
+        if (['os.environ', 'environ'].some(prefix => source.startsWith(`${prefix}[`))) {
+            const key = this.evaluate(tokens.slice(tokens.findIndex(token => token.value === '[') + 1, -1), context, depth + 1);
+            return `{env: ${key}}`;
+        }
+
+        if (PythonHTTPExtractor.isDottedName(tokens)) {
+            return this.resolveName(source, context, depth);
+        }
+
+        return `{${source}}`;
+    }
+
+    /**
+     * Value assigned to a name in this module, or in the module it was imported from
+     */
+    resolveName(name, context, depth) {
+        const { module, line } = context;
+
+        const assignments = module.assignments.filter(assignment => assignment.target === name);
+        const assignment = assignments.filter(candidate => candidate.line < line).pop() ||
+            assignments.find(candidate => candidate.indent === 0);
+        if (assignment) {
+            const value = this.evaluate(assignment.value, { module, line: assignment.line }, depth + 1);
+            // Named variables describe a path segment better than the call that produced them
+            return /^\{[^{}]*\}$/.test(value) && !value.startsWith('{env:') ? `{${name}}` : value;
+        }
+
+        // from config import API_URL / import settings; settings.API_URL
+        const [head, ...rest] = name.split('.');
+        const imported = module.imports.get(head);
+        if (imported) {
+            let resolved = null;
+            if (imported.name) {
+                // `from package import module` imports a module rather than a name
+                const separator = imported.module.endsWith('.') ? '' : '.';
+                const submodule = rest.length > 0 ? this.findModule(`${imported.module}${separator}${imported.name}`, module.file) : null;
+                resolved = submodule
+                    ? { module: submodule, name: rest.join('.') }
+                    : { module: this.findModule(imported.module, module.file), name: [imported.name, ...rest].join('.') };
+            } else if (rest.length > 0) {
+                resolved = { module: this.findModule(imported.module, module.file), name: rest.join('.') };
+            }
+
+            if (resolved?.module) {
+                return this.resolveName(resolved.name, { module: resolved.module, line: Infinity }, depth + 1);
+            }
+        }
+
+        return `{${name}}`;
+    }
+
+    /**
+     * Indexed module for an import (`app.config`, `.config`, `..settings`)
+     */
+    findModule(name, fromFile) {
+        const relative = name.match(/^(\.+)(.*)$/);
+        let base = name;
+        if (relative) {
+            let directory = path.dirname(fromFile);
+            for (let i = 1; i < relative[1].length; i++) directory = path.dirname(directory);
+            base = path.join(directory, relative[2].replace(/\./g, '/'));
+        } else {
+            base = `/${name.replace(/\./g, '/')}`;
+        }
+
+        for (const [file, module] of this.modules) {
+            const normalized = file.replace(/\\/g, '/');
+            const candidates = [`${base}.py`, `${base}/__init__.py`].map(candidate => candidate.replace(/\\/g, '/'));
+            if (candidates.some(candidate => relative ? normalized === candidate : normalized.endsWith(candidate))) {
+                return module;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * String literal value; f-string fields resolve like any other expression
+     */
+    evaluateString(token, context, depth) {
+        if (!token.prefix.includes('f')) return token.value;
+
+        let result = '';
+        const text = token.value;
+        for (let i = 0; i < text.length; i++) {
+            if ((text[i] === '{' || text[i] === '}') && text[i + 1] === text[i]) {
+                result += text[i++];
+            } else if (text[i] === '{') {
+                let depthCount = 1;
+                let j = i + 1;
+                while (j < text.length && depthCount > 0) {
+                    if (text[j] === '{') depthCount++;
+                    if (text[j] === '}') depthCount--;
+                    j++;
+                }
+                // {user.id!r:>10} and {value=} keep only the expression
+                const field = text.slice(i + 1, j - 1).replace(/(![rsa])?(:[^:]*)?$/, '').replace(/=\s*$/, '').trim();
+                result += this.evaluate(PythonHTTPExtractor.tokenize(field), context, depth + 1) ?? '';
+                i = j - 1;
+            } else {
+                result += text[i];
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Literal dict (or dict(...) call) with string keys, as an object of evaluated values
+     */
+    evaluateDict(tokens, context) {
+        if (!tokens || tokens.length === 0) return null;
+        const result = {};
+
+        if (tokens[0].value === '{' && PythonHTTPExtractor.findClosing(tokens, 0) === tokens.length - 1) {
+            for (const entry of PythonHTTPExtractor.splitTopLevel(tokens.slice(1, -1), ',')) {
+                const colon = PythonHTTPExtractor.findTopLevel(entry, ':');
+                if (colon <= 0 || entry[0].type !== 'string') continue;
+                result[this.evaluate(entry.slice(0, colon), context)] = this.evaluate(entry.slice(colon + 1), context);
+            }
+            return result;
+        }
+
+        if (tokens[0].value === 'dict' && tokens[1]?.value === '(') {
+            for (const arg of PythonHTTPExtractor.splitArguments(tokens, 1)) {
+                if (arg.name) result[arg.name] = this.evaluate(arg.tokens, context);
+            }
+            return result;
+        }
+
+        // A variable holding the dict
+        if (PythonHTTPExtractor.isDottedName(tokens)) {
+            const name = PythonHTTPExtractor.toSource(tokens);
+            const assignment = context.module.assignments.filter(candidate => candidate.target === name && candidate.line < context.line).pop();
+            if (assignment) {
+                return this.evaluateDict(assignment.value, { module: context.module, line: assignment.line });
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Tokens of an argument by keyword, or by position (-1 for keyword-only)
+     */
+    static getArgument(args, name, position) {
+        const keyword = name ? args.find(arg => arg.name === name) : null;
+        if (keyword) return keyword.tokens;
+
+        const positional = args.filter(arg => !arg.name);
+        return position >= 0 && positional[position] ? positional[position].tokens : null;
+    }
+
+    /**
+     * Dotted calls in a statement: [{ parts, start, close, args }], nested calls included
+     */
+    static findCalls(tokens) {
+        const calls = [];
+
+        for (let i = 0; i < tokens.length; i++) {
+            if (tokens[i].type !== 'name' || tokens[i - 1]?.value === '.' || ['def', 'class'].includes(tokens[i - 1]?.value)) continue;
+
+            const parts = [tokens[i].value];
+            let j = i;
+            while (tokens[j + 1]?.value === '.' && tokens[j + 2]?.type === 'name') {
+                parts.push(tokens[j + 2].value);
+                j += 2;
+            }
+
+            if (tokens[j + 1]?.value === '(') {
+                const close = PythonHTTPExtractor.findClosing(tokens, j + 1);
+                calls.push({ parts, start: tokens[i], close, args: PythonHTTPExtractor.splitArguments(tokens, j + 1) });
+            }
+        }
+
+        return calls;
+    }
+
+    /**
+     * Arguments of the call whose `(` is at `open`: [{ name, tokens }]
+     */
+    static splitArguments(tokens, open) {
+        const close = PythonHTTPExtractor.findClosing(tokens, open);
+        return PythonHTTPExtractor.splitTopLevel(tokens.slice(open + 1, close), ',')
+            .filter(arg => arg.length > 0)
+            .map(arg => arg[0].type === 'name' && arg[1]?.value === '='
+                ? { name: arg[0].value, tokens: arg.slice(2) }
+                : { name: null, tokens: arg[0].value === '*' || arg[0].value === '**' ? [] : arg });
+    }
+
+    static splitTopLevel(tokens, separator) {
+        const parts = [[]];
+        let depth = 0;
+
+        for (const token of tokens) {
+            if (token.type === 'op' && OPENING.includes(token.value)) depth++;
+            if (token.type === 'op' && CLOSING.includes(token.value)) depth--;
+
+            if (depth === 0 && token.value === separator && token.type !== 'string') {
+                parts.push([]);
+            } else {
+                parts[parts.length - 1].push(token);
+            }
+        }
+
+        return parts.length === 1 && parts[0].length === 0 ? [] : parts;
+    }
+
+    static findTopLevel(tokens, value, from = 0) {
+        let depth = 0;
+        for (let i = from; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.type === 'op' && OPENING.includes(token.value)) depth++;
+            if (token.type === 'op' && CLOSING.includes(token.value)) depth--;
+            if (depth === 0 && token.value === value && token.type !== 'string') return i;
+        }
+        return -1;
+    }
+
+    static findClosing(tokens, open) {
+        let depth = 0;
+        for (let i = open; i < tokens.length; i++) {
+            if (tokens[i].type !== 'op') continue;
+            if (OPENING.includes(tokens[i].value)) depth++;
+            if (CLOSING.includes(tokens[i].value) && --depth === 0) return i;
+        }
+        return tokens.length - 1;
+    }
+
+    static isDottedName(tokens) {
+        return tokens.length > 0 && tokens.length % 2 === 1 &&
+            tokens.every((token, i) => i % 2 === 0 ? token.type === 'name' : token.value === '.');
+    }
+
+    static toSource(tokens) {
+        return tokens.map(token => token.type === 'string' ? token.raw : token.value)
+            .join(' ')
+            .replace(/ ?([.([\]]) ?/g, '$1')
+            .replace(/ ([),:])/g, '$1');
+    }
+
+    /**
+     * Logical lines of a token stream: [{ tokens, line, indent }]
+     */
+    static splitStatements(tokens) {
+        const statements = [];
+        let current = [];
+
+        const flush = () => {
+            if (current.length > 0) {
+                statements.push({ tokens: current, line: current[0].line, indent: current[0].column });
+            }
+            current = [];
+        };
+
+        for (const token of tokens) {
+            if (token.type === 'newline' || (token.type === 'op' && token.value === ';')) {
+                flush();
+            } else {
+                current.push(token);
+            }
+        }
+        flush();
+
+        return statements;
+    }
+
+    /**
+     * Names, numbers, strings (with their prefix) and operators with 1-based lines and 0-based columns;
+     * a newline token ends each logical line
+     */
+    static tokenize(source) {
+        const tokens = [];
+        let line = 1;
+        let lineStart = 0;
+        let depth = 0;
+        let i = 0;
+
+        while (i < source.length) {
+            const char = source[i];
+
+            if (char === '\n') {
+                if (depth === 0 && tokens.length > 0 && tokens[tokens.length - 1].type !== 'newline') {
+                    tokens.push({ type: 'newline', value: '\n', line, column: i - lineStart });
+                }
+                line++;
+                lineStart = i + 1;
+                i++;
+                continue;
+            }
+
+            if (char === '\\' && source[i + 1] === '\n') {
+                line++;
+                lineStart = i + 2;
+                i += 2;
+                continue;
+            }
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            if (char === '#') {
+                while (i < source.length && source[i] !== '\n') i++;
+                continue;
+            }
+
+            const start = i;
+            const column = i - lineStart;
+            const tokenLine = line;
+
+            const string = /^([rRbBuUfF]{0,2})("""|'''|"|')/.exec(source.slice(i, i + 5));
+            if (string && (string[1] === '' || !/\w/.test(source[i - 1] || ''))) {
+                const quote = string[2];
+                i += string[0].length;
+                const contentStart = i;
+                while (i < source.length && !source.startsWith(quote, i)) {
+                    if (source[i] === '\\') i++;
+                    else if (source[i] === '\n') {
+                        if (quote.length === 1) break;
+                        line++;
+                        lineStart = i + 1;
+                    }
+                    i++;
+                }
+                const value = source.slice(contentStart, i);
+                i += quote.length;
+                tokens.push({
+                    type: 'string',
+                    value: string[1].toLowerCase().includes('r') ? value : value.replace(/\\(['"\\])/g, '$1'),
+                    prefix: string[1].toLowerCase(),
+                    raw: source.slice(start, i),
+                    line: tokenLine,
+                    column
+                });
+                continue;
+            }
+
+            const name = /^[A-Za-z_]\w*/.exec(source.slice(i, i + 256));
+            if (name) {
+                tokens.push({ type: 'name', value: name[0], line, column });
+                i += name[0].length;
+                continue;
+            }
+
+            const number = /^(0[xob][\da-f_]+|\d[\d_]*(\.\d*)?([eE][+-]?\d+)?j?|\.\d+)/i.exec(source.slice(i, i + 64));
+            if (number) {
+                tokens.push({ type: 'number', value: number[0], line, column });
+                i += number[0].length;
+                continue;
+            }
+
+            const operator = OPERATORS.exec(source.slice(i, i + 3))[0];
+            if (OPENING.includes(operator)) depth++;
+            if (CLOSING.includes(operator)) depth = Math.max(0, depth - 1);
+            tokens.push({ type: 'op', value: operator, line, column });
+            i += operator.length;
+        }
+
+        return tokens;
+    }
+}
@@ -8,6 +8,19 @@ export class ScopeResolver {
         this.configTraces = [];
         this.skipNextTest = false;
         this.scopeStorage = new Map();
+        this.moduleGraph = null;
+    }
+
+    setModuleGraph(moduleGraph) {
+        this.moduleGraph = moduleGraph;
+    }
+
+    /**
+     * Follow an identifier or `namespace.member` imported from another bundle module to its definition
+     */
+    resolveImportedDefinition(node, scope) {
+        if (!this.moduleGraph || !scope || !node) return null;
+        return this.moduleGraph.resolveReference(node, scope);
     }
 
     addConfigTrace(name, value, file, line) {
@@ -18,6 +31,13 @@ export class ScopeResolver {
         if (!scope) return `{unresolved: ${varName}}`;
 
         const binding = scope.getBinding(varName);
+        if (binding && binding.kind === 'module') {
+            const imported = this.resolveImportedDefinition(t.identifier(varName), scope);
+            if (imported) {
+                return this.extractValueFromNode(imported.node, imported.scope);
+            }
+        }
+
         if (!binding) {
             let currentScope = scope.parent;
             while (currentScope) {
@@ -884,6 +904,11 @@ export class ScopeResolver {
             }
         }
 
+        const imported = this.resolveImportedDefinition(memberExpr, scope);
+        if (imported) {
+            return this.extractValueFromNode(imported.node, imported.scope);
+        }
+
         // to remove:
         if (t.isThisExpression(memberExpr.object.object)) {
             const data = JsonConfigScanner.getJsonData();
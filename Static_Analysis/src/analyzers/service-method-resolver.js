@@ -866,10 +866,7 @@ export class ServiceMethodResolver {
      */
     createPlaceholder(expr) {
         if (t.isIdentifier(expr)) {
-            const name = expr.name;
-            if (name.toLowerCase().includes('id')) return '{id}';
-            if (name.toLowerCase().includes('status')) return '{status}';
-            return `{${name}}`;
+            return `{${expr.name}}`;
         }
         return '{expr}';
     }
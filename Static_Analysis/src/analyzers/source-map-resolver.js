@@ -0,0 +1,301 @@
+import fs from 'fs';
+import path from 'path';
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_VALUES = new Map([...BASE64_CHARS].map((char, index) => [char, index]));
+
+// Matches both `//# sourceMappingURL=...` and the legacy `//@` / `/*# ... */` forms
+const SOURCE_MAPPING_URL = /(?:\/\/|\/\*)[#@]\s*sourceMappingURL=([^\s'"*]+)\s*(?:\*\/)?/g;
+
+/**
+ * Source Map Resolver - Maps bundle positions back to the original source files
+ */
+export class SourceMapResolver {
+    constructor() {
+        this.maps = new Map(); // bundle filePath -> parsed map (or null when none was found)
+        this.readFile = null;  // map file path -> content or null, when maps are not read from disk
+    }
+
+    setFileReader(readFile) {
+        this.readFile = readFile;
+    }
+
+    /**
+     * Locate and parse the source map for a bundle.
+     * Looks at the sourceMappingURL comment (inline data URI or relative file) first,
+     * then falls back to a sibling `<file>.map`.
+     */
+    loadForFile(filePath, content) {
+        if (this.maps.has(filePath)) {
+            return this.maps.get(filePath);
+        }
+
+        let sourceMap = null;
+        try {
+            const raw = this.readRawMap(filePath, content);
+            if (raw) {
+                sourceMap = this.parseMap(JSON.parse(raw));
+            }
+        } catch (error) {
+            console.debug(`⚠️  Could not load source map for ${filePath}: ${error.message}`);
+        }
+
+        this.maps.set(filePath, sourceMap);
+        return sourceMap;
+    }
+
+    readRawMap(filePath, content) {
+        const mappingUrl = this.findSourceMappingUrl(content);
+
+        if (mappingUrl && mappingUrl.startsWith('data:')) {
+            return this.decodeDataUri(mappingUrl);
+        }
+
+        const candidates = [];
+        if (mappingUrl) {
+            // Remote map URLs are looked up next to the bundle under the same file name
+            const isRemote = /^[a-z][a-z0-9+.-]*:\/\//i.test(mappingUrl);
+            const mapPath = isRemote
+                ? path.basename(new URL(mappingUrl).pathname)
+                : decodeURIComponent(mappingUrl.split(/[?#]/)[0]);
+            candidates.push(path.resolve(path.dirname(filePath), mapPath));
+        }
+        candidates.push(`${filePath}.map`);
+
+        for (const candidate of candidates) {
+            if (this.readFile) {
+                const raw = this.readFile(candidate);
+                if (raw !== null) return raw;
+            } else if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+                return fs.readFileSync(candidate, 'utf8');
+            }
+        }
+
+        return null;
+    }
+
+    findSourceMappingUrl(content) {
+        if (!content || !content.includes('sourceMappingURL')) return null;
+
+        // The last annotation in the file wins
+        let url = null;
+        for (const match of content.matchAll(SOURCE_MAPPING_URL)) {
+            url = match[1];
+        }
+        return url;
+    }
+
+    decodeDataUri(uri) {
+        const commaIndex = uri.indexOf(',');
+        if (commaIndex === -1) return null;
+
+        const meta = uri.substring(5, commaIndex);
+        const payload = uri.substring(commaIndex + 1);
+
+        return meta.split(';').includes('base64')
+            ? Buffer.from(payload, 'base64').toString('utf8')
+            : decodeURIComponent(payload);
+    }
+
+    /**
+     * Normalize a raw v3 map into decoded per-line segments
+     */
+    parseMap(raw) {
+        if (!raw || raw.version !== 3) return null;
+
+        // Index maps: flatten every section into one line table
+        if (Array.isArray(raw.sections)) {
+            return this.parseIndexMap(raw);
+        }
+
+        const sourceRoot = raw.sourceRoot || '';
+        const sources = (raw.sources || []).map(source => this.normalizeSourcePath(source, sourceRoot));
+
+        return {
+            sources,
+            sourcesContent: raw.sourcesContent || [],
+            names: raw.names || [],
+            lines: this.decodeMappings(raw.mappings || '')
+        };
+    }
+
+    parseIndexMap(raw) {
+        const merged = { sources: [], sourcesContent: [], names: [], lines: [] };
+
+        for (const section of raw.sections) {
+            const child = section.map ? this.parseMap(section.map) : null;
+            if (!child) continue;
+
+            const sourceOffset = merged.sources.length;
+            const nameOffset = merged.names.length;
+            merged.sources.push(...child.sources);
+            merged.sourcesContent.push(...child.sources.map((_, i) => child.sourcesContent[i] ?? null));
+            merged.names.push(...child.names);
+
+            const lineOffset = section.offset?.line || 0;
+            const columnOffset = section.offset?.column || 0;
+
+            child.lines.forEach((segments, lineIndex) => {
+                const target = lineIndex + lineOffset;
+                merged.lines[target] = merged.lines[target] || [];
+                for (const segment of segments) {
+                    const shifted = [...segment];
+                    shifted[0] += lineIndex === 0 ? columnOffset : 0;
+                    if (shifted.length >= 4) shifted[1] += sourceOffset;
+                    if (shifted.length === 5) shifted[4] += nameOffset;
+                    merged.lines[target].push(shifted);
+                }
+            });
+        }
+
+        for (let i = 0; i < merged.lines.length; i++) {
+            merged.lines[i] = (merged.lines[i] || []).sort((a, b) => a[0] - b[0]);
+        }
+
+        return merged;
+    }
+
+    /**
+     * Decode the VLQ `mappings` string into [generatedColumn, sourceIndex, originalLine, originalColumn, nameIndex] segments
+     */
+    decodeMappings(mappings) {
+        const lines = [];
+        let sourceIndex = 0;
+        let originalLine = 0;
+        let originalColumn = 0;
+        let nameIndex = 0;
+
+        for (const lineText of mappings.split(';')) {
+            const segments = [];
+            let generatedColumn = 0;
+
+            for (const segmentText of lineText.split(',')) {
+                if (!segmentText) continue;
+
+                const fields = this.decodeVlq(segmentText);
+                generatedColumn += fields[0];
+                const segment = [generatedColumn];
+
+                if (fields.length >= 4) {
+                    sourceIndex += fields[1];
+                    originalLine += fields[2];
+                    originalColumn += fields[3];
+                    segment.push(sourceIndex, originalLine, originalColumn);
+
+                    if (fields.length >= 5) {
+                        nameIndex += fields[4];
+                        segment.push(nameIndex);
+                    }
+                }
+
+                segments.push(segment);
+            }
+
+            lines.push(segments.sort((a, b) => a[0] - b[0]));
+        }
+
+        return lines;
+    }
+
+    decodeVlq(text) {
+        const values = [];
+        let value = 0;
+        let shift = 0;
+
+        for (const char of text) {
+            const digit = BASE64_VALUES.get(char);
+            if (digit === undefined) {
+                throw new Error(`Invalid base64 VLQ character: ${char}`);
+            }
+
+            value += (digit & 31) << shift;
+
+            if (digit & 32) {
+                shift += 5;
+            } else {
+                const negative = value & 1;
+                value >>>= 1;
+                values.push(negative ? -value : value);
+                value = 0;
+                shift = 0;
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * Strip bundler prefixes (webpack://app/, ./, ?hash) so sources read like repository paths
+     */
+    normalizeSourcePath(source, sourceRoot = '') {
+        let normalized = `${sourceRoot && !/^[a-z]+:/i.test(source) ? sourceRoot.replace(/\/?$/, '/') : ''}${source || ''}`;
+
+        normalized = normalized
+            .replace(/^webpack:\/\/[^/]*\//, '')
+            .replace(/^(?:vite|rollup|ng):\/\/?/, '')
+            .replace(/^file:\/\//, '')
+            .replace(/[?#].*$/, '')
+            .replace(/\\/g, '/');
+
+        while (normalized.startsWith('./')) {
+            normalized = normalized.substring(2);
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Translate a generated position (1-based line, 0-based column) to its original position
+     */
+    originalPositionFor(filePath, line, column = 0) {
+        const sourceMap = this.maps.get(filePath);
+        if (!sourceMap || !line) return null;
+
+        const segments = sourceMap.lines[line - 1];
+        if (!segments || segments.length === 0) return null;
+
+        // Binary search for the last segment starting at or before the column
+        let low = 0;
+        let high = segments.length - 1;
+        let found = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (segments[mid][0] <= column) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        const segment = segments[found === -1 ? 0 : found];
+        if (segment.length < 4) return null;
+
+        return {
+            source: sourceMap.sources[segment[1]],
+            line: segment[2] + 1,
+            column: segment[3],
+            name: segment.length === 5 ? sourceMap.names[segment[4]] : null
+        };
+    }
+
+    /**
+     * Original sources that ship their code inside the map (`sourcesContent`)
+     */
+    getOriginalSources(filePath) {
+        const sourceMap = this.maps.get(filePath);
+        if (!sourceMap) return [];
+
+        return sourceMap.sources
+            .map((source, index) => ({ source, content: sourceMap.sourcesContent[index] }))
+            .filter(entry => typeof entry.content === 'string' && entry.content.length > 0);
+    }
+
+    hasSourceMap(filePath) {
+        return !!this.maps.get(filePath);
+    }
+
+    clear() {
+        this.maps.clear();
+    }
+}
@@ -20,9 +20,13 @@ export class StaticValueResolver {
      * Analyze a file to extract all variable assignments and property definitions
      */
     analyzeFile(ast, filePath) {
+        traverse(ast, this.getVisitor(filePath));
+    }
+
+    getVisitor(filePath) {
         this.currentFile = filePath;
         
-        traverse(ast, {
+        return {
             // Variable declarations: var x = "value"
             VariableDeclarator: (path) => {
                 this.handleVariableDeclarator(path);
@@ -42,7 +46,7 @@ export class StaticValueResolver {
             ClassProperty: (path) => {
                 this.handleClassProperty(path);
             }
-        });
+        };
     }
 
     handleVariableDeclarator(path) {
@@ -363,6 +367,24 @@ export class StaticValueResolver {
         };
     }
 
+    /**
+     * Add values resolved by another resolver, in the shape getAllResolvedValues() returns.
+     * Without `overwrite`, values this resolver found itself are kept.
+     */
+    mergeResolvedValues(values, { overwrite = true } = {}) {
+        const targets = [
+            [this.variableAssignments, values.variables],
+            [this.objectProperties, values.objectProperties],
+            [this.classProperties, values.classProperties]
+        ];
+
+        for (const [target, entries] of targets) {
+            for (const [key, data] of entries) {
+                if (overwrite || !target.has(key)) target.set(key, data);
+            }
+        }
+    }
+
     clear() {
         this.variableAssignments.clear();
         this.objectProperties.clear();
@@ -0,0 +1,620 @@
+import * as t from '@babel/types';
+import _traverse from '@babel/traverse';
+import path from 'path';
+import { AstUtils } from '../ast/ast-utils.js';
+import { HTTP_METHODS } from '../patterns/http-patterns.js';
+
+const traverse = _traverse.default;
+
+const FETCH_CALLEES = ['fetch', 'window.fetch', 'globalThis.fetch', 'self.fetch'];
+const AXIOS_VERBS = ['get', 'delete', 'head', 'options', 'post', 'put', 'patch'];
+
+// Wrappers of wrappers are resolved one layer per round
+const MAX_WRAPPER_DEPTH = 8;
+
+/**
+ * Wrapper Function Analyzer - Finds project functions that forward a parameter into fetch, axios,
+ * XHR or HttpClient and evaluates their URL and method for each call site
+ */
+export class WrapperFunctionAnalyzer {
+    constructor(clientInstanceTracker, interceptorAnalyzer) {
+        this.clientInstanceTracker = clientInstanceTracker;
+        this.scopeResolver = clientInstanceTracker.scopeResolver;
+        this.interceptorAnalyzer = interceptorAnalyzer;
+        this.candidates = new Map();      // definition key -> { key, name, fnPath, file }
+        this.exports = new Map();         // module path#exportName -> exported function or object literal
+        this.calledNames = new Set();     // callee names seen anywhere, to tell whether a wrapper is used
+        this.wrappers = new Map();        // definition key -> candidate with its forwarding sink
+        this.forwardedCalls = new Set();  // keys of sink calls reported at the wrapper's call sites instead
+        this.resolved = false;
+    }
+
+    /**
+     * Index functions that could wrap an HTTP call, and the names functions are called by
+     */
+    analyzeFile(ast, filePath) {
+        traverse(ast, this.getVisitor(filePath));
+    }
+
+    getVisitor(filePath) {
+        this.resolved = false;
+
+        return {
+            'FunctionDeclaration|FunctionExpression|ArrowFunctionExpression|ClassMethod|ObjectMethod': (path) => {
+                const name = this.getFunctionName(path);
+                if (name && path.node.params.length > 0) {
+                    const key = this.clientInstanceTracker.getDefinitionKey(path.node, path.scope, filePath);
+                    this.candidates.set(key, { key, name, displayName: this.getQualifiedName(path, name), fnPath: path, file: filePath });
+                }
+            },
+
+            ExportNamedDeclaration: (path) => {
+                this.handleNamedExport(path, filePath);
+            },
+
+            ExportDefaultDeclaration: (path) => {
+                const declaration = path.get('declaration');
+                if (this.isFunctionPath(declaration) || declaration.isObjectExpression()) {
+                    this.addExport(filePath, 'default', declaration);
+                }
+            },
+
+            CallExpression: (path) => {
+                const callee = path.node.callee;
+                if (t.isIdentifier(callee)) {
+                    this.calledNames.add(callee.name);
+                } else if (t.isMemberExpression(callee)) {
+                    const name = this.getPropertyName(callee);
+                    if (name) this.calledNames.add(name);
+                }
+            }
+        };
+    }
+
+    handleNamedExport(path, filePath) {
+        const declaration = path.get('declaration');
+
+        if (declaration.isFunctionDeclaration() && declaration.node.id) {
+            this.addExport(filePath, declaration.node.id.name, declaration);
+        }
+
+        if (declaration.isVariableDeclaration()) {
+            for (const declarator of declaration.get('declarations')) {
+                const init = declarator.get('init');
+                if (t.isIdentifier(declarator.node.id) && (this.isFunctionPath(init) || init.isObjectExpression())) {
+                    this.addExport(filePath, declarator.node.id.name, init);
+                }
+            }
+        }
+    }
+
+    addExport(filePath, exportName, path) {
+        this.exports.set(this.clientInstanceTracker.exportKey(filePath, exportName),
+            { node: path.node, scope: path.scope, file: filePath, name: exportName });
+    }
+
+    /**
+     * Name a function is called by: declarations, `const request = (...) =>`, methods and object members
+     */
+    getFunctionName(path) {
+        if (path.isFunctionDeclaration()) return path.node.id?.name || null;
+        if (path.isClassMethod() || path.isObjectMethod()) {
+            return path.node.kind === 'method' ? this.getKeyName(path.node.key) : null;
+        }
+
+        const parent = path.parentPath;
+        if (parent.isVariableDeclarator() && t.isIdentifier(parent.node.id)) return parent.node.id.name;
+        if ((parent.isObjectProperty() || parent.isClassProperty()) && parent.node.value === path.node) {
+            return this.getKeyName(parent.node.key);
+        }
+        return null;
+    }
+
+    /**
+     * `Service.request`, `api.get` - methods named after their class or object
+     */
+    getQualifiedName(path, name) {
+        const owner = path.findParent(p => p.isClass() || p.isObjectExpression());
+        if (!owner || !(path.isClassMethod() || path.isObjectMethod() || path.parentPath.isClassProperty() || path.parentPath.parentPath === owner)) return name;
+
+        if (owner.isClass()) {
+            return owner.node.id ? `${owner.node.id.name}.${name}` : name;
+        }
+        const declarator = owner.parentPath;
+        return declarator.isVariableDeclarator() && t.isIdentifier(declarator.node.id) ? `${declarator.node.id.name}.${name}` : name;
+    }
+
+    /**
+     * Find every wrapper, innermost first, then mark the forwarding calls of wrappers that have call sites
+     */
+    resolveWrappers() {
+        if (this.resolved) return;
+        this.resolved = true;
+
+        for (let round = 0; round < MAX_WRAPPER_DEPTH; round++) {
+            let found = false;
+
+            for (const candidate of this.candidates.values()) {
+                if (this.wrappers.has(candidate.key)) continue;
+
+                const sink = this.findForwardingSink(candidate);
+                if (sink) {
+                    this.wrappers.set(candidate.key, { ...candidate, sink });
+                    found = true;
+                }
+            }
+
+            if (!found) break;
+        }
+
+        for (const wrapper of this.wrappers.values()) {
+            if (this.calledNames.has(wrapper.name)) {
+                const sinkPath = wrapper.sink.callPath;
+                this.forwardedCalls.add(this.clientInstanceTracker.getDefinitionKey(sinkPath.node, sinkPath.scope, wrapper.file));
+            }
+        }
+    }
+
+    /**
+     * First call in the function that sends a request (or calls another wrapper) with a URL built from its parameters
+     */
+    findForwardingSink(candidate) {
+        const fnNode = candidate.fnPath.node;
+        let sink = null;
+
+        candidate.fnPath.traverse({
+            CallExpression: (callPath) => {
+                if (sink) return;
+
+                const httpSink = this.getHttpSink(callPath, candidate.file);
+                if (httpSink) {
+                    if (this.dependsOnParams(httpSink.url.node, callPath.scope, fnNode)) {
+                        sink = { kind: 'http', callPath, ...httpSink };
+                        callPath.stop();
+                    }
+                    return;
+                }
+
+                const inner = this.resolveCallTarget(callPath.node.callee, callPath.scope, candidate.file);
+                if (inner && inner.key !== candidate.key &&
+                    callPath.node.arguments.some(arg => this.dependsOnParams(arg, callPath.scope, fnNode))) {
+                    sink = { kind: 'wrapper', callPath, target: inner };
+                    callPath.stop();
+                }
+            }
+        });
+
+        return sink;
+    }
+
+    /**
+     * Direct HTTP call: where its URL and method come from.
+     * URL and method are { node, property? } (read `property` off the node) or { value }.
+     */
+    getHttpSink(callPath, filePath) {
+        const { callee, arguments: args } = callPath.node;
+        const calleeInfo = AstUtils.getCalleeInfo2(callee);
+
+        if (FETCH_CALLEES.includes(calleeInfo)) {
+            return { library: 'fetch', url: { node: args[0] }, method: { node: args[1], property: 'method' } };
+        }
+
+        // Client instances created with axios.create, ky.create, ofetch.create or wretch
+        const clientCall = this.clientInstanceTracker.resolveClientCall(callPath, filePath);
+        if (clientCall?.role === 'request') {
+            return {
+                library: clientCall.instance.library,
+                url: { node: clientCall.urlNode },
+                method: { value: clientCall.method },
+                clientCall
+            };
+        }
+        if (clientCall) return null;
+
+        const base = t.isMemberExpression(callee) ? callee.object : callee;
+        const method = t.isMemberExpression(callee) ? this.getPropertyName(callee) : null;
+
+        if (this.interceptorAnalyzer.isAxiosDefault(base, callPath.scope)) {
+            if (AXIOS_VERBS.includes(method)) {
+                return { library: 'axios', url: { node: args[0] }, method: { value: method.toUpperCase() } };
+            }
+            // axios(config), axios.request(config) and axios(url, config)
+            if (method === null || method === 'request') {
+                return t.isObjectExpression(args[0]) || (args.length === 1 && !t.isStringLiteral(args[0]) && !t.isTemplateLiteral(args[0]))
+                    ? { library: 'axios', url: { node: args[0], property: 'url' }, method: { node: args[0], property: 'method' } }
+                    : { library: 'axios', url: { node: args[0] }, method: { node: args[1], property: 'method' } };
+            }
+            return null;
+        }
+
+        if (this.interceptorAnalyzer.isAngularHttpClientCall(callPath)) {
+            return method === 'request'
+                ? { library: 'angular', url: { node: args[1] }, method: { node: args[0] } }
+                : { library: 'angular', url: { node: args[0] }, method: { value: method.toUpperCase() } };
+        }
+
+        // xhr.open(method, url) on a `new XMLHttpRequest()`
+        if (method === 'open' && t.isIdentifier(base)) {
+            const binding = callPath.scope.getBinding(base.name);
+            const init = binding?.path.isVariableDeclarator() ? binding.path.node.init : null;
+            if (t.isNewExpression(init) && t.isIdentifier(init.callee, { name: 'XMLHttpRequest' })) {
+                return { library: 'xhr', url: { node: args[1] }, method: { node: args[0] } };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Whether an expression reads one of the function's parameters, directly or through local variables
+     */
+    dependsOnParams(node, scope, fnNode, seen = new Set()) {
+        if (!node || seen.has(node)) return false;
+        seen.add(node);
+
+        if (t.isIdentifier(node)) {
+            const binding = scope.getBinding(node.name);
+            if (!binding) return false;
+            if (binding.kind === 'param') return binding.scope.block === fnNode;
+
+            const declarator = binding.path;
+            return declarator.isVariableDeclarator() && !!declarator.node.init &&
+                declarator.node.start >= fnNode.start && declarator.node.end <= fnNode.end &&
+                this.dependsOnParams(declarator.node.init, binding.scope, fnNode, seen);
+        }
+
+        if (t.isMemberExpression(node)) {
+            return this.dependsOnParams(node.object, scope, fnNode, seen) ||
+                (node.computed && this.dependsOnParams(node.property, scope, fnNode, seen));
+        }
+
+        if (t.isObjectProperty(node)) {
+            return this.dependsOnParams(node.value, scope, fnNode, seen) ||
+                (node.computed && this.dependsOnParams(node.key, scope, fnNode, seen));
+        }
+
+        if (t.isFunction(node)) return false;
+
+        for (const key of t.VISITOR_KEYS[node.type] || []) {
+            const child = node[key];
+            const children = Array.isArray(child) ? child : [child];
+            if (children.some(item => item && typeof item.type === 'string' && this.dependsOnParams(item, scope, fnNode, seen))) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Wrapper a callee refers to: local functions, `this.method`, object literal members and imports
+     */
+    resolveCallTarget(callee, scope, filePath) {
+        let target = null;
+
+        if (t.isIdentifier(callee)) {
+            target = this.resolveFunctionBinding(callee, scope, filePath);
+        } else if (t.isMemberExpression(callee)) {
+            const name = this.getPropertyName(callee);
+            if (!name) return null;
+
+            if (t.isThisExpression(callee.object)) {
+                const classPath = scope.path.isClass() ? scope.path : scope.path.findParent(p => p.isClass());
+                const method = classPath?.get('body.body').find(member =>
+                    member.isClassMethod() && this.getKeyName(member.node.key) === name);
+                target = method ? { node: method.node, scope: method.scope, file: filePath } : null;
+            } else if (t.isIdentifier(callee.object)) {
+                const object = this.resolveObjectBinding(callee.object, scope, filePath);
+                target = object ? this.findObjectMember(object, name) : null;
+            }
+
+            // `r.Z.request(...)` or `api.request(...)` imported from another bundle module
+            if (!target) {
+                const definition = this.scopeResolver.resolveImportedDefinition(callee, scope);
+                target = definition && t.isFunction(definition.node) ? { ...definition, file: filePath } : null;
+            }
+        }
+
+        if (!target) return null;
+
+        const key = this.clientInstanceTracker.getDefinitionKey(target.node, target.scope, target.file);
+        return this.wrappers.get(key) || null;
+    }
+
+    resolveFunctionBinding(identifier, scope, filePath) {
+        const binding = scope.getBinding(identifier.name);
+        if (!binding) return null;
+
+        if (binding.path.isFunctionDeclaration()) {
+            return { node: binding.path.node, scope: binding.path.scope, file: filePath };
+        }
+        if (binding.path.isVariableDeclarator()) {
+            const init = binding.path.get('init');
+            return this.isFunctionPath(init) ? { node: init.node, scope: init.scope, file: filePath } : null;
+        }
+
+        const exported = binding.kind === 'module' ? this.resolveImport(identifier, binding, scope, filePath) : null;
+        return exported && t.isFunction(exported.node) ? exported : null;
+    }
+
+    resolveObjectBinding(identifier, scope, filePath) {
+        const binding = scope.getBinding(identifier.name);
+        if (!binding) return null;
+
+        if (binding.path.isVariableDeclarator()) {
+            const init = binding.path.node.init;
+            return t.isObjectExpression(init) ? { node: init, scope: binding.scope, file: filePath } : null;
+        }
+
+        const exported = binding.kind === 'module' ? this.resolveImport(identifier, binding, scope, filePath) : null;
+        return exported && t.isObjectExpression(exported.node) ? exported : null;
+    }
+
+    /**
+     * Definition behind an import binding: bundle module graph, relative sources, then a unique export name
+     */
+    resolveImport(identifier, binding, scope, filePath) {
+        const definition = this.scopeResolver.resolveImportedDefinition(identifier, scope);
+        if (definition) return { ...definition, file: filePath };
+
+        const declaration = binding.path.parent;
+        if (!t.isImportDeclaration(declaration)) return null;
+
+        const specifier = binding.path.node;
+        const imported = t.isImportDefaultSpecifier(specifier)
+            ? 'default'
+            : t.isImportSpecifier(specifier) ? this.getKeyName(specifier.imported) : null;
+        if (!imported) return null;
+
+        const source = declaration.source.value;
+        if (source.startsWith('.')) {
+            return this.exports.get(this.clientInstanceTracker.exportKey(path.resolve(path.dirname(filePath), source), imported)) || null;
+        }
+
+        // Path aliases (`@/api`) cannot be resolved here
+        if (imported === 'default') return null;
+        const candidates = [...this.exports.values()].filter(entry => entry.name === imported);
+        return candidates.length === 1 ? candidates[0] : null;
+    }
+
+    findObjectMember(object, name) {
+        for (const property of object.node.properties) {
+            if (this.getKeyName(property.key) !== name || property.computed) continue;
+            if (t.isObjectMethod(property)) return { ...object, node: property };
+            if (t.isObjectProperty(property) && t.isFunction(property.value)) return { ...object, node: property.value };
+        }
+        return null;
+    }
+
+    isWrapperCall(astPath, filePath) {
+        this.resolveWrappers();
+        return this.wrappers.size > 0 && !!this.resolveCallTarget(astPath.node.callee, astPath.scope, filePath);
+    }
+
+    /**
+     * Calls inside a wrapper that only forward its parameters; the wrapper's call sites are reported instead
+     */
+    isForwardedCall(astPath, filePath) {
+        this.resolveWrappers();
+        return this.forwardedCalls.size > 0 &&
+            this.forwardedCalls.has(this.clientInstanceTracker.getDefinitionKey(astPath.node, astPath.scope, filePath));
+    }
+
+    /**
+     * Follow a wrapper call down to the HTTP call it ends in, evaluating URL and method with the call's arguments
+     */
+    resolveWrapperCall(astPath, filePath) {
+        this.resolveWrappers();
+        if (this.wrappers.size === 0) return null;
+
+        let wrapper = this.resolveCallTarget(astPath.node.callee, astPath.scope, filePath);
+        if (!wrapper) return null;
+
+        const chain = [wrapper];
+        let env = this.bindArguments(wrapper.fnPath, astPath.node.arguments, astPath.scope, null);
+
+        while (wrapper.sink.kind === 'wrapper' && chain.length <= MAX_WRAPPER_DEPTH) {
+            const { callPath, target } = wrapper.sink;
+            env = this.bindArguments(target.fnPath, callPath.node.arguments, callPath.scope, env);
+            wrapper = target;
+            chain.push(wrapper);
+        }
+        if (wrapper.sink.kind !== 'http') return null;
+
+        const sink = wrapper.sink;
+        const sinkScope = sink.callPath.scope;
+        const url = this.evaluateSpec(sink.url, sinkScope, env);
+        const method = this.evaluateSpec(sink.method, sinkScope, env);
+
+        return {
+            name: chain[0].displayName,
+            chain: chain.map(entry => entry.displayName),
+            definedAt: {
+                file: path.basename(chain[0].file),
+                line: chain[0].fnPath.node.loc ? chain[0].fnPath.node.loc.start.line : 0
+            },
+            library: sink.library,
+            url: url ?? null,
+            method: this.normalizeMethod(method),
+            clientCall: sink.clientCall || null,
+            sinkPath: sink.callPath
+        };
+    }
+
+    normalizeMethod(method) {
+        // fetch, axios(config) and XHR default to GET when no method is passed
+        if (method === undefined || method === null) return 'GET';
+        const upper = String(method).toUpperCase();
+        return HTTP_METHODS.includes(upper) ? upper : null;
+    }
+
+    /**
+     * Parameters of a wrapper mapped to the argument expressions of one call
+     */
+    bindArguments(fnPath, args, scope, outerEnv) {
+        const env = { fnNode: fnPath.node, args: new Map() };
+
+        fnPath.node.params.forEach((param, index) => {
+            const arg = args[index] && !t.isSpreadElement(args[index]) ? args[index] : null;
+            const identifier = t.isAssignmentPattern(param) ? param.left : param;
+            if (!t.isIdentifier(identifier)) return;
+
+            if (arg) {
+                env.args.set(identifier.name, { node: arg, scope, env: outerEnv });
+            } else if (t.isAssignmentPattern(param)) {
+                env.args.set(identifier.name, { node: param.right, scope: fnPath.scope, env });
+            }
+        });
+
+        return env;
+    }
+
+    evaluateSpec(spec, scope, env) {
+        if (!spec) return undefined;
+        if ('value' in spec) return spec.value;
+        if (!spec.node) return undefined;
+
+        if (spec.property) {
+            const result = this.evaluateProperty(spec.node, scope, env, spec.property, 0);
+            return result.found ? result.value : undefined;
+        }
+        return this.evaluate(spec.node, scope, env, 0);
+    }
+
+    /**
+     * Evaluate an expression to a string, substituting wrapper arguments; runtime-only parts become `{name}`
+     */
+    evaluate(node, scope, env, depth) {
+        if (!node || depth > 25) return undefined;
+
+        if (t.isStringLiteral(node)) return node.value;
+        if (t.isNumericLiteral(node) || t.isBooleanLiteral(node)) return String(node.value);
+
+        if (t.isTemplateLiteral(node)) {
+            let result = '';
+            node.quasis.forEach((quasi, i) => {
+                result += quasi.value.cooked;
+                if (i < node.expressions.length) {
+                    result += this.evaluate(node.expressions[i], scope, env, depth + 1) ?? '';
+                }
+            });
+            return result;
+        }
+
+        if (t.isBinaryExpression(node, { operator: '+' })) {
+            const left = this.evaluate(node.left, scope, env, depth + 1);
+            const right = this.evaluate(node.right, scope, env, depth + 1);
+            return left === undefined && right === undefined ? undefined : `${left ?? ''}${right ?? ''}`;
+        }
+
+        if (t.isLogicalExpression(node) && ['||', '??'].includes(node.operator)) {
+            const left = this.evaluate(node.left, scope, env, depth + 1);
+            return left !== undefined && left !== '' ? left : this.evaluate(node.right, scope, env, depth + 1);
+        }
+
+        if (t.isIdentifier(node)) {
+            return this.evaluateIdentifier(node, scope, env, depth);
+        }
+
+        if (t.isMemberExpression(node)) {
+            const name = this.getPropertyName(node);
+            if (name) {
+                const result = this.evaluateProperty(node.object, scope, env, name, depth + 1);
+                if (result.found || result.absent) return result.value;
+            }
+        }
+
+        // encodeURIComponent(id), String(id)
+        if (t.isCallExpression(node) && t.isIdentifier(node.callee) &&
+            ['encodeURIComponent', 'encodeURI', 'String'].includes(node.callee.name) && node.arguments.length === 1) {
+            return this.evaluate(node.arguments[0], scope, env, depth + 1);
+        }
+
+        return this.clientInstanceTracker.resolveValue(node, scope) ?? undefined;
+    }
+
+    evaluateIdentifier(node, scope, env, depth) {
+        const binding = scope.getBinding(node.name);
+
+        if (binding?.kind === 'param' && env && binding.scope.block === env.fnNode) {
+            const arg = env.args.get(node.name);
+            return arg ? this.evaluate(arg.node, arg.scope, arg.env, depth + 1) : undefined;
+        }
+
+        if (binding?.constant && binding.path.isVariableDeclarator() && t.isIdentifier(binding.path.node.id) && binding.path.node.init) {
+            return this.evaluate(binding.path.node.init, binding.scope, env, depth + 1);
+        }
+
+        return this.clientInstanceTracker.resolveValue(node, scope) ?? undefined;
+    }
+
+    /**
+     * Read a property off an object expression, a wrapper argument or a local object.
+     * `absent` means the property is known not to be set (an omitted options argument).
+     */
+    evaluateProperty(node, scope, env, name, depth) {
+        const unknown = { found: false, absent: false, value: undefined };
+        if (!node || depth > 25) return unknown;
+
+        if (t.isObjectExpression(node)) {
+            // Later properties and spreads win
+            for (let i = node.properties.length - 1; i >= 0; i--) {
+                const prop = node.properties[i];
+                if (t.isSpreadElement(prop)) {
+                    const spread = this.evaluateProperty(prop.argument, scope, env, name, depth + 1);
+                    if (spread.found) return spread;
+                    if (!spread.absent) return unknown;
+                } else if (this.getKeyName(prop.key) === name && !prop.computed) {
+                    const value = t.isObjectMethod(prop) ? undefined : this.evaluate(prop.value, scope, env, depth + 1);
+                    return { found: true, absent: false, value };
+                }
+            }
+            return { found: false, absent: true, value: undefined };
+        }
+
+        if (t.isIdentifier(node)) {
+            const binding = scope.getBinding(node.name);
+
+            if (binding?.kind === 'param' && env && binding.scope.block === env.fnNode) {
+                const arg = env.args.get(node.name);
+                return arg
+                    ? this.evaluateProperty(arg.node, arg.scope, arg.env, name, depth + 1)
+                    : { found: false, absent: true, value: undefined };
+            }
+
+            if (binding?.path.isVariableDeclarator() && binding.path.node.init) {
+                return this.evaluateProperty(binding.path.node.init, binding.scope, env, name, depth + 1);
+            }
+        }
+
+        return unknown;
+    }
+
+    isFunctionPath(path) {
+        return !!path?.node && (path.isFunctionExpression() || path.isArrowFunctionExpression() || path.isFunctionDeclaration());
+    }
+
+    getPropertyName(memberExpr) {
+        if (!memberExpr.computed && t.isIdentifier(memberExpr.property)) return memberExpr.property.name;
+        if (t.isStringLiteral(memberExpr.property)) return memberExpr.property.value;
+        return null;
+    }
+
+    getKeyName(key) {
+        if (t.isIdentifier(key)) return key.name;
+        if (t.isStringLiteral(key)) return key.value;
+        return null;
+    }
+
+    getStats() {
+        return { candidates: this.candidates.size, wrappers: this.wrappers.size };
+    }
+
+    clear() {
+        this.candidates.clear();
+        this.exports.clear();
+        this.calledNames.clear();
+        this.wrappers.clear();
+        this.forwardedCalls.clear();
+        this.resolved = false;
+    }
+}
@@ -0,0 +1,40 @@
+import { parentPort, workerData } from 'worker_threads';
+import { DeepHTTPAnalyzer } from './deep-http-analyzer.js';
+import { ProjectConfig } from './utils/project-config.js';
+import { convertToStandardizedFormat } from './standardized-output.js';
+
+/**
+ * Worker side of analyze(): one analysis, its findings posted back in the standardized format
+ */
+async function run({ input, options }) {
+    const { config, ...analyzerOptions } = options;
+    const projectConfig = typeof config === 'string'
+        ? ProjectConfig.load(config)
+        : config && ProjectConfig.assertValid(config, 'options.config');
+
+    const analyzer = new DeepHTTPAnalyzer({
+        ...projectConfig ? ProjectConfig.toAnalyzerOptions(projectConfig) : {},
+        ...analyzerOptions
+    });
+
+    let results;
+    if (input.sources) {
+        results = await analyzer.analyzeSources(input.sources);
+    } else if (input.files) {
+        results = await analyzer.analyzeFiles(input.files);
+    } else {
+        results = await analyzer.analyzeDirectory(input.directory);
+    }
+
+    return {
+        calls: convertToStandardizedFormat(results.httpCalls),
+        diagnostics: analyzer.diagnostics,
+        statistics: results.statistics
+    };
+}
+
+try {
+    parentPort.postMessage({ result: await run(workerData) });
+} catch (error) {
+    parentPort.postMessage({ error: error.message });
+}
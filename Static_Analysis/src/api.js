@@ -0,0 +1,86 @@
+import { Worker } from 'worker_threads';
+
+const WORKER_FILE = new URL('./api-worker.js', import.meta.url);
+
+/**
+ * Analyze a directory, a list of files or in-memory sources and return the standardized calls.
+ *
+ * The analysis runs on a worker thread of its own: its progress output stays there, and the
+ * pattern tables a project configuration extends are not shared with the caller. Nothing is
+ * written to disk unless `options.cacheDir` is set.
+ *
+ * @param {object} input - Exactly one of `directory` (string), `files` (string[]) or
+ *   `sources` ([{ name, content }], names being the paths imports and source maps resolve against)
+ * @param {object} options - DeepHTTPAnalyzer options, plus `config`: a project configuration
+ *   (see config.template.json) as an object or a file path
+ * @returns {Promise<{ calls: object[], diagnostics: object[], statistics: object }>} Calls in the
+ *   standardized format, problems met per file ({ severity, file, message }) and run statistics
+ */
+export async function analyze(input, options = {}) {
+    const errors = validateInput(input);
+    if (errors.length > 0) {
+        throw new Error(`Invalid analyze() input: ${errors.join(', ')}`);
+    }
+    if (options === null || typeof options !== 'object') {
+        throw new Error('Invalid analyze() options: expected an object');
+    }
+
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(WORKER_FILE, {
+            workerData: { input, options },
+            stdout: true,
+            stderr: true
+        });
+        let settled = false;
+
+        // Drained, not forwarded: the caller's console stays quiet
+        worker.stdout.resume();
+        worker.stderr.resume();
+
+        worker.once('message', ({ result, error }) => {
+            settled = true;
+            if (error) {
+                reject(new Error(error));
+            } else {
+                resolve(result);
+            }
+        });
+        worker.once('error', error => {
+            settled = true;
+            reject(error);
+        });
+        worker.once('exit', code => {
+            if (!settled) reject(new Error(`Analysis stopped with exit code ${code}`));
+        });
+    });
+}
+
+function validateInput(input) {
+    if (input === null || typeof input !== 'object') {
+        return ['expected an object with directory, files or sources'];
+    }
+
+    const given = ['directory', 'files', 'sources'].filter(key => input[key] !== undefined);
+    if (given.length !== 1) {
+        return [`expected exactly one of directory, files or sources, got ${given.length ? given.join(', ') : 'none'}`];
+    }
+
+    if (input.directory !== undefined && typeof input.directory !== 'string') {
+        return ['directory must be a string'];
+    }
+    if (input.files !== undefined &&
+        !(Array.isArray(input.files) && input.files.every(file => typeof file === 'string'))) {
+        return ['files must be an array of paths'];
+    }
+    if (input.sources !== undefined &&
+        !(Array.isArray(input.sources) && input.sources.every(source =>
+            source && typeof source.name === 'string' && source.name && typeof source.content === 'string'))) {
+        return ['sources must be an array of { name, content } strings'];
+    }
+
+    const names = (input.sources || []).map(source => source.name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    return duplicate ? [`sources name '${duplicate}' more than once`] : [];
+}
+
+export default { analyze };
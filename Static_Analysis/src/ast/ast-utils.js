@@ -323,7 +323,7 @@ export class AstUtils {
         return {
             file: path.basename(filePath),
             line: loc ? loc.start.line : 0,
-            // column: loc ? loc.start.column : 0
+            column: loc ? loc.start.column : 0
         };
     }
 }
\ No newline at end of file
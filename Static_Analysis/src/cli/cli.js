@@ -1,6 +1,7 @@
 import HTTPAnalyzer from '../http-call-analyzer.js';
 import { DeepHTTPAnalyzer } from '../deep-http-analyzer.js';
 import { ValidationUtils } from '../utils/validation-utils.js';
+import { ProjectConfig } from '../utils/project-config.js';
 import chalk from "chalk";
 import fs from 'fs';
 
@@ -9,7 +10,11 @@ export class CLI {
         this.analyzer = null;
     }
 
-    parseArgs(args) {
+    /**
+     * @param {string[]} args - Command line arguments
+     * @param {object} defaults - Values from the project configuration, overridden by the arguments
+     */
+    parseArgs(args, defaults = {}) {
         const options = {
             directory: './', // Generic: start from current directory
             format: 'json',
@@ -20,7 +25,14 @@ export class CLI {
             exclude: null,
             deep: false,
             security: false,
-            performance: false
+            performance: false,
+            sourceMaps: true,
+            unpackBundles: true,
+            cacheDir: null,
+            jobs: 1,
+            astMemoryLimit: null,
+            config: null,
+            ...defaults
         };
 
         for (let i = 0; i < args.length; i++) {
@@ -92,6 +104,31 @@ export class CLI {
                     options.output = args[++i];
                     break;
 
+                case '--no-source-maps':
+                    options.sourceMaps = false;
+                    break;
+
+                case '--no-unpack':
+                    options.unpackBundles = false;
+                    break;
+
+                case '--cache':
+                    options.cacheDir = args[++i];
+                    break;
+
+                case '--jobs':
+                    options.jobs = Number(args[++i]);
+                    break;
+
+                case '--ast-memory-limit':
+                    options.astMemoryLimit = Number(args[++i]);
+                    break;
+
+                case '--config':
+                case '-c':
+                    options.config = args[++i];
+                    break;
+
                 default:
                     if (!arg.startsWith('--') && !options.directorySet) {
                         options.directory = arg;
@@ -105,10 +142,20 @@ export class CLI {
 
     async run(args) {
         try {
-            const options = this.parseArgs(args);
+            let options = this.parseArgs(args);
+
+            // Project settings apply first; flags given on the command line take precedence
+            const configFile = options.config || ProjectConfig.find(options.directory);
+            const projectConfig = configFile ? ProjectConfig.load(configFile) : null;
+            if (projectConfig) {
+                options = this.parseArgs(args, this.getConfigDefaults(projectConfig));
+            }
 
             if (!options.quiet) {
                 this.showBanner();
+                if (configFile) {
+                    console.log(chalk.gray(`   Using configuration ${configFile}\n`));
+                }
             }
 
             if (!ValidationUtils.isValidDirectory(options.directory)) {
@@ -116,11 +163,27 @@ export class CLI {
                 process.exit(1)
             }
 
+            if (!Number.isInteger(options.jobs) || options.jobs < 1) {
+                console.error(chalk.red('❌ --jobs expects a positive number of worker threads'));
+                process.exit(1);
+            }
+
+            if (options.astMemoryLimit !== null && !(options.astMemoryLimit >= 0)) {
+                console.error(chalk.red('❌ --ast-memory-limit expects a heap size in MB'));
+                process.exit(1);
+            }
+
             const analyzerOptions = {
+                ...projectConfig ? ProjectConfig.toAnalyzerOptions(projectConfig) : {},
                 verbose: options.verbose,
                 deep: options.deep,
                 includeSecurityAnalysis: options.security,
-                includePerformanceAnalysis: options.performance
+                includePerformanceAnalysis: options.performance,
+                sourceMaps: options.sourceMaps,
+                unpackBundles: options.unpackBundles,
+                cacheDir: options.cacheDir,
+                jobs: options.jobs,
+                astMemoryLimit: options.astMemoryLimit
             };
 
             if (options.include) {
@@ -206,6 +269,22 @@ export class CLI {
         }
     }
 
+    /**
+     * Command line options a project configuration provides
+     */
+    getConfigDefaults(config) {
+        const { analysis = {}, output = {} } = config;
+        const defaults = {
+            directory: analysis.defaultDirectory,
+            format: output.defaultFormat,
+            verbose: output.verbose,
+            deep: analysis.deep,
+            security: analysis.includeSecurityAnalysis,
+            performance: analysis.includePerformanceAnalysis
+        };
+        return Object.fromEntries(Object.entries(defaults).filter(([, value]) => value !== undefined));
+    }
+
     showBanner() {
         console.log(chalk.blue.bold('\n🔍 HTTP Call Analyzer'));
         console.log(chalk.gray('   Detect HTTP calls and URLs in your codebase\n'));
@@ -240,7 +319,13 @@ export class CLI {
         console.log('  --exclude           Patterns to exclude');
         console.log('  -d, --deep          Enable deep analysis');
         console.log('  -s, --security      Include security analysis');
-        console.log('  -p, --performance   Include performance analysis\n');
+        console.log('  -p, --performance   Include performance analysis');
+        console.log('  --no-source-maps    Report bundle locations instead of original sources');
+        console.log('  --no-unpack         Analyze bundles as single files instead of per module');
+        console.log('  --cache <dir>       Reuse findings of unchanged files from an on-disk cache');
+        console.log('  --jobs <n>          Parse and analyze files on n worker threads (default: 1)');
+        console.log('  --ast-memory-limit <mb>  Heap size past which parsed files are released and parsed again (0: always)');
+        console.log('  -c, --config <file> Project configuration (default: .httpanalyzerrc.json in the directory or cwd)\n');
 
         console.log(chalk.yellow('Examples:'));
         console.log('  http-analyzer ./');
@@ -262,7 +347,8 @@ export class CLI {
             Object.entries(grouped).forEach(([type, issues]) => {
                 console.log(chalk.red(`  ${type}: ${issues.length} issue(s)`));
                 issues.slice(0, 3).forEach(issue => {
-                    const severity = issue.severity === 'high' ? chalk.red('HIGH') :
+                    const severity = issue.severity === 'critical' ? chalk.red.bold('CRITICAL') :
+                                   issue.severity === 'high' ? chalk.red('HIGH') :
                                    issue.severity === 'medium' ? chalk.yellow('MEDIUM') : 
                                    chalk.blue('LOW');
                     console.log(chalk.gray(`    • ${severity}: ${issue.message}`));
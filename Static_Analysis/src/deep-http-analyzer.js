@@ -5,15 +5,32 @@ import { StaticValueResolver } from './analyzers/static-value-resolver.js';
 import { ScopeResolver } from './analyzers/scope-resolver.js';
 import { ConfigLoadingTracker } from './analyzers/config-loading-tracker.js';
 import { JsonConfigScanner } from './analyzers/json-config-scanner.js';
-import { HTTP_PATTERNS, URL_PATTERNS, SECURITY_PATTERNS } from './patterns/http-patterns.js';
+import { SourceMapResolver } from './analyzers/source-map-resolver.js';
+import { BundleUnpacker } from './analyzers/bundle-unpacker.js';
+import { ModuleGraph } from './analyzers/module-graph.js';
+import { ClientInstanceTracker } from './analyzers/client-instance-tracker.js';
+import { InterceptorAnalyzer } from './analyzers/interceptor-analyzer.js';
+import { WrapperFunctionAnalyzer } from './analyzers/wrapper-function-analyzer.js';
+import { GraphQLAnalyzer, GRAPHQL_FILE_EXTENSIONS } from './analyzers/graphql-analyzer.js';
+import { LanguageAdapterRegistry } from './analyzers/language-adapter-registry.js';
+import { PythonHTTPExtractor } from './analyzers/python-http-extractor.js';
+import { PhpHTTPExtractor } from './analyzers/php-http-extractor.js';
+import { HtmlEndpointExtractor } from './analyzers/html-endpoint-extractor.js';
+import { HTTP_PATTERNS, URL_PATTERNS, SECURITY_PATTERNS, FRAMEWORK_FETCHERS } from './patterns/http-patterns.js';
 import { ValidationUtils } from './utils/validation-utils.js';
 import { AstUtils } from './ast/ast-utils.js';
 import { StringUtils } from './utils/string-utils.js';
+import { COMPONENT_FILE_EXTENSIONS } from './utils/component-utils.js';
+import { AnalysisCache } from './utils/analysis-cache.js';
+import { AnalysisPool } from './utils/analysis-pool.js';
+import { ProjectConfig } from './utils/project-config.js';
 import fs from 'fs';
 import path from 'path';
+import v8 from 'v8';
 import { globSync } from 'glob';
 import chalk from 'chalk';
 import _traverse from '@babel/traverse';
+import * as t from '@babel/types';
 
 const traverse = _traverse.default;
 
@@ -29,9 +46,44 @@ export class DeepHTTPAnalyzer {
             detectPatterns: true,
             
             // File processing
-            includeExtensions: ['.js', '.jsx', '.ts', '.tsx', '.vue', '.mjs', '.cjs', '.php', '.py', '.rb', '.java', '.cs', '.cpp', '.c', '.h', '.go', '.rs', '.kt', '.swift', '.dart', '.scala', '.html', '.xml', '.json', '.yml', '.yaml'],
+            includeExtensions: ['.js', '.jsx', '.ts', '.tsx', '.vue', '.svelte', '.astro', '.mjs', '.cjs', '.php', '.py', '.rb', '.java', '.cs', '.cpp', '.c', '.h', '.go', '.rs', '.kt', '.swift', '.dart', '.scala', '.html', '.xml', '.json', '.yml', '.yaml', '.graphql', '.gql'],
             excludePatterns: ['node_modules', 'dist', 'build', '.git', 'coverage', '__pycache__', 'vendor', 'target', 'bin', 'obj', '.next', '.nuxt', 'tmp', 'temp', '.cache'],
             
+            // Report bundle findings against the original sources when a source map is available
+            sourceMaps: true,
+            
+            // Split webpack/esbuild/Vite chunks into virtual modules before analysis
+            unpackBundles: true,
+            
+            // Directory of the on-disk findings cache (null disables it)
+            cacheDir: null,
+            
+            // Worker threads for parsing and analysis (1 keeps everything on the main thread)
+            jobs: 1,
+            
+            // Heap size in MB past which ASTs kept from collection are released and their files parsed
+            // again for analysis (null: half the V8 heap limit, 0: never keep them)
+            astMemoryLimit: null,
+            
+            // Project patterns (see config.template.json): extra HTTP libraries by name, generic call
+            // names, path fragments and hosts of URLs; null keeps the built-in lists
+            customPatterns: {},
+            additionalGenericPatterns: [],
+            apiPathPatterns: null,
+            customDomains: null,
+            
+            // Security checks: sensitive parameter names and auth headers (null: built-in lists),
+            // whether plain HTTP is an error, and the URL schemes calls may use (null: any)
+            sensitiveParams: null,
+            authHeaders: null,
+            requireHttps: false,
+            allowedProtocols: null,
+            
+            // Performance checks: calls per file before a file is reported (null: no limit)
+            maxCallsPerFile: null,
+            warnOnLoopCalls: true,
+            suggestCaching: true,
+            
             // Output options
             verbose: false,
             includeContext: true,
@@ -40,12 +92,35 @@ export class DeepHTTPAnalyzer {
             ...options
         };
 
+        ProjectConfig.applyPatterns(this.options);
+
         this.scopeResolver = new ScopeResolver();
         this.jsonConfigScanner = new JsonConfigScanner();
         this.configLoadingTracker = new ConfigLoadingTracker(this.scopeResolver, this.jsonConfigScanner);
         this.codePatternAnalyzer = new CodePatternAnalyzer();
         this.staticValueResolver = new StaticValueResolver();
         this.enhancedHTTPCallExtractor = new EnhancedHTTPCallExtractor(this.scopeResolver);
+        this.sourceMapResolver = new SourceMapResolver();
+        this.bundleUnpacker = new BundleUnpacker();
+        this.moduleGraph = new ModuleGraph();
+        this.bundles = new Map(); // bundle filePath -> unpacked { layout, modules } (or null)
+        this.parsedFiles = new Map(); // filePath -> { content, ast, sources } kept from collection for analysis
+        this.sources = null; // resolved path -> content, when files are analyzed from memory
+        this.diagnostics = []; // { severity, file, message } for files that could not be fully analyzed
+        this.scopeResolver.setModuleGraph(this.moduleGraph);
+        this.clientInstanceTracker = new ClientInstanceTracker(this.scopeResolver);
+        this.clientInstanceTracker.setStaticValueResolver(this.staticValueResolver);
+        this.enhancedHTTPCallExtractor.setClientInstanceTracker(this.clientInstanceTracker);
+        this.interceptorAnalyzer = new InterceptorAnalyzer(this.clientInstanceTracker);
+        this.enhancedHTTPCallExtractor.setInterceptorAnalyzer(this.interceptorAnalyzer);
+        this.wrapperFunctionAnalyzer = new WrapperFunctionAnalyzer(this.clientInstanceTracker, this.interceptorAnalyzer);
+        this.enhancedHTTPCallExtractor.setWrapperFunctionAnalyzer(this.wrapperFunctionAnalyzer);
+        this.graphqlAnalyzer = new GraphQLAnalyzer(this.clientInstanceTracker);
+        this.enhancedHTTPCallExtractor.setGraphQLAnalyzer(this.graphqlAnalyzer);
+        this.languageAdapters = new LanguageAdapterRegistry();
+        this.languageAdapters.register(new PythonHTTPExtractor());
+        this.languageAdapters.register(new PhpHTTPExtractor());
+        this.htmlEndpointExtractor = new HtmlEndpointExtractor();
         this.astAnalyzer = new EnhancedASTAnalyzer(this.options, this.scopeResolver, this.configLoadingTracker, this.enhancedHTTPCallExtractor);
         
         this.results = {
@@ -79,21 +154,35 @@ export class DeepHTTPAnalyzer {
             
             // Phase 2: Collect files to analyze
             const files = this.collectFiles(dirPath);
-            this.results.statistics.totalFiles = files.length;
             
-            console.log(chalk.blue(`📁 Found ${files.length} files to analyze`));
-            
-            // Phase 3: Collect definitions (imports, configs, etc.)
-            await this.collectDefinitions(files);
+            return await this.analyzeCollectedFiles(files, dirPath);
             
-            // Phase 4: Perform deep analysis
-            await this.performDeepAnalysis(files);
+        } catch (error) {
+            console.error(chalk.red('❌ Error during analysis:'), error);
+            throw error;
+        }
+    }
+
+    /**
+     * Deep analysis of a list of files instead of a directory scan. Files missing or outside
+     * includeExtensions are left out; JSON configuration comes from the JSON files in the list.
+     */
+    async analyzeFiles(filePaths) {
+        console.log(chalk.blue('🔍 Starting Deep HTTP Analysis...'));
+        
+        try {
+            const files = [];
+            for (const file of filePaths) {
+                if (!this.hasSource(file)) {
+                    this.addDiagnostic('error', file, 'File not found');
+                } else if (this.options.includeExtensions.includes(path.extname(file))) {
+                    files.push(file);
+                }
+            }
             
-            // Phase 5: Post-processing and statistics
-            this.postProcess();
+            await this.scanConfigurationFiles(this.jsonConfigScanner.selectJsonFiles(files));
             
-            console.log(chalk.green('✅ Deep analysis complete!'));
-            return this.results;
+            return await this.analyzeCollectedFiles(files, DeepHTTPAnalyzer.getCommonDirectory(files));
             
         } catch (error) {
             console.error(chalk.red('❌ Error during analysis:'), error);
@@ -101,39 +190,148 @@ export class DeepHTTPAnalyzer {
         }
     }
 
+    /**
+     * Deep analysis of in-memory sources ([{ name, content }]); names play the part of file paths,
+     * so relative imports and source maps resolve between them and nothing is read from disk
+     */
+    async analyzeSources(sources) {
+        this.setSources(sources);
+        return this.analyzeFiles(sources.map(source => source.name));
+    }
+
+    setSources(sources) {
+        this.sources = new Map(sources.map(({ name, content }) => [path.resolve(name), content]));
+        this.sourceMapResolver.setFileReader(file => this.sources.get(path.resolve(file)) ?? null);
+    }
+
+    hasSource(file) {
+        return this.sources ? this.sources.has(path.resolve(file)) : fs.existsSync(file);
+    }
+
+    readSource(file) {
+        return this.sources ? this.sources.get(path.resolve(file)) : fs.readFileSync(file, 'utf8');
+    }
+
+    /**
+     * Closest directory holding every file, the root the cache records files against
+     */
+    static getCommonDirectory(files) {
+        const directories = files.map(file => path.dirname(path.resolve(file)));
+        let root = directories[0] || process.cwd();
+        while (!directories.every(directory => directory === root || directory.startsWith(root + path.sep)) &&
+            root !== path.dirname(root)) {
+            root = path.dirname(root);
+        }
+        return root;
+    }
+
+    /**
+     * Phases 3 to 5 for the files of a scan
+     */
+    async analyzeCollectedFiles(files, rootDir) {
+        this.results.statistics.totalFiles = files.length;
+        
+        console.log(chalk.blue(`📁 Found ${files.length} files to analyze`));
+        
+        if (this.options.cacheDir) {
+            // Phases 3 and 4 for changed files only
+            await this.analyzeWithCache(files, rootDir);
+        } else if (this.options.jobs > 1) {
+            // Phases 3 and 4 on worker threads
+            await this.analyzeInParallel(files, files);
+            await this.performDeepAnalysis(files);
+        } else {
+            // Phase 3: Collect definitions (imports, configs, etc.)
+            await this.collectDefinitions(files);
+            
+            // Phase 4: Perform deep analysis
+            await this.performDeepAnalysis(files);
+        }
+        
+        // Phase 5: Post-processing and statistics
+        this.postProcess();
+        
+        console.log(chalk.green('✅ Deep analysis complete!'));
+        return this.results;
+    }
+
+    addDiagnostic(severity, file, message) {
+        this.diagnostics.push({ severity, file, message });
+    }
+
     /**
      * Analyze a single file for HTTP calls
      */
     async analyzeFile(filePath) {
-        if (!fs.existsSync(filePath)) {
+        if (!this.hasSource(filePath)) {
             throw new Error(`File not found: ${filePath}`);
         }
 
         console.log(chalk.blue(`🔍 Analyzing file: ${path.basename(filePath)}`));
         
+        // Operations in .graphql documents are reported where they are sent
+        if (GRAPHQL_FILE_EXTENSIONS.includes(path.extname(filePath))) {
+            return { file: filePath, httpCalls: [], stats: this.astAnalyzer.getStats() };
+        }
+        
         try {
-            const content = fs.readFileSync(filePath, 'utf8');
-            const ast = this.astAnalyzer.parseCode(content, filePath);
+            // Files are parsed once: collection leaves its parse here for the analysis
+            const parsed = this.parsedFiles.get(filePath);
+            this.parsedFiles.delete(filePath);
+            const content = parsed ? parsed.content : this.readSource(filePath);
+            
+            // Non-JavaScript sources go to the adapter for their language
+            const adapter = this.languageAdapters.getAdapter(filePath);
+            if (adapter) {
+                return {
+                    file: filePath,
+                    httpCalls: adapter.analyze(content, filePath),
+                    stats: this.astAnalyzer.getStats()
+                };
+            }
+            
+            // Forms and attributes of HTML pages; their inline scripts are analyzed below
+            const markupCalls = HtmlEndpointExtractor.isHtmlFile(filePath)
+                ? this.htmlEndpointExtractor.analyze(content, filePath)
+                : [];
+            
+            const ast = parsed ? parsed.ast : this.astAnalyzer.parseCode(content, filePath);
             
             if (!ast) {
                 console.warn(chalk.yellow(`⚠️  Could not parse ${filePath}`));
-                return { httpCalls: [], issues: ['parse_error'] };
+                this.addDiagnostic('warning', filePath, 'Could not parse');
+                return { httpCalls: markupCalls, issues: ['parse_error'] };
             }
 
-            // Collect definitions
-            this.astAnalyzer.collectDefinitions(ast, filePath);
+            let fileResults;
+            const bundle = this.unpackBundle(filePath, ast, content);
             
-            // Perform analysis
-            const fileResults = this.astAnalyzer.analyze(ast, filePath);
+            if (bundle) {
+                fileResults = this.analyzeBundleModules(bundle, filePath, Boolean(parsed));
+            } else {
+                // Collect definitions, unless collection already did
+                if (!parsed) {
+                    this.astAnalyzer.collectDefinitions(ast, filePath);
+                }
+                
+                // Perform analysis
+                fileResults = this.astAnalyzer.analyze(ast, filePath);
+            }
+            
+            // Translate bundle positions back to the original sources
+            if (this.options.sourceMaps) {
+                fileResults = this.applySourceMap(filePath, content, fileResults, parsed?.sources);
+            }
             
             return {
                 file: filePath,
-                httpCalls: fileResults,
+                httpCalls: markupCalls.concat(fileResults),
                 stats: this.astAnalyzer.getStats()
             };
             
         } catch (error) {
             console.error(chalk.red(`❌ Error analyzing ${filePath}:`), error);
+            this.addDiagnostic('error', filePath, error.message);
             return { httpCalls: [], issues: [error.message] };
         }
     }
@@ -300,13 +498,26 @@ export class DeepHTTPAnalyzer {
         if (path.isMemberExpression() && 
             path.node.object.type === 'ThisExpression' &&
             path.node.property.type === 'Identifier' &&
-            ['$http', '$fetch', '$axios'].includes(path.node.property.name)) {
+            FRAMEWORK_FETCHERS.members[path.node.property.name]) {
             
             return {
                 type: 'vue_instance_method',
                 method: path.node.property.name,
                 location: this.getLocation(path, filePath),
-                framework: 'vue'
+                framework: FRAMEWORK_FETCHERS.members[path.node.property.name].framework
+            };
+        }
+        
+        // Nuxt composables and $fetch, auto-imported in components
+        if (path.isCallExpression() &&
+            path.node.callee.type === 'Identifier' &&
+            FRAMEWORK_FETCHERS.functions[path.node.callee.name]) {
+            
+            return {
+                type: 'vue_composable',
+                method: path.node.callee.name,
+                location: this.getLocation(path, filePath),
+                framework: FRAMEWORK_FETCHERS.functions[path.node.callee.name].framework
             };
         }
         return null;
@@ -405,8 +616,20 @@ export class DeepHTTPAnalyzer {
                 if (SECURITY_PATTERNS.insecure.test(call.url)) {
                     issues.push({
                         type: 'insecure_protocol',
-                        severity: 'high',
-                        message: 'Using HTTP instead of HTTPS',
+                        severity: this.options.requireHttps ? 'critical' : 'high',
+                        message: this.options.requireHttps ? 'Using HTTP where the project requires HTTPS' : 'Using HTTP instead of HTTPS',
+                        location: call.location,
+                        url: call.url
+                    });
+                }
+
+                const protocol = call.url.match(/^([a-z][a-z0-9+.-]*):\/\//i)?.[1].toLowerCase();
+                if (protocol && this.options.allowedProtocols &&
+                    !this.options.allowedProtocols.some(allowed => allowed.toLowerCase() === protocol)) {
+                    issues.push({
+                        type: 'disallowed_protocol',
+                        severity: 'medium',
+                        message: `Protocol '${protocol}' is not allowed by the project configuration`,
                         location: call.location,
                         url: call.url
                     });
@@ -445,10 +668,22 @@ export class DeepHTTPAnalyzer {
 
     // Implementation of helper methods and remaining functionality
     async scanConfigurations(dirPath) {
-        const configs = this.jsonConfigScanner.scanFolder(dirPath);
+        this.registerConfigurations(this.jsonConfigScanner.scanFolder(dirPath, this.options.cacheDir ? [this.options.cacheDir] : []));
+    }
+
+    async scanConfigurationFiles(jsonFiles) {
+        this.registerConfigurations(this.jsonConfigScanner.scanFiles(jsonFiles, file => this.readSource(file)));
+    }
+
+    registerConfigurations(configs) {
         for (const [key, config] of configs.keys.entries()) {
             this.scopeResolver.addConfigTrace(key, config.value, config.file, 'json-config');
         }
+        
+        // Configuration values feed every file's resolution, so cached findings depend on them
+        this.configurationDigest = AnalysisCache.hash(JSON.stringify(
+            Array.from(configs.keys.entries(), ([key, config]) => [key, config.value])
+        ));
     }
 
     collectFiles(dirPath) {
@@ -460,9 +695,13 @@ export class DeepHTTPAnalyzer {
             isAbsolute ? `${normalizedPath}/${p}/**` : `**/${p}/**`
         );
 
-        return globSync(pattern, {
+        const files = globSync(pattern, {
             ignore: ignorePatternsNew,
         });
+        
+        // A cache kept inside the analyzed directory is not part of it
+        const cacheDir = this.options.cacheDir ? path.resolve(this.options.cacheDir) + path.sep : null;
+        return cacheDir ? files.filter(file => !path.resolve(file).startsWith(cacheDir)) : files;
     }
 
     async collectDefinitions(files) {
@@ -472,30 +711,112 @@ export class DeepHTTPAnalyzer {
         const allASTs = new Map();
         
         for (const file of files) {
-            try {
-                const content = fs.readFileSync(file, 'utf8');
-                const ast = this.astAnalyzer.parseCode(content, file);
+            this.collectFileDefinitions(file, allASTs);
+        }
+        
+        this.initializeResolvers(allASTs);
+    }
+
+    /**
+     * Index the definitions of one file; returns its AST (null for files Babel does not parse)
+     */
+    collectFileDefinitions(file, allASTs) {
+        try {
+            const content = this.readSource(file);
+            
+            // .graphql documents hold operations, not code
+            if (GRAPHQL_FILE_EXTENSIONS.includes(path.extname(file))) {
+                this.graphqlAnalyzer.addDocumentFile(file, content);
+                return null;
+            }
+            
+            const adapter = this.languageAdapters.getAdapter(file);
+            if (adapter) {
+                adapter.collectDefinitions?.(content, file);
+                return null;
+            }
+            
+            const ast = this.astAnalyzer.parseCode(content, file);
+            let sources = null;
+            
+            if (ast) {
+                // Bundles contribute one AST per virtual module
+                const bundle = this.unpackBundle(file, ast, content);
+                const units = bundle
+                    ? bundle.modules.map(module => [module.file, module.ast])
+                    : [[file, ast]];
                 
-                if (ast) {
+                for (const [unitFile, unitAst] of units) {
                     // Store AST for ultimate resolver
-                    allASTs.set(file, ast);
-                    
-                    // Collect standard definitions
-                    this.astAnalyzer.collectDefinitions(ast, file);
-                    
-                    // Analyze code patterns for better URL resolution
-                    this.codePatternAnalyzer.analyzeFile(ast, file);
-                    
-                    // Extract static values (variables, properties, etc.)
-                    this.staticValueResolver.analyzeFile(ast, file);
-                }
-            } catch (error) {
-                if (this.options.verbose) {
-                    console.warn(chalk.yellow(`⚠️  Could not collect definitions from ${file}: ${error.message}`));
+                    allASTs.set(unitFile, unitAst);
+                    this.collectUnitDefinitions(unitAst, file);
                 }
+                
+                // Original sources embedded in the bundle's source map
+                sources = this.options.sourceMaps
+                    ? this.collectOriginalSourceDefinitions(file, content, allASTs)
+                    : null;
+            }
+            
+            // Files that do not parse are not parsed a second time either
+            this.keepParsedFile(file, { content, ast, sources });
+            return ast;
+        } catch (error) {
+            if (this.options.verbose) {
+                console.warn(chalk.yellow(`⚠️  Could not collect definitions from ${file}: ${error.message}`));
             }
+            this.addDiagnostic('warning', file, `Could not collect definitions: ${error.message}`);
         }
+        return null;
+    }
+
+    /**
+     * Index one AST for the cross-file resolvers in a single traversal. GraphQL documents get a
+     * traversal of their own, as the analyzer skips the inside of each document it finds.
+     */
+    collectUnitDefinitions(ast, file) {
+        traverse(ast, traverse.visitors.merge([
+            // Standard definitions and config loading
+            this.astAnalyzer.getDefinitionVisitor(file),
+            // Code patterns for better URL resolution
+            this.codePatternAnalyzer.getVisitor(file),
+            // Static values (variables, properties, etc.)
+            this.staticValueResolver.getVisitor(file),
+            // Exported axios/ky/ofetch/wretch instances
+            this.clientInstanceTracker.getVisitor(file),
+            // Angular and axios request interceptors
+            this.interceptorAnalyzer.getVisitor(file),
+            // Project functions that forward their parameters into an HTTP call
+            this.wrapperFunctionAnalyzer.getVisitor(file)
+        ]));
         
+        // GraphQL documents and the clients holding the endpoint
+        this.graphqlAnalyzer.analyzeFile(ast, file);
+    }
+
+    /**
+     * Keep a file's parse for its analysis. Once the heap grows past astMemoryLimit the kept parses
+     * are released, and the files they belonged to are parsed again when analyzed.
+     */
+    keepParsedFile(file, parsed) {
+        const limit = this.options.astMemoryLimit === null
+            ? v8.getHeapStatistics().heap_size_limit / 2
+            : this.options.astMemoryLimit * 1024 * 1024;
+        
+        if (process.memoryUsage().heapUsed < limit) {
+            this.parsedFiles.set(file, parsed);
+        } else if (this.parsedFiles.size > 0) {
+            if (this.options.verbose) {
+                console.warn(chalk.yellow(`⚠️  Heap past ${Math.round(limit / 1024 / 1024)} MB, releasing ${this.parsedFiles.size} kept ASTs`));
+            }
+            this.parsedFiles.clear();
+        }
+    }
+
+    /**
+     * Hand the collected definitions to the resolvers that need the whole codebase
+     */
+    initializeResolvers(allASTs) {
         // Initialize ultimate resolver with all ASTs
         if (this.enhancedHTTPCallExtractor.initializeWithCodebase) {
             this.enhancedHTTPCallExtractor.initializeWithCodebase(allASTs);
@@ -538,12 +859,166 @@ export class DeepHTTPAnalyzer {
         }
     }
 
-    async performDeepAnalysis(files) {
+    /**
+     * Split a bundle into virtual modules and register them in the module graph.
+     * Returns null for regular source files.
+     */
+    unpackBundle(filePath, ast, content) {
+        if (!this.options.unpackBundles) return null;
+
+        if (this.bundles.has(filePath)) {
+            return this.bundles.get(filePath);
+        }
+
+        let bundle = null;
+        try {
+            bundle = this.bundleUnpacker.unpack(filePath, ast, content);
+        } catch (error) {
+            if (this.options.verbose) {
+                console.warn(chalk.yellow(`⚠️  Could not unpack bundle ${filePath}: ${error.message}`));
+            }
+            this.addDiagnostic('warning', filePath, `Could not unpack bundle: ${error.message}`);
+        }
+
+        if (bundle) {
+            bundle.modules.forEach(module => this.moduleGraph.addModule(module));
+            if (this.options.verbose) {
+                console.log(chalk.gray(`📦 Unpacked ${bundle.modules.length} ${bundle.layout} modules from ${path.basename(filePath)}`));
+            }
+        }
+
+        this.bundles.set(filePath, bundle);
+        return bundle;
+    }
+
+    /**
+     * Analyze each virtual module of a bundle; locations stay relative to the bundle file
+     */
+    analyzeBundleModules(bundle, filePath, collected = false) {
+        const httpCalls = [];
+
+        for (const module of bundle.modules) {
+            if (!collected) {
+                this.astAnalyzer.collectDefinitions(module.ast, filePath);
+            }
+
+            for (const call of this.astAnalyzer.analyze(module.ast, filePath)) {
+                if (call.location && bundle.layout !== 'vite') {
+                    call.location.module = module.id;
+                }
+                httpCalls.push(call);
+            }
+        }
+
+        return httpCalls;
+    }
+
+    /**
+     * Feed original sources from a bundle's source map into the cross-file resolvers.
+     * Returns their ASTs by source (null without a source map).
+     */
+    collectOriginalSourceDefinitions(file, content, allASTs) {
+        if (!this.sourceMapResolver.loadForFile(file, content)) return null;
+
+        const sources = new Map();
+        for (const { source, content: originalContent } of this.getAnalyzableOriginalSources(file)) {
+            const ast = this.astAnalyzer.parseCode(originalContent, source);
+            if (!ast) continue;
+
+            allASTs.set(source, ast);
+            sources.set(source, ast);
+            this.collectUnitDefinitions(ast, source);
+        }
+        return sources;
+    }
+
+    /**
+     * Map bundle findings to original file/line/column and, when the map embeds
+     * sourcesContent, replace them with findings from the original code
+     */
+    applySourceMap(filePath, content, httpCalls, sources = null) {
+        if (!this.sourceMapResolver.loadForFile(filePath, content)) {
+            return httpCalls;
+        }
+
+        const mappedCalls = httpCalls.map(call => this.mapCallLocation(filePath, call));
+        const originalCalls = this.analyzeOriginalSources(filePath, sources);
+
+        if (originalCalls.size === 0) {
+            return mappedCalls;
+        }
+
+        return [
+            ...mappedCalls.filter(call => !originalCalls.has(call.location?.file)),
+            ...Array.from(originalCalls.values()).flat()
+        ];
+    }
+
+    mapCallLocation(filePath, call) {
+        const location = call.location;
+        if (!location || !location.line) return call;
+
+        const original = this.sourceMapResolver.originalPositionFor(filePath, location.line, location.column || 0);
+        if (!original || !original.source) return call;
+
+        call.location = {
+            file: original.source,
+            line: original.line,
+            column: original.column,
+            generated: {
+                file: location.file,
+                line: location.line,
+                column: location.column
+            }
+        };
+        return call;
+    }
+
+    /**
+     * Run the AST analyzer on each original source embedded in the map; `sources` are the ASTs
+     * collection parsed them into
+     */
+    analyzeOriginalSources(filePath, sources = null) {
+        const results = new Map(); // original source -> httpCalls
+
+        for (const { source, content } of this.getAnalyzableOriginalSources(filePath)) {
+            const ast = sources ? sources.get(source) : this.astAnalyzer.parseCode(content, source);
+            if (!ast) continue;
+
+            if (!sources) {
+                this.astAnalyzer.collectDefinitions(ast, source);
+            }
+            const calls = this.astAnalyzer.analyze(ast, source);
+
+            if (calls.length > 0) {
+                for (const call of calls) {
+                    if (call.location) {
+                        call.location.file = source;
+                        call.location.generated = { file: path.basename(filePath) };
+                    }
+                }
+                results.set(source, calls);
+            }
+        }
+
+        return results;
+    }
+
+    getAnalyzableOriginalSources(filePath) {
+        const scriptExtensions = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', ...COMPONENT_FILE_EXTENSIONS];
+
+        return this.sourceMapResolver.getOriginalSources(filePath).filter(({ source }) =>
+            scriptExtensions.includes(path.extname(source)) &&
+            !this.options.excludePatterns.some(pattern => source.split('/').includes(pattern))
+        );
+    }
+
+    async performDeepAnalysis(files, cache = null) {
         console.log(chalk.blue('🔬 Performing deep analysis...'));
         
         for (const file of files) {
             try {
-                const fileResult = await this.analyzeFile(file);
+                const fileResult = cache ? await this.analyzeCachedFile(file, cache) : await this.getFileResult(file);
                 
                 if (fileResult.httpCalls.length > 0) {
                     this.results.statistics.filesWithHttpCalls++;
@@ -557,8 +1032,377 @@ export class DeepHTTPAnalyzer {
                 if (this.options.verbose) {
                     console.warn(chalk.yellow(`⚠️  Error analyzing ${file}: ${error.message}`));
                 }
+                this.addDiagnostic('error', file, error.message);
             }
         }
+        
+        // GraphQL operations no analyzed call sends (generated hooks, custom wrappers) still reach the endpoint
+        const documents = this.workerDocumentCalls || this.graphqlAnalyzer.getUnreferencedOperations().map(operation => ({
+            file: operation.file,
+            call: this.enhancedHTTPCallExtractor.createGraphQLDocumentCall(operation)
+        }));
+        const documentCalls = cache
+            ? this.getCachedDocumentCalls(files, documents, cache)
+            : documents.map(document => document.call);
+        if (documentCalls.length > 0) {
+            this.results.httpCalls.push(...documentCalls);
+            this.updateStatistics({ httpCalls: documentCalls });
+        }
+        
+        // Parses of files collected only for their definitions
+        this.parsedFiles.clear();
+    }
+
+    /**
+     * Phases 3 and 4 against the on-disk cache: files whose content and dependencies are unchanged
+     * keep their stored findings; definitions are collected from the other files and what they depend on
+     */
+    async analyzeWithCache(files, dirPath) {
+        const cache = new AnalysisCache(this.options.cacheDir, this.getCacheSettings());
+        cache.load(files, dirPath, file => this.readSource(file));
+
+        const stale = cache.getStaleFiles();
+        console.log(chalk.blue(`♻️  ${stale.length} of ${files.length} files changed since the cached analysis`));
+
+        this.fileDependencies = new Map(); // analyzed file -> files it depends on
+        if (stale.length > 0 && this.options.jobs > 1) {
+            await this.analyzeInParallel(files, stale, cache);
+        } else if (stale.length > 0) {
+            console.log(chalk.blue('📚 Collecting definitions...'));
+            const allASTs = new Map();
+            const collected = new Set(stale);
+            const scanFiles = new Map(files.map(file => [path.resolve(file), file]));
+
+            const fileASTs = stale.map(file => [file, this.collectFileDefinitions(file, allASTs)]);
+            // Dependencies are known once every changed bundle has registered its modules
+            for (const [file, ast] of fileASTs) {
+                this.fileDependencies.set(file, ast ? this.findDependencies(file, ast, scanFiles, key => cache.getProvider(key)) : []);
+            }
+
+            // Unchanged files provide definitions to the changed ones that depend on them, and shared
+            // definitions to all
+            for (const file of this.getDefinitionFiles(files, stale, cache.getSharedFiles(), cache)) {
+                if (!collected.has(file)) this.collectFileDefinitions(file, allASTs);
+            }
+
+            this.initializeResolvers(allASTs);
+        }
+
+        await this.performDeepAnalysis(files, cache);
+        cache.save();
+
+        this.results.statistics.cache = { ...cache.stats };
+    }
+
+    /**
+     * Phases 3 and 4 of `targets` on a pool of `jobs` worker threads. Workers first index each file on
+     * its own; the main thread merges the static values and config traces in scan order. Each worker
+     * then analyzes a contiguous share of the targets, with definitions collected from them and what
+     * they depend on. Findings wait in workerResults until performDeepAnalysis adds them in scan order.
+     */
+    async analyzeInParallel(files, targets, cache = null) {
+        const pool = new AnalysisPool(Math.min(this.options.jobs, targets.length), {
+            options: { ...this.options, jobs: 1, cacheDir: null },
+            files,
+            sources: this.sources && Array.from(this.sources, ([name, content]) => ({ name, content })),
+            configuration: this.getConfigurationSnapshot()
+        });
+
+        try {
+            console.log(chalk.blue(`📚 Collecting definitions on ${pool.size} workers...`));
+            const definitions = await pool.map('collect', targets);
+
+            const providers = new Map(); // bundle module key -> file holding it
+            for (const definition of definitions) {
+                this.staticValueResolver.mergeResolvedValues(definition.values);
+                for (const trace of definition.configTraces) {
+                    this.scopeResolver.addConfigTrace(trace.name, trace.value, trace.file, trace.line);
+                }
+                for (const name of definition.calledNames) {
+                    this.wrapperFunctionAnalyzer.calledNames.add(name);
+                }
+                for (const key of definition.modules) {
+                    if (!providers.has(key)) providers.set(key, definition.file);
+                }
+                this.diagnostics.push(...definition.diagnostics);
+            }
+
+            this.fileDependencies = new Map(definitions.map(({ file, dependencies, requires }) => {
+                const owners = requires.map(key => providers.get(key) || cache?.getProvider(key));
+                return [file, Array.from(new Set([...dependencies, ...owners])).filter(owner => owner && owner !== file)];
+            }));
+            this.fileDescriptions = new Map(definitions.map(({ file, modules, shared }) => [file, { modules, shared }]));
+
+            const shared = [
+                ...definitions.filter(definition => definition.shared).map(definition => definition.file),
+                ...(cache ? cache.getSharedFiles() : [])
+            ];
+            const values = this.staticValueResolver.getAllResolvedValues();
+            const calledNames = Array.from(this.wrapperFunctionAnalyzer.calledNames);
+            const shards = AnalysisPool.split(targets, pool.size, file =>
+                this.sources ? this.readSource(file).length : fs.statSync(file).size);
+
+            console.log(chalk.blue(`🔬 Analyzing ${targets.length} files on ${pool.size} workers...`));
+            const outputs = await Promise.all(shards.map(shard => pool.run('analyze', {
+                files: shard,
+                definitionFiles: this.getDefinitionFiles(files, shard, shared, cache),
+                values,
+                calledNames
+            })));
+
+            this.workerResults = new Map(outputs.flatMap(output => output.results).map(result => [result.file, result]));
+            this.diagnostics.push(...outputs.flatMap(output => output.diagnostics));
+
+            // An operation is sent if any worker saw it sent; documents collected by several workers are reported once
+            const referenced = new Set(outputs.flatMap(output => output.referenced));
+            const reported = new Set();
+            this.workerDocumentCalls = [];
+            for (const { key, file, call } of outputs.flatMap(output => output.documentCalls)) {
+                if (referenced.has(key) || reported.has(key)) continue;
+                reported.add(key);
+                this.workerDocumentCalls.push({ file, call });
+            }
+        } finally {
+            await pool.close();
+        }
+    }
+
+    /**
+     * Stored findings of an unchanged file, or a fresh analysis that is stored for the next run
+     */
+    async analyzeCachedFile(file, cache) {
+        const httpCalls = cache.getFindings(file);
+        if (httpCalls) {
+            return { file, httpCalls };
+        }
+
+        const fileResult = await this.getFileResult(file);
+
+        // Parse errors are as stable as the content; other failures are retried next run
+        if (!fileResult.issues || fileResult.issues.includes('parse_error')) {
+            cache.store(file, fileResult.httpCalls, {
+                dependencies: this.fileDependencies.get(file) || [],
+                ...this.describeFile(file)
+            });
+        }
+        return fileResult;
+    }
+
+    /**
+     * Findings of a file: computed by a worker in parallel runs, here otherwise
+     */
+    async getFileResult(file) {
+        return this.workerResults?.get(file) || this.analyzeFile(file);
+    }
+
+    /**
+     * Bundle modules a file holds and whether its definitions reach files that do not import it
+     * (GraphQL clients, interceptor registrations); parallel runs learn both from the workers
+     */
+    describeFile(file) {
+        return this.fileDescriptions?.get(file) || {
+            modules: (this.bundles.get(file)?.modules || []).map(module => module.key),
+            shared: this.graphqlAnalyzer.hasClientsIn(file) || this.interceptorAnalyzer.hasRegistrationsIn(file)
+        };
+    }
+
+    /**
+     * Unreferenced GraphQL operations: fresh for documents in analyzed files, stored for the others,
+     * minus stored ones a call of this run now sends
+     */
+    getCachedDocumentCalls(files, documents, cache) {
+        const fresh = new Map(); // analyzed file -> document calls
+        const documentCalls = [];
+
+        for (const { file: documentFile, call } of documents) {
+            const file = cache.findFile(documentFile.replace(/#.*$/, ''));
+            if (file && !cache.wasAnalyzed(file)) continue;
+
+            documentCalls.push(call);
+            if (file) {
+                fresh.set(file, [...(fresh.get(file) || []), call]);
+            }
+        }
+
+        for (const [file, calls] of fresh) {
+            cache.storeDocumentCalls(file, calls);
+        }
+
+        const sent = new Set(this.results.httpCalls
+            .filter(call => call.graphql)
+            .map(call => `${call.graphql.operationType} ${call.graphql.operationName}`));
+        for (const file of files) {
+            if (cache.wasAnalyzed(file)) continue;
+            documentCalls.push(...cache.getDocumentCalls(file)
+                .filter(call => !sent.has(`${call.graphql.operationType} ${call.graphql.operationName}`)));
+        }
+
+        return documentCalls;
+    }
+
+    /**
+     * Scanned files a file loads: relative imports and requires, and for bundles the files holding
+     * the modules it requires
+     */
+    findDependencies(file, ast, scanFiles, getProvider = () => null) {
+        const dependencies = new Set();
+        const directory = path.dirname(path.resolve(file));
+
+        const addSpecifier = specifier => {
+            if (!/^\.{1,2}\//.test(specifier)) return;
+            const resolved = this.resolveLocalImport(path.resolve(directory, specifier), scanFiles);
+            if (resolved) dependencies.add(resolved);
+        };
+
+        traverse(ast, {
+            'ImportDeclaration|ExportNamedDeclaration|ExportAllDeclaration': (astPath) => {
+                if (astPath.node.source) addSpecifier(astPath.node.source.value);
+            },
+            CallExpression: (astPath) => {
+                const { callee, arguments: args } = astPath.node;
+                if ((t.isImport(callee) || t.isIdentifier(callee, { name: 'require' })) && t.isStringLiteral(args[0])) {
+                    addSpecifier(args[0].value);
+                }
+            }
+        });
+
+        for (const module of this.bundles.get(file)?.modules || []) {
+            for (const key of module.dependencies) {
+                const owner = this.moduleGraph.getModule(key)?.bundle || getProvider(key);
+                if (owner && scanFiles.has(path.resolve(owner))) {
+                    dependencies.add(scanFiles.get(path.resolve(owner)));
+                }
+            }
+        }
+
+        dependencies.delete(file);
+        return Array.from(dependencies);
+    }
+
+    /**
+     * Scanned file an import path points at, trying the analyzed extensions and index files
+     */
+    resolveLocalImport(target, scanFiles) {
+        const candidates = [
+            target,
+            ...this.options.includeExtensions.map(ext => target + ext),
+            ...this.options.includeExtensions.map(ext => path.join(target, `index${ext}`))
+        ];
+        const match = candidates.find(candidate => scanFiles.has(candidate));
+        return match ? scanFiles.get(match) : null;
+    }
+
+    /**
+     * Files whose definitions the analysis of `roots` needs, in scan order: the roots, what they depend on
+     * transitively, and shared definitions; Python and PHP modules are cheap to index and looked up by name
+     */
+    getDefinitionFiles(files, roots, shared, cache = null) {
+        const needed = new Set();
+        const queue = [...roots, ...shared, ...files.filter(file => this.languageAdapters.getAdapter(file))];
+
+        while (queue.length > 0) {
+            const file = queue.shift();
+            if (needed.has(file)) continue;
+            needed.add(file);
+            queue.push(...(this.fileDependencies.has(file) ? this.fileDependencies.get(file) : cache?.getDependencies(file) || []));
+        }
+
+        return files.filter(file => needed.has(file));
+    }
+
+    /**
+     * Worker side of analyzeInParallel: what one file defines and loads, indexed without the rest of the codebase
+     */
+    extractFileDefinitions(file, scanFiles) {
+        const ast = this.collectFileDefinitions(file, new Map());
+        const { modules, shared } = this.describeFile(file);
+        const bundleModules = this.bundles.get(file)?.modules || [];
+
+        return {
+            file,
+            // Other bundles' modules are resolved to their files once every file has been indexed
+            dependencies: ast ? this.findDependencies(file, ast, scanFiles) : [],
+            modules,
+            requires: Array.from(new Set(bundleModules.flatMap(module => Array.from(module.dependencies))))
+                .filter(key => !modules.includes(key)),
+            shared,
+            values: this.staticValueResolver.getAllResolvedValues(),
+            // A wrapper is reported at its call sites when it is called anywhere
+            calledNames: Array.from(this.wrapperFunctionAnalyzer.calledNames),
+            // Traces recorded from code keep their Babel scope, which stays in the worker
+            configTraces: this.scopeResolver.getConfigTraces()
+                .filter(trace => trace.scope)
+                .map(({ scope, ...trace }) => trace),
+            diagnostics: this.diagnostics
+        };
+    }
+
+    /**
+     * Worker side of analyzeInParallel: findings for `files` once `definitionFiles` are collected, plus the
+     * GraphQL operations this worker saw defined but not sent
+     */
+    async analyzeShard({ files, definitionFiles, values, calledNames }) {
+        const allASTs = new Map();
+        for (const file of definitionFiles) {
+            this.collectFileDefinitions(file, allASTs);
+        }
+
+        // Values resolved here, with the shard's imports at hand, win over ones indexed file by file
+        this.staticValueResolver.mergeResolvedValues(values, { overwrite: false });
+        calledNames.forEach(name => this.wrapperFunctionAnalyzer.calledNames.add(name));
+        this.initializeResolvers(allASTs);
+        
+        // Problems indexing the definition files were reported by the collect tasks
+        this.diagnostics = [];
+
+        const results = [];
+        for (const file of files) {
+            const { httpCalls, issues } = await this.analyzeFile(file);
+            results.push({ file, httpCalls, issues });
+        }
+
+        return {
+            results,
+            documentCalls: this.graphqlAnalyzer.getUnreferencedOperations().map(operation => ({
+                key: operation.key,
+                file: operation.file,
+                call: this.enhancedHTTPCallExtractor.createGraphQLDocumentCall(operation)
+            })),
+            referenced: Array.from(this.graphqlAnalyzer.referenced),
+            diagnostics: this.diagnostics
+        };
+    }
+
+    /**
+     * JSON configuration found by scanConfigurations, in a form worker threads can receive
+     */
+    getConfigurationSnapshot() {
+        return {
+            jsonData: JsonConfigScanner.getJsonData(),
+            configTraces: this.scopeResolver.getConfigTraces().map(({ scope, ...trace }) => trace)
+        };
+    }
+
+    restoreConfigurations({ jsonData, configTraces }) {
+        JsonConfigScanner.jsonData = jsonData;
+        for (const trace of configTraces) {
+            this.scopeResolver.addConfigTrace(trace.name, trace.value, trace.file, trace.line);
+        }
+    }
+
+    /**
+     * Options and configuration the findings depend on; changing any of them starts a new cache
+     */
+    getCacheSettings() {
+        const {
+            includeExtensions, excludePatterns, sourceMaps, unpackBundles,
+            customPatterns, additionalGenericPatterns, apiPathPatterns, customDomains, sensitiveParams, authHeaders
+        } = this.options;
+        return {
+            includeExtensions, excludePatterns, sourceMaps, unpackBundles,
+            patterns: { customPatterns, additionalGenericPatterns, apiPathPatterns, customDomains, sensitiveParams, authHeaders },
+            configuration: this.configurationDigest
+        };
     }
 
     postProcess() {
@@ -826,24 +1670,79 @@ export class DeepHTTPAnalyzer {
                 authentication = 'anonymous';
             }
             
-            // Create unique key for grouping
-            const key = `${endpoint}|${method}|${authentication}`;
+            // Create unique key for grouping; GraphQL operations sharing an endpoint stay separate
+            const operation = call.graphql ? `${call.graphql.operationType} ${call.graphql.operationName || '(anonymous)'}` : '';
+            const key = `${endpoint}|${method}|${authentication}|${operation}`;
+            
+            // Tag locations with the client instance, interceptors and wrappers the call went through,
+            // and the query parameters it set
+            const location = call.location && (call.client || call.interceptors || call.wrapper || call.parameters)
+                ? { ...call.location }
+                : call.location;
+            if (location && call.client) {
+                location.client = { name: call.client.name, library: call.client.library };
+            }
+            if (location && call.interceptors) {
+                location.interceptors = call.interceptors.map(interceptor => interceptor.name);
+            }
+            if (location && call.wrapper) {
+                location.wrappers = call.wrapper.chain;
+            }
+            if (location && call.parameters) {
+                location.queryParams = call.parameters;
+            }
+            
+            // First static payload seen for the endpoint
+            const requestBody = call.body ?? call.requestBody?.resolvedValue ?? call.requestBody?.value;
             
             if (endpointMap.has(key)) {
                 const existing = endpointMap.get(key);
                 existing.requests_count++;
                 // Add location info
-                if (call.location) {
-                    existing.locations.push(call.location);
+                if (location) {
+                    existing.locations.push(location);
+                }
+                if (existing.requestBody === undefined && requestBody != null) {
+                    existing.requestBody = requestBody;
+                }
+                if (call.headers) {
+                    existing.headers = { ...call.headers, ...existing.headers };
+                }
+                if (call.parameters) {
+                    existing.queryParams = { ...call.parameters, ...existing.queryParams };
                 }
             } else {
-                endpointMap.set(key, {
+                const entry = {
                     endpoint: endpoint,
                     method: method,
                     authentication: authentication,
                     requests_count: 1,
-                    locations: call.location ? [call.location] : []
-                });
+                    locations: location ? [location] : []
+                };
+                if (call.graphql) {
+                    const { definedAt, ...graphql } = call.graphql;
+                    entry.graphql = graphql;
+                }
+                if (call.pathParams) {
+                    entry.pathParams = call.pathParams;
+                }
+                if (requestBody != null) {
+                    entry.requestBody = requestBody;
+                }
+                if (call.headers) {
+                    entry.headers = { ...call.headers };
+                }
+                if (call.parameters) {
+                    entry.queryParams = { ...call.parameters };
+                }
+                // Call name and response type, for the merge to infer a method the code did not give
+                if (method === 'UNKNOWN') {
+                    entry.callee = call.callee;
+                    if (call.typeArgument) {
+                        entry.typeArgument = call.typeArgument;
+                    }
+                }
+                endpointMap.set(key, entry);
             }
         }
         
@@ -923,7 +1822,7 @@ export class DeepHTTPAnalyzer {
             call.performance?.suggestions?.some(s => s.type === 'loop_optimization')
         ).length;
         
-        if (callsInLoops > 0) {
+        if (callsInLoops > 0 && this.options.warnOnLoopCalls) {
             recommendations.push({
                 type: 'batch_requests',
                 message: `${callsInLoops} HTTP calls detected in loops - consider request batching`,
@@ -932,7 +1831,7 @@ export class DeepHTTPAnalyzer {
         }
 
         const getCalls = httpCalls.filter(call => call.httpMethod === 'GET').length;
-        if (getCalls > 20) {
+        if (getCalls > 20 && this.options.suggestCaching) {
             recommendations.push({
                 type: 'caching',
                 message: `${getCalls} GET requests found - implement caching strategy`,
@@ -940,6 +1839,23 @@ export class DeepHTTPAnalyzer {
             });
         }
 
+        if (this.options.maxCallsPerFile) {
+            const callsPerFile = new Map();
+            for (const call of httpCalls) {
+                const file = call.location?.file;
+                if (file) callsPerFile.set(file, (callsPerFile.get(file) || 0) + 1);
+            }
+            for (const [file, count] of callsPerFile) {
+                if (count > this.options.maxCallsPerFile) {
+                    recommendations.push({
+                        type: 'too_many_calls',
+                        message: `${file} makes ${count} HTTP calls (limit ${this.options.maxCallsPerFile}) - consider a shared API client`,
+                        priority: 'medium'
+                    });
+                }
+            }
+        }
+
         return recommendations;
     }
 }
@@ -14,7 +14,7 @@ export class HTTPAnalyzer {
 
     validateAndSetOptions(options) {
         const defaultOptions = {
-            includeExtensions: ['.js', '.jsx', '.ts', '.tsx', '.vue', '.php', '.py', '.rb', '.java', '.cs', '.cpp', '.c', '.h', '.go', '.rs', '.kt', '.swift', '.dart', '.scala', '.html', '.xml', '.json', '.yml', '.yaml'],
+            includeExtensions: ['.js', '.jsx', '.ts', '.tsx', '.vue', '.svelte', '.astro', '.php', '.py', '.rb', '.java', '.cs', '.cpp', '.c', '.h', '.go', '.rs', '.kt', '.swift', '.dart', '.scala', '.html', '.xml', '.json', '.yml', '.yaml'],
             excludePatterns: ['node_modules', 'dist', 'build', '.git', '__pycache__', 'vendor', 'target', 'bin', 'obj', '.next', '.nuxt', 'coverage', 'tmp', 'temp', '.cache']
         };
 
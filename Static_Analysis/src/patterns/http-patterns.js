@@ -94,7 +94,11 @@ export const URL_PATTERNS = {
     localhost: /localhost|127\.0\.0\.1|0\.0\.0\.0/i,
     domain: /^([a-z0-9-]+\.)+[a-z]{2,}(\/.*)?$/i,
     api: /\/(api|v\d+|graphql|rest)/i,
-    endpoint: /\.(json|xml|csv|txt)(\?.*)?$/i
+    endpoint: /\.(json|xml|csv|txt)(\?.*)?$/i,
+    
+    // Path fragments and hosts that make a string built by concatenation read as a URL
+    apiPaths: ['/api/', '/v1/', '/graphql'],
+    customDomains: []
 };
 
 // HTTP method patterns
@@ -106,4 +110,130 @@ export const SECURITY_PATTERNS = {
     secure: /^https:\/\//i,
     authHeaders: ['authorization', 'x-api-key', 'x-auth-token', 'bearer'],
     sensitiveParams: ['password', 'token', 'key', 'secret', 'credential', 'auth']
-};
\ No newline at end of file
+};
+// HTTP client factories whose instances carry a base URL, default headers and auth into every call
+export const CLIENT_FACTORIES = {
+    axios: {
+        factories: ['axios.create'],
+        baseUrlOption: 'baseURL',
+        requestMethods: ['get', 'delete', 'head', 'options', 'post', 'put', 'patch', 'request', 'postForm', 'putForm', 'patchForm'],
+        deriveMethods: [],
+        callable: true
+    },
+    ky: {
+        factories: ['ky.create', 'ky.extend'],
+        baseUrlOption: 'prefixUrl',
+        requestMethods: ['get', 'post', 'put', 'patch', 'delete', 'head'],
+        deriveMethods: ['create', 'extend'],
+        callable: true
+    },
+    ofetch: {
+        factories: ['ofetch.create', '$fetch.create'],
+        baseUrlOption: 'baseURL',
+        requestMethods: ['raw', 'native'],
+        deriveMethods: ['create'],
+        callable: true
+    },
+    wretch: {
+        factories: ['wretch'],
+        baseUrlOption: null,
+        requestMethods: ['get', 'post', 'put', 'patch', 'delete', 'head', 'opts'],
+        deriveMethods: [], // every other wretch method returns a configured copy
+        callable: false
+    }
+};
+
+// GraphQL clients: where the endpoint is configured and which calls send an operation
+export const GRAPHQL_CLIENTS = {
+    apollo: {
+        sources: ['@apollo/client', 'apollo-client', 'apollo-boost', 'apollo-link-http', 'apollo-upload-client', 'apollo-angular'],
+        constructors: ['ApolloClient', 'HttpLink', 'BatchHttpLink', 'createHttpLink', 'createUploadLink'],
+        endpointOption: 'uri',
+        hooks: ['useQuery', 'useLazyQuery', 'useSuspenseQuery', 'useBackgroundQuery', 'useMutation', 'useSubscription'],
+        methods: { query: 'query', watchQuery: 'query', mutate: 'mutation', subscribe: 'subscription' }
+    },
+    urql: {
+        sources: ['urql', '@urql/core', '@urql/vue', '@urql/svelte', '@urql/preact'],
+        constructors: ['createClient', 'Client'],
+        endpointOption: 'url',
+        hooks: ['useQuery', 'useMutation', 'useSubscription'],
+        methods: { query: 'query', mutation: 'mutation', subscription: 'subscription' }
+    },
+    'graphql-request': {
+        sources: ['graphql-request'],
+        constructors: ['GraphQLClient'],
+        endpointArgument: 0,
+        hooks: [],
+        methods: { request: null, rawRequest: null },
+        functions: ['request', 'rawRequest'] // request(endpoint, document, variables)
+    }
+};
+
+// Fetchers a framework injects, auto-imports or hands to its data loaders
+export const FRAMEWORK_FETCHERS = {
+    // this.$http.get() (vue-resource), this.$axios.$get() and nuxtApp.$fetch() (Nuxt)
+    members: {
+        $http: { framework: 'vue', library: 'vue-resource' },
+        $axios: { framework: 'nuxt', library: 'axios' },
+        $fetch: { framework: 'nuxt', library: 'ofetch' }
+    },
+    // Nuxt auto-imports these; an explicit import must come from one of the sources
+    functions: {
+        $fetch: { framework: 'nuxt', library: 'ofetch', sources: ['#app', '#imports', 'nuxt/app', 'ofetch'] },
+        useFetch: { framework: 'nuxt', library: 'ofetch', sources: ['#app', '#imports', 'nuxt/app'] },
+        useLazyFetch: { framework: 'nuxt', library: 'ofetch', sources: ['#app', '#imports', 'nuxt/app'] }
+    },
+    // useFetch(url, options) from VueUse
+    vueuse: { framework: 'vue', library: 'vueuse', sources: ['@vueuse/core'], functions: ['useFetch'] },
+    // SvelteKit passes its own fetch to `export function load({ fetch })`
+    loadFunctions: ['load']
+};
+
+// Python HTTP libraries: module-level request functions and the client classes that hold a base URL
+export const PYTHON_HTTP_LIBRARIES = {
+    python_requests: {
+        module: 'requests',
+        functions: ['get', 'post', 'put', 'patch', 'delete', 'head', 'options', 'request'],
+        clients: ['Session', 'session'],
+        baseUrlOption: null
+    },
+    python_httpx: {
+        module: 'httpx',
+        functions: ['get', 'post', 'put', 'patch', 'delete', 'head', 'options', 'request', 'stream'],
+        clients: ['Client', 'AsyncClient'],
+        baseUrlOption: 'base_url'
+    },
+    python_aiohttp: {
+        module: 'aiohttp',
+        functions: ['request'],
+        clients: ['ClientSession'],
+        baseUrlOption: 'base_url'
+    }
+};
+
+// PHP HTTP clients: Guzzle instances and the cURL options that shape a request
+export const PHP_HTTP_LIBRARIES = {
+    php_guzzle: {
+        classes: ['GuzzleHttp\\Client'],
+        baseUrlOption: 'base_uri',
+        methods: ['get', 'post', 'put', 'patch', 'delete', 'head', 'options', 'request',
+                  'getAsync', 'postAsync', 'putAsync', 'patchAsync', 'deleteAsync', 'headAsync', 'optionsAsync', 'requestAsync']
+    },
+    php_curl: {
+        urlOption: 'CURLOPT_URL',
+        methodOptions: { CURLOPT_POST: 'POST', CURLOPT_PUT: 'PUT', CURLOPT_NOBODY: 'HEAD', CURLOPT_HTTPGET: 'GET' },
+        customMethodOption: 'CURLOPT_CUSTOMREQUEST',
+        headersOption: 'CURLOPT_HTTPHEADER'
+    }
+};
+
+// HTML attributes that name an endpoint, and the method each implies
+export const HTML_ENDPOINT_ATTRIBUTES = {
+    // htmx, also accepted with a `data-` prefix
+    htmx: { 'hx-get': 'GET', 'hx-post': 'POST', 'hx-put': 'PUT', 'hx-patch': 'PATCH', 'hx-delete': 'DELETE' },
+    dataUrl: ['data-url', 'data-endpoint', 'data-api-url', 'data-src-url'],
+    // Rails UJS and similar: <a href="/posts/1" data-method="delete">
+    methodAttribute: 'data-method',
+    // <link rel> values that open a connection to an origin
+    preconnect: ['preconnect', 'dns-prefetch']
+};
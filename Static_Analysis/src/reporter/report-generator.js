@@ -7,10 +7,6 @@ export class ReportGenerator {
     generateReport(astResults) {
         let results = astResults.results;
 
-        for(let i = 0; i < results.length; i++) {
-            console.log(results[i]);
-        }
-
         const report = {
             summary: this.generateSummary(astResults),
             findings: results,
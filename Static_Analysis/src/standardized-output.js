@@ -16,7 +16,18 @@ import path from 'path';
  *   "file": "relative/path/to/file.js",
  *   "line": 123,
  *   "column": 5,
- *   "source": "static_analysis"
+ *   "source": "static_analysis",
+ *   "generated": { "file": "main.js", "line": 1, "column": 4821 },  // only for source-mapped bundles
+ *   "client": { "name": "api", "library": "axios" },                 // only for calls through a client instance
+ *   "interceptors": ["authInterceptor"],                             // only for intercepted calls
+ *   "wrappers": ["apiCall", "request"],                              // only for calls through project wrappers
+ *   "graphql": { "operationName": "GetUser", "operationType": "query", // only for GraphQL operations
+ *                "variables": [{ "name": "id", "type": "ID!" }], "rootFields": ["user"] },
+ *   "pathParams": [{ "name": "userId", "expression": "user.id", "type": "id" }], // only for templated URLs
+ *   "requestBody": { "name": "{member: user.name}", "age": 3 },   // only when the payload is known
+ *   "headers": { "Authorization": "Bearer {token}" },              // only when headers are set
+ *   "queryParams": { "page": "{variable: page}", "sort": "name" }, // only when query parameters are set
+ *   "callee": "client.send", "typeArgument": "User[]"              // only when the method is UNKNOWN
  * }
  */
 export function convertToStandardizedFormat(httpCalls, source = "static_analysis") {
@@ -52,6 +63,64 @@ export function convertToStandardizedFormat(httpCalls, source = "static_analysis
             authentication: determineAuthentication(call)
         };
         
+        // Keep the bundle position when the location was mapped to an original source
+        if (location.generated) {
+            apiCall.generated = {
+                ...location.generated,
+                file: location.generated.file ? normalizeFilePath(location.generated.file) : null
+            };
+        }
+        
+        // Client instance (axios.create, ky.extend, ...) the call went through
+        if (call.client) {
+            apiCall.client = { name: call.client.name, library: call.client.library };
+        }
+        
+        // Interceptors that rewrote the URL or injected headers
+        if (call.interceptors) {
+            apiCall.interceptors = call.interceptors.map(interceptor => interceptor.name);
+        }
+        
+        // Project functions the call went through, outermost first
+        if (call.wrapper) {
+            apiCall.wrappers = call.wrapper.chain;
+        }
+        
+        // GraphQL operation sent to the endpoint
+        if (call.graphql) {
+            const { definedAt, ...graphql } = call.graphql;
+            apiCall.graphql = graphql;
+        }
+        
+        // Named segments of a templated URL (/users/{userId}) and the code they come from
+        if (call.pathParams) {
+            apiCall.pathParams = call.pathParams;
+        }
+        
+        // Payload as far as it is static; unresolved parts are kept as {variable: ...} placeholders
+        const requestBody = call.body ?? call.requestBody?.resolvedValue ?? call.requestBody?.value;
+        if (requestBody !== null && requestBody !== undefined) {
+            apiCall.requestBody = requestBody;
+        }
+        
+        // Headers set on the call itself
+        if (call.headers) {
+            apiCall.headers = call.headers;
+        }
+        
+        // Query parameters in the URL or set through a params option
+        if (call.parameters) {
+            apiCall.queryParams = call.parameters;
+        }
+        
+        // What the method can be inferred from when the code does not state it
+        if (method === 'UNKNOWN') {
+            apiCall.callee = call.callee;
+            if (call.typeArgument) {
+                apiCall.typeArgument = call.typeArgument;
+            }
+        }
+        
         standardized.push(apiCall);
     }
     
@@ -0,0 +1,241 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { globSync } from 'glob';
+import { fileURLToPath } from 'url';
+
+const SOURCE_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PACKAGE_FILE = path.join(SOURCE_DIR, '..', 'package.json');
+const VERSION_DIR = /^[0-9a-f]{16}$/;
+
+/**
+ * Analysis Cache - Findings per file on disk, keyed by content hash and analyzer version.
+ *
+ * A file's findings are reused while its content and the content of every file it depends on
+ * (relative imports, and for bundles the chunks holding the modules it requires) are unchanged.
+ * Files with identical content are analyzed once, whatever their names.
+ */
+export class AnalysisCache {
+    /**
+     * @param {string} cacheDir - Directory holding one subdirectory per analyzer version
+     * @param {object} settings - Options and configuration the findings depend on
+     */
+    constructor(cacheDir, settings = {}) {
+        this.cacheDir = cacheDir;
+        this.versionKey = AnalysisCache.hash(`${AnalysisCache.getAnalyzerVersion()}\n${JSON.stringify(settings)}`).slice(0, 16);
+        this.entryDir = path.join(cacheDir, this.versionKey);
+
+        this.root = null;
+        this.hashes = new Map();      // file -> content hash
+        this.files = new Map();       // path relative to the scan root -> file
+        this.entries = new Map();     // content hash -> stored entry (or null)
+        this.validity = new Map();    // file -> whether its stored findings still apply
+        this.providers = new Map();   // bundle module key -> file holding it
+        this.pending = new Map();     // content hash -> entry produced by this run
+        this.analyzed = new Set();    // files analyzed by this run
+        this.stats = { reused: 0, analyzed: 0, duplicates: 0 };
+    }
+
+    static hash(content) {
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    /**
+     * Package version plus a digest of the analyzer's sources, so changing the analyzer invalidates its findings
+     */
+    static getAnalyzerVersion() {
+        const digest = crypto.createHash('sha256');
+        try {
+            digest.update(JSON.parse(fs.readFileSync(PACKAGE_FILE, 'utf8')).version || '');
+        } catch {
+            // Sources alone identify the version
+        }
+        for (const file of globSync('**/*.js', { cwd: SOURCE_DIR }).sort()) {
+            digest.update(file).update(fs.readFileSync(path.join(SOURCE_DIR, file)));
+        }
+        return digest.digest('hex');
+    }
+
+    /**
+     * Hash the files of a scan and load the entries stored for their content
+     */
+    load(files, rootDir, readFile = file => fs.readFileSync(file)) {
+        this.root = path.resolve(rootDir);
+        fs.mkdirSync(this.entryDir, { recursive: true });
+        this.removeStaleVersions();
+
+        for (const file of files) {
+            const hash = AnalysisCache.hash(readFile(file));
+            this.hashes.set(file, hash);
+            this.files.set(this.relative(file), file);
+
+            if (!this.entries.has(hash)) {
+                this.entries.set(hash, this.readEntry(hash));
+            }
+        }
+
+        for (const file of files) {
+            for (const key of this.entries.get(this.hashes.get(file))?.modules || []) {
+                if (!this.providers.has(key)) this.providers.set(key, file);
+            }
+        }
+    }
+
+    /**
+     * First file of each content whose findings must be computed again, in scan order
+     */
+    getStaleFiles() {
+        const seen = new Set();
+        const stale = [];
+
+        for (const [file, hash] of this.hashes) {
+            if (seen.has(hash)) continue;
+            seen.add(hash);
+            if (!this.isValid(file)) stale.push(file);
+        }
+        return stale;
+    }
+
+    /**
+     * The stored entry applies when the dependencies it recorded still have the same content, transitively
+     */
+    isValid(file, visiting = new Set()) {
+        if (this.validity.has(file)) return this.validity.get(file);
+        // A dependency cycle is valid unless something outside it changed
+        if (visiting.has(file)) return true;
+        visiting.add(file);
+
+        const entry = this.entries.get(this.hashes.get(file));
+        const valid = Boolean(entry) && Object.entries(entry.dependencies).every(([relative, hash]) => {
+            const dependency = this.files.get(relative);
+            return dependency && this.hashes.get(dependency) === hash && this.isValid(dependency, visiting);
+        });
+
+        visiting.delete(file);
+        if (visiting.size === 0 || !valid) this.validity.set(file, valid);
+        return valid;
+    }
+
+    /**
+     * Files a file depended on when its entry was stored
+     */
+    getDependencies(file) {
+        const entry = this.entries.get(this.hashes.get(file));
+        return entry ? Object.keys(entry.dependencies).map(relative => this.files.get(relative)).filter(Boolean) : [];
+    }
+
+    /**
+     * Files whose definitions reach files that do not import them (GraphQL clients behind default endpoints, interceptor registrations)
+     */
+    getSharedFiles() {
+        return Array.from(this.hashes.keys()).filter(file => this.entries.get(this.hashes.get(file))?.shared);
+    }
+
+    getProvider(moduleKey) {
+        return this.providers.get(moduleKey) || null;
+    }
+
+    /**
+     * Findings for a file whose content was analyzed already, by this run or a previous one; null otherwise
+     */
+    getFindings(file) {
+        const hash = this.hashes.get(file);
+        const entry = this.pending.get(hash) || (this.isValid(file) ? this.entries.get(hash) : null);
+        if (!entry) return null;
+
+        if (this.pending.has(hash)) {
+            this.stats.duplicates++;
+        } else {
+            this.stats.reused++;
+        }
+        return AnalysisCache.relocate(entry.findings, entry.file, path.basename(file));
+    }
+
+    /**
+     * GraphQL operations that no call sends, reported from documents in reused files
+     */
+    getDocumentCalls(file) {
+        const hash = this.hashes.get(file);
+        const entry = this.pending.get(hash) || this.entries.get(hash);
+        return entry ? AnalysisCache.relocate(entry.documentCalls || [], entry.file, path.basename(file)) : [];
+    }
+
+    /**
+     * Keep the findings of an analyzed file until save()
+     */
+    store(file, findings, { dependencies = [], modules = [], shared = false } = {}) {
+        this.stats.analyzed++;
+        this.analyzed.add(file);
+        this.pending.set(this.hashes.get(file), {
+            file: path.basename(file),
+            dependencies: Object.fromEntries(dependencies
+                .filter(dependency => this.hashes.has(dependency))
+                .map(dependency => [this.relative(dependency), this.hashes.get(dependency)])),
+            modules,
+            shared,
+            findings: JSON.parse(JSON.stringify(findings)),
+            documentCalls: []
+        });
+    }
+
+    storeDocumentCalls(file, documentCalls) {
+        const entry = this.pending.get(this.hashes.get(file));
+        if (entry) {
+            entry.documentCalls = JSON.parse(JSON.stringify(documentCalls));
+        }
+    }
+
+    wasAnalyzed(file) {
+        return this.analyzed.has(file);
+    }
+
+    findFile(filePath) {
+        return this.hashes.has(filePath) ? filePath : this.files.get(this.relative(filePath)) || null;
+    }
+
+    save() {
+        for (const [hash, entry] of this.pending) {
+            const target = path.join(this.entryDir, `${hash}.json`);
+            const temporary = `${target}.${process.pid}.tmp`;
+            fs.writeFileSync(temporary, JSON.stringify(entry));
+            fs.renameSync(temporary, target);
+        }
+    }
+
+    readEntry(hash) {
+        try {
+            return JSON.parse(fs.readFileSync(path.join(this.entryDir, `${hash}.json`), 'utf8'));
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Drop entries written by other analyzer versions or settings
+     */
+    removeStaleVersions() {
+        for (const name of fs.readdirSync(this.cacheDir)) {
+            if (name !== this.versionKey && VERSION_DIR.test(name)) {
+                fs.rmSync(path.join(this.cacheDir, name), { recursive: true, force: true });
+            }
+        }
+    }
+
+    relative(file) {
+        return path.relative(this.root, path.resolve(file)).split(path.sep).join('/');
+    }
+
+    /**
+     * Copy of stored findings with the file name they were recorded under replaced by `fileName`
+     */
+    static relocate(findings, recordedName, fileName) {
+        const copy = JSON.parse(JSON.stringify(findings));
+        if (recordedName === fileName) return copy;
+
+        for (const call of copy) {
+            if (call.location?.file === recordedName) call.location.file = fileName;
+            if (call.location?.generated?.file === recordedName) call.location.generated.file = fileName;
+        }
+        return copy;
+    }
+}
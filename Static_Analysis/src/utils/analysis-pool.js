@@ -0,0 +1,125 @@
+import { Worker } from 'worker_threads';
+
+const WORKER_FILE = new URL('./analysis-worker.js', import.meta.url);
+
+/**
+ * Analysis Pool - Worker threads running DeepHTTPAnalyzer tasks.
+ *
+ * Tasks go to whichever worker is idle; their results are returned in the order the tasks were
+ * given, so callers stay deterministic however the work was scheduled.
+ */
+export class AnalysisPool {
+    /**
+     * @param {number} size - Number of worker threads
+     * @param {object} workerData - Analyzer options, scanned files and configuration shared by every task
+     */
+    constructor(size, workerData) {
+        this.size = size;
+        this.queue = [];      // tasks waiting for an idle worker
+        this.closing = false;
+        this.workers = Array.from({ length: size }, () => this.createWorker(workerData));
+        this.idle = [...this.workers];
+    }
+
+    createWorker(workerData) {
+        const worker = new Worker(WORKER_FILE, { workerData });
+        worker.task = null;
+
+        worker.on('message', ({ result, error }) => {
+            const task = worker.task;
+            worker.task = null;
+            if (error) {
+                task.reject(new Error(error));
+            } else {
+                task.resolve(JSON.parse(result));
+            }
+            this.idle.push(worker);
+            this.dispatch();
+        });
+        worker.on('error', error => this.fail(worker, error));
+        worker.on('exit', code => {
+            if (!this.closing) this.fail(worker, new Error(`Analysis worker exited with code ${code}`));
+        });
+
+        return worker;
+    }
+
+    /**
+     * Run one task ('collect' or 'analyze') on the next idle worker
+     */
+    run(type, payload) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ type, payload, resolve, reject });
+            this.dispatch();
+        });
+    }
+
+    /**
+     * One task per payload; results in payload order
+     */
+    map(type, payloads) {
+        return Promise.all(payloads.map(payload => this.run(type, payload)));
+    }
+
+    dispatch() {
+        while (this.idle.length > 0 && this.queue.length > 0) {
+            const worker = this.idle.shift();
+            const task = this.queue.shift();
+            worker.task = task;
+            worker.postMessage({ type: task.type, payload: task.payload });
+        }
+    }
+
+    /**
+     * A worker that dies takes its task with it; queued tasks fail too rather than wait forever
+     */
+    fail(worker, error) {
+        worker.task?.reject(error);
+        worker.task = null;
+        this.idle = this.idle.filter(idle => idle !== worker);
+        this.workers = this.workers.filter(other => other !== worker);
+
+        if (this.workers.length === 0) {
+            for (const task of this.queue.splice(0)) task.reject(error);
+        }
+    }
+
+    /**
+     * Let the workers exit on their own, which flushes the warnings they printed
+     */
+    async close() {
+        this.closing = true;
+        await Promise.all(this.workers.map(worker => new Promise(resolve => {
+            worker.once('exit', resolve);
+            worker.postMessage({ type: 'close' });
+        })));
+    }
+
+    /**
+     * Contiguous slices of `items` with about the same total weight each
+     */
+    static split(items, count, weigh = () => 1) {
+        const weights = items.map(weigh);
+        let remaining = weights.reduce((sum, weight) => sum + weight, 0);
+        const slices = [];
+        let start = 0;
+
+        for (let index = 0; index < count && start < items.length; index++) {
+            const target = remaining / (count - index);
+            let end = start;
+            let weight = 0;
+
+            while (end < items.length &&
+                (end === start || index === count - 1 || weight + weights[end] / 2 <= target)) {
+                weight += weights[end];
+                end++;
+            }
+
+            slices.push(items.slice(start, end));
+            remaining -= weight;
+            start = end;
+        }
+
+        return slices;
+    }
+}
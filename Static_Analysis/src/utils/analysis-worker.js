@@ -0,0 +1,38 @@
+import { parentPort, workerData } from 'worker_threads';
+import path from 'path';
+import { DeepHTTPAnalyzer } from '../deep-http-analyzer.js';
+
+// Progress is reported by the main thread; interleaved worker logs would vary from run to run
+console.log = () => {};
+console.debug = () => {};
+
+const scanFiles = new Map(workerData.files.map(file => [path.resolve(file), file]));
+
+/**
+ * Every task gets a fresh analyzer, so its result does not depend on which tasks the worker ran before
+ */
+function createAnalyzer() {
+    const analyzer = new DeepHTTPAnalyzer(workerData.options);
+    if (workerData.sources) analyzer.setSources(workerData.sources);
+    analyzer.restoreConfigurations(workerData.configuration);
+    return analyzer;
+}
+
+const tasks = {
+    collect: file => createAnalyzer().extractFileDefinitions(file, scanFiles),
+    analyze: shard => createAnalyzer().analyzeShard(shard)
+};
+
+parentPort.on('message', async ({ type, payload }) => {
+    if (type === 'close') {
+        parentPort.close();
+        return;
+    }
+
+    try {
+        // Findings are sent as JSON, as the cache stores them
+        parentPort.postMessage({ result: JSON.stringify(await tasks[type](payload)) });
+    } catch (error) {
+        parentPort.postMessage({ error: error.stack || error.message });
+    }
+});
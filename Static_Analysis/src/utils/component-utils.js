@@ -0,0 +1,96 @@
+export const COMPONENT_FILE_EXTENSIONS = ['.vue', '.svelte', '.astro'];
+
+// Script types that hold code; others (JSON, import maps, templates) hold data or markup
+const CODE_TYPES = /^(module|(text|application)\/(x-)?(javascript|ecmascript|typescript|babel|jsx))$/i;
+const TYPESCRIPT_LANGS = ['ts', 'tsx', 'typescript'];
+
+/**
+ * Single-file components (Vue, Svelte, Astro) and HTML pages: the code they contain, at its original position
+ */
+export class ComponentUtils {
+    static isComponentFile(filePath) {
+        return COMPONENT_FILE_EXTENSIONS.some(ext => filePath.endsWith(ext));
+    }
+
+    /**
+     * Blank everything outside the script blocks (and Astro frontmatter) so the result parses
+     * as one module whose lines and columns are those of the component.
+     * Returns { code, typescript, blocks: [{ start, end, setup, context }] }.
+     */
+    static extractScripts(content, filePath) {
+        const blocks = [];
+        const comments = ComponentUtils.findComments(content);
+        const inComment = offset => comments.some(([start, end]) => offset >= start && offset < end);
+        let typescript = false;
+
+        // Astro frontmatter is TypeScript between `---` fences at the top of the file
+        if (filePath.endsWith('.astro')) {
+            const frontmatter = content.match(/^(\s*---[^\S\n]*\r?\n)([\s\S]*?)\r?\n---/);
+            if (frontmatter) {
+                const start = frontmatter[1].length;
+                blocks.push({ start, end: start + frontmatter[2].length, setup: false, context: 'server' });
+                typescript = true;
+            }
+        }
+
+        const scriptPattern = /<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi;
+        let match;
+        while ((match = scriptPattern.exec(content)) !== null) {
+            if (inComment(match.index)) continue;
+
+            const attributes = ComponentUtils.parseAttributes(match[1]);
+            if (attributes.src || (attributes.type && !CODE_TYPES.test(attributes.type))) continue;
+
+            const start = match.index + match[0].indexOf('>') + 1;
+            blocks.push({
+                start,
+                end: start + match[2].length,
+                setup: 'setup' in attributes,
+                context: attributes.context || (attributes.type === 'module' ? 'module' : null)
+            });
+
+            // Astro client scripts are TypeScript too
+            if (TYPESCRIPT_LANGS.includes(attributes.lang) || filePath.endsWith('.astro')) {
+                typescript = true;
+            }
+        }
+
+        let code = '';
+        let pos = 0;
+        for (const block of blocks.sort((a, b) => a.start - b.start)) {
+            code += ComponentUtils.blank(content.slice(pos, block.start));
+            code += content.slice(block.start, block.end);
+            pos = block.end;
+        }
+        code += ComponentUtils.blank(content.slice(pos));
+
+        return { code, typescript, blocks };
+    }
+
+    /**
+     * Same text with every character but line breaks turned into spaces
+     */
+    static blank(text) {
+        return text.replace(/[^\r\n]/g, ' ');
+    }
+
+    static findComments(content) {
+        const comments = [];
+        const pattern = /<!--[\s\S]*?-->/g;
+        let match;
+        while ((match = pattern.exec(content)) !== null) {
+            comments.push([match.index, match.index + match[0].length]);
+        }
+        return comments;
+    }
+
+    static parseAttributes(text) {
+        const attributes = {};
+        const pattern = /([:@\w-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4] ?? '';
+        }
+        return attributes;
+    }
+}
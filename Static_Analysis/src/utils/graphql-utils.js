@@ -0,0 +1,275 @@
+const OPERATION_TYPES = ['query', 'mutation', 'subscription'];
+const PUNCTUATORS = '{}()[]:!$@=|&';
+
+/**
+ * Reads GraphQL documents just far enough to describe their operations:
+ * name, type, variables and root fields. Schema definitions are skipped.
+ */
+export class GraphQLUtils {
+    /**
+     * Parse document text into { operations: [{ name, type, variables, rootFields, offset }], fragments: Map }.
+     * Returns null when the text is not a GraphQL document.
+     */
+    static parseDocument(text) {
+        if (typeof text !== 'string') return null;
+
+        const tokens = GraphQLUtils.tokenize(text);
+        const document = { operations: [], fragments: new Map() };
+        let pos = 0;
+
+        try {
+            while (pos < tokens.length) {
+                const token = tokens[pos];
+
+                if (token.value === '{') {
+                    // Query shorthand: `{ me { id } }`
+                    const selection = GraphQLUtils.readSelectionSet(tokens, pos);
+                    document.operations.push({ name: null, type: 'query', variables: [], rootFields: selection.fields, spreads: selection.spreads, offset: token.offset });
+                    pos = selection.end;
+                } else if (OPERATION_TYPES.includes(token.value)) {
+                    const operation = GraphQLUtils.readOperation(tokens, pos);
+                    document.operations.push(operation);
+                    pos = operation.end;
+                } else if (token.value === 'fragment') {
+                    const name = tokens[pos + 1]?.value;
+                    const start = tokens.findIndex((candidate, i) => i > pos && candidate.value === '{');
+                    if (start === -1) break;
+                    const selection = GraphQLUtils.readSelectionSet(tokens, start);
+                    document.fragments.set(name, { fields: selection.fields, spreads: selection.spreads });
+                    pos = selection.end;
+                } else {
+                    pos = GraphQLUtils.skipDefinition(tokens, pos);
+                }
+            }
+        } catch {
+            return null;
+        }
+
+        if (document.operations.length === 0 && document.fragments.size === 0) return null;
+
+        for (const operation of document.operations) {
+            delete operation.end;
+        }
+        return document;
+    }
+
+    static tokenize(text) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (/[\s,﻿]/.test(char)) {
+                i++;
+            } else if (char === '#') {
+                while (i < text.length && text[i] !== '\n') i++;
+            } else if (text.startsWith('"""', i)) {
+                const end = text.indexOf('"""', i + 3);
+                i = end === -1 ? text.length : end + 3;
+                tokens.push({ value: '"', offset: i });
+            } else if (char === '"') {
+                let j = i + 1;
+                while (j < text.length && text[j] !== '"' && text[j] !== '\n') j += text[j] === '\\' ? 2 : 1;
+                tokens.push({ value: '"', offset: i });
+                i = j + 1;
+            } else if (text.startsWith('...', i)) {
+                tokens.push({ value: '...', offset: i });
+                i += 3;
+            } else if (PUNCTUATORS.includes(char)) {
+                tokens.push({ value: char, offset: i });
+                i++;
+            } else {
+                const match = /^[_A-Za-z][_0-9A-Za-z]*|^-?\d[\d.eE+-]*/.exec(text.slice(i, i + 256));
+                if (!match) throw new Error(`Unexpected character '${char}'`);
+                tokens.push({ value: match[0], offset: i });
+                i += match[0].length;
+            }
+        }
+
+        return tokens;
+    }
+
+    static readOperation(tokens, pos) {
+        const operation = { name: null, type: tokens[pos].value, variables: [], rootFields: [], spreads: [], offset: tokens[pos].offset };
+        pos++;
+
+        if (GraphQLUtils.isName(tokens[pos])) {
+            operation.name = tokens[pos].value;
+            pos++;
+        }
+
+        // ($id: ID!, $filter: [String!] = ["a"] @deprecated)
+        if (tokens[pos]?.value === '(') {
+            const end = GraphQLUtils.findClosing(tokens, pos);
+            let i = pos + 1;
+            while (i < end) {
+                if (tokens[i].value === '$' && tokens[i + 2]?.value === ':') {
+                    let type = '';
+                    let j = i + 3;
+                    while (j < end && (GraphQLUtils.isName(tokens[j]) || ['[', ']', '!'].includes(tokens[j].value))) {
+                        // A name right after a complete type starts the next definition
+                        if (GraphQLUtils.isName(tokens[j]) && type && !type.endsWith('[')) break;
+                        type += tokens[j].value;
+                        j++;
+                    }
+                    operation.variables.push({ name: tokens[i + 1].value, type });
+                    i = j;
+                } else {
+                    i++;
+                }
+            }
+            pos = end + 1;
+        }
+
+        while (tokens[pos] && tokens[pos].value !== '{') pos++;
+        const selection = GraphQLUtils.readSelectionSet(tokens, pos);
+        operation.rootFields = selection.fields;
+        operation.spreads = selection.spreads;
+        operation.end = selection.end;
+        return operation;
+    }
+
+    /**
+     * Field names directly inside a selection set (inline fragments included) and the fragments it spreads
+     */
+    static readSelectionSet(tokens, pos) {
+        const end = GraphQLUtils.findClosing(tokens, pos);
+        const fields = [];
+        const spreads = [];
+        let i = pos + 1;
+
+        while (i < end) {
+            const token = tokens[i];
+
+            if (token.value === '...') {
+                if (tokens[i + 1]?.value === 'on' || tokens[i + 1]?.value === '{' || tokens[i + 1]?.value === '@') {
+                    // Inline fragment: its fields belong to this level
+                    let start = i + 1;
+                    while (tokens[start].value !== '{') start++;
+                    const inline = GraphQLUtils.readSelectionSet(tokens, start);
+                    fields.push(...inline.fields.filter(field => !fields.includes(field)));
+                    spreads.push(...inline.spreads);
+                    i = inline.end;
+                } else {
+                    spreads.push(tokens[i + 1].value);
+                    i += 2;
+                }
+            } else if (GraphQLUtils.isName(token)) {
+                // `alias: field`
+                const name = tokens[i + 1]?.value === ':' ? tokens[i + 2].value : token.value;
+                if (!fields.includes(name)) fields.push(name);
+                i += tokens[i + 1]?.value === ':' ? 3 : 1;
+            } else if (token.value === '(' || token.value === '{') {
+                // Arguments and nested selections
+                i = GraphQLUtils.findClosing(tokens, i) + 1;
+            } else if (token.value === '@') {
+                i += 2;
+            } else {
+                i++;
+            }
+        }
+
+        return { fields, spreads, end: end + 1 };
+    }
+
+    static skipDefinition(tokens, pos) {
+        let i = pos + 1;
+        while (i < tokens.length && !OPERATION_TYPES.includes(tokens[i].value) && tokens[i].value !== 'fragment' &&
+            !['type', 'input', 'interface', 'enum', 'union', 'scalar', 'schema', 'directive', 'extend'].includes(tokens[i].value)) {
+            i = ['{', '('].includes(tokens[i].value) ? GraphQLUtils.findClosing(tokens, i) + 1 : i + 1;
+        }
+        return i;
+    }
+
+    static findClosing(tokens, pos) {
+        const open = tokens[pos].value;
+        const close = open === '{' ? '}' : open === '(' ? ')' : ']';
+        let depth = 0;
+
+        for (let i = pos; i < tokens.length; i++) {
+            if (tokens[i].value === open) depth++;
+            if (tokens[i].value === close && --depth === 0) return i;
+        }
+        throw new Error(`Unbalanced '${open}'`);
+    }
+
+    static isName(token) {
+        return !!token && /^[_A-Za-z]/.test(token.value);
+    }
+
+    /**
+     * Same description for a precompiled document (`{ kind: 'Document', definitions: [...] }`)
+     */
+    static fromDocumentNode(documentNode) {
+        if (documentNode?.kind !== 'Document' || !Array.isArray(documentNode.definitions)) return null;
+
+        const document = { operations: [], fragments: new Map() };
+
+        for (const definition of documentNode.definitions) {
+            const selection = GraphQLUtils.describeSelections(definition.selectionSet);
+
+            if (definition.kind === 'OperationDefinition') {
+                document.operations.push({
+                    name: definition.name?.value || null,
+                    type: definition.operation || 'query',
+                    variables: (definition.variableDefinitions || []).map(variable => ({
+                        name: variable.variable?.name?.value,
+                        type: GraphQLUtils.printType(variable.type)
+                    })),
+                    rootFields: selection.fields,
+                    spreads: selection.spreads,
+                    offset: 0
+                });
+            } else if (definition.kind === 'FragmentDefinition' && definition.name?.value) {
+                document.fragments.set(definition.name.value, selection);
+            }
+        }
+
+        return document.operations.length > 0 || document.fragments.size > 0 ? document : null;
+    }
+
+    static describeSelections(selectionSet) {
+        const fields = [];
+        const spreads = [];
+
+        for (const selection of selectionSet?.selections || []) {
+            if (selection.kind === 'Field' && selection.name?.value && !fields.includes(selection.name.value)) {
+                fields.push(selection.name.value);
+            } else if (selection.kind === 'FragmentSpread' && selection.name?.value) {
+                spreads.push(selection.name.value);
+            } else if (selection.kind === 'InlineFragment') {
+                const inline = GraphQLUtils.describeSelections(selection.selectionSet);
+                fields.push(...inline.fields.filter(field => !fields.includes(field)));
+                spreads.push(...inline.spreads);
+            }
+        }
+
+        return { fields, spreads };
+    }
+
+    static printType(typeNode) {
+        if (!typeNode) return '';
+        if (typeNode.kind === 'NonNullType') return `${GraphQLUtils.printType(typeNode.type)}!`;
+        if (typeNode.kind === 'ListType') return `[${GraphQLUtils.printType(typeNode.type)}]`;
+        return typeNode.name?.value || '';
+    }
+
+    /**
+     * Root fields of an operation with fragment spreads expanded
+     */
+    static getRootFields(operation, fragments, seen = new Set()) {
+        const fields = [...operation.rootFields];
+
+        for (const spread of operation.spreads || []) {
+            const fragment = fragments.get(spread);
+            if (!fragment || seen.has(spread)) continue;
+            seen.add(spread);
+
+            const fragmentFields = GraphQLUtils.getRootFields({ rootFields: fragment.fields, spreads: fragment.spreads }, fragments, seen);
+            fields.push(...fragmentFields.filter(field => !fields.includes(field)));
+        }
+
+        return fields;
+    }
+}
@@ -0,0 +1,78 @@
+// Placeholder kinds the resolvers prefix to the expression they could not resolve
+const PLACEHOLDER_KINDS = ['variable', 'member', 'unresolved', 'parameter', 'env'];
+
+// Placeholders standing for an expression the resolvers did not name
+const ANONYMOUS_PLACEHOLDERS = ['expression', 'expr', 'left', 'right', 'complex_binding', 'complex_expression', 'function_call', 'unresolved', 'method'];
+
+// Objects whose property name is the meaningful part (`params.id` is `{id}`, `user.id` is `{userId}`)
+const CONTAINER_NAMES = ['this', 'params', 'props', 'args', 'query', 'data', 'options', 'opts', 'route', 'req', 'request', 'match', 'payload', 'body', 'input', 'config', 'state', 'self'];
+const GENERIC_NAMES = ['id', 'uuid', 'slug', 'key', 'name', 'code'];
+
+/**
+ * Path templates: unresolved URL segments as named `{param}` placeholders
+ */
+export class PathTemplate {
+    /**
+     * Rewrite the placeholders left in a URL (`{parameter: id}`, `{member: user.id}`, `{expression}`)
+     * as named templates. Returns { url, params: [{ name, expression }] }.
+     */
+    static normalize(url) {
+        if (typeof url !== 'string' || !url.includes('{')) return { url, params: [] };
+
+        // Whole-URL markers (`{unresolved_url_for_x}`) are not path segments
+        if (/^\{[^{}]*\}$/.test(url)) return { url, params: [] };
+
+        const params = [];
+        const normalized = url.replace(/\{([^{}]*)\}/g, (placeholder, inner) => {
+            const expression = PathTemplate.getExpression(inner.trim());
+            let name = PathTemplate.getName(expression);
+
+            // Two segments from the same name stay distinguishable
+            const base = name;
+            for (let i = 2; params.some(param => param.name === name); i++) name = `${base}${i}`;
+
+            params.push({ name, expression });
+            return `{${name}}`;
+        });
+
+        return { url: normalized, params };
+    }
+
+    static getExpression(inner) {
+        const kind = inner.match(/^([a-z_]+):\s*(.+)$/);
+        if (kind && PLACEHOLDER_KINDS.includes(kind[1])) return kind[2];
+        if (ANONYMOUS_PLACEHOLDERS.includes(inner) || inner === '') return null;
+        return inner;
+    }
+
+    /**
+     * Template name for a source expression: the last property, qualified by its object when generic
+     */
+    static getName(expression) {
+        // PHP spells `user.id` as `$user->id`
+        expression = expression?.replace(/^\$/, '').replace(/(->|::)\$?/g, '.');
+        if (!expression || !/^[A-Za-z_$][\w$]*(\(\))?(\.[A-Za-z_$][\w$]*(\(\))?)*$/.test(expression)) return 'param';
+
+        const segments = expression.replace(/\(\)/g, '').split('.');
+
+        const last = segments[segments.length - 1];
+        const owner = segments[segments.length - 2];
+        if (owner && GENERIC_NAMES.includes(last.toLowerCase()) && !CONTAINER_NAMES.includes(owner)) {
+            return `${owner}${last[0].toUpperCase()}${last.slice(1)}`;
+        }
+        return last;
+    }
+
+    /**
+     * Type suggested by a template name: uuid, id, integer, string or unknown
+     */
+    static inferType(name) {
+        // Numbered duplicates (`id2`) share the type of their name
+        name = name.replace(/\d+$/, '');
+        if (/uuid|guid/i.test(name)) return 'uuid';
+        if (/(^id$|Id$|_id$|ID$)/.test(name)) return 'id';
+        if (/(page|count|limit|offset|index|size|year|number|num)$/i.test(name)) return 'integer';
+        if (/(slug|name|code|token|key|email|lang|locale|type|status|category)$/i.test(name)) return 'string';
+        return 'unknown';
+    }
+}
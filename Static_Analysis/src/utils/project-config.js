@@ -0,0 +1,232 @@
+import fs from 'fs';
+import path from 'path';
+import { HTTP_PATTERNS, URL_PATTERNS, SECURITY_PATTERNS } from '../patterns/http-patterns.js';
+import { ValidationUtils } from './validation-utils.js';
+
+export const PROJECT_CONFIG_FILE = '.httpanalyzerrc.json';
+
+const OUTPUT_FORMATS = ['json', 'csv', 'markdown'];
+
+// Built-in patterns, restored before each project's settings are applied
+const DEFAULT_PATTERNS = {
+    http: structuredClone(HTTP_PATTERNS),
+    apiPaths: [...URL_PATTERNS.apiPaths],
+    customDomains: [...URL_PATTERNS.customDomains],
+    sensitiveParams: [...SECURITY_PATTERNS.sensitiveParams],
+    authHeaders: [...SECURITY_PATTERNS.authHeaders]
+};
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string' && item.length > 0);
+
+const STRING = { type: 'string' };
+const BOOLEAN = { type: 'boolean' };
+const STRING_LIST = {
+    validate: value => value === undefined || isStringList(value),
+    message: 'must be an array of non-empty strings'
+};
+
+const METADATA_SCHEMA = {
+    name: STRING,
+    description: STRING,
+    version: STRING
+};
+
+// Sections of config.template.json and the settings each one accepts
+const SECTION_SCHEMAS = {
+    analysis: {
+        includeExtensions: {
+            validate: value => value === undefined || (isStringList(value) && value.length > 0),
+            message: 'must be a non-empty array of extensions'
+        },
+        excludePatterns: STRING_LIST,
+        defaultDirectory: STRING,
+        deep: BOOLEAN,
+        includeSecurityAnalysis: BOOLEAN,
+        includePerformanceAnalysis: BOOLEAN,
+        trackDynamicUrls: BOOLEAN,
+        analyzeHeaders: BOOLEAN
+    },
+    httpPatterns: {
+        customPatterns: {
+            validate: value => value === undefined || (isObject(value) && Object.values(value).every(isStringList)),
+            message: 'must map each library name to an array of call patterns'
+        },
+        additionalGenericPatterns: STRING_LIST
+    },
+    urlPatterns: {
+        customDomains: STRING_LIST,
+        allowedProtocols: STRING_LIST,
+        apiPathPatterns: STRING_LIST
+    },
+    security: {
+        requireHttps: BOOLEAN,
+        sensitiveParams: STRING_LIST,
+        authHeaders: STRING_LIST
+    },
+    performance: {
+        maxCallsPerFile: {
+            validate: value => value === undefined || (Number.isInteger(value) && value > 0),
+            message: 'must be a positive integer'
+        },
+        warnOnLoopCalls: BOOLEAN,
+        suggestCaching: BOOLEAN
+    },
+    output: {
+        defaultFormat: {
+            validate: value => value === undefined || OUTPUT_FORMATS.includes(value),
+            message: `must be one of ${OUTPUT_FORMATS.join(', ')}`
+        },
+        verbose: BOOLEAN,
+        includeContext: BOOLEAN,
+        includeStats: BOOLEAN
+    },
+    projectType: {
+        type: STRING,
+        framework: STRING,
+        language: STRING
+    }
+};
+
+/**
+ * Project Config - Team settings in the shape of config.template.json.
+ *
+ * Loaded from --config or from a .httpanalyzerrc.json next to the analyzed code, validated, and turned
+ * into DeepHTTPAnalyzer options; the pattern settings among them extend HTTP_PATTERNS, URL_PATTERNS
+ * and SECURITY_PATTERNS when an analyzer is created.
+ */
+export class ProjectConfig {
+    /**
+     * .httpanalyzerrc.json in the analyzed directory, else in the working directory; null when neither has one
+     */
+    static find(directory) {
+        const candidates = [path.resolve(directory, PROJECT_CONFIG_FILE), path.resolve(PROJECT_CONFIG_FILE)];
+        return candidates.find(file => fs.existsSync(file)) || null;
+    }
+
+    /**
+     * Read and validate a configuration file; throws with every problem found
+     */
+    static load(filePath) {
+        let content;
+        try {
+            content = fs.readFileSync(filePath, 'utf8');
+        } catch {
+            throw new Error(`Configuration file not found: ${filePath}`);
+        }
+
+        let config;
+        try {
+            config = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Configuration file ${filePath} is not valid JSON: ${error.message}`);
+        }
+
+        return ProjectConfig.assertValid(config, filePath);
+    }
+
+    /**
+     * The configuration itself when it is valid; throws with every problem found otherwise
+     */
+    static assertValid(config, origin) {
+        const errors = ProjectConfig.validate(config);
+        if (errors.length > 0) {
+            throw new Error(`Invalid configuration in ${origin}:\n   - ${errors.join('\n   - ')}`);
+        }
+
+        return config;
+    }
+
+    /**
+     * Problems with a configuration, each prefixed with the path of the setting
+     */
+    static validate(config) {
+        if (!isObject(config)) {
+            return ['the configuration must be a JSON object'];
+        }
+
+        const errors = Object.keys(config)
+            .filter(key => !(key in METADATA_SCHEMA) && !(key in SECTION_SCHEMAS))
+            .map(key => `${key} is not a known setting`);
+        errors.push(...ValidationUtils.validateOptions(config, METADATA_SCHEMA));
+
+        for (const [section, schema] of Object.entries(SECTION_SCHEMAS)) {
+            const settings = config[section];
+            if (settings === undefined) continue;
+            if (!isObject(settings)) {
+                errors.push(`${section} must be an object`);
+                continue;
+            }
+
+            for (const key of Object.keys(settings)) {
+                if (!(key in schema)) errors.push(`${section}.${key} is not a known setting`);
+            }
+            errors.push(...ValidationUtils.validateOptions(settings, schema).map(error => `${section}.${error}`));
+        }
+
+        return errors;
+    }
+
+    /**
+     * DeepHTTPAnalyzer options for a validated configuration; settings it leaves out keep the analyzer defaults
+     */
+    static toAnalyzerOptions(config) {
+        const { analysis = {}, httpPatterns = {}, urlPatterns = {}, security = {}, performance = {}, output = {} } = config;
+        const options = {
+            includeExtensions: analysis.includeExtensions?.map(ext => ext.startsWith('.') ? ext : `.${ext}`),
+            excludePatterns: analysis.excludePatterns,
+            deep: analysis.deep,
+            includeSecurityAnalysis: analysis.includeSecurityAnalysis,
+            includePerformanceAnalysis: analysis.includePerformanceAnalysis,
+            trackDynamicUrls: analysis.trackDynamicUrls,
+            analyzeHeaders: analysis.analyzeHeaders,
+            customPatterns: httpPatterns.customPatterns,
+            additionalGenericPatterns: httpPatterns.additionalGenericPatterns,
+            customDomains: urlPatterns.customDomains,
+            allowedProtocols: urlPatterns.allowedProtocols,
+            apiPathPatterns: urlPatterns.apiPathPatterns,
+            requireHttps: security.requireHttps,
+            sensitiveParams: security.sensitiveParams,
+            authHeaders: security.authHeaders,
+            maxCallsPerFile: performance.maxCallsPerFile,
+            warnOnLoopCalls: performance.warnOnLoopCalls,
+            suggestCaching: performance.suggestCaching,
+            verbose: output.verbose,
+            includeContext: output.includeContext,
+            includeStats: output.includeStats
+        };
+
+        return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    }
+
+    /**
+     * Make the shared pattern tables those of the built-ins plus an analyzer's options.
+     * The tables are module state: the analyzer created last decides the patterns in use.
+     */
+    static applyPatterns({ customPatterns, additionalGenericPatterns, apiPathPatterns, customDomains, sensitiveParams, authHeaders }) {
+        for (const library of Object.keys(HTTP_PATTERNS)) {
+            delete HTTP_PATTERNS[library];
+        }
+
+        // Categories match in table order, so project libraries come before the built-in ones whose
+        // short patterns ('get', 'Call') would claim their calls; a built-in name extends that library
+        for (const [library, patterns] of Object.entries(customPatterns || {})) {
+            HTTP_PATTERNS[library] = ProjectConfig.unique([...DEFAULT_PATTERNS.http[library] || [], ...patterns]);
+        }
+        for (const [library, patterns] of Object.entries(DEFAULT_PATTERNS.http)) {
+            HTTP_PATTERNS[library] ??= [...patterns];
+        }
+        HTTP_PATTERNS.generic = ProjectConfig.unique([...HTTP_PATTERNS.generic, ...additionalGenericPatterns || []]);
+
+        URL_PATTERNS.apiPaths = [...apiPathPatterns || DEFAULT_PATTERNS.apiPaths];
+        URL_PATTERNS.customDomains = [...customDomains || DEFAULT_PATTERNS.customDomains];
+
+        // Parameters and headers are compared lower-cased
+        SECURITY_PATTERNS.sensitiveParams = (sensitiveParams || DEFAULT_PATTERNS.sensitiveParams).map(param => param.toLowerCase());
+        SECURITY_PATTERNS.authHeaders = (authHeaders || DEFAULT_PATTERNS.authHeaders).map(header => header.toLowerCase());
+    }
+
+    static unique(patterns) {
+        return Array.from(new Set(patterns));
+    }
+}
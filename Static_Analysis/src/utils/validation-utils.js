@@ -14,10 +14,11 @@ export class ValidationUtils {
 
             if (value !== undefined && rules.type && typeof value !== rules.type) {
                 errors.push(`${key} must be of type ${rules.type}`);
+                continue;
             }
 
             if (rules.validate && !rules.validate(value)) {
-                errors.push(`${key} validation failed`);
+                errors.push(`${key} ${rules.message || 'validation failed'}`);
             }
         }
 
@@ -115,7 +115,7 @@ const server = app.listen(config.port, () => {
   logger.info(`║  Endpoints:                                                ║`);
   logger.info(`║    POST /api/discover      - Run full discovery            ║`);
   logger.info(`║    GET  /api/discover/results - Get latest results         ║`);
-  logger.info(`║    GET  /api/discover/download - Download JSON             ║`);
+  logger.info(`║    GET  /api/discover/download - Download JSON/OpenAPI     ║`);
   logger.info(`╚════════════════════════════════════════════════════════════╝`);
 });
 
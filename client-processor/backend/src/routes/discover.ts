@@ -2,7 +2,7 @@
  * API Discovery Routes
  * 
  * POST /api/discover - Discover API calls from a target URL
- * GET /api/download - Download the latest API calls JSON
+ * GET /api/download - Download the latest API calls JSON (or ?format=openapi)
  */
 
 import { Router, Request, Response } from 'express';
@@ -13,6 +13,9 @@ import { ApiDiscoveryService } from '../services/apiDiscoveryService';
 import { DiscoverRequest, DiscoverResponse, AppConfig } from '../types';
 import { logger } from '../utils/logger';
 
+// Formats GET /download can return the latest results in
+const DOWNLOAD_FORMATS = ['json', 'openapi'];
+
 export function createDiscoverRouter(config: AppConfig): Router {
   const router = Router();
   const discoveryService = new ApiDiscoveryService();
@@ -29,14 +32,15 @@ export function createDiscoverRouter(config: AppConfig): Router {
    * Request Body:
    * {
    *   "clientUrl": "http://localhost:4200",
-   *   "quickMode": true  // Optional: return existing results immediately
+   *   "quickMode": true,  // Optional: return existing results immediately
+   *   "origins": ["first-party", "https://api.stripe.com"]  // Optional: only calls to these origin types or origins
    * }
    */
   router.post('/', async (req: Request, res: Response) => {
     logger.requestReceived('POST', '/api/discover', req.body);
 
     try {
-      const { clientUrl, quickMode, showAll } = req.body as DiscoverRequest & { quickMode?: boolean; showAll?: boolean };
+      const { clientUrl, quickMode, showAll, origins } = req.body as DiscoverRequest & { quickMode?: boolean; showAll?: boolean };
 
       // Validate clientUrl
       if (!clientUrl) {
@@ -60,6 +64,16 @@ export function createDiscoverRouter(config: AppConfig): Router {
         return res.status(400).json(response);
       }
 
+      // Validate origins filter
+      if (origins !== undefined && (!Array.isArray(origins) || origins.some(origin => typeof origin !== 'string' || !origin))) {
+        const response: DiscoverResponse = {
+          success: false,
+          message: 'Validation failed',
+          error: 'origins must be a list of origin types (first-party, third-party, dev-infra, unknown) or origins'
+        };
+        return res.status(400).json(response);
+      }
+
       // realOnly = true by default (filter out framework patterns)
       // showAll = true means show all including framework patterns
       const realOnly = !showAll;
@@ -67,7 +81,7 @@ export function createDiscoverRouter(config: AppConfig): Router {
       logger.info(`Starting API discovery for: ${clientUrl} (quickMode: ${quickMode || false}, realOnly: ${realOnly})`);
 
       // Run the discovery pipeline
-      const result = await discoveryService.discoverApiCalls(clientUrl, quickMode || false, realOnly);
+      const result = await discoveryService.discoverApiCalls(clientUrl, quickMode || false, realOnly, origins);
 
       // Send to TARGET_API_URL if configured
       if (config.targetApiUrl && result.success) {
@@ -92,7 +106,7 @@ export function createDiscoverRouter(config: AppConfig): Router {
       const response: DiscoverResponse = {
         success: result.success,
         message: result.success 
-          ? `Discovered ${result.summary.unique_calls} unique API calls`
+          ? `Discovered ${result.summary.unique_calls} unique API calls${origins?.length ? `, ${result.api_calls.length} to the requested origins` : ''}`
           : 'Discovery completed with errors',
         data: result
       };
@@ -114,11 +128,25 @@ export function createDiscoverRouter(config: AppConfig): Router {
    * GET /api/discover/download
    * 
    * Download the latest merged API calls JSON file
+   * 
+   * Query:
+   *   format=json     - The merged API calls (default)
+   *   format=openapi  - An OpenAPI 3.1 document built from them
    */
-  router.get('/download', (req: Request, res: Response) => {
-    logger.requestReceived('GET', '/api/discover/download');
+  router.get('/download', async (req: Request, res: Response) => {
+    logger.requestReceived('GET', '/api/discover/download', req.query);
 
     try {
+      const format = String(req.query.format || 'json');
+
+      if (!DOWNLOAD_FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          error: `format must be one of: ${DOWNLOAD_FORMATS.join(', ')}`
+        });
+      }
+
       const outputPath = discoveryService.getMergedOutputPath();
 
       if (!fs.existsSync(outputPath)) {
@@ -129,12 +157,14 @@ export function createDiscoverRouter(config: AppConfig): Router {
         });
       }
 
-      const filename = `api_calls_${new Date().toISOString().split('T')[0]}.json`;
+      const date = new Date().toISOString().split('T')[0];
+      const filePath = format === 'openapi' ? await discoveryService.exportOpenApi() : outputPath;
+      const filename = format === 'openapi' ? `api_calls_${date}.openapi.json` : `api_calls_${date}.json`;
       
       res.setHeader('Content-Type', 'application/json');
       res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
       
-      const fileStream = fs.createReadStream(outputPath);
+      const fileStream = fs.createReadStream(filePath);
       fileStream.pipe(res);
 
     } catch (error: any) {
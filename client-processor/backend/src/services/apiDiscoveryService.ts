@@ -21,36 +21,144 @@ const NOIZZ_DIR = path.join(BASE_DIR, 'Noizz2025');
 const OUTPUTS_DIR = path.join(BASE_DIR, 'outputs');
 const MERGED_OUTPUT = path.join(OUTPUTS_DIR, 'api_calls_merged.json');
 const REAL_API_OUTPUT = path.join(OUTPUTS_DIR, 'real_api_calls.json');
+const OPENAPI_OUTPUT = path.join(OUTPUTS_DIR, 'api_calls_openapi.json');
 
 export interface ApiCall {
   method: string;
   url: string;
+  // The URL split: origin (null when relative) and path, and the query parameters seen for the endpoint
+  origin?: string | null;
+  path?: string | null;
+  // Who the origin belongs to: the scanned site (or a domain configured as its own), an outside service, or local dev infrastructure
+  originType?: 'first-party' | 'third-party' | 'dev-infra' | 'unknown';
+  queryParams?: Record<string, {
+    seenIn: string[];
+    examples: string[];
+    required: boolean;
+  }>;
   file: string | null;
   line: number | null;
   column: number | null;
+  // How the method is known: seen at runtime, given by the code or a spec or inferred from the call, or not at all
+  methodSource?: 'observed' | 'inferred' | 'unknown';
   sources: string[];
   authentication?: string;
   library?: string | null;
+  // GraphQL operation sent to the endpoint (one entry per operation)
+  graphql?: {
+    operationName: string | null;
+    operationType: 'query' | 'mutation' | 'subscription';
+    variables: Array<{ name: string; type: string; value?: string }>;
+    rootFields: string[];
+  };
+  pathParams?: Array<{ name: string; expression: string | null; type: string; examples?: string[] }>;
+  // Payload found by static analysis; unresolved values are {variable: ...} placeholders
+  requestBody?: unknown;
+  // Request headers set by the call, unresolved values as placeholders
+  headers?: Record<string, unknown>;
+  // Server answer, for calls recorded in HAR files
+  status?: number;
+  requestContentType?: string;
+  contentType?: string;
+  responseHeaders?: Record<string, string>;
+  responseBody?: unknown;
+  matchedUrls?: string[];
+  // Template inferred from the identifier segments of the matched URLs, not found in the code
+  inferredTemplate?: boolean;
+  // Relative URL static analysis found, and what its origin was taken from
+  urlResolution?: { from: string; by: string };
+  // Every source record merged into the entry, with its location and values as the source gave them
+  provenance?: Array<{
+    source: string;
+    method: string | null;
+    methodSource?: 'observed' | 'inferred' | 'unknown';
+    url: string | null;
+    file: string | null;
+    line: number | null;
+    column: number | null;
+    authentication?: string;
+    library?: string;
+    status?: number;
+    requestContentType?: string;
+    contentType?: string;
+    queryParams?: Record<string, unknown>;
+  }>;
   locations?: Array<{
     file: string;
     line: number;
     column: number | null;
+    // Bundle position when the location was mapped through a source map
+    generated?: {
+      file: string | null;
+      line?: number;
+      column?: number;
+    };
+    // Client instance (axios.create, ky.extend, ...) the call went through
+    client?: {
+      name: string | null;
+      library: string;
+    };
+    // Interceptors that rewrote the URL or injected headers
+    interceptors?: string[];
+    // Project wrapper functions the call went through, outermost first
+    wrappers?: string[];
   }>;
 }
 
+// Disagreement between merged sources on one field of an endpoint
+export interface MergeConflict {
+  method: string | null;
+  url: string;
+  field: string;
+  values: Array<{ value: unknown; sources: string[] }>;
+}
+
 export interface DiscoveryResult {
   success: boolean;
   summary: {
     total_calls_found: number;
     unique_calls: number;
     duplicates_removed: number;
-    sources: {
-      noizz25: number;
-      static_analysis: number;
+    // Calls read per source: noizz25, har, static_analysis and any other given to the merge
+    sources: Record<string, number>;
+    // Kind, trust weight and entry counts of each source
+    source_stats?: Record<string, {
+      kind: 'dynamic' | 'static' | 'spec';
+      weight: number;
+      calls: number;
+      entries: number;
+      exclusive: number;
+    }>;
+    // Entries per combination of sources ("noizz25+static_analysis") and of kinds ("dynamic+static")
+    combinations?: Record<string, number>;
+    kind_combinations?: Record<string, number>;
+    // Concrete URLs folded into templated entries, and those entries by where the template came from
+    templated_urls?: number;
+    url_clusters?: {
+      total: number;
+      static_templates: number;
+      inferred_templates: number;
+    };
+    // Entries by how their method is known
+    method_sources?: Record<'observed' | 'inferred' | 'unknown', number>;
+    // Relative static URLs by how they were resolved (observed, target, api_origin, static_base_url, unresolved)
+    url_resolution?: Record<string, number>;
+    // Endpoints with query parameters, and the parameters listed on them
+    query_params?: {
+      endpoints: number;
+      parameters: number;
+      required: number;
     };
+    // Entries per origin type, and per origin ('(relative)' and '(unresolved)' for URLs without one), most called first
+    origin_types?: Record<'first-party' | 'third-party' | 'dev-infra' | 'unknown', number>;
+    origins?: Record<string, { type: 'first-party' | 'third-party' | 'dev-infra' | 'unknown'; calls: number }>;
+    // Number of entries in conflicts
+    conflicts?: number;
     processing_time_ms: number;
   };
   api_calls: ApiCall[];
+  // Fields the merged sources disagree on, per endpoint (method null for method conflicts)
+  conflicts?: MergeConflict[];
   errors?: string[];
 }
 
@@ -220,8 +328,9 @@ export class ApiDiscoveryService {
   /**
    * Read the merged API calls result
    * @param realOnly - If true, return only real HTTP/HTTPS URLs (filtered)
+   * @param origins - If given, return only calls whose origin type or origin is listed
    */
-  private readMergedResult(realOnly: boolean = true): DiscoveryResult | null {
+  private readMergedResult(realOnly: boolean = true, origins?: string[]): DiscoveryResult | null {
     try {
       // Use real_api_calls.json for filtered results, api_calls_merged.json for all
       const outputFile = realOnly ? REAL_API_OUTPUT : MERGED_OUTPUT;
@@ -230,7 +339,7 @@ export class ApiDiscoveryService {
         // Fall back to merged if real doesn't exist
         if (realOnly && fs.existsSync(MERGED_OUTPUT)) {
           logger.warn('Real API file not found, falling back to merged');
-          return this.readMergedResult(false);
+          return this.readMergedResult(false, origins);
         }
         logger.warn('Output file not found');
         return null;
@@ -238,6 +347,18 @@ export class ApiDiscoveryService {
 
       const data = JSON.parse(fs.readFileSync(outputFile, 'utf-8'));
       logger.info(`Loaded ${realOnly ? 'real' : 'all'} API calls: ${data.api_calls?.length || 0} calls`);
+
+      let apiCalls: ApiCall[] = data.api_calls || [];
+      let conflicts: MergeConflict[] = data.conflicts || [];
+      if (origins?.length) {
+        const wanted = origins.map(origin => origin.toLowerCase().replace(/\/+$/, ''));
+        apiCalls = apiCalls.filter(call =>
+          wanted.includes(call.originType || 'unknown') || (!!call.origin && wanted.includes(call.origin.toLowerCase()))
+        );
+        const urls = new Set(apiCalls.map(call => call.url));
+        conflicts = conflicts.filter(conflict => urls.has(conflict.url));
+        logger.info(`Origin filter (${origins.join(', ')}): ${apiCalls.length} calls`);
+      }
       
       return {
         success: true,
@@ -245,7 +366,8 @@ export class ApiDiscoveryService {
           ...data.summary,
           processing_time_ms: 0 // Will be set by caller
         },
-        api_calls: data.api_calls || []
+        api_calls: apiCalls,
+        conflicts
       };
     } catch (error: any) {
       logger.error(`Error reading result: ${error.message}`);
@@ -258,8 +380,9 @@ export class ApiDiscoveryService {
    * @param targetUrl - URL to analyze
    * @param quickMode - If true, return existing results immediately (fast)
    * @param realOnly - If true, return only real HTTP/HTTPS URLs (default: true)
+   * @param origins - If given, return only calls whose origin type or origin is listed
    */
-  async discoverApiCalls(targetUrl: string, quickMode: boolean = false, realOnly: boolean = true): Promise<DiscoveryResult> {
+  async discoverApiCalls(targetUrl: string, quickMode: boolean = false, realOnly: boolean = true, origins?: string[]): Promise<DiscoveryResult> {
     const startTime = Date.now();
     const errors: string[] = [];
 
@@ -267,7 +390,7 @@ export class ApiDiscoveryService {
 
     // Quick mode: return existing results immediately
     if (quickMode) {
-      const existingResult = this.readMergedResult(realOnly);
+      const existingResult = this.readMergedResult(realOnly, origins);
       if (existingResult) {
         existingResult.summary.processing_time_ms = Date.now() - startTime;
         logger.info(`Quick mode: Returning existing results (${existingResult.api_calls.length} API calls)`);
@@ -288,7 +411,7 @@ export class ApiDiscoveryService {
       }
 
       // Step 3: Read results
-      const result = this.readMergedResult(realOnly);
+      const result = this.readMergedResult(realOnly, origins);
 
       if (result) {
         result.summary.processing_time_ms = Date.now() - startTime;
@@ -344,5 +467,42 @@ export class ApiDiscoveryService {
   getMergedOutputPath(): string {
     return MERGED_OUTPUT;
   }
+
+  /**
+   * Export the merged API calls as an OpenAPI 3.1 document (export_openapi.js)
+   * @returns Path of the generated document
+   */
+  exportOpenApi(): Promise<string> {
+    return new Promise((resolve, reject) => {
+      const scriptPath = path.join(BASE_DIR, 'export_openapi.js');
+
+      logger.info('Exporting merged API calls as OpenAPI...');
+
+      const exportProcess = spawn('node', [scriptPath, '--input', MERGED_OUTPUT, '--output', OPENAPI_OUTPUT], {
+        cwd: BASE_DIR,
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+
+      let errorOutput = '';
+
+      exportProcess.stdout?.on('data', (data) => {
+        logger.debug(data.toString());
+      });
+
+      exportProcess.stderr?.on('data', (data) => {
+        errorOutput += data.toString();
+      });
+
+      exportProcess.on('close', (code) => {
+        if (code === 0) {
+          resolve(OPENAPI_OUTPUT);
+        } else {
+          reject(new Error(errorOutput.trim() || `OpenAPI export exited with code ${code}`));
+        }
+      });
+
+      exportProcess.on('error', reject);
+    });
+  }
 }
 
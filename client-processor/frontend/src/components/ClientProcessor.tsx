@@ -6,15 +6,56 @@
  * - Text input for URL entry
  * - Discover button to trigger analysis
  * - Status feedback (Running, Success, Failed)
- * - API calls table with filtering
+ * - API calls table with filtering and grouping by origin
  * - Download JSON button
  */
 
-import { useState, FormEvent, useMemo } from 'react';
+import { useState, FormEvent, useMemo, Fragment } from 'react';
 import { discoverApiCalls, downloadJson } from '../services/api';
-import { DiscoveryStatus, DiscoverResponse, ApiCall } from '../types';
+import { DiscoveryStatus, DiscoverResponse, DiscoverySummary, ApiCall } from '../types';
 import './ClientProcessor.css';
 
+// Badge text for each source a call was found by; other sources show their name
+const SOURCE_LABELS: Record<string, string> = {
+  noizz25: 'Dynamic',
+  har: 'HAR',
+  static_analysis: 'Static',
+  openapi: 'OpenAPI'
+};
+
+// Kind of the built-in sources, for summaries without source_stats
+const BUILT_IN_KINDS: Record<string, string> = {
+  noizz25: 'dynamic',
+  har: 'dynamic',
+  static_analysis: 'static',
+  openapi: 'spec'
+};
+
+// Badge text for each origin type
+const ORIGIN_TYPE_LABELS: Record<string, string> = {
+  'first-party': 'First-party',
+  'third-party': 'Third-party',
+  'dev-infra': 'Dev infra',
+  unknown: 'Unknown'
+};
+
+// Origin a call is grouped under; relative URLs the merge classified go under (relative), the rest under (unresolved)
+function getOriginKey(call: ApiCall): string {
+  if (call.origin) return call.origin.toLowerCase();
+  return call.originType && call.originType !== 'unknown' ? '(relative)' : '(unresolved)';
+}
+
+function getSourceKind(summary: DiscoverySummary | undefined, source: string): string {
+  return summary?.source_stats?.[source]?.kind || BUILT_IN_KINDS[source] || 'dynamic';
+}
+
+// Calls read from the sources of one kind
+function countByKind(summary: DiscoverySummary, kind: string): number {
+  return Object.entries(summary.sources)
+    .filter(([source]) => getSourceKind(summary, source) === kind)
+    .reduce((total, [, count]) => total + count, 0);
+}
+
 export function ClientProcessor() {
   // State
   const [clientUrl, setClientUrl] = useState<string>('');
@@ -22,6 +63,9 @@ export function ClientProcessor() {
   const [response, setResponse] = useState<DiscoverResponse | null>(null);
   const [methodFilter, setMethodFilter] = useState<string>('ALL');
   const [searchFilter, setSearchFilter] = useState<string>('');
+  // 'ALL', 'type:<origin type>' or 'origin:<origin>'
+  const [originFilter, setOriginFilter] = useState<string>('ALL');
+  const [groupByOrigin, setGroupByOrigin] = useState<boolean>(false);
   const [quickMode, setQuickMode] = useState<boolean>(true); // Default to quick mode
 
   // Filtered API calls
@@ -32,10 +76,24 @@ export function ClientProcessor() {
       const matchesMethod = methodFilter === 'ALL' || call.method === methodFilter;
       const matchesSearch = searchFilter === '' || 
         call.url.toLowerCase().includes(searchFilter.toLowerCase()) ||
+        (call.graphql?.operationName && call.graphql.operationName.toLowerCase().includes(searchFilter.toLowerCase())) ||
         (call.file && call.file.toLowerCase().includes(searchFilter.toLowerCase()));
-      return matchesMethod && matchesSearch;
+      const matchesOrigin = originFilter === 'ALL' ||
+        originFilter === `type:${call.originType || 'unknown'}` ||
+        originFilter === `origin:${getOriginKey(call)}`;
+      return matchesMethod && matchesSearch && matchesOrigin;
     });
-  }, [response?.data?.api_calls, methodFilter, searchFilter]);
+  }, [response?.data?.api_calls, methodFilter, searchFilter, originFilter]);
+
+  // Filtered calls per origin, most called origin first
+  const callsByOrigin = useMemo(() => {
+    const groups = new Map<string, ApiCall[]>();
+    for (const call of filteredCalls) {
+      const origin = getOriginKey(call);
+      groups.set(origin, [...groups.get(origin) || [], call]);
+    }
+    return Array.from(groups).sort(([, a], [, b]) => b.length - a.length);
+  }, [filteredCalls]);
 
   // Get unique methods for filter dropdown
   const availableMethods = useMemo(() => {
@@ -44,6 +102,17 @@ export function ClientProcessor() {
     return Array.from(methods).sort();
   }, [response?.data?.api_calls]);
 
+  // Origin types and origins for the origin filter dropdown
+  const availableOrigins = useMemo(() => {
+    if (!response?.data?.api_calls) return { types: [], origins: [] };
+    const types = new Set<string>(response.data.api_calls.map(c => c.originType || 'unknown'));
+    const origins = new Map(response.data.api_calls.map(c => [getOriginKey(c), c.originType || 'unknown']));
+    return {
+      types: Object.keys(ORIGIN_TYPE_LABELS).filter(type => types.has(type)),
+      origins: Array.from(origins).sort(([a], [b]) => a.localeCompare(b))
+    };
+  }, [response?.data?.api_calls]);
+
   /**
    * Handle form submission
    */
@@ -64,6 +133,7 @@ export function ClientProcessor() {
     setResponse(null);
     setMethodFilter('ALL');
     setSearchFilter('');
+    setOriginFilter('ALL');
 
     try {
       const result = await discoverApiCalls(clientUrl, quickMode);
@@ -123,6 +193,71 @@ export function ClientProcessor() {
     }
   };
 
+  /**
+   * Render one row of the API calls table
+   */
+  const renderCallRow = (call: ApiCall, key: string | number) => (
+    <tr key={key}>
+      <td>
+        <span 
+          className="method-badge"
+          style={{ backgroundColor: getMethodColor(call.method) }}
+        >
+          {call.method}
+        </span>
+      </td>
+      <td className="url-cell">
+        {call.url}
+        {call.graphql && (
+          <span
+            className="graphql-operation"
+            title={call.graphql.rootFields.join(', ')}
+          >
+            {call.graphql.operationType} {call.graphql.operationName || '(anonymous)'}
+          </span>
+        )}
+        {call.queryParams && (
+          <span
+            className="query-params"
+            title={Object.entries(call.queryParams)
+              .map(([name, param]) => `${name} (${param.required ? 'required' : 'optional'}, ${param.seenIn.join(' + ')})${param.examples.length > 0 ? `: ${param.examples.join(', ')}` : ''}`)
+              .join('\n')}
+          >
+            ?{Object.entries(call.queryParams).map(([name, param]) => param.required ? name : `[${name}]`).join('&')}
+          </span>
+        )}
+        {call.matchedUrls && (
+          <span
+            className="matched-urls"
+            title={call.matchedUrls.join('\n')}
+          >
+            {call.matchedUrls.length} observed URL{call.matchedUrls.length === 1 ? '' : 's'}
+          </span>
+        )}
+      </td>
+      <td>
+        <div className="source-badges">
+          {call.sources.map(s => (
+            <span
+              key={s}
+              className={`source-badge source-kind-${getSourceKind(response?.data?.summary, s)} source-${s.replace(/_/g, '-')}`}
+              title={`${s} (${getSourceKind(response?.data?.summary, s)})`}
+            >
+              {SOURCE_LABELS[s] || s}
+            </span>
+          ))}
+        </div>
+      </td>
+      <td className="file-cell">
+        {call.file ? (
+          <span title={`Line ${call.line}`}>
+            {call.file.split('/').pop()}:{call.line}
+          </span>
+        ) : '-'}
+      </td>
+    </tr>
+  );
+
   return (
     <div className="processor-container">
       {/* Header */}
@@ -239,13 +374,25 @@ export function ClientProcessor() {
                   <span className="summary-label">Unique API Calls</span>
                 </div>
                 <div className="summary-item">
-                  <span className="summary-value">{response.data.summary.sources.noizz25}</span>
+                  <span className="summary-value">{countByKind(response.data.summary, 'dynamic')}</span>
                   <span className="summary-label">Dynamic Analysis</span>
                 </div>
                 <div className="summary-item">
-                  <span className="summary-value">{response.data.summary.sources.static_analysis}</span>
+                  <span className="summary-value">{countByKind(response.data.summary, 'static')}</span>
                   <span className="summary-label">Static Analysis</span>
                 </div>
+                {countByKind(response.data.summary, 'spec') > 0 && (
+                  <div className="summary-item">
+                    <span className="summary-value">{countByKind(response.data.summary, 'spec')}</span>
+                    <span className="summary-label">API Specs</span>
+                  </div>
+                )}
+                {(response.data.summary.conflicts || 0) > 0 && (
+                  <div className="summary-item" title="Fields the sources disagree on; see conflicts in the downloaded JSON">
+                    <span className="summary-value">{response.data.summary.conflicts}</span>
+                    <span className="summary-label">Source Conflicts</span>
+                  </div>
+                )}
                 <div className="summary-item">
                   <span className="summary-value">{(response.data.summary.processing_time_ms / 1000).toFixed(1)}s</span>
                   <span className="summary-label">Processing Time</span>
@@ -281,6 +428,31 @@ export function ClientProcessor() {
                       onChange={(e) => setSearchFilter(e.target.value)}
                       className="filter-input"
                     />
+                    <select
+                      value={originFilter}
+                      onChange={(e) => setOriginFilter(e.target.value)}
+                      className="filter-select"
+                    >
+                      <option value="ALL">All Origins</option>
+                      <optgroup label="Origin type">
+                        {availableOrigins.types.map(type => (
+                          <option key={type} value={`type:${type}`}>{ORIGIN_TYPE_LABELS[type]}</option>
+                        ))}
+                      </optgroup>
+                      <optgroup label="Origin">
+                        {availableOrigins.origins.map(([origin, type]) => (
+                          <option key={origin} value={`origin:${origin}`}>{origin} ({ORIGIN_TYPE_LABELS[type]})</option>
+                        ))}
+                      </optgroup>
+                    </select>
+                    <label className="toggle-label group-toggle">
+                      <input
+                        type="checkbox"
+                        checked={groupByOrigin}
+                        onChange={(e) => setGroupByOrigin(e.target.checked)}
+                      />
+                      <span className="toggle-text">Group by origin</span>
+                    </label>
                   </div>
                 </div>
 
@@ -299,35 +471,24 @@ export function ClientProcessor() {
                       </tr>
                     </thead>
                     <tbody>
-                      {filteredCalls.map((call, index) => (
-                        <tr key={index}>
-                          <td>
-                            <span 
-                              className="method-badge"
-                              style={{ backgroundColor: getMethodColor(call.method) }}
-                            >
-                              {call.method}
-                            </span>
-                          </td>
-                          <td className="url-cell">{call.url}</td>
-                          <td>
-                            <div className="source-badges">
-                              {call.sources.map(s => (
-                                <span key={s} className={`source-badge source-${s.replace('_', '-')}`}>
-                                  {s === 'noizz25' ? 'Dynamic' : 'Static'}
+                      {groupByOrigin
+                        ? callsByOrigin.map(([origin, calls]) => (
+                          <Fragment key={origin}>
+                            <tr className="origin-group-row">
+                              <td colSpan={4}>
+                                {origin}
+                                <span className={`origin-badge origin-${calls[0].originType || 'unknown'}`}>
+                                  {ORIGIN_TYPE_LABELS[calls[0].originType || 'unknown']}
                                 </span>
-                              ))}
-                            </div>
-                          </td>
-                          <td className="file-cell">
-                            {call.file ? (
-                              <span title={`Line ${call.line}`}>
-                                {call.file.split('/').pop()}:{call.line}
-                              </span>
-                            ) : '-'}
-                          </td>
-                        </tr>
-                      ))}
+                                <span className="origin-group-count">
+                                  {calls.length} call{calls.length === 1 ? '' : 's'}
+                                </span>
+                              </td>
+                            </tr>
+                            {calls.map((call, index) => renderCallRow(call, `${origin}-${index}`))}
+                          </Fragment>
+                        ))
+                        : filteredCalls.map((call, index) => renderCallRow(call, index))}
                     </tbody>
                   </table>
                 </div>
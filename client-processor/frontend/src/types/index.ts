@@ -9,16 +9,72 @@ export type DiscoveryStatus = 'idle' | 'running' | 'success' | 'failed';
 export interface ApiCall {
   method: string;
   url: string;
+  // The URL split: origin (null when relative) and path, and the query parameters seen for the endpoint
+  origin?: string | null;
+  path?: string | null;
+  // Who the origin belongs to: the scanned site (or a domain configured as its own), an outside service, or local dev infrastructure
+  originType?: 'first-party' | 'third-party' | 'dev-infra' | 'unknown';
+  queryParams?: Record<string, {
+    seenIn: string[];
+    examples: string[];
+    required: boolean;
+  }>;
   file: string | null;
   line: number | null;
   column: number | null;
+  // How the method is known: seen at runtime, given by the code or a spec or inferred from the call, or not at all
+  methodSource?: 'observed' | 'inferred' | 'unknown';
   sources: string[];
   authentication?: string;
   library?: string | null;
+  // GraphQL operation sent to the endpoint (one entry per operation)
+  graphql?: {
+    operationName: string | null;
+    operationType: 'query' | 'mutation' | 'subscription';
+    variables: Array<{ name: string; type: string; value?: string }>;
+    rootFields: string[];
+  };
+  pathParams?: Array<{ name: string; expression: string | null; type: string; examples?: string[] }>;
+  matchedUrls?: string[];
+  // Template inferred from the identifier segments of the matched URLs, not found in the code
+  inferredTemplate?: boolean;
+  // Relative URL static analysis found, and what its origin was taken from
+  urlResolution?: { from: string; by: string };
+  // Every source record merged into the entry, with its location and values as the source gave them
+  provenance?: Array<{
+    source: string;
+    method: string | null;
+    methodSource?: 'observed' | 'inferred' | 'unknown';
+    url: string | null;
+    file: string | null;
+    line: number | null;
+    column: number | null;
+    authentication?: string;
+    library?: string;
+    status?: number;
+    requestContentType?: string;
+    contentType?: string;
+    queryParams?: Record<string, unknown>;
+  }>;
   locations?: Array<{
     file: string;
     line: number;
     column: number | null;
+    // Bundle position when the location was mapped through a source map
+    generated?: {
+      file: string | null;
+      line?: number;
+      column?: number;
+    };
+    // Client instance (axios.create, ky.extend, ...) the call went through
+    client?: {
+      name: string | null;
+      library: string;
+    };
+    // Interceptors that rewrote the URL or injected headers
+    interceptors?: string[];
+    // Project wrapper functions the call went through, outermost first
+    wrappers?: string[];
   }>;
 }
 
@@ -27,18 +83,59 @@ export interface DiscoverySummary {
   total_calls_found: number;
   unique_calls: number;
   duplicates_removed: number;
-  sources: {
-    noizz25: number;
-    static_analysis: number;
+  // Calls read per source: noizz25, har, static_analysis and any other given to the merge
+  sources: Record<string, number>;
+  // Kind, trust weight and entry counts of each source
+  source_stats?: Record<string, {
+    kind: 'dynamic' | 'static' | 'spec';
+    weight: number;
+    calls: number;
+    entries: number;
+    exclusive: number;
+  }>;
+  // Entries per combination of sources ("noizz25+static_analysis") and of kinds ("dynamic+static")
+  combinations?: Record<string, number>;
+  kind_combinations?: Record<string, number>;
+  // Concrete URLs folded into templated entries, and those entries by where the template came from
+  templated_urls?: number;
+  url_clusters?: {
+    total: number;
+    static_templates: number;
+    inferred_templates: number;
   };
+  // Entries by how their method is known
+  method_sources?: Record<'observed' | 'inferred' | 'unknown', number>;
+  // Relative static URLs by how they were resolved (observed, target, api_origin, static_base_url, unresolved)
+  url_resolution?: Record<string, number>;
+  // Endpoints with query parameters, and the parameters listed on them
+  query_params?: {
+    endpoints: number;
+    parameters: number;
+    required: number;
+  };
+  // Entries per origin type, and per origin ('(relative)' and '(unresolved)' for URLs without one), most called first
+  origin_types?: Record<'first-party' | 'third-party' | 'dev-infra' | 'unknown', number>;
+  origins?: Record<string, { type: 'first-party' | 'third-party' | 'dev-infra' | 'unknown'; calls: number }>;
+  // Number of entries in conflicts
+  conflicts?: number;
   processing_time_ms: number;
 }
 
 // Full discovery result
+// Disagreement between merged sources on one field of an endpoint
+export interface MergeConflict {
+  method: string | null;
+  url: string;
+  field: string;
+  values: Array<{ value: unknown; sources: string[] }>;
+}
+
 export interface DiscoveryResult {
   success: boolean;
   summary: DiscoverySummary;
   api_calls: ApiCall[];
+  // Fields the merged sources disagree on, per endpoint (method null for method conflicts)
+  conflicts?: MergeConflict[];
   errors?: string[];
 }
 
@@ -53,4 +150,6 @@ export interface DiscoverResponse {
 // Request body for the API
 export interface DiscoverRequest {
   clientUrl: string;
+  // Only return calls whose origin type (first-party, third-party, dev-infra, unknown) or origin is listed
+  origins?: string[];
 }
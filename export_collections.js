@@ -0,0 +1,606 @@
+/**
+ * Collection Export Script
+ *
+ * Turns the merged API calls into collections QA can send by hand: a Postman v2.1
+ * collection and a Bruno collection folder, both grouped by host and first path
+ * segment. Base URLs are collection variables, path parameters (`:userId`) variables of
+ * each request, and headers and bodies are filled in as far as static analysis knows them.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadMergedCalls, splitUrl, sourceLocations } from './export_openapi.js';
+
+// Default paths
+const DEFAULT_INPUT_PATH = './outputs/api_calls_merged.json';
+const DEFAULT_POSTMAN_PATH = './outputs/api_calls.postman_collection.json';
+const DEFAULT_BRUNO_DIR = './outputs/bruno';
+const DEFAULT_NAME = 'Discovered APIs';
+
+const POSTMAN_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+// Methods both Postman and Bruno can send
+const REQUEST_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+// Values static analysis could not resolve ({variable: id}, {member: user.name}, {function_call})
+const PLACEHOLDER = /^\{[^{}]*\}$/;
+
+// Headers carrying an API key, configured as apikey auth instead of a plain header
+const API_KEY_HEADERS = ['x-api-key', 'x-auth-token', 'api-key', 'apikey'];
+
+// Payloads only known by their constructor, and the body mode they are sent with
+const CONSTRUCTED_BODIES = {
+    '{FormData}': 'formdata',
+    '{URLSearchParams}': 'urlencoded',
+    '{Blob}': 'binary',
+    '{ArrayBuffer}': 'binary'
+};
+
+// Collection variables holding the credentials for each kind of auth
+const AUTH_VARIABLES = {
+    bearer: ['authToken'],
+    basic: ['username', 'password'],
+    apikey: ['apiKey']
+};
+
+/**
+ * Sample for a value static analysis could not resolve: <user.name> for {member: user.name}
+ */
+function sampleValue(value) {
+    if (typeof value === 'string' && PLACEHOLDER.test(value)) {
+        return `<${value.slice(1, -1).replace(/^[a-z_]+:\s*/, '')}>`;
+    }
+
+    if (Array.isArray(value)) return value.map(sampleValue);
+
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, sampleValue(item)]));
+    }
+
+    return value;
+}
+
+/**
+ * Auth a call was made with, from its headers first and its authentication status otherwise.
+ * Calls not known to be authenticated get none, so the collection's token only goes where it was seen used.
+ */
+function detectAuth(call) {
+    const headers = Object.entries(call.headers || {});
+    const authorization = headers.find(([name]) => name.toLowerCase() === 'authorization');
+    if (authorization) {
+        return /^basic\b/i.test(String(authorization[1])) ? { type: 'basic' } : { type: 'bearer' };
+    }
+
+    const apiKey = headers.find(([name]) => API_KEY_HEADERS.includes(name.toLowerCase()));
+    if (apiKey) return { type: 'apikey', header: apiKey[0] };
+
+    switch (call.authentication) {
+        case 'authenticated':
+            return { type: 'bearer' };
+        default:
+            return { type: 'none' };
+    }
+}
+
+/**
+ * Body mode and content for a call's static payload; null when no payload is known
+ */
+function buildBody(requestBody) {
+    if (requestBody === undefined || requestBody === null) return null;
+
+    if (typeof requestBody === 'string' && CONSTRUCTED_BODIES[requestBody]) {
+        return { mode: CONSTRUCTED_BODIES[requestBody], content: '' };
+    }
+
+    if (typeof requestBody === 'string' && !PLACEHOLDER.test(requestBody)) {
+        return { mode: 'text', content: requestBody };
+    }
+
+    return { mode: 'json', content: JSON.stringify(sampleValue(requestBody), null, 2) };
+}
+
+/**
+ * Collection variable for an origin: https://api.shop.io is {{baseUrl_api_shop_io}}
+ */
+function getBaseUrlVariable(origin) {
+    if (!origin) return 'baseUrl';
+    return `baseUrl_${origin.replace(/^[a-z]+:\/\//, '').replace(/[^A-Za-z0-9]+/g, '_')}`;
+}
+
+/**
+ * Concrete value of each path parameter in the first URL folded into the template that has one
+ */
+function pathParamExamples(template, matchedUrls = []) {
+    const segments = template.split('/');
+    const examples = new Map();
+
+    for (const url of matchedUrls) {
+        const concrete = splitUrl(url)?.path.split('/');
+        if (!concrete || concrete.length !== segments.length) continue;
+
+        segments.forEach((segment, index) => {
+            const name = segment.match(/^\{([^{}]*)\}$/)?.[1];
+            if (name && !examples.has(name)) examples.set(name, safeDecode(concrete[index]));
+        });
+    }
+
+    return examples;
+}
+
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+}
+
+/**
+ * Requests for the merged API calls, grouped by host and first path segment, and the
+ * collection variables they use. Calls without a method both tools send or an HTTP(S)
+ * URL are counted in skipped.
+ */
+function buildCollectionModel(apiCalls) {
+    const hosts = new Map();        // host -> first path segment -> requests
+    const variables = new Map();    // name -> { value, description }
+    const authTypes = new Set();
+    let skipped = 0;
+
+    const addVariable = (name, value, description) => {
+        if (!variables.has(name)) {
+            variables.set(name, { value, description });
+        } else if (!variables.get(name).value && value) {
+            variables.get(name).value = value;
+        }
+    };
+
+    for (const call of apiCalls) {
+        const method = (call.method || '').toUpperCase();
+        const url = splitUrl(call.url);
+        if (!REQUEST_METHODS.includes(method) || !url) {
+            skipped++;
+            continue;
+        }
+
+        const baseUrl = getBaseUrlVariable(url.origin);
+        addVariable(baseUrl, url.origin || '', url.origin
+            ? `Base URL of ${url.origin}`
+            : 'Origin of the frontend, for calls to relative URLs');
+
+        // Path templates ({userId}) become path variables of the request (:userId), valued from
+        // a URL matched to this endpoint when there is one; the same name on another endpoint is
+        // another variable with its own value
+        const examples = pathParamExamples(url.path, call.matchedUrls);
+        const pathVariables = new Map();
+        const pathSegments = url.path.split('/').filter(Boolean).map(segment => segment.replace(/\{([^{}]*)\}/g, (match, name) => {
+            const param = call.pathParams?.find(candidate => candidate.name === name);
+            if (!pathVariables.has(name)) {
+                pathVariables.set(name, {
+                    key: name,
+                    value: examples.get(name) || '',
+                    description: param?.expression ? `Path parameter, set from ${param.expression}` : 'Path parameter'
+                });
+            }
+            return `:${name}`;
+        }));
+
+        // Query parameters of the merged endpoint, valued from an observed example or left empty;
+        // merge outputs without them keep the query string in the URL
+        const query = call.queryParams
+            ? Object.entries(call.queryParams).map(([key, param]) => ({
+                key,
+                value: param.examples?.[0] ?? '',
+                description: param.required ? 'Query parameter' : 'Query parameter (optional)'
+            }))
+            : url.query.split('&').filter(Boolean).map(pair => {
+                const [key, ...rest] = pair.split('=');
+                const value = safeDecode(rest.join('='));
+                return { key: safeDecode(key), value: PLACEHOLDER.test(value) ? '' : value };
+            });
+
+        const auth = detectAuth(call);
+        if (AUTH_VARIABLES[auth.type]) {
+            authTypes.add(auth.type);
+        }
+
+        // Credentials go in the auth settings, not in plain headers
+        const headers = Object.entries(call.headers || {})
+            .filter(([name]) => name.toLowerCase() !== 'authorization' && name !== auth.header)
+            .map(([key, value]) => ({ key, value: String(sampleValue(value)) }));
+
+        const name = call.graphql
+            ? `${method} ${url.path} (${call.graphql.operationType} ${call.graphql.operationName || 'anonymous'})`
+            : `${method} ${url.path}`;
+
+        const host = url.origin ? url.origin.replace(/^[a-z]+:\/\//, '') : 'same-origin';
+        const segment = url.path.split('/').filter(Boolean)[0] || '(root)';
+        if (!hosts.has(host)) hosts.set(host, new Map());
+        if (!hosts.get(host).has(segment)) hosts.get(host).set(segment, []);
+
+        hosts.get(host).get(segment).push({
+            name,
+            method,
+            baseUrl,
+            pathSegments,
+            pathVariables: Array.from(pathVariables.values()),
+            query,
+            headers,
+            body: buildBody(call.requestBody),
+            auth,
+            description: describeCall(call)
+        });
+    }
+
+    // Bearer auth is set once on the collection; basic and API key auth on the requests using them
+    for (const type of authTypes) {
+        for (const variable of AUTH_VARIABLES[type]) {
+            addVariable(variable, '', `Credentials for ${type} auth`);
+        }
+    }
+
+    const sortByName = (a, b) => a[0].localeCompare(b[0]);
+    return {
+        folders: Array.from(hosts).sort(sortByName).map(([host, segments]) => ({
+            name: host,
+            folders: Array.from(segments).sort(sortByName).map(([segment, requests]) => ({
+                name: segment,
+                requests: requests.sort((a, b) => a.name.localeCompare(b.name))
+            }))
+        })),
+        variables,
+        bearerAuth: authTypes.has('bearer'),
+        skipped
+    };
+}
+
+/**
+ * Request description: where the call was found and which analysis found it
+ */
+function describeCall(call) {
+    const lines = [];
+
+    const locations = sourceLocations(call);
+    if (locations.length > 0) {
+        lines.push('Source:');
+        for (const location of locations) {
+            lines.push(`- ${location.file}:${location.line}${location.column ? `:${location.column}` : ''}`);
+        }
+    }
+
+    if (call.sources?.length) {
+        lines.push(`Found by: ${call.sources.join(', ')}`);
+    }
+
+    if (call.graphql?.rootFields?.length) {
+        lines.push(`GraphQL fields: ${call.graphql.rootFields.join(', ')}`);
+    }
+
+    return lines.join('\n');
+}
+
+function getRawUrl(request) {
+    const pathname = request.pathSegments.length > 0 ? `/${request.pathSegments.join('/')}` : '';
+    const query = request.query.map(({ key, value }) => `${key}=${value}`).join('&');
+    return `{{${request.baseUrl}}}${pathname}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Postman auth object for a request; undefined to inherit the collection's
+ */
+function toPostmanAuth(auth) {
+    switch (auth.type) {
+        case 'none':
+            return { type: 'noauth' };
+        case 'basic':
+            return {
+                type: 'basic',
+                basic: [
+                    { key: 'username', value: '{{username}}', type: 'string' },
+                    { key: 'password', value: '{{password}}', type: 'string' }
+                ]
+            };
+        case 'apikey':
+            return {
+                type: 'apikey',
+                apikey: [
+                    { key: 'key', value: auth.header, type: 'string' },
+                    { key: 'value', value: '{{apiKey}}', type: 'string' },
+                    { key: 'in', value: 'header', type: 'string' }
+                ]
+            };
+        default:
+            return undefined;
+    }
+}
+
+function toPostmanBody(body) {
+    switch (body.mode) {
+        case 'json':
+            return { mode: 'raw', raw: body.content, options: { raw: { language: 'json' } } };
+        case 'text':
+            return { mode: 'raw', raw: body.content, options: { raw: { language: 'text' } } };
+        case 'formdata':
+            return { mode: 'formdata', formdata: [] };
+        case 'urlencoded':
+            return { mode: 'urlencoded', urlencoded: [] };
+        default:
+            return { mode: 'file', file: {} };
+    }
+}
+
+/**
+ * Postman v2.1 collection for the collection model
+ */
+function buildPostmanCollection(model, name = DEFAULT_NAME) {
+    const toItem = request => {
+        const item = {
+            name: request.name,
+            request: {
+                method: request.method,
+                header: request.headers.map(({ key, value }) => ({ key, value, type: 'text' })),
+                url: {
+                    raw: getRawUrl(request),
+                    host: [`{{${request.baseUrl}}}`],
+                    path: request.pathSegments
+                },
+                description: request.description
+            }
+        };
+
+        if (request.pathVariables.length > 0) {
+            item.request.url.variable = request.pathVariables;
+        }
+        if (request.query.length > 0) {
+            item.request.url.query = request.query;
+        }
+        if (request.body) {
+            item.request.body = toPostmanBody(request.body);
+        }
+        const auth = toPostmanAuth(request.auth);
+        if (auth) {
+            item.request.auth = auth;
+        }
+
+        return item;
+    };
+
+    const collection = {
+        info: {
+            name,
+            description: 'API calls found by dynamic (Noizz2025) and static (Static_Analysis) analysis of the frontends.',
+            schema: POSTMAN_SCHEMA
+        },
+        item: model.folders.map(host => ({
+            name: host.name,
+            item: host.folders.map(folder => ({
+                name: folder.name,
+                item: folder.requests.map(toItem)
+            }))
+        })),
+        variable: Array.from(model.variables).map(([key, { value, description }]) => ({
+            key,
+            value,
+            type: 'string',
+            description
+        }))
+    };
+
+    if (model.bearerAuth) {
+        collection.auth = {
+            type: 'bearer',
+            bearer: [{ key: 'token', value: '{{authToken}}', type: 'string' }]
+        };
+    }
+
+    return collection;
+}
+
+/**
+ * Bru block with each line of its content indented, `name {\n  ...\n}`
+ */
+function bruBlock(name, lines) {
+    const content = lines.flatMap(line => line.split('\n')).map(line => line ? `  ${line}` : '').join('\n');
+    return `${name} {\n${content}\n}\n`;
+}
+
+// Bruno names body modes differently in the request and in the block holding the body
+const BRUNO_BODY_MODES = {
+    json: ['json', 'body:json'],
+    text: ['text', 'body:text'],
+    formdata: ['multipartForm', 'body:multipart-form'],
+    urlencoded: ['formUrlEncoded', 'body:form-urlencoded']
+};
+
+function toBruRequest(request, seq) {
+    const [bodyMode, bodyBlock] = request.body && BRUNO_BODY_MODES[request.body.mode] || ['none', null];
+    const authMode = request.auth.type === 'bearer' ? 'inherit' : request.auth.type;
+
+    const blocks = [
+        bruBlock('meta', [`name: ${request.name}`, 'type: http', `seq: ${seq}`]),
+        bruBlock(request.method.toLowerCase(), [`url: ${getRawUrl(request)}`, `body: ${bodyMode}`, `auth: ${authMode}`])
+    ];
+
+    if (request.query.length > 0) {
+        blocks.push(bruBlock('params:query', request.query.map(({ key, value }) => `${key}: ${value}`)));
+    }
+    if (request.pathVariables.length > 0) {
+        blocks.push(bruBlock('params:path', request.pathVariables.map(({ key, value }) => `${key}: ${value}`)));
+    }
+    if (request.headers.length > 0) {
+        blocks.push(bruBlock('headers', request.headers.map(({ key, value }) => `${key}: ${value}`)));
+    }
+
+    if (request.auth.type === 'basic') {
+        blocks.push(bruBlock('auth:basic', ['username: {{username}}', 'password: {{password}}']));
+    } else if (request.auth.type === 'apikey') {
+        blocks.push(bruBlock('auth:apikey', [`key: ${request.auth.header}`, 'value: {{apiKey}}', 'placement: header']));
+    }
+
+    if (bodyBlock) {
+        blocks.push(bruBlock(bodyBlock, request.body.content ? [request.body.content] : []));
+    }
+    if (request.description) {
+        blocks.push(bruBlock('docs', [request.description]));
+    }
+
+    return blocks.join('\n');
+}
+
+/**
+ * File name for a request or folder: characters file systems reject replaced, numbered when taken
+ */
+function toFileName(name, taken) {
+    const base = name.replace(/[<>:"/\\|?*\s]+/g, '-').replace(/^-+|-+$/g, '') || 'root';
+
+    let fileName = base;
+    for (let i = 2; taken.has(fileName.toLowerCase()); i++) fileName = `${base}-${i}`;
+    taken.add(fileName.toLowerCase());
+    return fileName;
+}
+
+/**
+ * Write the collection model as a Bruno collection folder. A folder holding an earlier
+ * export (bruno.json) is replaced; any other non-empty folder is left alone.
+ */
+function writeBrunoCollection(model, outputDir, name = DEFAULT_NAME) {
+    if (fs.existsSync(outputDir) && fs.readdirSync(outputDir).length > 0) {
+        if (!fs.existsSync(path.join(outputDir, 'bruno.json'))) {
+            throw new Error(`${outputDir} is not empty and does not hold a Bruno collection`);
+        }
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    fs.writeFileSync(path.join(outputDir, 'bruno.json'), JSON.stringify({
+        version: '1',
+        name,
+        type: 'collection',
+        ignore: ['node_modules', '.git']
+    }, null, 2));
+
+    const collectionBlocks = [];
+    if (model.bearerAuth) {
+        collectionBlocks.push(bruBlock('auth', ['mode: bearer']));
+        collectionBlocks.push(bruBlock('auth:bearer', ['token: {{authToken}}']));
+    }
+    collectionBlocks.push(bruBlock('vars:pre-request', Array.from(model.variables).map(([key, { value }]) => `${key}: ${value}`)));
+    fs.writeFileSync(path.join(outputDir, 'collection.bru'), collectionBlocks.join('\n'));
+
+    const hostNames = new Set();
+    for (const host of model.folders) {
+        const hostDir = path.join(outputDir, toFileName(host.name, hostNames));
+        fs.mkdirSync(hostDir);
+        fs.writeFileSync(path.join(hostDir, 'folder.bru'), bruBlock('meta', [`name: ${host.name}`]));
+
+        const folderNames = new Set();
+        for (const folder of host.folders) {
+            const folderDir = path.join(hostDir, toFileName(folder.name, folderNames));
+            fs.mkdirSync(folderDir);
+            fs.writeFileSync(path.join(folderDir, 'folder.bru'), bruBlock('meta', [`name: ${folder.name}`]));
+
+            const requestNames = new Set(['folder']);
+            folder.requests.forEach((request, index) => {
+                const fileName = `${toFileName(request.name, requestNames)}.bru`;
+                fs.writeFileSync(path.join(folderDir, fileName), toBruRequest(request, index + 1));
+            });
+        }
+    }
+}
+
+/**
+ * Main export function: the Postman collection, the Bruno folder, or both when neither is chosen
+ */
+function exportCollections(options = {}) {
+    const inputPath = options.inputPath || DEFAULT_INPUT_PATH;
+    const name = options.name || DEFAULT_NAME;
+    const both = !options.postmanPath && !options.brunoDir;
+    const postmanPath = options.postmanPath || (both ? DEFAULT_POSTMAN_PATH : null);
+    const brunoDir = options.brunoDir || (both ? DEFAULT_BRUNO_DIR : null);
+
+    console.log('🔄 Loading merged API calls...');
+    console.log(`   Input: ${inputPath}`);
+
+    const apiCalls = loadMergedCalls(inputPath);
+    const model = buildCollectionModel(apiCalls);
+    const requestCount = model.folders.reduce((count, host) =>
+        count + host.folders.reduce((sum, folder) => sum + folder.requests.length, 0), 0);
+
+    if (postmanPath) {
+        const outputDir = path.dirname(postmanPath);
+        if (!fs.existsSync(outputDir)) {
+            fs.mkdirSync(outputDir, { recursive: true });
+        }
+        fs.writeFileSync(postmanPath, JSON.stringify(buildPostmanCollection(model, name), null, 2));
+    }
+
+    if (brunoDir) {
+        writeBrunoCollection(model, brunoDir, name);
+    }
+
+    console.log('\n✅ Collection export complete!');
+    console.log(`\n📋 Summary:`);
+    console.log(`   API calls: ${apiCalls.length}`);
+    console.log(`   Hosts: ${model.folders.length}`);
+    console.log(`   Requests: ${requestCount}`);
+    console.log(`   Variables: ${model.variables.size}`);
+    console.log(`   Skipped (no HTTP method or URL): ${model.skipped}`);
+    if (postmanPath) console.log(`\n💾 Postman collection saved to: ${postmanPath}`);
+    if (brunoDir) console.log(`💾 Bruno collection saved to: ${brunoDir}`);
+
+    return model;
+}
+
+// CLI execution
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--input':
+            case '-i':
+                options.inputPath = args[++i];
+                break;
+            case '--postman':
+            case '-p':
+                options.postmanPath = args[++i];
+                break;
+            case '--bruno':
+            case '-b':
+                options.brunoDir = args[++i];
+                break;
+            case '--name':
+            case '-n':
+                options.name = args[++i];
+                break;
+            case '--help':
+            case '-h':
+                console.log(`
+Collection Export - Postman and Bruno collections for the discovered API calls
+
+Usage: node export_collections.js [options]
+
+Options:
+  -i, --input <path>    Path to the merged API calls JSON (default: ${DEFAULT_INPUT_PATH})
+  -p, --postman <path>  Write a Postman v2.1 collection (default: ${DEFAULT_POSTMAN_PATH})
+  -b, --bruno <dir>     Write a Bruno collection folder (default: ${DEFAULT_BRUNO_DIR})
+  -n, --name <name>     Name of the collection (default: ${DEFAULT_NAME})
+  -h, --help            Show this help message
+
+Without --postman or --bruno both collections are written to their defaults.
+                `);
+                process.exit(0);
+        }
+    }
+
+    try {
+        exportCollections(options);
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    }
+}
+
+export { exportCollections, buildCollectionModel, buildPostmanCollection, writeBrunoCollection };
+export default exportCollections;
@@ -0,0 +1,499 @@
+/**
+ * OpenAPI Export Script
+ *
+ * Documents the backends the frontends talk to: turns the merged API calls
+ * (outputs/api_calls_merged.json) into an OpenAPI 3.1 document with one server
+ * per origin, one path per path template and one operation per method.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Default paths
+const DEFAULT_INPUT_PATH = './outputs/api_calls_merged.json';
+const DEFAULT_OUTPUT_PATH = './outputs/api_calls_openapi.json';
+
+const OPERATION_METHODS = ['GET', 'PUT', 'POST', 'DELETE', 'OPTIONS', 'HEAD', 'PATCH', 'TRACE'];
+
+// Values static analysis could not resolve ({variable: id}, {member: user.name}, {function_call})
+const PLACEHOLDER = /^\{[^{}]*\}$/;
+
+// Payloads only known by their constructor, and the media type they are sent as
+const CONSTRUCTED_BODIES = {
+    '{FormData}': 'multipart/form-data',
+    '{URLSearchParams}': 'application/x-www-form-urlencoded',
+    '{Blob}': 'application/octet-stream',
+    '{ArrayBuffer}': 'application/octet-stream'
+};
+
+// The merged calls only say whether credentials were sent, not how
+const SECURITY_SCHEME = 'detectedAuth';
+
+/**
+ * Load the merged API calls ({ summary, api_calls } or a plain array)
+ */
+function loadMergedCalls(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Merged API calls not found: ${filePath}`);
+    }
+
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Array.isArray(data) ? data : data.api_calls || [];
+}
+
+/**
+ * Origin, path and query string of a call URL. Null for URLs that are not
+ * HTTP(S) or absolute paths, such as unresolved base URLs ({apiBase}/users).
+ */
+function splitUrl(url) {
+    if (!url || typeof url !== 'string' || /\s/.test(url)) return null;
+
+    const [, origin, pathname, query] = url.match(/^([a-z][a-z0-9+.-]*:\/\/[^/?#]+)?([^?#]*)(?:\?([^#]*))?/i);
+    if (origin ? !/^https?:/i.test(origin) : !pathname.startsWith('/')) return null;
+
+    return {
+        origin: origin ? origin.toLowerCase() : null,
+        path: pathname.replace(/\/+$/, '') || '/',
+        query: query || ''
+    };
+}
+
+/**
+ * Paths differing only in their parameter names are the same OpenAPI path
+ */
+function getPathShape(template) {
+    return template.replace(/\{[^{}]*\}/g, '{}').toLowerCase();
+}
+
+function getPathParamNames(template) {
+    return Array.from(template.matchAll(/\{([^{}]*)\}/g), match => match[1]);
+}
+
+/**
+ * Schema of a path segment for the type static analysis inferred from its name
+ */
+function pathParamSchema(type) {
+    switch (type) {
+        case 'integer':
+            return { type: 'integer' };
+        case 'uuid':
+            return { type: 'string', format: 'uuid' };
+        case 'id':
+            return { type: ['integer', 'string'] };
+        default:
+            return { type: 'string' };
+    }
+}
+
+/**
+ * Schema of a path parameter, with the values the merge observed for it
+ */
+function pathParameterSchema(param) {
+    const schema = pathParamSchema(param?.type);
+    if (param?.examples?.length) {
+        schema.examples = schema.type === 'integer' ? param.examples.map(Number) : param.examples;
+    }
+    return schema;
+}
+
+/**
+ * Query parameters the merge listed for the call; for merge outputs without them,
+ * those of the call URL and of the concrete URLs folded into it
+ */
+function queryParameters(call) {
+    if (call.queryParams) {
+        return Object.entries(call.queryParams).map(([name, param]) => ({
+            name,
+            in: 'query',
+            required: param.required,
+            schema: examplesSchema(param.examples || [])
+        }));
+    }
+
+    const parameters = new Map();
+
+    for (const url of [call.url, ...call.matchedUrls || []]) {
+        const query = splitUrl(url)?.query;
+        if (!query) continue;
+
+        for (const pair of query.split('&')) {
+            const [rawName, ...rest] = pair.split('=');
+            const name = safeDecode(rawName);
+            if (!name || parameters.has(name)) continue;
+
+            parameters.set(name, {
+                name,
+                in: 'query',
+                required: false,
+                schema: valueSchema(safeDecode(rest.join('=')), call)
+            });
+        }
+    }
+
+    return Array.from(parameters.values());
+}
+
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+}
+
+/**
+ * Schema of a query parameter from the values observed for it
+ */
+function examplesSchema(examples) {
+    if (examples.length === 0) return { type: 'string' };
+    if (examples.every(value => /^-?\d+$/.test(value))) return { type: 'integer', examples: examples.map(Number) };
+    if (examples.every(value => value === 'true' || value === 'false')) return { type: 'boolean' };
+    return { type: 'string', examples };
+}
+
+/**
+ * Schema of a query string value: typed from the path params for templates, from the value otherwise
+ */
+function valueSchema(value, call) {
+    const name = value.match(/^\{([^{}]*)\}$/)?.[1];
+    if (name !== undefined) {
+        const param = call.pathParams?.find(candidate => candidate.name === name);
+        return param ? pathParamSchema(param.type) : { type: 'string' };
+    }
+
+    if (/^-?\d+$/.test(value)) return { type: 'integer', examples: [Number(value)] };
+    if (value === 'true' || value === 'false') return { type: 'boolean' };
+    return value ? { type: 'string', examples: [value] } : { type: 'string' };
+}
+
+/**
+ * JSON Schema for a statically known payload; placeholders become schemas without a type
+ */
+function inferSchema(value) {
+    if (value === null) return { type: 'null' };
+
+    if (Array.isArray(value)) {
+        return { type: 'array', items: value.length > 0 ? inferSchema(value[0]) : {} };
+    }
+
+    switch (typeof value) {
+        case 'object':
+            return {
+                type: 'object',
+                properties: Object.fromEntries(Object.entries(value).map(([key, item]) => [key, inferSchema(item)]))
+            };
+        case 'number':
+            return { type: Number.isInteger(value) ? 'integer' : 'number', examples: [value] };
+        case 'boolean':
+            return { type: 'boolean' };
+        case 'string':
+            if (PLACEHOLDER.test(value)) {
+                const expression = value.slice(1, -1).replace(/^[a-z_]+:\s*/, '');
+                return { description: `Set at runtime from ${expression}` };
+            }
+            return { type: 'string', examples: [value] };
+        default:
+            return {};
+    }
+}
+
+/**
+ * Request Body Object for the payload static analysis found
+ */
+function buildRequestBody(value) {
+    if (typeof value === 'string' && CONSTRUCTED_BODIES[value]) {
+        return { content: { [CONSTRUCTED_BODIES[value]]: { schema: {} } } };
+    }
+
+    if (typeof value === 'string' && !PLACEHOLDER.test(value)) {
+        return { content: { 'text/plain': { schema: { type: 'string', examples: [value] } } } };
+    }
+
+    return { content: { 'application/json': { schema: inferSchema(value) } } };
+}
+
+/**
+ * Where the call was found: every merged location, or the single file/line of older results
+ */
+function sourceLocations(call) {
+    if (call.locations?.length) return call.locations;
+    return call.file ? [{ file: call.file, line: call.line, column: call.column }] : [];
+}
+
+function getTagName(origin) {
+    return origin ? origin.replace(/^[a-z]+:\/\//, '') : 'same-origin';
+}
+
+/**
+ * operationId from the method and path: GET /users/{userId} is getUsersUserId
+ */
+function buildOperationId(method, template, usedIds) {
+    const words = template.split(/[^A-Za-z0-9]+/).filter(Boolean);
+    if (words.length === 0) words.push('root');
+    const base = method.toLowerCase() + words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+
+    let operationId = base;
+    for (let i = 2; usedIds.has(operationId); i++) operationId = `${base}${i}`;
+    usedIds.add(operationId);
+    return operationId;
+}
+
+/**
+ * Fold a call into the operation of its method and path, created on first use
+ */
+function addCall(operation, call, origin) {
+    const tag = getTagName(origin);
+    if (!operation.tags.includes(tag)) {
+        operation.tags.push(tag);
+    }
+
+    for (const parameter of queryParameters(call)) {
+        if (!operation.parameters.some(existing => existing.in === 'query' && existing.name === parameter.name)) {
+            operation.parameters.push(parameter);
+        }
+    }
+
+    if (!operation.requestBody && call.requestBody !== undefined) {
+        operation.requestBody = buildRequestBody(call.requestBody);
+    }
+
+    // An authenticated call wins over anonymous ones; unknown leaves the operation undocumented
+    if (call.authentication === 'authenticated') {
+        operation.security = [{ [SECURITY_SCHEME]: [] }];
+    } else if (call.authentication === 'anonymous' && !operation.security) {
+        operation.security = [];
+    }
+
+    for (const source of call.sources || []) {
+        if (!operation['x-sources'].includes(source)) {
+            operation['x-sources'].push(source);
+        }
+    }
+
+    for (const location of sourceLocations(call)) {
+        if (!operation['x-source-locations'].some(loc => loc.file === location.file && loc.line === location.line)) {
+            operation['x-source-locations'].push(location);
+        }
+    }
+
+    for (const url of [call.url, ...call.matchedUrls || []]) {
+        if (!operation['x-urls'].includes(url)) {
+            operation['x-urls'].push(url);
+        }
+    }
+
+    // Operations sent to a shared GraphQL endpoint
+    if (call.graphql) {
+        operation['x-graphql-operations'] = operation['x-graphql-operations'] || [];
+        operation['x-graphql-operations'].push({
+            operationType: call.graphql.operationType,
+            operationName: call.graphql.operationName
+        });
+    }
+}
+
+/**
+ * Build the OpenAPI 3.1 document for merged API calls.
+ * Returns { document, skipped } where skipped counts calls without an HTTP method or an HTTP(S) URL.
+ */
+function buildOpenApiDocument(apiCalls, options = {}) {
+    const paths = {};
+    const pathKeys = new Map();      // path shape -> path key
+    const pathOrigins = new Map();   // path key -> origins serving it
+    const origins = new Set();
+    const usedIds = new Set();
+    let skipped = 0;
+
+    for (const call of apiCalls) {
+        const method = (call.method || '').toUpperCase();
+        const url = splitUrl(call.url);
+        if (!OPERATION_METHODS.includes(method) || !url) {
+            skipped++;
+            continue;
+        }
+
+        // /users/{id} and /users/{userId} share the path first seen
+        const shape = getPathShape(url.path);
+        if (!pathKeys.has(shape)) {
+            pathKeys.set(shape, url.path);
+        }
+        const pathKey = pathKeys.get(shape);
+
+        origins.add(url.origin);
+        if (!pathOrigins.has(pathKey)) {
+            pathOrigins.set(pathKey, new Set());
+        }
+        pathOrigins.get(pathKey).add(url.origin);
+
+        paths[pathKey] = paths[pathKey] || {};
+        const methodKey = method.toLowerCase();
+        if (!paths[pathKey][methodKey]) {
+            // Parameters take the names of the path key, types from the call's segments in order
+            const callNames = getPathParamNames(url.path);
+            paths[pathKey][methodKey] = {
+                operationId: buildOperationId(method, pathKey, usedIds),
+                tags: [],
+                parameters: getPathParamNames(pathKey).map((name, index) => ({
+                    name,
+                    in: 'path',
+                    required: true,
+                    schema: pathParameterSchema(call.pathParams?.find(param => param.name === callNames[index]))
+                })),
+                responses: {
+                    default: { description: 'Response not recorded by the discovery pipeline' }
+                },
+                'x-sources': [],
+                'x-urls': [],
+                'x-source-locations': []
+            };
+        }
+
+        addCall(paths[pathKey][methodKey], call, url.origin);
+    }
+
+    // Standard fields first, empty parameter lists dropped
+    for (const pathItem of Object.values(paths)) {
+        for (const [methodKey, { operationId, tags, parameters, requestBody, security, responses, ...extensions }] of Object.entries(pathItem)) {
+            pathItem[methodKey] = {
+                operationId,
+                tags,
+                ...parameters.length > 0 ? { parameters } : {},
+                ...requestBody ? { requestBody } : {},
+                ...security ? { security } : {},
+                responses,
+                ...extensions
+            };
+        }
+    }
+
+    const serverFor = origin => origin
+        ? { url: origin }
+        : { url: '/', description: 'Same origin as the frontend' };
+    const sortedOrigins = Array.from(origins).sort((a, b) => (a || '').localeCompare(b || ''));
+
+    // With several servers each path names those it was seen on
+    if (origins.size > 1) {
+        for (const [pathKey, pathItemOrigins] of pathOrigins) {
+            paths[pathKey] = {
+                servers: sortedOrigins.filter(origin => pathItemOrigins.has(origin)).map(serverFor),
+                ...paths[pathKey]
+            };
+        }
+    }
+
+    const usesSecurity = Object.values(paths).some(pathItem =>
+        Object.values(pathItem).some(operation => operation.security?.length > 0));
+
+    const document = {
+        openapi: '3.1.0',
+        info: {
+            title: options.title || 'Discovered APIs',
+            version: options.version || new Date().toISOString().split('T')[0],
+            description: 'API calls found by dynamic (Noizz2025) and static (Static_Analysis) analysis of the frontends.'
+        },
+        servers: sortedOrigins.map(serverFor),
+        tags: sortedOrigins.map(origin => ({
+            name: getTagName(origin),
+            description: origin ? `Calls to ${origin}` : 'Calls to relative URLs'
+        })),
+        paths: Object.fromEntries(Object.entries(paths).sort(([a], [b]) => a.localeCompare(b)))
+    };
+
+    if (usesSecurity) {
+        document.components = {
+            securitySchemes: {
+                [SECURITY_SCHEME]: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    description: 'Credentials were sent with the call; the exact scheme was not identified'
+                }
+            }
+        };
+    }
+
+    return { document, skipped };
+}
+
+/**
+ * Main export function
+ */
+function exportOpenApi(options = {}) {
+    const inputPath = options.inputPath || DEFAULT_INPUT_PATH;
+    const outputPath = options.outputPath || DEFAULT_OUTPUT_PATH;
+
+    console.log('🔄 Loading merged API calls...');
+    console.log(`   Input: ${inputPath}`);
+
+    const apiCalls = loadMergedCalls(inputPath);
+    const { document, skipped } = buildOpenApiDocument(apiCalls, options);
+
+    // Ensure output directory exists
+    const outputDir = path.dirname(outputPath);
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    fs.writeFileSync(outputPath, JSON.stringify(document, null, 2));
+
+    const operationCount = Object.values(document.paths)
+        .reduce((count, pathItem) => count + Object.keys(pathItem).filter(key => key !== 'servers').length, 0);
+
+    console.log('\n✅ OpenAPI export complete!');
+    console.log(`\n📋 Summary:`);
+    console.log(`   API calls: ${apiCalls.length}`);
+    console.log(`   Servers: ${document.servers.length}`);
+    console.log(`   Paths: ${Object.keys(document.paths).length}`);
+    console.log(`   Operations: ${operationCount}`);
+    console.log(`   Skipped (no HTTP method or URL): ${skipped}`);
+    console.log(`\n💾 Output saved to: ${outputPath}`);
+
+    return document;
+}
+
+// CLI execution
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--input':
+            case '-i':
+                options.inputPath = args[++i];
+                break;
+            case '--output':
+            case '-o':
+                options.outputPath = args[++i];
+                break;
+            case '--title':
+            case '-t':
+                options.title = args[++i];
+                break;
+            case '--help':
+            case '-h':
+                console.log(`
+OpenAPI Export - Document the discovered API calls as OpenAPI 3.1
+
+Usage: node export_openapi.js [options]
+
+Options:
+  -i, --input <path>    Path to the merged API calls JSON (default: ${DEFAULT_INPUT_PATH})
+  -o, --output <path>   Output path for the OpenAPI document (default: ${DEFAULT_OUTPUT_PATH})
+  -t, --title <title>   Title of the document (default: Discovered APIs)
+  -h, --help            Show this help message
+                `);
+                process.exit(0);
+        }
+    }
+
+    try {
+        exportOpenApi(options);
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    }
+}
+
+export { exportOpenApi, buildOpenApiDocument, loadMergedCalls, splitUrl, sourceLocations };
+export default exportOpenApi;
@@ -0,0 +1,249 @@
+/**
+ * HAR Import
+ *
+ * Reads HAR files recorded in DevTools or by an E2E suite as a dynamic-analysis
+ * source: the API requests become standardized calls (source "har"), and the
+ * JavaScript the pages loaded, fetched or inline, becomes static analysis input.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// Longest body sample kept per request and response
+const BODY_SAMPLE_LENGTH = 2000;
+
+// Dev-server traffic, as filtered from Noizz25 results
+const SKIP_PATTERNS = ['/@vite/', '/@fs/', '/@ng/', '/node_modules/', '.hot-update.'];
+
+// Chrome and Firefox tag each entry with the kind of request that made it
+const API_RESOURCE_TYPES = ['xhr', 'fetch', 'eventsource', 'websocket'];
+
+// Page assets, for HARs without resource types
+const ASSET_MIME_TYPES = /^(text\/(html|css|javascript)|application\/(x-)?javascript|image\/|font\/|audio\/|video\/|application\/(font|wasm))/i;
+const ASSET_EXTENSIONS = /\.(m?js|css|png|jpe?g|gif|svg|ico|webp|woff2?|ttf|eot|map)$/i;
+
+const SCRIPT_MIME_TYPES = /javascript|ecmascript/i;
+const TEXT_MIME_TYPES = /^text\/|json|xml|javascript|x-www-form-urlencoded|graphql/i;
+
+// Headers that authenticate a request; their values are not copied out of the HAR
+const AUTH_HEADERS = ['authorization', 'x-api-key', 'x-auth-token'];
+const REDACTED_HEADERS = [...AUTH_HEADERS, 'proxy-authorization', 'cookie', 'set-cookie'];
+
+/**
+ * Parse a HAR file; throws when it is not one
+ */
+function loadHar(filePath) {
+    let har;
+    try {
+        har = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read HAR file ${filePath}: ${error.message}`);
+    }
+
+    if (!Array.isArray(har?.log?.entries)) {
+        throw new Error(`Not a HAR file (no log.entries): ${filePath}`);
+    }
+    return har.log.entries;
+}
+
+function getMimeType(content) {
+    return (content?.mimeType || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Whether an entry is a call to an API rather than a page asset
+ */
+function isApiEntry(entry) {
+    const url = entry.request?.url || '';
+    if (!/^https?:\/\//i.test(url) || SKIP_PATTERNS.some(pattern => url.includes(pattern))) {
+        return false;
+    }
+
+    if (entry._resourceType) {
+        return API_RESOURCE_TYPES.includes(entry._resourceType.toLowerCase());
+    }
+
+    const pathname = url.split(/[?#]/)[0];
+    return !ASSET_MIME_TYPES.test(getMimeType(entry.response?.content)) && !ASSET_EXTENSIONS.test(pathname);
+}
+
+/**
+ * HAR header list as an object; HTTP/2 pseudo-headers dropped, credentials redacted
+ */
+function toHeaderObject(headers = []) {
+    const result = {};
+
+    for (const { name, value } of headers) {
+        if (!name || name.startsWith(':')) continue;
+
+        const sample = REDACTED_HEADERS.includes(name.toLowerCase()) ? '<redacted>' : value;
+        result[name] = name in result && sample !== '<redacted>' ? `${result[name]}, ${sample}` : sample;
+    }
+
+    return result;
+}
+
+/**
+ * Text of a request or response body, decoded from base64 when the HAR stored it so. Null for binary bodies.
+ */
+function getBodyText(text, mimeType, encoding) {
+    if (typeof text !== 'string' || text === '') return null;
+    if (mimeType && !TEXT_MIME_TYPES.test(mimeType)) return null;
+
+    return encoding === 'base64' ? Buffer.from(text, 'base64').toString('utf8') : text;
+}
+
+/**
+ * Body sample: parsed JSON when it is complete JSON, the first BODY_SAMPLE_LENGTH characters otherwise
+ */
+function getBodySample(text, mimeType, encoding) {
+    const body = getBodyText(text, mimeType, encoding);
+    if (body === null) return undefined;
+
+    if (/json/.test(mimeType) && body.length <= BODY_SAMPLE_LENGTH) {
+        try {
+            return JSON.parse(body);
+        } catch {
+            // Not valid JSON after all; kept as text
+        }
+    }
+
+    return body.length > BODY_SAMPLE_LENGTH ? `${body.slice(0, BODY_SAMPLE_LENGTH)}…` : body;
+}
+
+/**
+ * Whether the request sent credentials; a cookie alone may or may not be a session
+ */
+function getAuthentication(headers = []) {
+    const names = headers.map(header => (header.name || '').toLowerCase());
+    if (names.some(name => AUTH_HEADERS.includes(name))) return 'authenticated';
+    if (names.includes('cookie')) return 'unknown';
+    return 'anonymous';
+}
+
+/**
+ * Standardized calls for the API requests of HAR entries
+ */
+function convertHarEntries(entries) {
+    const calls = [];
+
+    for (const entry of entries.filter(isApiEntry)) {
+        const { request, response = {} } = entry;
+
+        const call = {
+            method: (request.method || 'GET').toUpperCase(),
+            url: request.url,
+            file: null,
+            line: null,
+            column: null,
+            source: 'har',
+            authentication: getAuthentication(request.headers),
+            headers: toHeaderObject(request.headers)
+        };
+
+        // Status 0: the request was blocked or never answered
+        if (response.status) {
+            call.status = response.status;
+        }
+
+        const requestContentType = getMimeType(request.postData);
+        if (requestContentType) {
+            call.requestContentType = requestContentType;
+        }
+
+        const requestBody = getBodySample(request.postData?.text, requestContentType);
+        if (requestBody !== undefined) {
+            call.requestBody = requestBody;
+        }
+
+        const contentType = getMimeType(response.content);
+        if (contentType) {
+            call.contentType = contentType;
+        }
+
+        if (response.headers?.length) {
+            call.responseHeaders = toHeaderObject(response.headers);
+        }
+
+        const responseBody = getBodySample(response.content?.text, contentType, response.content?.encoding);
+        if (responseBody !== undefined) {
+            call.responseBody = responseBody;
+        }
+
+        calls.push(call);
+    }
+
+    return calls;
+}
+
+/**
+ * Standardized calls recorded in a HAR file
+ */
+function harToCalls(filePath) {
+    return convertHarEntries(loadHar(filePath));
+}
+
+function getPathname(url) {
+    try {
+        return new URL(url).pathname;
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Inline <script> blocks of an HTML page; external (src) and non-JavaScript (JSON, templates) ones skipped
+ */
+function getInlineScripts(html) {
+    const scripts = [];
+
+    for (const [, attributes, content] of html.matchAll(/<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi)) {
+        if (/\bsrc\s*=/i.test(attributes) || !content.trim()) continue;
+
+        const type = attributes.match(/\btype\s*=\s*["']?([^"'\s>]+)/i)?.[1].toLowerCase();
+        if (type && type !== 'module' && !SCRIPT_MIME_TYPES.test(type)) continue;
+
+        scripts.push(content);
+    }
+
+    return scripts;
+}
+
+/**
+ * Write the JavaScript of a HAR file's responses, fetched scripts and inline ones from
+ * HTML pages, into the static analysis input directory. Returns the number of files written.
+ */
+function extractHarScripts(filePath, outputDir) {
+    const entries = loadHar(filePath);
+    const prefix = `har-${path.basename(filePath, path.extname(filePath)).replace(/[^\w.-]+/g, '_')}`;
+    let written = 0;
+
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    entries.forEach((entry, index) => {
+        const content = entry.response?.content;
+        const mimeType = getMimeType(content);
+        const pathname = getPathname(entry.request?.url);
+        const baseName = path.posix.basename(pathname).replace(/\.m?js$/i, '').replace(/[^\w.-]+/g, '_') || 'index';
+
+        if (SCRIPT_MIME_TYPES.test(mimeType) || (!mimeType && /\.m?js$/i.test(pathname))) {
+            const script = getBodyText(content.text, 'application/javascript', content.encoding);
+            if (script) {
+                fs.writeFileSync(path.join(outputDir, `${prefix}-${index}-${baseName}.js`), script);
+                written++;
+            }
+        } else if (mimeType === 'text/html') {
+            const html = getBodyText(content.text, mimeType, content.encoding);
+            getInlineScripts(html || '').forEach((script, scriptIndex) => {
+                fs.writeFileSync(path.join(outputDir, `${prefix}-${index}-${baseName}-inline-${scriptIndex + 1}.js`), script);
+                written++;
+            });
+        }
+    });
+
+    return written;
+}
+
+export { loadHar, convertHarEntries, harToCalls, extractHarScripts };
@@ -1,13 +1,18 @@
 /**
  * Merge API Calls Script
  * 
- * Combines API calls from Noizz2025 and Static_Analysis into a unified JSON file.
- * Removes duplicates based on method + url combination.
+ * Combines API calls from any number of sources (Noizz2025, HAR recordings, Static_Analysis,
+ * OpenAPI documents, other scanners; see source_registry.js) into a unified JSON file.
+ * Removes duplicates based on method + URL without its query string, folds concrete
+ * URLs into the path templates (/users/{userId}) that describe them, and lists the
+ * query parameters seen for each endpoint.
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { SOURCE_KINDS, defineSource, getSource } from './source_registry.js';
+import { ORIGIN_TYPES, loadOriginRules, createOriginClassifier } from './origin_rules.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -16,18 +21,65 @@ const __dirname = path.dirname(__filename);
 const DEFAULT_NOIZZ_PATH = './outputs/noizz25_api_calls.json';
 const DEFAULT_STATIC_PATH = './outputs/static_analysis_api_calls.json';
 const DEFAULT_OUTPUT_PATH = './outputs/api_calls_merged.json';
+const DEFAULT_ORIGIN_RULES_PATH = './origin_rules.json';
+
+// What the server answered, known for calls recorded at runtime (HAR)
+const RESPONSE_FIELDS = ['status', 'requestContentType', 'contentType', 'responseHeaders', 'responseBody'];
+
+// Values of a source record kept in the provenance of the entry it was merged into
+const PROVENANCE_FIELDS = ['authentication', 'library', 'status', 'requestContentType', 'contentType', 'queryParams'];
+
+// Fields the records of one entry must agree on; unknown and missing values agree with any
+const CONFLICT_FIELDS = ['authentication', 'library'];
+
+// Path segments that identify a record rather than name a resource, and the parameter each becomes
+const IDENTIFIER_SEGMENTS = [
+    { name: 'id', type: 'integer', pattern: /^\d+$/ },
+    { name: 'uuid', type: 'uuid', pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i },
+    // Hex digests and object IDs, then opaque tokens mixing letters and digits
+    { name: 'hash', type: 'string', pattern: /^[0-9a-f]{16,}$/i },
+    { name: 'hash', type: 'string', pattern: /^(?=[a-z]*\d)(?=\d*[a-z])[a-z0-9]{20,}$/i }
+];
+
+// Observed values kept per path or query parameter
+const MAX_EXAMPLES = 5;
+
+// How an entry's method is known, the strongest evidence first
+const METHOD_SOURCES = ['observed', 'inferred', 'unknown'];
+
+// Leading word of a call or function name (api.updateUser, fetchOrders) and the method it suggests
+const METHOD_VERBS = {
+    GET: ['get', 'fetch', 'load', 'read', 'list', 'find', 'search'],
+    POST: ['post', 'create', 'add', 'submit'],
+    PUT: ['put', 'update', 'replace'],
+    PATCH: ['patch', 'modify'],
+    DELETE: ['delete', 'del', 'remove', 'destroy'],
+    HEAD: ['head'],
+    OPTIONS: ['options']
+};
+
+// Paths of page assets rather than API endpoints
+const ASSET_PATH = /\.(m?js|css|html?|png|jpe?g|gif|svg|ico|webp|woff2?|ttf|eot|map)$/i;
+
+// Page-relative paths (./orders, ../orders, api/orders); a bare word with no slash is not taken for one
+const DOCUMENT_RELATIVE_PATH = /^(\.{1,2}\/)+[^/]|^[\w-][\w.-]*\/[\w{]/;
+
+// Media types (application/json, text/plain;charset=utf-8), which look like page-relative paths
+const MEDIA_TYPE = /^(application|audio|font|image|message|model|multipart|text|video)\/[\w.+-]+(\s*;\s*[\w.+-]+=[^;]*)*$/i;
+
+// Date and time format tokens (dd/mm/yyyy, MM/DD/YY); not the first segment of a path
+const FORMAT_TOKEN = /^(d{1,4}|m{1,4}|y{2,4}|h{1,2}|s{1,2})$/i;
 
 /**
- * Load JSON file safely
+ * Load a source file safely: a missing or unreadable file counts as no calls
  */
-function loadJSON(filePath) {
+function loadSourceCalls(source, filePath) {
     try {
         if (!fs.existsSync(filePath)) {
             console.warn(`⚠️  File not found: ${filePath}`);
             return [];
         }
-        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-        return Array.isArray(data) ? data : [];
+        return source.load(filePath);
     } catch (error) {
         console.error(`❌ Error loading ${filePath}:`, error.message);
         return [];
@@ -35,12 +87,90 @@ function loadJSON(filePath) {
 }
 
 /**
- * Generate a unique key for an API call (method + normalized URL)
+ * Parse a `name[:kind[:weight]]=path` source argument
+ */
+function parseSourceArgument(value) {
+    const match = value?.match(/^([^:=]+)(?::([^:=]*))?(?::([^:=]*))?=(.+)$/);
+    if (!match) {
+        throw new Error(`Invalid --source '${value}': expected name[:kind[:weight]]=path`);
+    }
+    
+    const [, name, kind, weight, filePath] = match;
+    return {
+        name,
+        path: filePath,
+        ...kind && { kind },
+        ...weight && { weight: Number(weight) }
+    };
+}
+
+/**
+ * Read the sources of a merge: those in options.sources ({ name, path, kind?, weight? }) and
+ * the Noizz25, HAR and static analysis paths. Noizz25 and static analysis are read from their
+ * default paths unless options.sources is given. Files of the same source are read as one input.
+ */
+function loadInputs(options) {
+    const custom = options.sources || [];
+    const specs = [];
+    
+    if (options.noizzPath || custom.length === 0) {
+        specs.push({ name: 'noizz25', path: options.noizzPath || DEFAULT_NOIZZ_PATH });
+    }
+    for (const harPath of options.harPaths || []) {
+        specs.push({ name: 'har', path: harPath });
+    }
+    if (options.staticPath || custom.length === 0) {
+        specs.push({ name: 'static_analysis', path: options.staticPath || DEFAULT_STATIC_PATH });
+    }
+    specs.push(...custom);
+    
+    const inputs = new Map();
+    for (const spec of specs) {
+        const registered = getSource(spec.name);
+        if (!registered && !spec.kind) {
+            throw new Error(`Unknown source '${spec.name}': declare its kind (${SOURCE_KINDS.join(', ')}), e.g. ${spec.name}:dynamic=${spec.path}`);
+        }
+        
+        // Declared for this merge: registered ones keep their loader, and their weight unless the kind changes
+        const kind = spec.kind || registered.kind;
+        const source = spec.kind || spec.weight !== undefined
+            ? defineSource(spec.name, {
+                kind,
+                weight: spec.weight ?? (kind === registered?.kind ? registered.weight : undefined),
+                load: registered?.load
+            })
+            : registered;
+        
+        console.log(`   ${source.name} (${source.kind}, weight ${source.weight}): ${spec.path}`);
+        
+        if (!inputs.has(source.name)) {
+            inputs.set(source.name, { name: source.name, kind: source.kind, weight: source.weight, calls: [] });
+        }
+        inputs.get(source.name).calls.push(...loadSourceCalls(source, spec.path));
+    }
+    
+    return Array.from(inputs.values());
+}
+
+/**
+ * Generate a unique key for an API call (method + normalized URL, plus the operation for GraphQL).
+ * Template names and the query string are not part of it: /users/{id} and /users/{userId} are
+ * the same endpoint, and so are /search?q=a and /search?q=b.
  */
 function generateKey(call) {
     const method = (call.method || 'UNKNOWN').toUpperCase();
-    const url = normalizeUrl(call.url || '');
-    return `${method}|${url}`;
+    const url = getEndpointKey(call.url || '');
+    const operation = call.graphql ? `|${call.graphql.operationType} ${call.graphql.operationName || '(anonymous)'}` : '';
+    return `${method}|${url}${operation}`;
+}
+
+/**
+ * Normalized URL without its query string, its named templates ({userId}) unnamed. Unresolved
+ * placeholders ({parameter: x}) and whole-URL markers are not templates and stay as they are.
+ */
+function getEndpointKey(url) {
+    const normalized = normalizeUrl(getEndpointUrl(url));
+    return /^\{[^{}]*\}$/.test(normalized) ? normalized : normalized.replace(/\{[\w$.-]+\}/g, '{}');
 }
 
 /**
@@ -72,25 +202,149 @@ function isRealUrl(url) {
         return true;
     }
     
-    // Absolute API paths
-    if (url.startsWith('/api/') || url.startsWith('/v1/') || url.startsWith('/v2/')) {
-        return true;
+    // Absolute paths no origin was found for, unless they name a page asset
+    if (url.startsWith('/') && !url.startsWith('//')) {
+        return !ASSET_PATH.test(url.split(/[?#]/)[0]);
     }
     
     return false;
 }
 
 /**
- * Merge API calls from multiple sources
+ * Resolve the relative URLs static analysis found (`/api/orders`, `{VITE_API_URL}/orders`,
+ * `api/orders`) against the origin that serves them, in order of preference:
+ *
+ * - observed: an origin the dynamic sources called the same path at
+ * - target: the scanned page's origin, where the browser sends root- and document-relative URLs
+ * - api_origin: the one API origin given, for a base URL the code reads from configuration
+ * - static_base_url: the one cross-origin base URL static analysis resolved elsewhere in the code
+ *
+ * Each relative call gets `urlResolution: { from, by }`; `by` is "unresolved" when no origin fits.
  */
-function mergeApiCalls(noizzCalls, staticCalls, filterRealUrls = false) {
+function resolveRelativeUrls(staticCalls, dynamicCalls, { targetUrl = null, apiOrigins = [] } = {}) {
+    const targetOrigin = targetUrl ? getOrigin(targetUrl) : null;
+    const knownOrigins = [targetOrigin, ...apiOrigins.map(getOrigin)].filter(Boolean);
+    const staticOrigins = [...new Set(staticCalls.map(call => getOrigin(call.url || '')))]
+        .filter(origin => origin && origin !== targetOrigin);
+    const observed = dynamicCalls
+        .map(call => ({ origin: getOrigin(call.url || ''), path: getPath(call.url || '') }))
+        .filter(call => call.origin);
+    
+    return staticCalls.map(call => {
+        const relative = getRelativeUrl(call.url);
+        if (!relative) return call;
+        
+        let origin = null;
+        let by = 'unresolved';
+        
+        if (relative.kind === 'document') {
+            if (targetUrl) {
+                return { ...call, url: new URL(call.url, targetUrl).href, urlResolution: { from: call.url, by: 'target' } };
+            }
+        } else {
+            const pathParams = (call.pathParams || []).filter(param => param.name !== relative.base);
+            const pattern = relative.path.includes('{') ? templateToRegExp({ url: relative.path, pathParams }) : null;
+            const observedOrigins = [...new Set(observed
+                .filter(candidate => pattern ? pattern.test(candidate.path) : candidate.path === getPath(relative.path))
+                .map(candidate => candidate.origin))];
+            
+            if (observedOrigins.length > 0) {
+                origin = knownOrigins.find(known => observedOrigins.includes(known)) || observedOrigins[0];
+                by = 'observed';
+            } else if (relative.kind === 'root' && targetOrigin) {
+                origin = targetOrigin;
+                by = 'target';
+            } else if (apiOrigins.length === 1) {
+                origin = getOrigin(apiOrigins[0]);
+                by = 'api_origin';
+            } else if (relative.kind === 'base' && staticOrigins.length === 1) {
+                origin = staticOrigins[0];
+                by = 'static_base_url';
+            }
+            
+            if (origin) {
+                const resolved = { ...call, url: `${origin}${relative.path}`, urlResolution: { from: call.url, by } };
+                if (pathParams.length > 0) {
+                    resolved.pathParams = pathParams;
+                } else {
+                    delete resolved.pathParams;
+                }
+                return resolved;
+            }
+        }
+        
+        return { ...call, urlResolution: { from: call.url, by } };
+    });
+}
+
+/**
+ * How a URL is relative: to the origin (`/orders`), to a base URL template (`{apiUrl}/orders`)
+ * or to the page (`api/orders`, `./orders`). Null for absolute URLs, unresolved placeholders
+ * and the strings static analysis finds as noise: single words (`FileReader`, `padding-left`),
+ * media types and formats (`text/plain;charset=utf-8`, `dd/mm/yyyy`).
+ */
+function getRelativeUrl(url) {
+    if (!url || typeof url !== 'string' || /^[a-z][a-z0-9+.-]*:/i.test(url) || /\s/.test(url)) return null;
+    
+    if (url.startsWith('/')) {
+        return url.startsWith('//') ? null : { kind: 'root', path: url };
+    }
+    
+    const base = url.match(/^\{([^{}]+)\}(\/.*)$/);
+    if (base) {
+        return { kind: 'base', base: base[1], path: base[2] };
+    }
+    
+    return isDocumentRelativePath(url) ? { kind: 'document', path: url } : null;
+}
+
+function isDocumentRelativePath(url) {
+    if (!DOCUMENT_RELATIVE_PATH.test(url) || MEDIA_TYPE.test(url)) return false;
+    
+    // Parameters (;charset=) and assignments only belong in the query string
+    if (/[;=]/.test(url.split('?')[0])) return false;
+    
+    // api/orders, v2/users; not dd/mm/yyyy or 1/2
+    const firstSegment = url.match(/^(\.{1,2}\/)*([^/]*)/)[2];
+    return /^\.{1,2}\//.test(url) || (/[a-z]/i.test(firstSegment) && !FORMAT_TOKEN.test(firstSegment));
+}
+
+/**
+ * Merge the Noizz25, static analysis and HAR calls (see mergeSources)
+ */
+function mergeApiCalls(noizzCalls, staticCalls, filterRealUrls = false, harCalls = [], resolution = {}) {
+    return mergeSources(builtInInputs(noizzCalls, staticCalls, harCalls), { filterRealUrls, resolution });
+}
+
+function builtInInputs(noizzCalls, staticCalls, harCalls = []) {
+    return [['noizz25', noizzCalls], ['har', harCalls], ['static_analysis', staticCalls]].map(([name, calls]) => {
+        const { kind, weight } = getSource(name);
+        return { name, kind, weight, calls };
+    });
+}
+
+/**
+ * Merge the calls of any number of sources ([{ name, kind, weight, calls }]). Details the
+ * sources disagree on are taken from the most trusted one. `resolution` ({ targetUrl, apiOrigins })
+ * gives the origins relative URLs of static and spec sources may be resolved against, and,
+ * with `originRules` (see origin_rules.js), the first-party origins.
+ */
+function mergeSources(inputs, { filterRealUrls = false, resolution = {}, originRules = {} } = {}) {
     const callMap = new Map();
+    const classifyOrigin = createOriginClassifier({ ...resolution, rules: originRules });
+    const dynamicCalls = inputs.filter(input => input.kind === 'dynamic').flatMap(input => input.calls);
+    const observedMethods = dynamicCalls
+        .filter(call => call.url && call.method && call.method.toUpperCase() !== 'UNKNOWN')
+        .map(call => ({ origin: getOrigin(call.url), path: getPath(call.url), method: call.method.toUpperCase() }));
     
-    // Process all calls
-    let allCalls = [
-        ...noizzCalls.map(c => ({ ...c, _originalSource: 'noizz25' })),
-        ...staticCalls.map(c => ({ ...c, _originalSource: 'static_analysis' }))
-    ];
+    // Most trusted first: where sources disagree, the first value seen is kept
+    let allCalls = [...inputs]
+        .sort((a, b) => b.weight - a.weight)
+        .flatMap(input => resolveMethods(
+            input.kind === 'dynamic' ? input.calls : resolveRelativeUrls(input.calls, dynamicCalls, resolution),
+            input.kind,
+            observedMethods
+        ).map(c => ({ ...c, _originalSource: input.name })));
     
     // Optionally filter to only real URLs
     if (filterRealUrls) {
@@ -125,88 +379,745 @@ function mergeApiCalls(noizzCalls, staticCalls, filterRealUrls = false) {
                 }
                 const locationKey = `${call.file}:${call.line}`;
                 if (!existing.locations.some(loc => `${loc.file}:${loc.line}` === locationKey)) {
-                    existing.locations.push({
-                        file: call.file,
-                        line: call.line,
-                        column: call.column || null
-                    });
+                    existing.locations.push(buildLocation(call));
                 }
             }
             
             // Update authentication if more specific
-            if (existing.authentication === 'unknown' && call.authentication !== 'unknown') {
+            if (existing.authentication === 'unknown' && call.authentication && call.authentication !== 'unknown') {
                 existing.authentication = call.authentication;
             }
             
+            // Recorded calls do not know the library that made them
+            if (!existing.library && call.library) {
+                existing.library = call.library;
+            }
+            
+            if (existing.requestBody === undefined && call.requestBody !== undefined) {
+                existing.requestBody = call.requestBody;
+            }
+            
+            // Headers seen on any of the calls, the first value of each kept
+            if (call.headers) {
+                existing.headers = { ...call.headers, ...existing.headers };
+            }
+            
+            for (const field of RESPONSE_FIELDS) {
+                if (existing[field] === undefined && call[field] !== undefined) {
+                    existing[field] = call[field];
+                }
+            }
+            
+            if (!existing.urlResolution && call.urlResolution) {
+                existing.urlResolution = call.urlResolution;
+            }
+            
+            existing.methodSource = getStrongerMethodSource(existing.methodSource, call.methodSource);
+            
+            existing.provenance.push(buildProvenance(call));
+            
         } else {
             // New entry
             const entry = {
                 method: (call.method || 'UNKNOWN').toUpperCase(),
-                url: call.url,
+                url: getEndpointUrl(call.url),
                 file: call.file || null,
                 line: call.line || null,
                 column: call.column || null,
+                methodSource: call.methodSource,
                 sources: [call._originalSource],
                 authentication: call.authentication || 'unknown',
                 library: call.library || null
             };
             
+            // GraphQL operations are entries of their own on the shared endpoint
+            if (call.graphql) {
+                entry.graphql = call.graphql;
+            }
+            
+            // Copied: observed examples are added to them
+            if (call.pathParams) {
+                entry.pathParams = call.pathParams.map(param => ({ ...param }));
+            }
+            
+            // The relative URL static analysis found, and what it was resolved against
+            if (call.urlResolution) {
+                entry.urlResolution = call.urlResolution;
+            }
+            
+            // Payload found by static analysis, static parts only
+            if (call.requestBody !== undefined) {
+                entry.requestBody = call.requestBody;
+            }
+            
+            if (call.headers) {
+                entry.headers = { ...call.headers };
+            }
+            
+            // Status, content types, response headers and body sample of recorded calls
+            for (const field of RESPONSE_FIELDS) {
+                if (call[field] !== undefined) {
+                    entry[field] = call[field];
+                }
+            }
+            
             // Add locations array if file info is available
             if (call.file && call.line) {
-                entry.locations = [{
-                    file: call.file,
-                    line: call.line,
-                    column: call.column || null
-                }];
+                entry.locations = [buildLocation(call)];
             }
             
+            entry.provenance = [buildProvenance(call)];
+            
             callMap.set(key, entry);
         }
     }
     
-    return Array.from(callMap.values());
+    const kinds = new Map(inputs.map(input => [input.name, input.kind]));
+    const weights = new Map(inputs.map(input => [input.name, input.weight]));
+    return clusterConcreteUrls(matchPathTemplates(Array.from(callMap.values()), weights), weights)
+        .map(entry => describeEndpoint(entry, kinds, classifyOrigin));
 }
 
 /**
- * Generate summary statistics
+ * An entry with its URL split into `origin` (null when relative), classified as `originType`,
+ * and `path`, path parameters that only appeared in the query string dropped, and the query
+ * parameters of its records
  */
-function generateSummary(noizzCalls, staticCalls, mergedCalls) {
-    const totalCallsFound = noizzCalls.length + staticCalls.length;
-    const uniqueCalls = mergedCalls.length;
+function describeEndpoint(entry, kinds, classifyOrigin) {
+    const { method, url, ...details } = entry;
+    const { origin, path } = splitUrl(url);
+    const originType = classifyOrigin(origin, { relative: ['root', 'document'].includes(getRelativeUrl(url)?.kind) });
+    const queryParams = buildQueryParams(entry.provenance || [], kinds);
+    
+    if (details.pathParams) {
+        const templates = (path || '').toLowerCase();
+        details.pathParams = details.pathParams.filter(param => templates.includes(`{${param.name.toLowerCase()}}`));
+        if (details.pathParams.length === 0) {
+            delete details.pathParams;
+        }
+    }
+    
+    return {
+        method,
+        url,
+        origin,
+        originType,
+        path,
+        ...Object.keys(queryParams).length > 0 ? { queryParams } : {},
+        ...details
+    };
+}
+
+/**
+ * Query parameters of an endpoint, from the query strings of its records' URLs and the
+ * parameters static analysis saw the code set (params options, HttpParams): for each, the kinds
+ * of source it was seen in, up to MAX_EXAMPLES concrete values, and whether every record had it
+ */
+function buildQueryParams(records, kinds) {
+    const params = {};
+    
+    for (const record of records) {
+        const pairs = [
+            ...new URLSearchParams(splitUrl(record.url || '').query),
+            ...Object.entries(record.queryParams || {})
+        ];
+        
+        for (const [name, value] of pairs) {
+            if (!Object.hasOwn(params, name)) {
+                params[name] = { seenIn: [], examples: [], required: false, records: new Set() };
+            }
+            const param = params[name];
+            param.records.add(record);
+            
+            const kind = kinds.get(record.source);
+            if (kind && !param.seenIn.includes(kind)) {
+                param.seenIn.push(kind);
+            }
+            
+            // Placeholders ({variable: page}) are not values
+            const example = ['string', 'number', 'boolean'].includes(typeof value) ? String(value) : '';
+            if (example && !example.includes('{') && param.examples.length < MAX_EXAMPLES && !param.examples.includes(example)) {
+                param.examples.push(example);
+            }
+        }
+    }
+    
+    for (const param of Object.values(params)) {
+        param.seenIn.sort((a, b) => SOURCE_KINDS.indexOf(a) - SOURCE_KINDS.indexOf(b));
+        param.required = param.records.size === records.length;
+        delete param.records;
+    }
+    
+    return params;
+}
+
+/**
+ * Origin (null when relative), path and query string of a URL. Strings that are not URLs,
+ * such as unresolved placeholders and code, are all path.
+ */
+function splitUrl(url) {
+    if (typeof url !== 'string') return { origin: null, path: url ?? null, query: '' };
+    
+    const origin = url.match(/^[a-z][a-z0-9+.-]*:\/\/[^/?#]+/i)?.[0] || null;
+    if (!origin && !getRelativeUrl(url)) return { origin: null, path: url, query: '' };
+    
+    const [, path, query = ''] = url.slice(origin?.length || 0).match(/^([^?#]*)(?:\?([^#]*))?/);
+    return { origin, path, query };
+}
+
+/**
+ * A URL without its query string and fragment
+ */
+function getEndpointUrl(url) {
+    const { origin, path } = splitUrl(url);
+    return typeof url === 'string' ? `${origin || ''}${path}` : url;
+}
+
+/**
+ * Settle the method of each call and record how it is known (`methodSource`):
+ *
+ * - observed: a dynamic source made the request with it. A static or spec call with an UNKNOWN
+ *   method binds to the method, or each of the methods, dynamic sources used for its URL.
+ * - inferred: the code or a spec gives it, or, for an UNKNOWN method, inferMethod guesses it
+ * - unknown: nothing tells it
+ *
+ * A method set here is kept apart as `_originalMethod`: the provenance shows what the source said.
+ */
+function resolveMethods(calls, kind, observedMethods) {
+    return calls.flatMap(call => {
+        if (call.method && call.method.toUpperCase() !== 'UNKNOWN') {
+            return [{ ...call, methodSource: kind === 'dynamic' ? 'observed' : 'inferred' }];
+        }
+        
+        const original = { _originalMethod: call.method || 'UNKNOWN' };
+        const bound = kind === 'dynamic' ? [] : getObservedMethods(call, observedMethods);
+        if (bound.length > 0) {
+            return bound.map(method => ({ ...call, ...original, method, methodSource: 'observed' }));
+        }
+        
+        const inferred = inferMethod(call);
+        return inferred
+            ? [{ ...call, ...original, method: inferred, methodSource: 'inferred' }]
+            : [{ ...call, method: 'UNKNOWN', methodSource: 'unknown' }];
+    });
+}
+
+/**
+ * Methods dynamic sources called a call's URL with: the same path, or a path its template
+ * matches, at its origin (any origin when the URL is relative)
+ */
+function getObservedMethods(call, observedMethods) {
+    if (!call.url) return [];
+    
+    const origin = getOrigin(call.url);
+    const path = getPath(call.url);
+    const pattern = call.pathParams ? templateToRegExp(call) : null;
+    
+    return [...new Set(observedMethods
+        .filter(candidate => (!origin || candidate.origin === origin) &&
+            (pattern ? pattern.test(candidate.path) : candidate.path === path))
+        .map(candidate => candidate.method))];
+}
+
+/**
+ * Most likely method of a call its source gave none for: the one the name of the call or of
+ * the project functions it went through suggests, else POST when it sends a payload or a GraphQL
+ * operation, else GET when it only names a response type (http.request<User[]>(url)). Null when
+ * there is nothing to go on.
+ */
+function inferMethod(call) {
+    for (const name of [call.callee, ...call.wrappers || []]) {
+        const verb = typeof name === 'string'
+            ? name.split(/[^\w$]+/).filter(Boolean).pop()?.match(/^[A-Z]?[a-z]+|^[A-Z]+/)?.[0].toLowerCase()
+            : null;
+        const method = verb && Object.keys(METHOD_VERBS).find(candidate => METHOD_VERBS[candidate].includes(verb));
+        if (method) return method;
+    }
+    
+    if ((call.requestBody !== undefined && call.requestBody !== null) || call.graphql) return 'POST';
+    if (call.typeArgument) return 'GET';
+    
+    return null;
+}
+
+function getStrongerMethodSource(a, b) {
+    return METHOD_SOURCES.indexOf(b) < METHOD_SOURCES.indexOf(a) ? b : a;
+}
+
+/**
+ * Fold calls to concrete URLs (/users/42/orders/7) into the template entry
+ * with the same method that describes them (/users/{userId}/orders/{orderId})
+ */
+function matchPathTemplates(calls, weights) {
+    const templates = calls
+        .filter(call => call.pathParams && !call.graphql)
+        .map(call => ({ call, origin: getOrigin(call.url), pattern: templateToRegExp(call) }))
+        .filter(template => template.pattern)
+        // Most specific template first
+        .sort((a, b) => a.call.pathParams.length - b.call.pathParams.length);
+    
+    if (templates.length === 0) return calls;
+    
+    const folded = new Set();
+    for (const call of calls) {
+        if (!call.url || call.url.includes('{') || call.graphql) continue;
+        
+        // Relative templates match any origin, absolute ones only their own
+        const path = getPath(call.url);
+        const origin = getOrigin(call.url);
+        const template = templates.find(candidate =>
+            candidate.call.method === call.method &&
+            (!candidate.origin || !origin || candidate.origin === origin) &&
+            candidate.pattern.test(path));
+        if (!template) continue;
+        
+        foldIntoTemplate(template.call, call, weights);
+        folded.add(call);
+    }
+    
+    return calls.filter(call => !folded.has(call));
+}
+
+/**
+ * Group the concrete URLs no template matched by the template their identifier segments
+ * suggest: /users/17 and /users/42 become one /users/{id} entry with both as matched URLs
+ */
+function clusterConcreteUrls(calls, weights) {
+    const clusters = new Map();
+    const clustered = new Set();
+    
+    for (const call of calls) {
+        if (!call.url || call.url.includes('{') || call.graphql) continue;
+        
+        const template = inferPathTemplate(call.url);
+        if (!template) continue;
+        
+        const key = `${call.method}|${normalizeUrl(template.url)}`;
+        if (!clusters.has(key)) {
+            clusters.set(key, {
+                method: call.method,
+                url: template.url,
+                file: null,
+                line: null,
+                column: null,
+                methodSource: 'unknown',
+                sources: [],
+                authentication: 'unknown',
+                library: null,
+                pathParams: template.pathParams,
+                inferredTemplate: true
+            });
+        }
+        foldIntoTemplate(clusters.get(key), call, weights);
+        clustered.add(call);
+    }
+    
+    return [...calls.filter(call => !clustered.has(call)), ...clusters.values()];
+}
+
+/**
+ * Template for a concrete URL, its numeric, UUID and hash segments as parameters
+ * (/users/42/orders/7 is /users/{id}/orders/{id2}). Null when no segment is one.
+ * The query string is dropped.
+ */
+function inferPathTemplate(url) {
+    const origin = url.match(/^[a-z][a-z0-9+.-]*:\/\/[^/?#]+/i)?.[0] || '';
+    const pathParams = [];
+    
+    const path = url.slice(origin.length).split(/[?#]/)[0]
+        .split('/')
+        .map(segment => {
+            const identifier = IDENTIFIER_SEGMENTS.find(candidate => candidate.pattern.test(segment));
+            if (!identifier) return segment;
+            
+            let name = identifier.name;
+            for (let i = 2; pathParams.some(param => param.name === name); i++) name = `${identifier.name}${i}`;
+            
+            pathParams.push({ name, expression: null, type: identifier.type });
+            return `{${name}}`;
+        })
+        .join('/');
+    
+    return pathParams.length > 0 ? { url: `${origin}${path}`, pathParams } : null;
+}
+
+/**
+ * Regular expression for the path of a template URL, each {param} matching a
+ * segment of its type. Null when the placeholders are all in the query string.
+ */
+function templateToRegExp(call) {
+    const path = getPath(call.url);
+    if (!path.includes('{')) return null;
+    
+    const types = new Map(call.pathParams.map(param => [param.name.toLowerCase(), param.type]));
+    const source = path
+        .split(/(\{[^{}]*\})/)
+        .map(part => {
+            const name = part.match(/^\{([^{}]*)\}$/)?.[1];
+            if (name === undefined) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            
+            switch (types.get(name)) {
+                case 'integer':
+                    return '\\d+';
+                case 'uuid':
+                    return '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}';
+                default:
+                    return '[^/]+';
+            }
+        })
+        .join('');
     
-    // Count by source in merged
-    const sourceCounts = {
-        noizz25: 0,
-        static_analysis: 0,
-        both: 0
+    return new RegExp(`^${source}$`);
+}
+
+function getOrigin(url) {
+    return url.match(/^[a-z][a-z0-9+.-]*:\/\/[^/?#]+/i)?.[0].toLowerCase() || null;
+}
+
+/**
+ * Normalized path of a URL: origin, query string and fragment dropped
+ */
+function getPath(url) {
+    return normalizeUrl(url.replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]+/i, '').split(/[?#]/)[0]) || '/';
+}
+
+/**
+ * Add a concrete URL's sources, locations and path values to the template entry it matched.
+ * `weights` (source name -> trust weight) decides authentication and library between them.
+ */
+function foldIntoTemplate(template, call, weights) {
+    for (const source of call.sources) {
+        if (!template.sources.includes(source)) {
+            template.sources.push(source);
+        }
+    }
+    
+    template.matchedUrls = template.matchedUrls || [];
+    if (!template.matchedUrls.includes(call.url)) {
+        template.matchedUrls.push(call.url);
+        addPathExamples(template, call.url);
+    }
+    
+    if (!template.file && call.file) {
+        template.file = call.file;
+        template.line = call.line;
+        template.column = call.column;
+    }
+    
+    for (const location of call.locations || []) {
+        template.locations = template.locations || [];
+        if (!template.locations.some(loc => loc.file === location.file && loc.line === location.line)) {
+            template.locations.push(location);
+        }
+    }
+    
+    template.methodSource = getStrongerMethodSource(template.methodSource, call.methodSource);
+    
+    if (template.requestBody === undefined && call.requestBody !== undefined) {
+        template.requestBody = call.requestBody;
+    }
+    
+    if (call.headers) {
+        template.headers = { ...call.headers, ...template.headers };
+    }
+    
+    for (const field of RESPONSE_FIELDS) {
+        if (template[field] === undefined && call[field] !== undefined) {
+            template[field] = call[field];
+        }
+    }
+    
+    template.provenance = [...template.provenance || [], ...call.provenance || []];
+    
+    // As in mergeSources: the most trusted source that knows the value wins, on equal weight the template
+    const authentication = getTrustedValue(template.provenance, 'authentication', weights, value => value && value !== 'unknown');
+    if (authentication) {
+        template.authentication = authentication;
+    }
+    const library = getTrustedValue(template.provenance, 'library', weights, value => !!value);
+    if (library) {
+        template.library = library;
+    }
+}
+
+/**
+ * Value of a field in the record of the highest-weight source that knows it (first such record on a tie)
+ */
+function getTrustedValue(records, field, weights, isKnown) {
+    let trusted = null;
+    for (const record of records.filter(candidate => isKnown(candidate[field]))) {
+        if (!trusted || (weights.get(record.source) ?? 0) > (weights.get(trusted.source) ?? 0)) {
+            trusted = record;
+        }
+    }
+    return trusted?.[field];
+}
+
+/**
+ * Record the value each whole-segment {param} of the template has in a concrete URL
+ */
+function addPathExamples(template, url) {
+    const segmentsOf = value => value.replace(/^[a-z][a-z0-9+.-]*:\/\/[^/?#]+/i, '').split(/[?#]/)[0].replace(/\/+$/, '').split('/');
+    const templateSegments = segmentsOf(template.url);
+    const segments = segmentsOf(url);
+    if (templateSegments.length !== segments.length) return;
+    
+    templateSegments.forEach((segment, index) => {
+        const name = segment.match(/^\{([^{}]*)\}$/)?.[1]?.toLowerCase();
+        const param = name && template.pathParams?.find(candidate => candidate.name.toLowerCase() === name);
+        if (!param) return;
+        
+        param.examples = param.examples || [];
+        if (param.examples.length < MAX_EXAMPLES && !param.examples.includes(segments[index])) {
+            param.examples.push(segments[index]);
+        }
+    });
+}
+
+/**
+ * What one source record said about the endpoint: its location and raw values, the method
+ * and URL as found before they were bound to an observed method or resolved against an origin
+ */
+function buildProvenance(call) {
+    const record = {
+        source: call._originalSource,
+        method: call._originalMethod ?? call.method ?? null,
+        methodSource: call.methodSource,
+        url: call.urlResolution?.from ?? call.url ?? null,
+        file: call.file || null,
+        line: call.line || null,
+        column: call.column || null
     };
     
+    for (const field of PROVENANCE_FIELDS) {
+        if (call[field] !== undefined) {
+            record[field] = call[field];
+        }
+    }
+    
+    return record;
+}
+
+/**
+ * Field-level disagreements between the sources merged into the entries: values of
+ * CONFLICT_FIELDS within an entry, and methods for one URL where sources of different kinds
+ * each saw a method the other did not (static POST, dynamic PUT). Each conflict lists the
+ * values with the sources that gave them.
+ */
+function findConflicts(inputs, mergedCalls) {
+    const kinds = new Map(inputs.map(input => [input.name, input.kind]));
+    const conflicts = [];
+    
+    for (const call of mergedCalls) {
+        for (const field of CONFLICT_FIELDS) {
+            const values = groupBySource((call.provenance || [])
+                .filter(record => record[field] && record[field] !== 'unknown')
+                .map(record => [record[field], record.source]));
+            
+            // Call sites of one source may differ; sources may not
+            if (values.length > 1 && new Set(values.flatMap(value => value.sources)).size > 1) {
+                conflicts.push({ method: call.method, url: call.url, field, values });
+            }
+        }
+    }
+    
+    // URL -> kind -> method -> sources
+    const endpoints = new Map();
     for (const call of mergedCalls) {
-        if (call.sources.length === 2) {
+        if (call.graphql || call.method === 'UNKNOWN') continue;
+        
+        const key = getEndpointKey(call.url || '');
+        if (!endpoints.has(key)) {
+            endpoints.set(key, { url: call.url, kinds: new Map() });
+        }
+        const byKind = endpoints.get(key).kinds;
+        
+        for (const source of call.sources) {
+            const kind = kinds.get(source);
+            if (!byKind.has(kind)) byKind.set(kind, new Map());
+            if (!byKind.get(kind).has(call.method)) byKind.get(kind).set(call.method, new Set());
+            byKind.get(kind).get(call.method).add(source);
+        }
+    }
+    
+    for (const { url, kinds: byKind } of endpoints.values()) {
+        const disputed = new Set();
+        for (const [kind, methods] of byKind) {
+            for (const [otherKind, otherMethods] of byKind) {
+                if (kind === otherKind) continue;
+                
+                const only = [...methods.keys()].filter(method => !otherMethods.has(method));
+                const otherOnly = [...otherMethods.keys()].filter(method => !methods.has(method));
+                if (only.length > 0 && otherOnly.length > 0) {
+                    only.forEach(method => disputed.add(method));
+                }
+            }
+        }
+        
+        if (disputed.size > 0) {
+            const values = groupBySource([...byKind.values()].flatMap(methods =>
+                [...methods].filter(([method]) => disputed.has(method))
+                    .flatMap(([method, sources]) => [...sources].map(source => [method, source]))));
+            conflicts.push({ method: null, url, field: 'method', values });
+        }
+    }
+    
+    return conflicts;
+}
+
+/**
+ * [value, source] pairs as [{ value, sources }], one per distinct value
+ */
+function groupBySource(pairs) {
+    const values = new Map();
+    for (const [value, source] of pairs) {
+        const key = JSON.stringify(value);
+        if (!values.has(key)) values.set(key, { value, sources: [] });
+        if (!values.get(key).sources.includes(source)) values.get(key).sources.push(source);
+    }
+    return Array.from(values.values());
+}
+
+/**
+ * Build a location entry, keeping the bundle position for source-mapped calls
+ * and the client instance, interceptors and wrappers for calls made through them
+ */
+function buildLocation(call) {
+    const location = {
+        file: call.file,
+        line: call.line,
+        column: call.column || null
+    };
+    
+    if (call.generated) {
+        location.generated = call.generated;
+    }
+    
+    if (call.client) {
+        location.client = call.client;
+    }
+    
+    if (call.interceptors) {
+        location.interceptors = call.interceptors;
+    }
+    
+    if (call.wrappers) {
+        location.wrappers = call.wrappers;
+    }
+    
+    return location;
+}
+
+/**
+ * Generate summary statistics for the Noizz25, static analysis and HAR calls (see summarizeSources)
+ */
+function generateSummary(noizzCalls, staticCalls, mergedCalls, harCalls = []) {
+    return summarizeSources(builtInInputs(noizzCalls, staticCalls, harCalls), mergedCalls);
+}
+
+/**
+ * Summary statistics of a merge, per source and per combination of sources and kinds
+ */
+function summarizeSources(inputs, mergedCalls, conflicts = []) {
+    const totalCallsFound = inputs.reduce((count, input) => count + input.calls.length, 0);
+    const uniqueCalls = mergedCalls.length;
+    const kinds = new Map(inputs.map(input => [input.name, input.kind]));
+    
+    // Count by source in merged; "both" means seen at runtime and in the code,
+    // other entries count for the first of their sources
+    const sourceCounts = Object.fromEntries([...inputs.map(input => [input.name, 0]), ['both', 0]]);
+    const sourceStats = Object.fromEntries(inputs.map(input => [input.name, {
+        kind: input.kind,
+        weight: input.weight,
+        calls: input.calls.length,
+        entries: 0,
+        exclusive: 0
+    }]));
+    const combinations = {};
+    const kindCombinations = {};
+    
+    for (const call of mergedCalls) {
+        const callSources = inputs.map(input => input.name).filter(name => call.sources.includes(name));
+        const callKinds = SOURCE_KINDS.filter(kind => callSources.some(name => kinds.get(name) === kind));
+        if (callSources.length === 0) continue;
+        
+        if (callKinds.includes('dynamic') && callKinds.includes('static')) {
             sourceCounts.both++;
-        } else if (call.sources.includes('noizz25')) {
-            sourceCounts.noizz25++;
-        } else if (call.sources.includes('static_analysis')) {
-            sourceCounts.static_analysis++;
+        } else {
+            sourceCounts[callSources[0]]++;
         }
+        
+        for (const name of callSources) {
+            sourceStats[name].entries++;
+        }
+        if (callSources.length === 1) {
+            sourceStats[callSources[0]].exclusive++;
+        }
+        
+        const combination = callSources.join('+');
+        combinations[combination] = (combinations[combination] || 0) + 1;
+        const kindCombination = callKinds.join('+');
+        kindCombinations[kindCombination] = (kindCombinations[kindCombination] || 0) + 1;
     }
     
-    // Method distribution
+    // Method distribution, and how the methods are known
     const methodCounts = {};
+    const methodSources = Object.fromEntries(METHOD_SOURCES.map(methodSource => [methodSource, 0]));
     for (const call of mergedCalls) {
         methodCounts[call.method] = (methodCounts[call.method] || 0) + 1;
+        methodSources[call.methodSource]++;
+    }
+    
+    const graphqlOperations = mergedCalls.filter(call => call.graphql).length;
+    const templatedUrls = mergedCalls.reduce((count, call) => count + (call.matchedUrls?.length || 0), 0);
+    const clusters = mergedCalls.filter(call => call.matchedUrls);
+    
+    const queryParams = mergedCalls.flatMap(call => Object.values(call.queryParams || {}));
+    
+    // Entries per origin, most called first; those without one as (relative) when classified as the target, else (unresolved)
+    const originTypes = Object.fromEntries(ORIGIN_TYPES.map(type => [type, 0]));
+    const origins = new Map();
+    for (const call of mergedCalls) {
+        const origin = call.origin?.toLowerCase() || (call.originType !== 'unknown' ? '(relative)' : '(unresolved)');
+        if (!origins.has(origin)) {
+            origins.set(origin, { type: call.originType, calls: 0 });
+        }
+        origins.get(origin).calls++;
+        originTypes[call.originType]++;
+    }
+    
+    const urlResolution = {};
+    for (const call of mergedCalls.filter(call => call.urlResolution)) {
+        urlResolution[call.urlResolution.by] = (urlResolution[call.urlResolution.by] || 0) + 1;
     }
     
     return {
         total_calls_found: totalCallsFound,
         unique_calls: uniqueCalls,
         duplicates_removed: totalCallsFound - uniqueCalls,
-        sources: {
-            noizz25: noizzCalls.length,
-            static_analysis: staticCalls.length
-        },
+        sources: Object.fromEntries(inputs.map(input => [input.name, input.calls.length])),
         merged_sources: sourceCounts,
-        methods: methodCounts
+        source_stats: sourceStats,
+        combinations,
+        kind_combinations: kindCombinations,
+        methods: methodCounts,
+        method_sources: methodSources,
+        graphql_operations: graphqlOperations,
+        templated_urls: templatedUrls,
+        url_clusters: {
+            total: clusters.length,
+            static_templates: clusters.filter(call => !call.inferredTemplate).length,
+            inferred_templates: clusters.filter(call => call.inferredTemplate).length
+        },
+        url_resolution: urlResolution,
+        origin_types: originTypes,
+        origins: Object.fromEntries([...origins].sort(([, a], [, b]) => b.calls - a.calls)),
+        query_params: {
+            endpoints: mergedCalls.filter(call => call.queryParams).length,
+            parameters: queryParams.length,
+            required: queryParams.filter(param => param.required).length
+        },
+        conflicts: conflicts.length
     };
 }
 
@@ -214,34 +1125,57 @@ function generateSummary(noizzCalls, staticCalls, mergedCalls) {
  * Main merge function
  */
 function merge(options = {}) {
-    const noizzPath = options.noizzPath || DEFAULT_NOIZZ_PATH;
-    const staticPath = options.staticPath || DEFAULT_STATIC_PATH;
     const outputPath = options.outputPath || DEFAULT_OUTPUT_PATH;
     const realUrlsOnly = options.realUrlsOnly || false;
+    const failOnConflicts = options.failOnConflicts || false;
+    const resolution = {
+        targetUrl: options.targetUrl || null,
+        apiOrigins: options.apiOrigins || []
+    };
     
-    console.log('🔄 Loading API call files...');
-    console.log(`   Noizz25: ${noizzPath}`);
-    console.log(`   Static Analysis: ${staticPath}`);
+    // Origin rules from the given file, or the default one when it exists, plus first-party domains given directly
+    const originRulesPath = options.originRulesPath || (fs.existsSync(DEFAULT_ORIGIN_RULES_PATH) ? DEFAULT_ORIGIN_RULES_PATH : null);
+    const originRules = originRulesPath ? loadOriginRules(originRulesPath) : {};
+    if (options.firstParty?.length) {
+        originRules.firstParty = [...originRules.firstParty || [], ...options.firstParty];
+    }
     
-    // Load both files
-    const noizzCalls = loadJSON(noizzPath);
-    const staticCalls = loadJSON(staticPath);
+    for (const url of [resolution.targetUrl, ...resolution.apiOrigins].filter(Boolean)) {
+        if (!getOrigin(url) || !/^https?:/i.test(url)) {
+            throw new Error(`Not an http(s) URL: ${url}`);
+        }
+    }
+    
+    console.log('🔄 Loading API call files...');
+    const inputs = loadInputs(options);
+    if (resolution.targetUrl) {
+        console.log(`   Target URL: ${resolution.targetUrl}`);
+    }
+    for (const apiOrigin of resolution.apiOrigins) {
+        console.log(`   API origin: ${apiOrigin}`);
+    }
+    if (originRulesPath) {
+        console.log(`   Origin rules: ${originRulesPath}`);
+    }
     
     console.log(`\n📊 Input statistics:`);
-    console.log(`   Noizz25 calls: ${noizzCalls.length}`);
-    console.log(`   Static Analysis calls: ${staticCalls.length}`);
-    console.log(`   Total: ${noizzCalls.length + staticCalls.length}`);
+    for (const input of inputs) {
+        console.log(`   ${input.name} calls: ${input.calls.length}`);
+    }
+    console.log(`   Total: ${inputs.reduce((count, input) => count + input.calls.length, 0)}`);
     
     // Merge calls
     console.log('\n🔀 Merging and deduplicating...');
-    const mergedCalls = mergeApiCalls(noizzCalls, staticCalls, realUrlsOnly);
+    const mergedCalls = mergeSources(inputs, { filterRealUrls: realUrlsOnly, resolution, originRules });
     
     // Generate summary
-    const summary = generateSummary(noizzCalls, staticCalls, mergedCalls);
+    const conflicts = findConflicts(inputs, mergedCalls);
+    const summary = summarizeSources(inputs, mergedCalls, conflicts);
     
     // Create final output
     const output = {
         summary: summary,
+        conflicts,
         api_calls: mergedCalls.sort((a, b) => {
             // Sort by method, then by URL
             if (a.method !== b.method) return a.method.localeCompare(b.method);
@@ -263,9 +1197,41 @@ function merge(options = {}) {
     console.log(`   Total calls found: ${summary.total_calls_found}`);
     console.log(`   Unique calls: ${summary.unique_calls}`);
     console.log(`   Duplicates removed: ${summary.duplicates_removed}`);
-    console.log(`   Found in both sources: ${summary.merged_sources.both}`);
+    console.log(`   Found at runtime and in the code: ${summary.merged_sources.both}`);
+    for (const [combination, count] of Object.entries(summary.combinations)) {
+        console.log(`      ${combination}: ${count}`);
+    }
+    console.log(`   Methods: ${METHOD_SOURCES.map(methodSource => `${summary.method_sources[methodSource]} ${methodSource}`).join(', ')}`);
+    const resolved = Object.entries(summary.url_resolution);
+    if (resolved.length > 0) {
+        console.log(`   Relative static URLs: ${resolved.map(([by, count]) => `${count} ${by}`).join(', ')}`);
+    }
+    console.log(`   Origins: ${ORIGIN_TYPES.map(type => `${summary.origin_types[type]} ${type}`).join(', ')}`);
+    for (const [origin, { type, calls }] of Object.entries(summary.origins).slice(0, 10)) {
+        console.log(`      ${origin} (${type}): ${calls}`);
+    }
+    if (summary.query_params.parameters > 0) {
+        console.log(`   Query parameters: ${summary.query_params.parameters} on ${summary.query_params.endpoints} endpoints (${summary.query_params.required} required)`);
+    }
+    if (summary.url_clusters.total > 0) {
+        console.log(`   URL clusters: ${summary.url_clusters.total} templates covering ${summary.templated_urls} concrete URLs (${summary.url_clusters.inferred_templates} inferred)`);
+    }
+    if (conflicts.length > 0) {
+        console.log(`\n⚠️  Conflicts: ${conflicts.length}`);
+        for (const conflict of conflicts.slice(0, 10)) {
+            const values = conflict.values.map(({ value, sources }) => `${value} (${sources.join(', ')})`).join(' vs ');
+            console.log(`   ${conflict.method ? `${conflict.method} ` : ''}${conflict.url} ${conflict.field}: ${values}`);
+        }
+        if (conflicts.length > 10) {
+            console.log(`   ... and ${conflicts.length - 10} more`);
+        }
+    }
     console.log(`\n💾 Output saved to: ${outputPath}`);
     
+    if (failOnConflicts && conflicts.length > 0) {
+        throw new Error(`${conflicts.length} merge conflict${conflicts.length === 1 ? '' : 's'}, listed under "conflicts" in ${outputPath}`);
+    }
+    
     return output;
 }
 
@@ -288,6 +1254,28 @@ if (process.argv[1] === fileURLToPath(import.meta.url)) {
             case '-o':
                 options.outputPath = args[++i];
                 break;
+            case '--har':
+                options.harPaths = [...options.harPaths || [], args[++i]];
+                break;
+            case '--source':
+                options.sources = [...options.sources || [], args[++i]];
+                break;
+            case '--target':
+            case '-t':
+                options.targetUrl = args[++i];
+                break;
+            case '--api-origin':
+                options.apiOrigins = [...options.apiOrigins || [], args[++i]];
+                break;
+            case '--origin-rules':
+                options.originRulesPath = args[++i];
+                break;
+            case '--first-party':
+                options.firstParty = [...options.firstParty || [], args[++i]];
+                break;
+            case '--fail-on-conflicts':
+                options.failOnConflicts = true;
+                break;
             case '--real-urls-only':
             case '-r':
                 options.realUrlsOnly = true;
@@ -303,7 +1291,18 @@ Options:
   -n, --noizz <path>    Path to Noizz25 API calls JSON (default: ${DEFAULT_NOIZZ_PATH})
   -s, --static <path>   Path to Static Analysis API calls JSON (default: ${DEFAULT_STATIC_PATH})
   -o, --output <path>   Output path for merged JSON (default: ${DEFAULT_OUTPUT_PATH})
+      --har <path>      HAR file recorded in DevTools or by E2E tests, as a further dynamic source (repeatable)
+      --source <name[:kind[:weight]]=path>
+                        A source to merge (repeatable): a registered one (noizz25, har, static_analysis,
+                        openapi) or a new one with its kind (dynamic, static, spec) and optional trust
+                        weight (0-1). Without -n/-s, only the sources given here are read.
+  -t, --target <url>    URL of the scanned page; relative static URLs not seen at runtime resolve against it
+      --api-origin <url>  Origin of a backend the frontend calls, for base URLs read from configuration (repeatable)
+      --origin-rules <path>  JSON rules classifying origins as first-party, third-party or dev-infra
+                        (default: ${DEFAULT_ORIGIN_RULES_PATH} when it exists)
+      --first-party <domain>  A domain or origin of your own besides the target's, e.g. api.shop.com (repeatable)
   -r, --real-urls-only  Only include real URLs (http/https), filter out framework patterns
+      --fail-on-conflicts  Exit with an error when sources disagree on an endpoint (output is still written)
   -h, --help            Show this help message
                 `);
                 process.exit(0);
@@ -311,6 +1310,7 @@ Options:
     }
     
     try {
+        options.sources = options.sources?.map(parseSourceArgument);
         merge(options);
     } catch (error) {
         console.error('❌ Error:', error.message);
@@ -318,6 +1318,6 @@ Options:
     }
 }
 
-export { merge, mergeApiCalls, generateSummary };
+export { merge, mergeSources, summarizeSources, findConflicts, mergeApiCalls, generateSummary, parseSourceArgument };
 export default merge;
 
@@ -0,0 +1,126 @@
+/**
+ * Origin Rules
+ *
+ * Classifies the origin a merged call goes to: first-party (the scanned site and the
+ * backends configured as its own), third-party (SaaS APIs, analytics, CDNs) or dev-infra
+ * (dev servers and other local hosts). Rules come from an origin rules file:
+ *
+ * {
+ *   "firstParty": ["shop.com", "https://api.shop-partner.io"],
+ *   "thirdParty": ["cdn.shop.com"],
+ *   "devInfra": ["*.ngrok.app"]
+ * }
+ *
+ * A rule is an origin (scheme://host[:port]), a host:port, or a domain that also covers its
+ * subdomains ("shop.com", or "*.shop.com" for the subdomains only). Where rules overlap, the
+ * longest matching one wins.
+ */
+
+import fs from 'fs';
+
+const ORIGIN_TYPES = ['first-party', 'third-party', 'dev-infra', 'unknown'];
+
+// Rule lists of a rules file, and the type each assigns; on equal length, earlier lists win
+const RULE_TYPES = { devInfra: 'dev-infra', thirdParty: 'third-party', firstParty: 'first-party' };
+
+// Hosts that only exist on a developer's machine or network; they are dev-infra unless a rule says otherwise
+const DEV_INFRA_HOSTS = ['localhost', '127.0.0.1', '0.0.0.0', '[::1]', 'host.docker.internal'];
+
+/**
+ * Read an origin rules file; throws when it is not one
+ */
+function loadOriginRules(filePath) {
+    let rules;
+    try {
+        rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read origin rules ${filePath}: ${error.message}`);
+    }
+
+    for (const [key, list] of Object.entries(rules || {})) {
+        if (!RULE_TYPES[key]) {
+            throw new Error(`Unknown list '${key}' in origin rules ${filePath}: expected ${Object.keys(RULE_TYPES).join(', ')}`);
+        }
+        if (!Array.isArray(list) || list.some(rule => typeof rule !== 'string' || !rule)) {
+            throw new Error(`'${key}' in origin rules ${filePath} must be a list of origins or domains`);
+        }
+    }
+
+    return rules;
+}
+
+/**
+ * Classifier for origins (`https://api.shop.com`, lower case), in this order of preference:
+ *
+ * - the longest matching rule of `rules`; `apiOrigins` count as first-party rules
+ * - dev-infra for local hosts (DEV_INFRA_HOSTS), the target's included
+ * - first-party for the target's host and its subdomains (those of shop.com for www.shop.com)
+ * - third-party otherwise
+ *
+ * A null origin, for URLs that are not absolute, is classified as the target when the URL is
+ * relative to the page (`relative`) and a target is given, and as unknown otherwise.
+ */
+function createOriginClassifier({ targetUrl = null, apiOrigins = [], rules = {} } = {}) {
+    const explicit = [
+        ...Object.entries(RULE_TYPES).flatMap(([key, type]) => (rules[key] || []).map(rule => parseRule(rule, type))),
+        ...apiOrigins.map(origin => parseRule(origin, 'first-party'))
+    ].sort((a, b) => b.length - a.length);
+    const defaults = DEV_INFRA_HOSTS.map(host => parseRule(host, 'dev-infra'));
+    const target = targetUrl ? parseRule(new URL(targetUrl).hostname.replace(/^www\./, ''), 'first-party') : null;
+    const targetOrigin = targetUrl ? new URL(targetUrl).origin.toLowerCase() : null;
+
+    const classify = (origin, { relative = false } = {}) => {
+        if (!origin) {
+            return relative && targetOrigin ? classify(targetOrigin) : 'unknown';
+        }
+
+        const parts = parseOrigin(origin);
+        if (!parts) return 'unknown';
+
+        const rule = explicit.find(candidate => matchesRule(candidate, parts)) ||
+            defaults.find(candidate => matchesRule(candidate, parts)) ||
+            (target && matchesRule(target, parts) ? target : null);
+        return rule ? rule.type : 'third-party';
+    };
+
+    return classify;
+}
+
+/**
+ * Scheme, host and port of an origin; the port is the scheme's default when not given
+ */
+function parseOrigin(origin) {
+    try {
+        const url = new URL(origin);
+        return { scheme: url.protocol.replace(/:$/, ''), host: url.hostname.toLowerCase(), port: url.port || defaultPort(url.protocol) };
+    } catch {
+        return null;
+    }
+}
+
+function defaultPort(protocol) {
+    return { 'http:': '80', 'https:': '443', 'ws:': '80', 'wss:': '443' }[protocol] || '';
+}
+
+function parseRule(rule, type) {
+    const value = rule.trim().toLowerCase().replace(/\/+$/, '');
+    const length = value.length;
+
+    if (/^[a-z][a-z0-9+.-]*:\/\//.test(value)) {
+        const parts = parseOrigin(value);
+        if (!parts) throw new Error(`Invalid origin rule '${rule}'`);
+        return { type, length, ...parts, subdomains: false, exact: true };
+    }
+
+    const [, wildcard, host, port] = value.match(/^(\*\.)?(\[[^\]]+\]|[^:/]+)(?::(\d+))?$/) || [];
+    if (!host) throw new Error(`Invalid origin rule '${rule}'`);
+    return { type, length, scheme: null, host, port: port || null, subdomains: true, exact: !wildcard };
+}
+
+function matchesRule(rule, { scheme, host, port }) {
+    if (rule.scheme && rule.scheme !== scheme) return false;
+    if (rule.port && rule.port !== port) return false;
+    return (rule.exact && host === rule.host) || (rule.subdomains && host.endsWith(`.${rule.host}`));
+}
+
+export { ORIGIN_TYPES, DEV_INFRA_HOSTS, loadOriginRules, createOriginClassifier };
@@ -299,7 +299,7 @@ Examples:
         if extracted > 0:
             run_static_analysis(args.output)
             # Convert and merge outputs
-            convert_and_merge_outputs()
+            convert_and_merge_outputs(args.url)
             print("\n" + "=" * 60)
             print("Pipeline complete!")
             print("=" * 60)
@@ -329,7 +329,7 @@ Examples:
     run_static_analysis(args.output)
     
     # Step 4: Convert and Merge outputs
-    convert_and_merge_outputs()
+    convert_and_merge_outputs(args.url)
     
     print("\n" + "=" * 60)
     print("Pipeline complete!")
@@ -340,15 +340,15 @@ Examples:
     print("   • outputs/api_calls_merged.json (final merged output)")
 
 
-def convert_and_merge_outputs():
-    """Convert outputs to standardized format and merge."""
+def convert_and_merge_outputs(target_url: str = None):
+    """Convert outputs to standardized format and merge, resolving relative URLs against target_url."""
     print("\n" + "=" * 60)
     print("Step 4: Converting and merging outputs")
     print("=" * 60)
     
     # Run the Node.js pipeline for conversion and merge
     result = subprocess.run(
-        ["node", "run_pipeline.js", "--skip-crawl"],
+        ["node", "run_pipeline.js", "--skip-crawl"] + ([f"--url={target_url}"] if target_url else []),
         cwd=str(BASE_DIR),
         capture_output=True,
         text=True
@@ -4,17 +4,20 @@
  * 
  * Runs the complete API discovery pipeline:
  * 1. (Optional) Run Noizz2025 to crawl and capture JS files
- * 2. Extract JS from JSON files
+ * 2. Extract JS from JSON files (and from HAR files given with --har=<file>)
  * 3. Run Static Analysis on extracted JS
  * 4. Convert both outputs to standardized format
- * 5. Merge results into unified JSON
+ * 5. Merge results into unified JSON, relative static URLs resolved against --url=<target>
+ *    and --api-origin=<origin>, origins classified by --origin-rules=<file> and --first-party=<domain>
  */
 
 import { spawn, execSync } from 'child_process';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import merge from './merge_api_calls.js';
+import merge, { parseSourceArgument } from './merge_api_calls.js';
+import { extractHarScripts } from './har_import.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -24,12 +27,31 @@ const STATIC_DIR = path.join(__dirname, 'Static_Analysis');
 const OUTPUTS_DIR = path.join(__dirname, 'outputs');
 const JS_FILES_DIR = path.join(NOIZZ_DIR, 'mapping_output', 'js_files');
 const EXTRACTED_JS_DIR = path.join(NOIZZ_DIR, 'mapping_output', 'extracted_js');
+// Findings of chunks that did not change between crawls are reused from here; kept out of the
+// tracked outputs/ folder (and the Docker image built from it)
+const STATIC_CACHE_DIR = path.join(os.tmpdir(), 'api-discovery-static-cache');
 
 // Parse arguments
 const args = process.argv.slice(2);
 const skipCrawl = args.includes('--skip-crawl');
 const mergeOnly = args.includes('--merge-only');
-const targetUrl = args.find(a => a.startsWith('--url='))?.split('=')[1];
+const targetUrl = args.find(a => a.startsWith('--url='))?.slice('--url='.length);
+// Backends the frontend calls, for relative static URLs whose base URL comes from configuration
+const apiOrigins = args.filter(a => a.startsWith('--api-origin=')).map(a => a.slice('--api-origin='.length));
+// Recorded traffic (DevTools, E2E suites) used as a dynamic source besides or instead of a crawl
+const harFiles = args.filter(a => a.startsWith('--har=')).map(a => path.resolve(a.slice('--har='.length)));
+// Further sources for the merge (OpenAPI documents, other scanners), as --source=name[:kind[:weight]]=<file>
+const sourceArgs = args.filter(a => a.startsWith('--source=')).map(a => a.slice('--source='.length));
+// Stop with an error when the merged sources disagree on an endpoint
+const failOnConflicts = args.includes('--fail-on-conflicts');
+// Rules classifying call origins (first-party, third-party, dev-infra); origin_rules.json here by default
+const originRulesArg = args.find(a => a.startsWith('--origin-rules='))?.slice('--origin-rules='.length);
+const defaultOriginRules = path.join(__dirname, 'origin_rules.json');
+const originRulesPath = originRulesArg
+    ? path.resolve(originRulesArg)
+    : fs.existsSync(defaultOriginRules) ? defaultOriginRules : undefined;
+// Domains of your own besides the target's (api.shop.com)
+const firstParty = args.filter(a => a.startsWith('--first-party=')).map(a => a.slice('--first-party='.length));
 
 async function runCommand(command, args, cwd, options = {}) {
     return new Promise((resolve, reject) => {
@@ -96,6 +118,33 @@ function extractJsFromJson() {
     return extracted;
 }
 
+/**
+ * Add the scripts loaded by the recorded pages to the static analysis input
+ */
+function extractJsFromHar() {
+    console.log('\n' + '='.repeat(60));
+    console.log('📼 Extracting JS content from HAR files');
+    console.log('='.repeat(60));
+    
+    if (!fs.existsSync(EXTRACTED_JS_DIR)) {
+        fs.mkdirSync(EXTRACTED_JS_DIR, { recursive: true });
+    }
+    
+    // Scripts of earlier HAR runs
+    fs.readdirSync(EXTRACTED_JS_DIR)
+        .filter(f => f.startsWith('har-') && f.endsWith('.js'))
+        .forEach(f => fs.unlinkSync(path.join(EXTRACTED_JS_DIR, f)));
+    
+    for (const harFile of harFiles) {
+        try {
+            const extracted = extractHarScripts(harFile, EXTRACTED_JS_DIR);
+            console.log(`✓ Extracted ${extracted} JS files from ${path.basename(harFile)}`);
+        } catch (error) {
+            console.log(`⚠️  ${error.message}`);
+        }
+    }
+}
+
 function convertNoizzOutput() {
     console.log('\n' + '='.repeat(60));
     console.log('🔄 Converting Noizz25 output to standardized format');
@@ -160,7 +209,9 @@ async function runStaticAnalysis() {
         EXTRACTED_JS_DIR,
         '--deep',
         '--security',
-        '--performance'
+        '--performance',
+        '--cache',
+        STATIC_CACHE_DIR
     ], STATIC_DIR);
     
     // Find the latest analysis file
@@ -248,7 +299,7 @@ function convertStaticAnalysisOutput(analysisFile) {
         // For each location, create a separate entry (better for tracing)
         if (locations.length > 0) {
             for (const loc of locations.slice(0, 10)) { // Limit to first 10 locations per URL
-                standardized.push({
+                const entry = {
                     method: (call.httpMethod || call.method || 'UNKNOWN').toUpperCase(),
                     url: url,
                     file: loc.file?.replace(/^.*[\\\/]extracted_js[\\\/]/, '').replace(/\\/g, '/') || null,
@@ -257,7 +308,63 @@ function convertStaticAnalysisOutput(analysisFile) {
                     source: 'static_analysis',
                     library: call.category || 'unknown',
                     authentication: call.authentication || 'unknown'
-                });
+                };
+                
+                // Bundle position for locations mapped through a source map
+                if (loc.generated) {
+                    entry.generated = loc.generated;
+                }
+                
+                // Client instance the call went through (axios.create, ky.extend, ...)
+                if (loc.client) {
+                    entry.client = loc.client;
+                    entry.library = loc.client.library;
+                }
+                
+                // Interceptors that rewrote the URL or injected headers
+                if (loc.interceptors) {
+                    entry.interceptors = loc.interceptors;
+                }
+                
+                // Project wrapper functions the call went through (apiCall -> request)
+                if (loc.wrappers) {
+                    entry.wrappers = loc.wrappers;
+                }
+                
+                // GraphQL operation (query GetUser) sent to the endpoint
+                if (call.graphql) {
+                    entry.graphql = call.graphql;
+                }
+                
+                // Named segments of a templated URL (/users/{userId})
+                if (call.pathParams) {
+                    entry.pathParams = call.pathParams;
+                }
+                
+                // Static parts of the payload sent to the endpoint
+                if (call.requestBody !== undefined) {
+                    entry.requestBody = call.requestBody;
+                }
+                
+                // Headers set by the call (Authorization, Content-Type, ...)
+                if (call.headers) {
+                    entry.headers = call.headers;
+                }
+                
+                // Query parameters set at this call site (params option, HttpParams)
+                if (loc.queryParams) {
+                    entry.queryParams = loc.queryParams;
+                }
+                
+                // Call name and response type the merge infers an UNKNOWN method from
+                if (call.callee) {
+                    entry.callee = call.callee;
+                }
+                if (call.typeArgument) {
+                    entry.typeArgument = call.typeArgument;
+                }
+                
+                standardized.push(entry);
             }
         } else {
             standardized.push({
@@ -268,7 +375,14 @@ function convertStaticAnalysisOutput(analysisFile) {
                 column: null,
                 source: 'static_analysis',
                 library: call.category || 'unknown',
-                authentication: call.authentication || 'unknown'
+                authentication: call.authentication || 'unknown',
+                ...(call.graphql ? { graphql: call.graphql } : {}),
+                ...(call.pathParams ? { pathParams: call.pathParams } : {}),
+                ...(call.requestBody !== undefined ? { requestBody: call.requestBody } : {}),
+                ...(call.headers ? { headers: call.headers } : {}),
+                ...(call.queryParams ? { queryParams: call.queryParams } : {}),
+                ...(call.callee ? { callee: call.callee } : {}),
+                ...(call.typeArgument ? { typeArgument: call.typeArgument } : {})
             });
         }
     }
@@ -286,10 +400,18 @@ function runMerge() {
     console.log('🔀 Merging API calls');
     console.log('='.repeat(60));
     
+    const extraSources = sourceArgs.map(parseSourceArgument);
+    
     // Full merge (all patterns)
-    merge({
+    const { conflicts } = merge({
         noizzPath: path.join(OUTPUTS_DIR, 'noizz25_api_calls.json'),
         staticPath: path.join(OUTPUTS_DIR, 'static_analysis_api_calls.json'),
+        harPaths: harFiles,
+        sources: extraSources,
+        targetUrl,
+        apiOrigins,
+        originRulesPath,
+        firstParty,
         outputPath: path.join(OUTPUTS_DIR, 'api_calls_merged.json'),
         realUrlsOnly: false
     });
@@ -299,9 +421,20 @@ function runMerge() {
     merge({
         noizzPath: path.join(OUTPUTS_DIR, 'noizz25_api_calls.json'),
         staticPath: path.join(OUTPUTS_DIR, 'static_analysis_api_calls.json'),
+        harPaths: harFiles,
+        sources: extraSources,
+        targetUrl,
+        apiOrigins,
+        originRulesPath,
+        firstParty,
         outputPath: path.join(OUTPUTS_DIR, 'real_api_calls.json'),
         realUrlsOnly: true
     });
+    
+    // Fail only once both outputs are written, so the backend never serves a real_api_calls.json from an earlier run
+    if (failOnConflicts && conflicts.length > 0) {
+        throw new Error(`${conflicts.length} merge conflict${conflicts.length === 1 ? '' : 's'}, listed under "conflicts" in outputs/api_calls_merged.json`);
+    }
 }
 
 async function main() {
@@ -322,17 +455,21 @@ async function main() {
     
     let analysisFile = null;
     
-    if (!skipCrawl) {
+    if (!skipCrawl && harFiles.length === 0) {
         // TODO: Run Noizz2025 crawl (requires running the server)
         console.log('\n⚠️  Crawl step requires Noizz2025 server.');
         console.log('   Use: python run_analysis.py --url <URL> for full crawl');
         console.log('   Or use: npm run pipeline:skip-crawl to skip crawling');
+        console.log('   Or record the traffic and pass it with --har=<file.har>');
     }
     
     // Extract JS from JSON
     if (fs.existsSync(JS_FILES_DIR)) {
         extractJsFromJson();
     }
+    if (harFiles.length > 0) {
+        extractJsFromHar();
+    }
     
     // Run Static Analysis
     analysisFile = await runStaticAnalysis();
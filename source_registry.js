@@ -0,0 +1,159 @@
+/**
+ * Source Registry
+ *
+ * The sources the merge combines. Each has a kind (dynamic: seen at runtime, static: found
+ * in the code, spec: declared in an API description), a trust weight between 0 and 1 that
+ * decides whose details win when sources disagree, and a loader that turns a file into
+ * standardized calls.
+ */
+
+import fs from 'fs';
+import { harToCalls, convertHarEntries } from './har_import.js';
+
+const SOURCE_KINDS = ['dynamic', 'static', 'spec'];
+
+// Trust weight of a source registered without one
+const DEFAULT_WEIGHTS = { dynamic: 1, spec: 0.8, static: 0.6 };
+
+const OPERATION_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+const sources = new Map();
+
+/**
+ * Register a source by name; registering a name again replaces it.
+ * `load(filePath)` returns standardized calls and defaults to loadSourceFile.
+ */
+function registerSource(name, options) {
+    const source = defineSource(name, options);
+    sources.set(name, source);
+    return source;
+}
+
+/**
+ * A validated source definition, not registered: for sources named for one merge only
+ */
+function defineSource(name, { kind, weight = DEFAULT_WEIGHTS[kind], load = loadSourceFile } = {}) {
+    if (typeof name !== 'string' || !/^[\w.-]+$/.test(name)) {
+        throw new Error(`Invalid source name '${name}': letters, digits, '_', '.' and '-' only`);
+    }
+    if (!SOURCE_KINDS.includes(kind)) {
+        throw new Error(`Invalid kind '${kind}' for source '${name}': expected one of ${SOURCE_KINDS.join(', ')}`);
+    }
+    if (typeof weight !== 'number' || !(weight >= 0 && weight <= 1)) {
+        throw new Error(`Invalid weight '${weight}' for source '${name}': expected a number from 0 to 1`);
+    }
+
+    return { name, kind, weight, load };
+}
+
+function getSource(name) {
+    return sources.get(name) || null;
+}
+
+function listSources() {
+    return Array.from(sources.values());
+}
+
+/**
+ * Standardized calls from a file of any format the merge reads: a standardized call list,
+ * a merge output, a HAR file or an OpenAPI 3 / Swagger 2 document (JSON)
+ */
+function loadSourceFile(filePath) {
+    if (/\.har$/i.test(filePath)) return harToCalls(filePath);
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read source file ${filePath}: ${error.message}`);
+    }
+
+    if (Array.isArray(data)) return data;
+    if (Array.isArray(data?.api_calls)) return data.api_calls;
+    if (Array.isArray(data?.log?.entries)) return convertHarEntries(data.log.entries);
+    if (data?.openapi || data?.swagger) return openApiToCalls(data);
+
+    throw new Error(`Unrecognized source file (expected API calls, a HAR file or an OpenAPI document): ${filePath}`);
+}
+
+/**
+ * Calls for the operations of an OpenAPI or Swagger document, against the first server of the
+ * operation, else of its path item, else of the document. Parameters given by $ref are not followed.
+ */
+function openApiToCalls(document) {
+    const calls = [];
+
+    for (const [pathKey, pathItem] of Object.entries(document.paths || {})) {
+        for (const method of OPERATION_METHODS) {
+            const operation = pathItem?.[method];
+            if (!operation) continue;
+
+            const baseUrl = getServerUrl(document, operation.servers ?? pathItem.servers ?? document.servers);
+            const call = {
+                method: method.toUpperCase(),
+                url: `${baseUrl}${pathKey}`,
+                file: null,
+                line: null,
+                column: null,
+                source: 'openapi',
+                authentication: getAuthentication(operation.security ?? document.security)
+            };
+
+            const pathParams = [...pathItem.parameters || [], ...operation.parameters || []]
+                .filter(param => param?.in === 'path')
+                .map(param => ({ name: param.name, expression: null, type: getParamType(param.schema || param) }));
+            if (pathParams.length > 0) {
+                call.pathParams = pathParams;
+            }
+
+            const example = operation.requestBody?.content?.['application/json']?.example;
+            if (example !== undefined) {
+                call.requestBody = example;
+            }
+
+            calls.push(call);
+        }
+    }
+
+    return calls;
+}
+
+/**
+ * Base URL of the first of `servers`, its variables set to their defaults; empty for relative servers
+ */
+function getServerUrl(document, servers) {
+    if (document.swagger) {
+        if (!document.host) return (document.basePath || '').replace(/\/+$/, '');
+        return `${document.schemes?.[0] || 'https'}://${document.host}${document.basePath || ''}`.replace(/\/+$/, '');
+    }
+
+    const server = servers?.[0];
+    if (!server?.url) return '';
+
+    return server.url
+        .replace(/\{([^{}]*)\}/g, (match, name) => server.variables?.[name]?.default ?? match)
+        .replace(/\/+$/, '');
+}
+
+function getAuthentication(security) {
+    if (!Array.isArray(security)) return 'unknown';
+    // An empty requirement ({}) makes credentials optional
+    return security.length === 0 || security.some(requirement => Object.keys(requirement).length === 0)
+        ? 'anonymous'
+        : 'authenticated';
+}
+
+function getParamType(schema) {
+    if (schema.format === 'uuid') return 'uuid';
+    if (schema.type === 'integer') return 'integer';
+    if (schema.type === 'string') return 'string';
+    return 'unknown';
+}
+
+// Built-in sources
+registerSource('noizz25', { kind: 'dynamic' });
+registerSource('har', { kind: 'dynamic', load: harToCalls });
+registerSource('static_analysis', { kind: 'static' });
+registerSource('openapi', { kind: 'spec' });
+
+export { SOURCE_KINDS, DEFAULT_WEIGHTS, registerSource, defineSource, getSource, listSources, loadSourceFile, openApiToCalls };